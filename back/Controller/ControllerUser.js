@@ -19,7 +19,7 @@ const updateUser = async(req, res)=>{
         const {_id, name, email, role, firstname} = req.body
 
         const updatedUser = await User.findByIdAndUpdate(_id,
-            {name, email, role, firstname}, {new: true}
+            {name, email, role, firstname}, {new: true, runValidators: true}
         )
 
         if (!updatedUser) {
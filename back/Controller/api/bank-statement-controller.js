@@ -0,0 +1,45 @@
+const File = require('../../Models/File');
+const { parseData } = require('../../utils/audit-log');
+const { STATEMENT_FORMATS, isBankStatement, readStatement, validateStatement } = require('../../utils/bank-statement');
+
+/**
+ * Download a validated bank statement for the accounting: ISO 20022 CAMT.053 xml or SWIFT MT940
+ * the balances shall match (opening + credits - debits = closing)
+ */
+exports.getDocumentStatement = async (req, res) => {
+    try {
+        const { documentId, format } = req.params;
+        const output = STATEMENT_FORMATS[format];
+        if (!output) {
+            return res.status(400).json({ error: `Unknown statement format '${format}' (expected ${Object.keys(STATEMENT_FORMATS).join(', ')}).` });
+        }
+
+        const file = await File.findById(documentId).select('dataXml status');
+        if (!file) {
+            return res.status(404).json({ error: 'Document not found.' });
+        }
+        if (file.status !== 'validated') {
+            return res.status(409).json({ error: 'Only validated documents can be exported.' });
+        }
+
+        const json = parseData(file.dataXml);
+        if (!isBankStatement(json)) {
+            return res.status(422).json({ error: 'The document is not a bank statement.' });
+        }
+
+        const statement = readStatement(json);
+        const errors = validateStatement(statement);
+        if (errors.length) {
+            return res.status(422).json({ error: 'The bank statement cannot be exported.', errors });
+        }
+
+        const reference = String(file._id).slice(-16);
+        const content = output.build(statement, { messageId: reference, reference });
+        const fileName = `${statement.id || file._id}.${output.extension}`.replace(/[^\w.-]/g, '_');
+        res.setHeader('Content-Type', output.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename=${fileName}`);
+        res.status(200).send(content);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
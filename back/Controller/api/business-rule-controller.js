@@ -0,0 +1,65 @@
+const Customer = require('../../Models/Customer');
+const File = require('../../Models/File');
+const { parseData } = require('../../utils/audit-log');
+const { evaluateRules, rulesFor, validateRules } = require('../../utils/business-rules');
+
+const ruleOf = ({ _id, name = '', kind = 'compare', expression = '', tolerance = 0, field = '', values = [], when = '', severity = 'warn', message = '', enabled = true }, type) => ({
+    ...(_id) && { _id },
+    type,
+    name: name.trim(),
+    kind,
+    expression: expression.trim(),
+    tolerance: Math.abs(Number(tolerance)) || 0,
+    field: field.trim(),
+    values: [].concat(values).map(value => String(value).trim()).filter(Boolean),
+    when: when.trim(),
+    severity,
+    message: message.trim(),
+    enabled: enabled !== false
+});
+
+/**
+ * Replace the business rules of a document type for a customer
+ */
+exports.saveBusinessRules = async (req, res) => {
+    try {
+        const { id, type } = req.params;
+        const rules = (req.body.rules || []).map(rule => ruleOf(rule, type));
+
+        const errors = validateRules(rules);
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid rules.', errors });
+        }
+
+        const customer = await Customer.findById(id);
+        if (!customer) {
+            return res.status(404).json({ error: 'Customer not found.' });
+        }
+
+        customer.businessRules = [...customer.businessRules.filter(rule => rule.type !== type), ...rules];
+        await customer.save();
+        res.status(200).json(customer.businessRules.filter(rule => rule.type === type));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Business rules broken by a document (the edited json, or the stored data)
+ * rules of the document customer, or of the customer sent by the form
+ */
+exports.checkBusinessRules = async (req, res) => {
+    try {
+        const { documentId } = req.params;
+        const file = await File.findById(documentId).select('dataXml customer type');
+        if (!file) {
+            return res.status(404).json({ error: 'Document not found.' });
+        }
+
+        const json = req.body?.json || parseData(file.dataXml);
+        const rules = await rulesFor(file.customer || req.body?.customerId, file.type);
+        res.status(200).json({ results: evaluateRules(json, rules, file.type) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
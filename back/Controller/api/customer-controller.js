@@ -6,8 +6,8 @@ const Customer = require('../../Models/Customer'); // Adjust path as needed
  */
 exports.createCustomer = async (req, res) => {
     try {
-        const { name, email, address, dynamicKey } = req.body;
-        const customer = new Customer({ name, email, address, dynamicKey });
+        const { name, email, address, dynamicKey, facturXProfile } = req.body;
+        const customer = new Customer({ name, email, address, dynamicKey, facturXProfile });
         await customer.save();
         res.status(201).json(customer);
     } catch (error) {
@@ -50,10 +50,10 @@ exports.getCustomerById = async (req, res) => {
  */
 exports.updateCustomer = async (req, res) => {
     try {
-        const { name, email, address, dynamicKey } = req.body;
+        const { name, email, address, dynamicKey, facturXProfile, invalidIdentifiers, locale } = req.body;
         const customer = await Customer.findByIdAndUpdate(
             req.params.id,
-            { name, email, address, dynamicKey },
+            { name, email, address, dynamicKey, facturXProfile, invalidIdentifiers, locale },
             { new: true, runValidators: true }
         );
         if (!customer) {
@@ -91,7 +91,7 @@ exports.deleteCustomer = async (req, res) => {
  */
 exports.updateDynamicKeys = async (req, res) => {
     const { id: customerId } = req.params;
-    const { name, value, action, newName, description } = req.body; // Action can be 'add', 'update', or 'remove'
+    const { name, value, action, newName, description, type } = req.body; // Action can be 'add', 'update', or 'remove'
 
     if (!name || !action) {
         return res.status(400).json({ message: "Key and action are required." });
@@ -112,7 +112,7 @@ exports.updateDynamicKeys = async (req, res) => {
                     return res.status(400).json({ message: "Key already exists." });
                 }
 
-                customer.dynamicKeys.push({ name, value: value || [], order: customer.dynamicKeys.length, description });
+                customer.dynamicKeys.push({ name, value: value || [], order: customer.dynamicKeys.length, description, type });
                 break;
 
             case 'update':
@@ -121,7 +121,8 @@ exports.updateDynamicKeys = async (req, res) => {
                 if (!dynamicKey) {
                     return res.status(404).json({ message: "Key not found." });
                 }
-                dynamicKey.name = newName;
+                dynamicKey.name = newName || name;
+                if (type) dynamicKey.type = type;
                 // dynamicKey.value = value || [];
                 break;
 
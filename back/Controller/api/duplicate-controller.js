@@ -0,0 +1,22 @@
+const File = require('../../Models/File');
+const { parseData } = require('../../utils/audit-log');
+const { findDuplicates } = require('../../utils/duplicates');
+
+/**
+ * List the validated and in-progress documents that look like the same invoice
+ * the edited json can be sent, the stored data is checked otherwise
+ */
+exports.checkDuplicates = async (req, res) => {
+    try {
+        const { documentId } = req.params;
+        const file = await File.findById(documentId).select('dataXml');
+        if (!file) {
+            return res.status(404).json({ error: 'Document not found.' });
+        }
+
+        const json = req.body?.json || parseData(file.dataXml);
+        res.status(200).json({ duplicates: await findDuplicates(file._id, json) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+const File = require('../../Models/File');
+const Customer = require('../../Models/Customer');
+const { parseData } = require('../../utils/audit-log');
+const { DEFAULT_PROFILE, toCii } = require('../../utils/cii');
+const { embedFacturX } = require('../../utils/factur-x');
+
+// Method to read the original pdf of a document (remote link or uploaded file)
+const readPdf = async (pdfLink) => {
+    if (/^https?:\/\//.test(pdfLink)) {
+        const response = await fetch(pdfLink);
+        if (!response.ok) throw new Error(`Cannot download the pdf (${response.status})`);
+        return Buffer.from(await response.arrayBuffer());
+    }
+    return fs.promises.readFile(path.join('uploads', path.basename(pdfLink)));
+};
+
+/**
+ * Download a validated invoice as Factur-X / ZUGFeRD:
+ * its original pdf with the CII xml embedded (PDF/A-3), in the profile of its customer
+ */
+exports.getDocumentFacturX = async (req, res) => {
+    try {
+        const file = await File.findById(req.params.documentId).select('pdfName originalName dataXml status pdfLink customer');
+        if (!file) {
+            return res.status(404).json({ error: 'Document not found.' });
+        }
+        if (file.status !== 'validated') {
+            return res.status(409).json({ error: 'Only validated documents can be exported.' });
+        }
+        if (!file.pdfLink) {
+            return res.status(409).json({ error: 'The document has no pdf to embed the invoice in.' });
+        }
+
+        const customer = file.customer ? await Customer.findById(file.customer).select('facturXProfile') : null;
+        const profile = customer?.facturXProfile || DEFAULT_PROFILE;
+
+        const { xml, errors } = toCii(parseData(file.dataXml), profile);
+        if (errors.length) {
+            return res.status(422).json({ error: `The document breaks Factur-X ${profile} rules.`, errors });
+        }
+
+        const pdf = await embedFacturX(await readPdf(file.pdfLink), xml, { profile, title: file.name });
+
+        const fileName = `${path.parse(file.name || String(file._id)).name}_factur-x.pdf`.replace(/[^\w.-]/g, '_');
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=${fileName}`);
+        res.status(200).send(Buffer.from(pdf));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
@@ -0,0 +1,23 @@
+const File = require('../../Models/File');
+const { parseData } = require('../../utils/audit-log');
+const { checkMrz, findMrz } = require('../../utils/mrz');
+
+/**
+ * MRZ of a travel document (the edited json, or the stored data) and what it contradicts in the form
+ * errors block the validation
+ */
+exports.checkDocumentMrz = async (req, res) => {
+    try {
+        const { documentId } = req.params;
+        const file = await File.findById(documentId).select('dataXml type');
+        if (!file) {
+            return res.status(404).json({ error: 'Document not found.' });
+        }
+
+        const json = req.body?.json || parseData(file.dataXml);
+        const { field, mrz } = findMrz(json?.[file.type]);
+        res.status(200).json({ field: `${file.type}.${field}`, mrz, errors: checkMrz(json, file.type) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
@@ -0,0 +1,45 @@
+const File = require('../../Models/File');
+const { parseData, recordEvent } = require('../../utils/audit-log');
+const { NUMBER_LOCALES } = require('../../utils/amounts');
+const { relocalize } = require('../../utils/number-locale');
+const { findBaseline } = require('../../utils/revisions');
+
+/**
+ * Change the number locale of a document, chosen by the agent when the detected one is wrong
+ * the amounts of the edited json are read again from the AI extraction (the ones the agent changed are kept)
+ */
+exports.setNumberLocale = async (req, res) => {
+    try {
+        const { documentId } = req.params;
+        const { numberLocale, json } = req.body;
+        if (!NUMBER_LOCALES[numberLocale]) {
+            return res.status(422).json({ error: `Unknown number locale '${numberLocale}'.` });
+        }
+
+        const file = await File.findById(documentId).select('dataXml numberLocale stage');
+        if (!file) {
+            return res.status(404).json({ error: 'Document not found.' });
+        }
+
+        const previous = file.numberLocale;
+        const baseline = await findBaseline(file._id);
+        const data = relocalize(json || parseData(file.dataXml), parseData(baseline?.data), previous, numberLocale);
+
+        if (previous !== numberLocale) {
+            file.numberLocale = numberLocale;
+            await file.save();
+
+            await recordEvent({
+                document: file._id,
+                action: 'number-locale',
+                user: req.user,
+                stage: file.stage,
+                details: { from: previous, to: numberLocale }
+            });
+        }
+
+        res.status(200).json({ numberLocale, json: data });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
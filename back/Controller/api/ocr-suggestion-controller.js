@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const Customer = require('../../Models/Customer');
+const File = require('../../Models/File');
+const { suggestForFile } = require('../../utils/ocr-learning');
+
+/**
+ * Dynamic key suggested for the text fragments of an OCR document, learned from the validated documents of its customer
+ * body: the fragments and vertices shown to the agent (optional), customerId when the document has no customer
+ */
+exports.getOcrSuggestions = async (req, res) => {
+    try {
+        const { documentId } = req.params;
+        const { fragments, vertices, customerId } = req.body || {};
+
+        const file = await File.findById(documentId).select('dataXml vertices type customer supplierName supplierMatch');
+        if (!file) {
+            return res.status(404).json({ error: 'Document not found.' });
+        }
+        if (file.type !== 'OCR') {
+            return res.status(422).json({ error: 'Only OCR documents have dynamic keys.' });
+        }
+
+        const id = file.customer || customerId;
+        const customer = mongoose.isObjectIdOrHexString(id) ? await Customer.findById(id).select('dynamicKeys').lean() : null;
+        if (!customer) {
+            return res.status(200).json({ suggestions: [], trainedOn: 0 });
+        }
+
+        const names = (customer.dynamicKeys || []).map(key => key.name);
+        res.status(200).json(await suggestForFile(file, customer._id, names, { fragments, vertices }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
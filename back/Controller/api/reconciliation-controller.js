@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const File = require('../../Models/File');
+const PaymentMatch = require('../../Models/PaymentMatch');
+const { parseData, recordEvent } = require('../../utils/audit-log');
+const { isBankStatement } = require('../../utils/bank-statement');
+const { roundAmount } = require('../../utils/amounts');
+const { autoMatches, buildReconciliation, invoiceOf, loadReconciliation, paysInvoice, transactionsOf, updatePayments } = require('../../utils/reconciliation');
+
+// Method to store automatic matches, the ones another run stored meanwhile are left out (unique match)
+const insertMatches = async (matches) => {
+    try {
+        return await PaymentMatch.insertMany(matches, { ordered: false });
+    } catch (error) {
+        const duplicates = error.code === 11000 || error.writeErrors?.every(writeError => (writeError.err?.code ?? writeError.code) === 11000);
+        if (!duplicates) throw error;
+        return error.insertedDocs || [];
+    }
+};
+
+/**
+ * Transactions of the validated bank statements (matched, partial, unmatched with suggestions)
+ * and the validated invoices with their payment state
+ */
+exports.getReconciliation = async (req, res) => {
+    try {
+        const { transactions, invoices, matches } = await loadReconciliation();
+        res.status(200).json(buildReconciliation(transactions, invoices, matches));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Match the transactions to the invoices they pay on the amount, the IBAN and the invoice number
+ * (two criteria at least), then return the reconciliation
+ */
+exports.autoReconcile = async (req, res) => {
+    try {
+        const { transactions, invoices, matches } = await loadReconciliation();
+        const created = await insertMatches(autoMatches(transactions, invoices, matches).map(match => ({ ...match, method: 'auto' })));
+
+        await updatePayments(created.map(match => match.invoice));
+        await Promise.all(created.map(match => recordEvent({
+            document: match.invoice,
+            action: 'payment',
+            user: req.user,
+            details: { statement: match.statement, transaction: match.transaction, amount: match.amount, method: 'auto', reasons: match.reasons }
+        })));
+
+        const all = [...matches, ...created.map(match => match.toObject())];
+        res.status(200).json({ created: created.length, ...buildReconciliation(transactions, invoices, all) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Link a transaction to an invoice by hand
+ * amount: part of the transaction paying the invoice, what is left of both by default
+ */
+exports.linkPayment = async (req, res) => {
+    try {
+        const { statement, transaction, invoice, amount } = req.body;
+        if (![statement, invoice].every(id => mongoose.isObjectIdOrHexString(id)) || !Number.isInteger(transaction)) {
+            return res.status(400).json({ error: 'The statement, the transaction and the invoice are required.' });
+        }
+
+        const [statementFile, invoiceFile] = await Promise.all([
+            File.findById(statement).select('name pdfName dataXml status'),
+            File.findById(invoice).select('dataXml status type'),
+        ]);
+        if (!statementFile || !invoiceFile) {
+            return res.status(404).json({ error: 'Document not found.' });
+        }
+        if (statementFile.status !== 'validated' || invoiceFile.status !== 'validated') {
+            return res.status(409).json({ error: 'Only validated documents can be reconciled.' });
+        }
+        if (!isBankStatement(parseData(statementFile.dataXml)) || invoiceFile.type !== 'Invoice') {
+            return res.status(422).json({ error: 'A bank statement transaction can only be linked to an invoice.' });
+        }
+
+        const line = transactionsOf(statementFile).find(item => item.index === transaction);
+        if (!line) {
+            return res.status(404).json({ error: 'Transaction not found.' });
+        }
+        if (!paysInvoice(line)) {
+            return res.status(422).json({ error: 'Only debit transactions pay supplier invoices.' });
+        }
+
+        const paidInvoice = invoiceOf(invoiceFile);
+        const [transactionMatches, invoiceMatches] = await Promise.all([
+            PaymentMatch.find({ statement, transaction }).select('amount invoice').lean(),
+            PaymentMatch.find({ invoice }).select('amount').lean(),
+        ]);
+        if (transactionMatches.some(match => match.invoice.toString() === invoice)) {
+            return res.status(409).json({ error: 'The transaction is already linked to this invoice.' });
+        }
+
+        const sum = (matches) => matches.reduce((total, match) => total + match.amount, 0);
+        const left = line.amount - sum(transactionMatches);
+        const outstanding = paidInvoice.total - sum(invoiceMatches);
+        const value = amount === undefined || amount === null || amount === ''
+            ? Math.min(left, outstanding > 0 ? outstanding : left)
+            : Number(amount);
+        if (!(value > 0) || value > left + Number.EPSILON) {
+            return res.status(422).json({ error: `The amount shall be positive and at most what is left of the transaction (${roundAmount(left, line.currency)}).` });
+        }
+
+        const match = await PaymentMatch.create({
+            statement,
+            transaction,
+            invoice,
+            amount: roundAmount(value, line.currency),
+            method: 'manual',
+            user: req.user._id
+        }).catch(error => {
+            if (error.code === 11000) return null;
+            throw error;
+        });
+        // linked by another request meanwhile
+        if (!match) {
+            return res.status(409).json({ error: 'The transaction is already linked to this invoice.' });
+        }
+        await updatePayments([invoice]);
+        await recordEvent({
+            document: invoice,
+            action: 'payment',
+            user: req.user,
+            details: { statement, transaction, amount: match.amount, method: 'manual' }
+        });
+
+        res.status(201).json(match);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Remove a match (wrong automatic match or manual link)
+ */
+exports.unlinkPayment = async (req, res) => {
+    try {
+        const match = await PaymentMatch.findByIdAndDelete(req.params.matchId);
+        if (!match) {
+            return res.status(404).json({ error: 'Match not found.' });
+        }
+
+        await updatePayments([match.invoice]);
+        await recordEvent({
+            document: match.invoice,
+            action: 'payment',
+            user: req.user,
+            details: { statement: match.statement, transaction: match.transaction, amount: -match.amount, removed: true }
+        });
+
+        res.status(200).json({ ok: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
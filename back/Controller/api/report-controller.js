@@ -0,0 +1,72 @@
+const File = require('../../Models/File');
+const Customer = require('../../Models/Customer');
+const DocumentRevision = require('../../Models/DocumentRevision');
+const { parseData } = require('../../utils/audit-log');
+const { BASELINE } = require('../../utils/revisions');
+const { buildAccuracyReport } = require('../../utils/extraction-report');
+const { dateOrderOf } = require('../../utils/dates');
+
+// Method to read a date of the query, to the end of the day for the upper bound
+const parseDay = (value, endOfDay = false) => {
+    if (!value) return null;
+    const date = new Date(value);
+    if (isNaN(date)) return undefined;
+    if (endOfDay) date.setUTCHours(23, 59, 59, 999);
+    return date;
+};
+
+/**
+ * Get how often each extracted field was corrected by humans
+ * (validated documents imported between from and to, by supplier, type and AI source)
+ */
+exports.getExtractionAccuracy = async (req, res) => {
+    try {
+        const { supplier, type, createdBy } = req.query;
+        const from = parseDay(req.query.from);
+        const to = parseDay(req.query.to, true);
+
+        if (from === undefined || to === undefined) {
+            return res.status(400).json({ error: 'Invalid date range.' });
+        }
+
+        const filters = {
+            status: 'validated',
+            ...(from || to) && { createdAt: { ...(from) && { $gte: from }, ...(to) && { $lte: to } } },
+            ...(supplier) && { supplierName: supplier },
+            ...(type) && { type },
+            ...(createdBy) && { createdBy },
+        };
+
+        const files = await File.find(filters).select('dataXml supplierName type createdBy customer').lean();
+        const baselines = await DocumentRevision.find({
+            document: { $in: files.map(file => file._id) },
+            stage: BASELINE
+        }).select('document data').lean();
+        const baselineOf = new Map(baselines.map(revision => [revision.document.toString(), revision.data]));
+
+        // the extracted dates are compared with the saved ones in the day/month order of the customer
+        const customers = await Customer.find({ _id: { $in: [...new Set(files.map(file => file.customer).filter(Boolean))] } }).select('locale').lean();
+        const orderOf = new Map(customers.map(customer => [customer._id.toString(), dateOrderOf(customer.locale)]));
+
+        // documents validated before revisions existed have no baseline to compare with
+        const samples = files
+            .filter(file => baselineOf.has(file._id.toString()))
+            .map(file => ({
+                baseline: parseData(baselineOf.get(file._id.toString())),
+                validated: parseData(file.dataXml),
+                order: orderOf.get(file.customer?.toString()),
+                supplierName: file.supplierName,
+                type: file.type,
+                createdBy: file.createdBy,
+            }));
+
+        res.status(200).json({
+            from,
+            to,
+            withoutBaseline: files.length - samples.length,
+            ...buildAccuracyReport(samples)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const File = require('../../Models/File');
+const Supplier = require('../../Models/Supplier');
+const { parseData, recordEvent } = require('../../utils/audit-log');
+const { HIGH_CONFIDENCE, matchSupplier } = require('../../utils/supplier-matching');
+
+const SUPPLIER_FIELDS = 'name email address iban phone taxId website';
+
+const populateMatch = (file) => file.populate([
+    { path: 'supplierMatch.supplier', select: SUPPLIER_FIELDS },
+    { path: 'supplierMatch.alternatives.supplier', select: SUPPLIER_FIELDS },
+]);
+
+/**
+ * Supplier matched with the document, with its score and the alternatives
+ * documents imported before matching existed are matched now
+ */
+exports.getSupplierMatch = async (req, res) => {
+    try {
+        const { documentId } = req.params;
+        const file = await File.findById(documentId).select('dataXml customer supplierMatch');
+        if (!file) {
+            return res.status(404).json({ error: 'Document not found.' });
+        }
+
+        if (!file.supplierMatch && file.dataXml !== '{}') {
+            file.supplierMatch = await matchSupplier(parseData(file.dataXml), file.customer);
+            await file.save();
+        }
+
+        await populateMatch(file);
+        res.status(200).json({ match: file.supplierMatch || null, threshold: HIGH_CONFIDENCE });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Confirm the matched supplier, or override it with another one
+ */
+exports.confirmSupplierMatch = async (req, res) => {
+    try {
+        const { documentId } = req.params;
+        const { supplierId } = req.body;
+        if (!mongoose.isObjectIdOrHexString(supplierId)) {
+            return res.status(422).json({ error: 'A supplier is required.' });
+        }
+
+        const [file, supplier] = await Promise.all([
+            File.findById(documentId).select('supplierMatch stage'),
+            Supplier.findById(supplierId).select('_id'),
+        ]);
+        if (!file) {
+            return res.status(404).json({ error: 'Document not found.' });
+        }
+        if (!supplier) {
+            return res.status(404).json({ error: 'Supplier not found.' });
+        }
+
+        const previous = file.supplierMatch?.supplier || null;
+        const confirmed = previous?.equals(supplier._id);
+        const candidate = file.supplierMatch?.alternatives?.find(alternative => alternative.supplier?.equals(supplier._id));
+
+        file.supplierMatch = {
+            ...file.supplierMatch?.toObject(),
+            supplier: supplier._id,
+            ...(!confirmed) && { score: candidate?.score ?? null, method: candidate?.method ?? '' },
+            status: confirmed ? 'confirmed' : 'overridden',
+            confirmedBy: req.user._id,
+        };
+        await file.save();
+
+        await recordEvent({
+            document: file._id,
+            action: 'supplier-match',
+            user: req.user,
+            stage: file.stage,
+            details: { supplier: supplier._id, status: file.supplierMatch.status, ...(!confirmed) && { previous } }
+        });
+
+        await populateMatch(file);
+        res.status(200).json({ match: file.supplierMatch, threshold: HIGH_CONFIDENCE });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
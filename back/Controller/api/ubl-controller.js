@@ -0,0 +1,105 @@
+const archiver = require('archiver');
+const File = require('../../Models/File');
+const { parseData } = require('../../utils/audit-log');
+const { toUbl } = require('../../utils/ubl');
+
+// Name of the UBL file of a document: its invoice number, or its id
+const ublFileName = (file, json) => {
+    const invoiceId = String(json?.Invoice?.InvoiceId?._ ?? json?.Invoice?.InvoiceId ?? '').replace(/[^\w.-]/g, '_');
+    return `${invoiceId || file._id}.xml`;
+};
+
+/**
+ * Check the edited json of a document against the Peppol BIS Billing 3.0 rules
+ * (called before the document is finalised)
+ */
+exports.validateUbl = async (req, res) => {
+    try {
+        const { json } = req.body;
+        if (!json || typeof json !== 'object') {
+            return res.status(400).json({ error: 'The document data is required.' });
+        }
+        const { documentType, errors } = toUbl(json);
+        res.status(200).json({ documentType, errors });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Download the UBL 2.1 Invoice / CreditNote of a validated document
+ */
+exports.getDocumentUbl = async (req, res) => {
+    try {
+        const file = await File.findById(req.params.documentId).select('dataXml status');
+        if (!file) {
+            return res.status(404).json({ error: 'Document not found.' });
+        }
+        if (file.status !== 'validated') {
+            return res.status(409).json({ error: 'Only validated documents can be exported.' });
+        }
+
+        const json = parseData(file.dataXml);
+        const { xml, errors } = toUbl(json);
+        if (errors.length) {
+            return res.status(422).json({ error: 'The document breaks Peppol BIS Billing 3.0 rules.', errors });
+        }
+
+        res.setHeader('Content-Type', 'application/xml');
+        res.setHeader('Content-Disposition', `attachment; filename=${ublFileName(file, json)}`);
+        res.status(200).send(xml);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Download the UBL files of several validated documents in a zip
+ * documents breaking a rule are listed in errors.json instead
+ */
+exports.exportUbl = async (req, res) => {
+    try {
+        const { documents = [] } = req.body;
+        if (!Array.isArray(documents) || !documents.length) {
+            return res.status(400).json({ error: 'No document to export.' });
+        }
+
+        const files = await File.find({ _id: { $in: documents } }).select('pdfName originalName dataXml status');
+        const archive = archiver('zip');
+        const rejected = [];
+        const names = new Set();
+
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename=ubl_${new Date().toISOString().slice(0, 10)}.zip`);
+        archive.on('error', (error) => res.destroy(error));
+        archive.pipe(res);
+
+        for (const file of files) {
+            if (file.status !== 'validated') {
+                rejected.push({ document: file._id, name: file.name, errors: [{ message: 'The document is not validated.' }] });
+                continue;
+            }
+            const json = parseData(file.dataXml);
+            const { xml, errors } = toUbl(json);
+            if (errors.length) {
+                rejected.push({ document: file._id, name: file.name, errors });
+                continue;
+            }
+            // two documents may share an invoice number
+            let name = ublFileName(file, json);
+            if (names.has(name)) name = `${file._id}.xml`;
+            names.add(name);
+            archive.append(xml, { name });
+        }
+
+        if (rejected.length) {
+            archive.append(JSON.stringify(rejected, null, 2), { name: 'errors.json' });
+        }
+        await archive.finalize();
+    } catch (error) {
+        if (!res.headersSent) {
+            return res.status(500).json({ error: error.message });
+        }
+        res.destroy(error);
+    }
+};
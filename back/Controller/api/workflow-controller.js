@@ -0,0 +1,117 @@
+const Workflow = require('../../Models/Workflow');
+const File = require('../../Models/File');
+const { listStages, listWorkflows } = require('../../utils/workflow');
+
+/**
+ * Create a new workflow
+ */
+exports.createWorkflow = async (req, res) => {
+    try {
+        const { name, customer, documentType, stages } = req.body;
+        const workflow = new Workflow({ name, customer, documentType, stages });
+        await workflow.save();
+        res.status(201).json(workflow);
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({ error: 'A workflow already exists for this customer and document type.' });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Get all workflows (with the default one when it is not configured)
+ */
+exports.getAllWorkflows = async (req, res) => {
+    try {
+        const workflows = await listWorkflows();
+        res.status(200).json(workflows);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Get the stages of every workflow (validation queues)
+ */
+exports.getWorkflowStages = async (req, res) => {
+    try {
+        const stages = await listStages();
+        res.status(200).json(stages);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Get a single workflow by ID
+ */
+exports.getWorkflowById = async (req, res) => {
+    try {
+        const workflow = await Workflow.findById(req.params.id);
+        if (!workflow) {
+            return res.status(404).json({ error: 'Workflow not found.' });
+        }
+        res.status(200).json(workflow);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Update a workflow by ID
+ * stages still holding documents cannot be removed
+ */
+exports.updateWorkflow = async (req, res) => {
+    try {
+        const { name, customer, documentType, stages = [] } = req.body;
+
+        const keys = stages.map(stage => stage.key);
+        const stranded = await File.exists({ workflow: req.params.id, stage: { $nin: [...keys, ''] } });
+        if (stranded) {
+            return res.status(409).json({ error: 'Some documents are still waiting in a removed stage.' });
+        }
+
+        const workflow = await Workflow.findByIdAndUpdate(
+            req.params.id,
+            { name, customer, documentType, stages },
+            { new: true, runValidators: true }
+        );
+        if (!workflow) {
+            return res.status(404).json({ error: 'Workflow not found.' });
+        }
+        res.status(200).json(workflow);
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({ error: 'A workflow already exists for this customer and document type.' });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Delete a workflow by ID
+ * a workflow still followed by documents in progress cannot be deleted
+ */
+exports.deleteWorkflow = async (req, res) => {
+    try {
+        const inProgress = await File.exists({ workflow: req.params.id, stage: { $ne: '' } });
+        if (inProgress) {
+            return res.status(409).json({ error: 'Some documents are still following this workflow.' });
+        }
+
+        const workflow = await Workflow.findByIdAndDelete(req.params.id);
+        if (!workflow) {
+            return res.status(404).json({ error: 'Workflow not found.' });
+        }
+        res.status(200).json({ message: 'Workflow deleted successfully.' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
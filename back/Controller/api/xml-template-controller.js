@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const Customer = require('../../Models/Customer');
+const File = require('../../Models/File');
+const { parseData } = require('../../utils/audit-log');
+const { renderTemplate, validateTemplate } = require('../../utils/xml-template');
+
+const templateOf = ({ rootName = '', fields = [] }, type) => ({
+    type,
+    rootName: rootName.trim(),
+    fields: fields.map(({ source = '', value = '', target = '', format = '', condition = '' }) => ({
+        source: source.trim(), value, target: target.trim(), format: format.trim(), condition: condition.trim()
+    }))
+});
+
+/**
+ * Create or replace the xml output template of a document type for a customer
+ */
+exports.saveXmlTemplate = async (req, res) => {
+    try {
+        const { id, type } = req.params;
+        const template = templateOf(req.body, type);
+
+        const errors = validateTemplate(template);
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid template.', errors });
+        }
+
+        const customer = await Customer.findById(id);
+        if (!customer) {
+            return res.status(404).json({ error: 'Customer not found.' });
+        }
+
+        customer.xmlTemplates = [...customer.xmlTemplates.filter(item => item.type !== type), template];
+        await customer.save();
+        res.status(200).json(customer.xmlTemplates.find(item => item.type === type));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Remove the xml output template of a document type (internal key names are output again)
+ */
+exports.deleteXmlTemplate = async (req, res) => {
+    try {
+        const { id, type } = req.params;
+        const customer = await Customer.findByIdAndUpdate(
+            id,
+            { $pull: { xmlTemplates: { type } } },
+            { new: true }
+        );
+        if (!customer) {
+            return res.status(404).json({ error: 'Customer not found.' });
+        }
+        res.status(200).json({ message: 'Template deleted successfully.' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Render a template (saved or not) on a document, the last validated one of its type by default
+ */
+exports.previewXmlTemplate = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { documentId, type = 'Invoice', ...body } = req.body;
+        const template = templateOf(body, type);
+
+        const errors = validateTemplate(template);
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid template.', errors });
+        }
+
+        const file = mongoose.isObjectIdOrHexString(documentId)
+            ? await File.findById(documentId).select('pdfName originalName dataXml')
+            : await File.findOne({ type, status: 'validated', customer: { $in: [id, null] } })
+                .sort({ updatedAt: -1 })
+                .select('pdfName originalName dataXml');
+        if (!file) {
+            return res.status(404).json({ error: 'No document to preview the template on.' });
+        }
+
+        res.status(200).json({
+            document: { _id: file._id, name: file.name },
+            xml: renderTemplate(parseData(file.dataXml), template)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
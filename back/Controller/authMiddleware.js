@@ -1,6 +1,8 @@
 const jwt = require ('jsonwebtoken')
 const asyncHandler = require('express-async-handler')
 const User = require('../Models/User')
+const File = require('../Models/File')
+const { canActOnStage, getStage: stageOf, stagesForRole, workflowOf } = require('../utils/workflow')
 
 const protect = asyncHandler(async (req, res, next) => {
     let token
@@ -43,4 +45,60 @@ const authenticateToken = (req, res, next) => {
     });
 };
 
-module.exports = {protect, authenticateToken}
\ No newline at end of file
+// Permissions granted to each role
+const ROLE_PERMISSIONS = {
+    'admin': ['*'],
+    'agent V1': ['documents:read', 'documents:lock', 'documents:validate', 'data-source:read', 'ocr:extract'],
+    'agent V2': ['documents:read', 'documents:lock', 'documents:validate', 'documents:export', 'data-source:read', 'ocr:extract'],
+    'approver': ['documents:read', 'documents:lock', 'documents:validate', 'documents:export', 'data-source:read'],
+    // account of the AI pipeline: uploads the files and inserts the extracted documents
+    'service': ['documents:upload', 'documents:import'],
+};
+
+const hasPermission = (user, permission) => {
+    const permissions = ROLE_PERMISSIONS[user?.role] || [];
+    return permissions.includes('*') || permissions.includes(permission);
+};
+
+// Middleware to require every given permission (use after protect)
+const authorize = (...permissions) => (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+    if (missing.length) {
+        return res.status(403).json({ message: 'Forbidden', missing });
+    }
+
+    next();
+};
+
+// Method to tell whether a role can act on a stage: in the workflow of the document of the request,
+// in any workflow otherwise (queues shared by the workflows)
+const canActOnRequestStage = async (req, stage) => {
+    if (req.params.documentId) {
+        const file = await File.findById(req.params.documentId).select('workflow customer type').lean();
+        if (file) return canActOnStage(req.user, stageOf(await workflowOf(file), stage));
+    }
+    const stages = await stagesForRole(req.user.role);
+    return stages.some(({ key }) => key === stage);
+};
+
+// Middleware to check that the user's role can act on the validation stage of the request
+// (stages and their roles come from the workflows), getStage reads the stage from the request
+const authorizeStage = (getStage) => asyncHandler(async (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const stage = await getStage(req);
+
+    if (!stage || !await canActOnRequestStage(req, stage)) {
+        return res.status(403).json({ message: `Forbidden: role '${req.user.role}' cannot act on stage '${stage}'` });
+    }
+
+    next();
+});
+
+module.exports = {protect, authenticateToken, authorize, authorizeStage, hasPermission, ROLE_PERMISSIONS}
\ No newline at end of file
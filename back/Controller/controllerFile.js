@@ -1,29 +1,114 @@
 
 const File = require('../Models/File')
+const mongoose = require('mongoose');
 const xml2js = require('xml2js');
 const fs = require('fs')
-const ExcelJS = require('exceljs');
+const { expiredLease, leaseExpiry, lockableBy } = require('../utils/document-lock');
+const { recordEvent } = require('../utils/audit-log');
+const { discardFile, findDuplicate, hashFile, originalNameOf } = require('../utils/upload-storage');
+const { exportFilter, listParam, writeExcelExport } = require('../utils/excel-export');
+const { canActOnStage, getStage, initialStage, listStages, listWorkflows, queueFilter, workflowOf, QUEUE_STATUSES } = require('../utils/workflow');
+const { matchSupplier } = require('../utils/supplier-matching');
+const { fingerprintOf } = require('../utils/duplicates');
+const { canonicalAmounts, detectNumberLocale } = require('../utils/number-locale');
+const { dateOptionsOf, normalizeDates } = require('../utils/dates');
+const DocumentEvent = require('../Models/DocumentEvent');
+
+// Method to keep an uploaded pdf unless the same content is already stored
+// returns { document } or { duplicate } (the stored copy of a duplicate is removed)
+const registerUpload = async (file, fields, seen) => {
+    const contentHash = await hashFile(file.path);
+    const duplicate = seen.get(contentHash) || await findDuplicate(contentHash);
+    if (duplicate) {
+        await discardFile(file.path);
+        return { contentHash, duplicate };
+    }
+
+    try {
+        const document = await File.create({ ...fields, contentHash });
+        seen.set(contentHash, document);
+        return { contentHash, document };
+    } catch (error) {
+        // the same content uploaded at the same time by another request
+        if (error.code !== 11000) throw error;
+        await discardFile(file.path);
+        return { contentHash, duplicate: await findDuplicate(contentHash) };
+    }
+};
+
+// Time allowed to download the xml of a document inserted by the AI
+const XML_FETCH_TIMEOUT_MS = parseInt(process.env.XML_FETCH_TIMEOUT_MS) || 10 * 1000;
+
+// Method to download and read the xml of a document stored elsewhere (xmlLink)
+const fetchXml = async (link) => {
+    const response = await fetch(link, { signal: AbortSignal.timeout(XML_FETCH_TIMEOUT_MS) });
+    if (!response.ok) {
+        throw new Error(`Téléchargement du xml impossible (${response.status}): ${link}`);
+    }
+    return xml2js.parseStringPromise(await response.text(), { explicitArray: false });
+};
+
+// Method to compute the fields of a new document read from its xml: the duplicate fingerprint
+// and the supplier matched with the master data, so that unopened documents are found as duplicates
+// a xml that cannot be read leaves them out (computed when the document is opened)
+const extractedFieldsOf = async (readXml, customer = null) => {
+    try {
+        const json = await readXml();
+        // fingerprinted as it is stored when opened: amounts as canonical decimals, dates as ISO 8601
+        const { json: stored } = normalizeDates(canonicalAmounts(json, detectNumberLocale(json)), await dateOptionsOf(customer));
+        return { fingerprint: fingerprintOf(stored), supplierMatch: await matchSupplier(json, customer) };
+    } catch (error) {
+        console.error("Erreur lors de la lecture du xml:", error);
+        return {};
+    }
+};
+
+// Per-file outcome reported by the upload routes
+const uploadResult = (name, { contentHash, document, duplicate }) => duplicate
+    ? { name, status: 'duplicate', contentHash, duplicateOf: duplicate._id, message: `Fichier identique au document ${duplicate.originalName || duplicate.pdfName || duplicate._id}` }
+    : { name, status: 'created', contentHash, document: document._id };
 
 const uploadFile = async (req, res) => {
     if (!req.files) {
         return res.status(400).json({ message: 'Aucun fichier téléchargé' });
     }
     try {
-        // Enregistrer chaque fichier dans la base de données
-        const filePromises = req.files.filter(f => f.originalname.endsWith('.pdf')).map(file => {
-            const newFile = new File({
-                name: file.originalname,
+        // Enregistrer chaque pdf dans la base de données, une seule fois par contenu
+        const workflowFields = await initialStage();
+        const seen = new Map();
+        const savedFiles = [];
+        const results = [];
+
+        for (const file of req.files) {
+            const originalName = originalNameOf(file);
+            if (!originalName.toLowerCase().endsWith('.pdf')) {
+                await discardFile(file.path);
+                results.push({ name: originalName, status: 'ignored', message: 'Seuls les fichiers PDF créent un document' });
+                continue;
+            }
+
+            const outcome = await registerUpload(file, {
+                ...workflowFields,
+                pdfName: file.filename,
+                originalName,
                 uploadAt: new Date(),
+            }, seen);
+            results.push(uploadResult(originalName, outcome));
+            if (!outcome.document) continue;
+
+            savedFiles.push(outcome.document);
+            await recordEvent({
+                document: outcome.document._id,
+                action: 'upload',
+                user: req.user,
+                details: { source: 'upload', name: originalName, contentHash: outcome.contentHash }
             });
-            return newFile.save();
-        });
-
-        // Attendre que tous les fichiers soient enregistrés
-        const savedFiles = await Promise.all(filePromises);
+        }
 
         res.status(200).json({
-            message: 'Fichiers téléchargés et enregistrés avec succès',
+            message: `${savedFiles.length} fichier(s) enregistré(s), ${results.length - savedFiles.length} non importé(s)`,
             files: savedFiles,
+            results,
         });
     } catch (error) {
         console.error('Erreur lors de l\'enregistrement des fichiers:', error);
@@ -71,8 +156,7 @@ const getFiles = async (req, res) => {
     try {
         const files = await File.find()
         .populate('lockedBy')
-        .populate('validatedBy.v1')
-        .populate('validatedBy.v2')
+        .populate('validatedBy.$*')
         .populate('returnedBy')
         .sort({ _id: -1 });
         //test socket
@@ -87,28 +171,32 @@ const getFiles = async (req, res) => {
 const unlock_file = async (req, res) => {
     try {
         const id = req.params.id;
-        const file = await File.findByIdAndUpdate(id, {
+        // only the owner of the lease can release it
+        const file = await File.findOneAndUpdate({ _id: id, lockedBy: req.user._id }, {
             isLocked: false,
-            lockedBy: null
+            lockedBy: null,
+            lockExpiresAt: null
         }, { new: true })
         .populate('lockedBy')
-        .populate('validatedBy.v1')
-        .populate('validatedBy.v2')
+        .populate('validatedBy.$*')
         .populate('returnedBy');
 
         if (!file) {
-            return res.status(404).json({ message: 'File not found' });
+            const exists = await File.exists({ _id: id });
+            return exists
+                ? res.status(409).json({ message: 'File is locked by another user' })
+                : res.status(404).json({ message: 'File not found' });
         }
 
         if (!req.io) {
             return res.status(500).send('Socket.io instance is not available');
         }
 
+        await recordEvent({ document: file._id, action: 'unlock', user: req.user, stage: file.stage });
+
         // Émettre un événement via Socket.io pour notifier que le fichier est déverrouillé
         req.io.emit('document-lock/unlock', { id, ...file._doc });
 
-        console.log(file)
-
         res.status(200).json({ message: 'File unlocked successfully', file });
     } catch (error) {
         console.error("Erreur lors de la mise à jour du fichier:", error);
@@ -119,42 +207,67 @@ const unlock_file = async (req, res) => {
 const lock_file = async (req, res) => {
     try {
         const id = req.params.id;
-        const file = await File.findByIdAndUpdate(id, {
+        // take the lease unless another user holds a live one
+        const file = await File.findOneAndUpdate({ _id: id, ...lockableBy(req.user._id) }, {
             isLocked: true,
-            lockedBy: req.user._id
+            lockedBy: req.user._id,
+            lockExpiresAt: leaseExpiry()
         }, { new: true })
         .populate('lockedBy')
-        .populate('validatedBy.v1')
-        .populate('validatedBy.v2')
+        .populate('validatedBy.$*')
         .populate('returnedBy');
 
         if (!file) {
-            return res.status(404).json({ message: 'File not found' });
+            const exists = await File.exists({ _id: id });
+            return exists
+                ? res.status(409).json({ message: 'File is locked by another user' })
+                : res.status(404).json({ message: 'File not found' });
         }
 
         if (!req.io) {
             return res.status(500).send('Socket.io instance is not available');
         }
 
-        console.log('called lock file')
+        await recordEvent({ document: file._id, action: 'lock', user: req.user, stage: file.stage });
 
-        // Émettre un événement via Socket.io pour notifier que le fichier est déverrouillé
+        // Émettre un événement via Socket.io pour notifier que le fichier est verrouillé
         req.io.emit('document-lock/unlock', { id, ...file._doc });
 
-        res.status(200).json({ message: 'File unlocked successfully', file });
+        res.status(200).json({ message: 'File locked successfully', file });
     } catch (error) {
         console.error("Erreur lors de la mise à jour du fichier:", error);
         res.status(500).json({ message: 'Erreur lors de la mise à jour du fichier' });
     }
 };
 
+// Method to renew the lease of a lock held by the user (heartbeat)
+const renew_lock = async (req, res) => {
+    try {
+        const id = req.params.id;
+        const file = await File.findOneAndUpdate(
+            { _id: id, isLocked: true, lockedBy: req.user._id },
+            { lockExpiresAt: leaseExpiry() },
+            { new: true }
+        );
+
+        if (!file) {
+            // the lease expired and was released (or taken by someone else)
+            return res.status(409).json({ message: 'Lock lost' });
+        }
+
+        res.status(200).json({ message: 'Lock renewed', lockExpiresAt: file.lockExpiresAt });
+    } catch (error) {
+        console.error("Erreur lors du renouvellement du verrou:", error);
+        res.status(500).json({ message: 'Erreur lors du renouvellement du verrou' });
+    }
+};
+
 // Helper function for fetching validation documents with pagination
 const fetchValidationDocuments = async (filters, page = 1, limit = 50) => {
     const skip = (page - 1) * limit;
     const records = await File.find(filters)
         .populate('lockedBy')
-        .populate('validatedBy.v1')
-        .populate('validatedBy.v2')
+        .populate('validatedBy.$*')
         .populate('returnedBy')
         .skip(skip)
         .limit(limit)
@@ -166,48 +279,29 @@ const fetchValidationDocuments = async (filters, page = 1, limit = 50) => {
     return { data: records, totalRecords, totalPages, currentPage: page };
 };
 
-// Method to get prevalidation document: (V1)
-const getPrevalidations = async (req, res) => {
+// Method to send the documents waiting in the queue of a stage
+const sendStageDocuments = async (stage, req, res) => {
     
     const { page = 1, limit = 50 } = req.query;
     
     try {
-        const filters = {
-            'validation.v1': false, 
-            'validation.v2': false, 
-            status: { $in: ['progress'] },
-        };
-
-        const result = await fetchValidationDocuments(filters, parseInt(page), parseInt(limit));
+        const result = await fetchValidationDocuments(queueFilter(stage), parseInt(page), parseInt(limit));
         res.status(200).json(result);
 
     } catch (error) {
         console.error("Erreur lors de la récupération des fichiers:", error);
-        res.status(500).json({ message: 'Erreur lors de la récupération des fichiers prevalidation' })
+        res.status(500).json({ message: `Erreur lors de la récupération des fichiers ${stage}` })
     }
 }
 
 // Method to get prevalidation document: (V1)
-const getV2Validations = async (req, res) => {
-    
-    const { page = 1, limit = 50 } = req.query;
-
-    try {
-        
-        const filters = {
-            'validation.v2': false,
-            'validation.v1': true,
-            status: { $nin: ['rejected']}
-        };
+const getPrevalidations = (req, res) => sendStageDocuments('v1', req, res);
 
-        const result = await fetchValidationDocuments(filters, parseInt(page), parseInt(limit));
-        res.status(200).json(result);
+// Method to get the documents of the V2 stage
+const getV2Validations = (req, res) => sendStageDocuments('v2', req, res);
 
-    } catch (error) {
-        console.error("Erreur lors de la récupération des fichiers:", error);
-        res.status(500).json({ message: 'Erreur lors de la récupération des fichiers v2' })
-    }
-}
+// Method to get the documents of any workflow stage
+const getStageValidations = (req, res) => sendStageDocuments(req.params.stage, req, res);
 
 // get returned validations
 const getReturnedValidations = async (req, res) => {
@@ -217,8 +311,6 @@ const getReturnedValidations = async (req, res) => {
     try {
         
         const filters = {
-            'validation.v2': false,
-            'validation.v1': false,
             status: 'returned'
         };
         
@@ -259,8 +351,6 @@ const getValidatedValidations = async (req, res) => {
     try {
         
         const filters = {
-            'validation.v2': true,
-            'validation.v1': true,
             status: 'validated'
         };
 
@@ -273,79 +363,55 @@ const getValidatedValidations = async (req, res) => {
     }
 }
 
+// Method to export the documents to excel (streamed, one row per document)
+// query: status, stage, type (comma separated), from, to, supplier,
+// columns (fields of the validated data), lineItems=true, lineItemColumns
 const generateExcel = async (req, res) => {
-    
-    // Créer un nouveau classeur
-    const workbook = new ExcelJS.Workbook();
-    const worksheet = workbook.addWorksheet('Feuille1');
-
-    // Définir les en-têtes des colonnes
-    worksheet.columns = [
-        { header: 'Id', 
-            key: 'id', 
-            width: 15, height : 17},
-        { header: 'Nom', key: 'nom', width: 60 , height : 17, style: { font: { bold: true,}, alignment: { horizontal: 'center' } } },
-        { header: 'Status', key: 'status', width: 30, height : 17, style: {  alignment: { horizontal: 'center' } } },
-        { header: 'V1', key: 'v1', width: 30, height : 17 },
-        { header: 'V2', key: 'v2', width: 30, height : 17 },
-    ];
-
-    var allFile = await File.find()
-            .populate('validatedBy.v1', 'name firstname') // Peupler avec les champs `name` et `email` de l'utilisateur v1
-            .populate('validatedBy.v2', 'name firstname')
-    
-    for (let i = 0; i < allFile.length; i++) {
-        const element = allFile[i];
+    try {
+        const { filter, error } = exportFilter(req.query);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
 
-        var v1 = (element.v1?.name ?? "") + " " + (element.v1?.firstname ?? "");
-        var v2 = (element.v2?.name ?? "") + " " + (element.v2?.firstname ?? "");
-        
+        const columns = listParam(req.query.columns);
+        const lineItemColumns = listParam(req.query.lineItemColumns);
 
-        console.log("allFile", v1, v2);
-        worksheet.addRow({id: parseInt(element._id), nom: element.name, status: element.status, });
-        
+        const date = new Date().toISOString().slice(0, 10);
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename=documents_${date}.xlsx`);
+
+        await writeExcelExport(res, {
+            filter,
+            ...(columns.length) && { columns },
+            lineItems: req.query.lineItems === 'true',
+            ...(lineItemColumns.length) && { lineItemColumns },
+        });
+        res.end();
+    } catch (error) {
+        console.error("Erreur lors de la génération du fichier excel:", error);
+        if (!res.headersSent) {
+            return res.status(500).json({ message: "Erreur lors de la génération du fichier excel" });
+        }
+        res.destroy(error);
     }
-    // { bold: true, italic: true, color: { argb: 'FFFFA500' } }; // Cellule 'Nom' de la 2ème ligne
-    // worksheet.getCell('A2').alignment = { horizontal: 'left' }; // Alignement de la cellule
-    
-    // Styliser la première ligne (les en-têtes)
-    const headerRow = worksheet.getRow(1);
-    headerRow.font = { bold: true, size: 16, color: { argb: 'FF0A1F28' } }; // Police en gras et jaune
-    headerRow.fill = {
-        type: 'pattern',
-        pattern: 'solid',
-        fgColor: { argb: 'FF1DD1FD' }, // Fond bleu
-    };
-
-    headerRow.alignment = { horizontal: 'center' }; // Alignement centré
-    headerRow.height = 20; // Hauteur de la ligne
-    // Configurer l'en-tête de la réponse pour télécharger le fichier
-    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition', 'attachment; filename=fichier_excel.xlsx');
-
-    // Écrire le fichier dans un flux (stream) directement pour éviter de l'enregistrer sur le disque
-    await workbook.xlsx.write(res);
-    res.end();
-
-    console.log('Fichier Excel généré et prêt à être téléchargé !');
 }
 
 
+// Method to count the documents of each stage queue and of each final status
 const getDocumentCounts = async (req, res) => {
     try {
         
+        const stages = await listStages();
         const results = await File.aggregate([
             {
                 $facet: {
-                    prevalidationCount: [
+                    stageCounts: [
                         { 
                             $match: { 
-                                "validation.v1": false,
-                                "validation.v2": false,
-                                status: 'progress',
+                                status: { $in: QUEUE_STATUSES },
                             }
                         },
-                        { $count: "count" }
+                        { $group: { _id: "$stage", count: { $sum: 1 } } }
                     ],
                     returnedCount: [
                         { 
@@ -355,23 +421,9 @@ const getDocumentCounts = async (req, res) => {
                         },
                         { $count: "count" }
                     ],
-                    validationV2Count: [
-                        { 
-                            $match: { 
-                                "validation.v1": true,
-                                "validation.v2": false,
-                                status: {
-                                    $in: ['progress', 'temporarily-rejected']
-                                },
-                            }
-                        },
-                        { $count: "count" }
-                    ],
                     validatedCount: [
                         { 
                             $match: { 
-                                "validation.v1": true,
-                                "validation.v2": true,
                                 status: 'validated',
                             }
                         },
@@ -389,7 +441,13 @@ const getDocumentCounts = async (req, res) => {
                 }
             }
         ]);
-        res.json(results[0]);
+
+        const counts = Object.fromEntries(results[0].stageCounts.map(({ _id, count }) => [_id, count]));
+        res.json({
+            ...results[0],
+            // every queue is listed, even empty ones
+            stageCounts: stages.map(stage => ({ ...stage, count: counts[stage.key] || 0 }))
+        });
     } catch (error) {
         console.log(error);
         res.json(null)
@@ -409,23 +467,34 @@ const insertDocumentFromAI = async (req, res) => {
             }); 
 
         for (let i = 0; i < files.length; i++) {
-            const { pdfName, xmlName, pdfLink, xmlLink, verticesLink, createdBy, type } = files[i];
-            // insert file
+            const { pdfName, xmlName, pdfLink, xmlLink, verticesLink, createdBy, type, priority, supplierName, customer } = files[i];
+            // insert file at the first stage of its workflow
             const createdDocument = await File.create({
+                ...await initialStage({ customer, type }),
                 pdfName: pdfName,
                 xmlName: xmlName,
                 xmlLink,
                 pdfLink,
                 verticesLink,
                 createdBy,
-                type
+                type,
+                priority,
+                supplierName,
+                ...await extractedFieldsOf(() => xmlLink ? fetchXml(xmlLink) : convertXmlToJson('./uploads/' + xmlName), customer),
+                customer
+            });
+
+            await recordEvent({
+                document: createdDocument._id,
+                action: 'upload',
+                user: req.user,
+                details: { source: 'ai', createdBy, type }
             });
             
             // get document with populated fields
             const newDocument = await File.findById(createdDocument._id)
                 .populate('lockedBy')
-                .populate('validatedBy.v1')
-                .populate('validatedBy.v2')
+                .populate('validatedBy.$*')
                 .populate('returnedBy');
     
             
@@ -449,41 +518,69 @@ const insertDocumentFromAI = async (req, res) => {
 
 const uploadDocuments = async (req, res) => {
     console.log('uploading document...')
+    const { pdfFile, xmlFile } = req.files || {};
     try {
-        const { pdfFile, xmlFile } = req.files;
-        if (pdfFile && xmlFile) {
-
-            console.log({
-                pdf: pdfFile[0].filename,
-                xml: xmlFile[0].filename,})
+        if (!pdfFile || !xmlFile) {
+            // a file sent alone is not kept
+            await Promise.all([...pdfFile || [], ...xmlFile || []].map(file => discardFile(file.path)));
+            return res.status(400).json({ message: 'Please upload both PDF and XML files.' });
+        }
 
-            // insert file
-            const createdDocument = await File.create({
-                name: pdfFile[0].filename,
-                xml: xmlFile[0].filename,
+        const pdf = pdfFile[0];
+        const xml = xmlFile[0];
+        const originalName = originalNameOf(pdf);
+        const xmlOriginalName = originalNameOf(xml);
+
+        // insert file, once per pdf content
+        const outcome = await registerUpload(pdf, {
+            ...await initialStage(),
+            pdfName: pdf.filename,
+            xmlName: xml.filename,
+            originalName,
+            ...await extractedFieldsOf(() => convertXmlToJson(xml.path)),
+        }, new Map());
+
+        if (outcome.duplicate) {
+            await discardFile(xml.path);
+            return res.status(200).json({
+                message: 'The PDF file has already been uploaded.',
+                results: [
+                    uploadResult(originalName, outcome),
+                    { name: xmlOriginalName, status: 'ignored', message: 'Le PDF associé est un doublon' },
+                ],
             });
+        }
 
-            // get document with populated fields
-            const newDocument = await File.findById(createdDocument._id)
-                .populate('lockedBy')
-                .populate('validatedBy.v1')
-                .populate('validatedBy.v2')
-                .populate('returnedBy');
+        const createdDocument = outcome.document;
+        await recordEvent({
+            document: createdDocument._id,
+            action: 'upload',
+            user: req.user,
+            details: { source: 'upload-documents', pdf: originalName, xml: xmlOriginalName, contentHash: outcome.contentHash }
+        });
 
-            // send socket
-            if (req.io) req.io.emit('document-incoming', newDocument);
+        // get document with populated fields
+        const newDocument = await File.findById(createdDocument._id)
+            .populate('lockedBy')
+            .populate('validatedBy.$*')
+            .populate('returnedBy');
 
-            res.status(200).json({
-                message: 'Files uploaded successfully!',
-                files: {
-                    pdf: pdfFile[0].path,
-                    xml: xmlFile[0].path,
-                },
-            });
-        } else {
-            res.status(400).json({ message: 'Please upload both PDF and XML files.' });
-        }
+        // send socket
+        if (req.io) req.io.emit('document-incoming', newDocument);
+
+        res.status(200).json({
+            message: 'Files uploaded successfully!',
+            files: {
+                pdf: pdf.path,
+                xml: xml.path,
+            },
+            results: [
+                uploadResult(originalName, outcome),
+                { name: xmlOriginalName, status: 'created', document: createdDocument._id },
+            ],
+        });
     } catch(error) {
+        console.error(error);
         res.status(500).json({
             message: 'Failed to uploade files.'
         })
@@ -499,8 +596,7 @@ const fetchLimitedDocuments = async (req, res) => {
             .skip((page - 1) * limit) // Sauter les enregistrements précédents
             .limit(limit) // Limiter le nombre d'enregistrements
             .populate('lockedBy')
-            .populate('validatedBy.v1')
-            .populate('validatedBy.v2')
+            .populate('validatedBy.$*')
             .populate('returnedBy')
             .sort({ _id: -1 });
 
@@ -519,41 +615,136 @@ const fetchLimitedDocuments = async (req, res) => {
     }
 }
 
-const checkAvailableDocument = async (req, res) => {
+// Method to get the audit trail of a document, oldest event first
+const getDocumentHistory = async (req, res) => {
     try {
+        const { id } = req.params;
+
+        if (!(await File.exists({ _id: id }))) {
+            // deleted documents keep their history
+            const count = await DocumentEvent.countDocuments({ document: id });
+            if (!count) return res.status(404).json({ message: 'File not found' });
+        }
+
+        const events = await DocumentEvent.find({ document: id })
+            .populate('user', 'name firstname email role')
+            .sort({ createdAt: 1, _id: 1 });
+
+        res.status(200).json(events);
+    } catch (error) {
+        console.error("Erreur lors de la récupération de l'historique:", error);
+        res.status(500).json({ message: "Erreur lors de la récupération de l'historique" });
+    }
+}
+
+// Sort applied when claiming the next document, by queue order
+const QUEUE_SORTS = {
+    oldest: { createdAt: 1, _id: 1 },
+    priority: { priority: -1, createdAt: 1, _id: 1 },
+    // documents of a supplier one after the other
+    supplier: { supplierName: 1, createdAt: 1, _id: 1 },
+};
 
-        // get available document, which is non locked for targeted validation number
+const DEFAULT_QUEUE_ORDER = Object.hasOwn(QUEUE_SORTS, process.env.QUEUE_ORDER ?? '') ? process.env.QUEUE_ORDER : 'oldest';
+
+// Method to find and lock the next available document of a queue in a single operation
+// only unlocked documents or expired leases are claimed, not the ones the user already holds
+const claimDocument = (filters, sort, userId) => {
+    return File.findOneAndUpdate(
+        { ...filters, $or: [{ isLocked: false }, expiredLease()] },
+        {
+            isLocked: true,
+            lockedBy: userId,
+            lockExpiresAt: leaseExpiry()
+        },
+        { new: true, sort }
+    )
+    .populate('lockedBy')
+    .populate('validatedBy.$*')
+    .populate('returnedBy');
+}
+
+// Method to claim the next document of a stage queue the user may act on in the workflow of the document
+// (queues are shared by the workflows: the documents of workflows giving the stage to other roles are left out,
+// and the claimed document is checked against its own workflow, released when the user may not act on it)
+const claimAllowedDocument = async (filters, sort, user, stage, excluded = []) => {
+    const forbidden = (await listWorkflows())
+        .filter(workflow => workflow._id && getStage(workflow, stage) && !canActOnStage(user, getStage(workflow, stage)))
+        .map(workflow => workflow._id);
+    const skipped = [...excluded];
+
+    for (;;) {
+        const doc = await claimDocument({
+            ...filters,
+            ...(forbidden.length) && { workflow: { $nin: forbidden } },
+            ...(skipped.length) && { _id: { $nin: skipped } }
+        }, sort, user._id);
+        if (!doc || canActOnStage(user, getStage(await workflowOf(doc), stage))) return doc;
+
+        await File.updateOne({ _id: doc._id, lockedBy: user._id }, { isLocked: false, lockedBy: null, lockExpiresAt: null });
+        skipped.push(doc._id);
+    }
+}
+
+// Method to claim the next document of the queue of a workflow stage
+const claimNextDocument = async (req, res) => {
+    try {
         const { validation } = req.params;
-        var doc = null;
-
-        if (validation === 'v1') {
-            doc = await File.findOne({
-                isLocked: false,
-                "validation.v1": false,
-                "validation.v2": false,
-                status: 'progress',
-            });
-        } else if (validation === 'v2') {
-            doc = await File.findOne({
-                isLocked: false,
-                "validation.v1": true,
-                "validation.v2": false,
-                status: 'progress',
-            });
+        const { order = DEFAULT_QUEUE_ORDER, currentDocument } = req.body;
+
+        const stages = await listStages();
+        if (!stages.some(stage => stage.key === validation)) {
+            return res.status(400).json({ message: 'Unknown validation queue' });
+        }
+        if (!Object.hasOwn(QUEUE_SORTS, order)) {
+            return res.status(400).json({ message: 'Unknown queue order' });
+        }
+        if (currentDocument && !mongoose.isObjectIdOrHexString(currentDocument)) {
+            return res.status(400).json({ message: 'Invalid current document' });
+        }
+
+        // the document just processed is not claimed again
+        const filters = queueFilter(validation);
+        const excluded = currentDocument ? [currentDocument] : [];
+        let doc = null;
+
+        // same supplier: try documents of the supplier of the document just processed first
+        if (order === 'supplier' && currentDocument) {
+            const current = await File.findById(currentDocument).select('supplierName');
+            if (current?.supplierName) {
+                doc = await claimAllowedDocument({ ...filters, supplierName: current.supplierName }, QUEUE_SORTS.supplier, req.user, validation, excluded);
+            }
+        }
+
+        if (!doc) {
+            doc = await claimAllowedDocument(filters, QUEUE_SORTS[order], req.user, validation, excluded);
+        }
+
+        // queue is empty
+        if (!doc) {
+            return res.status(204).end();
+        }
+
+        await recordEvent({ document: doc._id, action: 'lock', user: req.user, stage: validation, details: { claimed: true, order } });
+
+        if (req.io) {
+            req.io.emit('document-lock/unlock', { id: doc._id.toString(), ...doc._doc });
         }
 
-        res.send(doc);
+        res.status(200).json(doc);
 
     } catch(error) {
-        res.send(null);
+        console.error("Erreur lors de la réservation du document suivant:", error);
+        res.status(500).json({ message: 'Erreur lors de la réservation du document suivant' });
     }
 }
 
-module.exports = {uploadFile, getFileById, getFiles, unlock_file, lock_file, getPrevalidations,
+module.exports = {uploadFile, getFileById, getFiles, unlock_file, lock_file, renew_lock, getPrevalidations,
     uploadDocuments,
-    getV2Validations, getReturnedValidations, getValidatedValidations , generateExcel, getDocumentCounts,
+    getV2Validations, getStageValidations, getReturnedValidations, getValidatedValidations , generateExcel, getDocumentCounts,
     fetchLimitedDocuments,
-    checkAvailableDocument,
+    claimNextDocument,
+    getDocumentHistory,
     insertDocumentFromAI,
     getRejectedValidations
 }
@@ -1,9 +1,66 @@
 const Document = require("../Models/File")
+const Customer = require("../Models/Customer")
+const DocumentRevision = require("../Models/DocumentRevision")
+const mongoose = require('mongoose');
 const { Builder } = require('xml2js');
 const path = require('path');
 const fs = require('fs');
 const xml2js = require('xml2js');
 const axios = require('axios')
+const { leaseExpiry } = require('../utils/document-lock');
+const { recordEvent, recordEvents, changedFields, getSupplierName, parseData } = require('../utils/audit-log');
+const { allowsTransition, canActOnStage, firstStage, getStage, nextStage, workflowOf } = require('../utils/workflow');
+const { BASELINE, diffFields, findBaseline, recordBaseline, recordRevision } = require('../utils/revisions');
+const { renderTemplate, templateFor } = require('../utils/xml-template');
+const { DUPLICATE_REASON, findDuplicates, fingerprintOf } = require('../utils/duplicates');
+const { matchSupplier } = require('../utils/supplier-matching');
+const { checkIdentifiers } = require('../utils/identifiers');
+const { evaluateRules, rulesFor } = require('../utils/business-rules');
+const { checkMrz } = require('../utils/mrz');
+const { canonicalAmounts, canonicalEdits, detectNumberLocale } = require('../utils/number-locale');
+const { dateOptionsOf, normalizeDates } = require('../utils/dates');
+
+// Method to read whether invalid identifiers block the validation for a customer ('block' or 'warn')
+const identifierMode = async (customerId) => {
+    if (!mongoose.isObjectIdOrHexString(customerId)) return 'warn';
+    const customer = await Customer.findById(customerId).select('invalidIdentifiers');
+    return customer?.invalidIdentifiers || 'warn';
+}
+
+// Method to give the customer of the agent to the documents imported without one (uploads)
+// so that they are part of the data of the customer (OCR suggestions)
+const customerOf = (file, customerId) => !file?.customer && mongoose.isObjectIdOrHexString(customerId) ? { customer: customerId } : {};
+
+// Method to write the dates of an edited json as ISO 8601, in the day/month order of the customer
+// the texts they were read from are added to the ones of the document (the first text of a field is kept)
+const normalizeDocumentDates = async (json, file, customerId) => {
+    const { json: normalized, sources } = normalizeDates(json, await dateOptionsOf(file?.customer || customerId));
+
+    const dateSources = [...(file?.dateSources || [])];
+    sources.forEach(source => {
+        if (!dateSources.some(({ path }) => path === source.path)) dateSources.push(source);
+    });
+    return { json: normalized, dateSources };
+}
+
+// Method to load a document with its workflow, checking it waits in the given stage
+// and that the user may act on that stage
+const loadStage = async (documentId, stage, user) => {
+    const file = await Document.findById(documentId).select('dataXml stage workflow customer type dateSources numberLocale');
+    if (!file) {
+        return { error: { status: 404, message: 'Document not found' } };
+    }
+    if (file.stage !== stage) {
+        return { error: { status: 409, message: `Document is not at stage '${stage}'` } };
+    }
+
+    const workflow = await workflowOf(file);
+    if (!canActOnStage(user, getStage(workflow, stage))) {
+        return { error: { status: 403, message: `Forbidden: role '${user.role}' cannot act on stage '${stage}'` } };
+    }
+
+    return { file, workflow };
+}
 
 // method to get validation by state
 exports.getValidations = async (req, res) => {
@@ -47,20 +104,28 @@ exports.getValidationByDocumentIdAndValidation = async (req, res) => {
         const { documentId, validation } = req.params; // document id
         var document = await Document.findById(documentId)
         .populate('lockedBy')
-        .populate('validatedBy.v1')
-        .populate('validatedBy.v2')
+        .populate('validatedBy.$*')
         .populate('returnedBy');
 
         
         if (document.dataXml === '{}') {
             try {
                 const xmlJSON = await convertXmlToJson(document.xmlLink ?? './uploads/' + document.xmlName);
+                // keep the AI extraction as the baseline of the revisions
+                await recordBaseline(documentId, xmlJSON);
+                const numberLocale = detectNumberLocale(xmlJSON);
+                // stored with the amounts as canonical decimals and the dates as ISO 8601
+                const { json: data, dateSources } = await normalizeDocumentDates(canonicalAmounts(xmlJSON, numberLocale), document);
                 document = await Document.findByIdAndUpdate(documentId, {
-                    dataXml: JSON.stringify(xmlJSON)
+                    dataXml: JSON.stringify(data),
+                    numberLocale,
+                    dateSources,
+                    supplierName: getSupplierName(xmlJSON),
+                    fingerprint: fingerprintOf(data),
+                    supplierMatch: await matchSupplier(xmlJSON, document.customer)
                 }, { new: true })
                 .populate('lockedBy')
-                .populate('validatedBy.v1')
-                .populate('validatedBy.v2')
+                .populate('validatedBy.$*')
                 .populate('returnedBy');
 
             } catch (error) {
@@ -69,12 +134,28 @@ exports.getValidationByDocumentIdAndValidation = async (req, res) => {
             }
         }
 
+        // documents imported before the number locale: amounts stored as canonical decimals once
+        if (document && !document.numberLocale && document.dataXml !== '{}') {
+            const json = parseData(document.dataXml);
+            const numberLocale = detectNumberLocale(json);
+            document = await Document.findByIdAndUpdate(documentId, {
+                dataXml: JSON.stringify(canonicalAmounts(json, numberLocale)),
+                numberLocale
+            }, { new: true })
+            .populate('lockedBy')
+            .populate('validatedBy.$*')
+            .populate('returnedBy');
+        }
+
         // get pdf base64
         // const pdfBase64 = await convertPDFToBase64(document.pdfLink);
 
         // document.pdfLink = "data:application/pdf;base64," + pdfBase64;
 
-        res.json(document);
+        // stages of the workflow (steps, allowed transitions)
+        const workflow = await workflowOf(document);
+
+        res.json({ ...document.toJSON(), workflowStages: workflow.stages });
 
     } catch (error) {
         console.error(error);
@@ -88,9 +169,13 @@ exports.saveValidationDocument = async (req, res) => {
     try {
 
         const { documentId } = req.params; // document id
-        const { json_data, versionNumber, vertices={} } = req.body;
+        const { json_data: edited, versionNumber, vertices={}, customerId } = req.body;
 
-        if (json_data) {
+        if (edited) {
+
+            const previous = await Document.findById(documentId).select('dataXml customer dateSources numberLocale');
+            const { json: normalized, dateSources } = await normalizeDocumentDates(edited, previous, customerId);
+            const json_data = canonicalEdits(normalized, previous?.numberLocale);
 
             const existingDocument = await Document.findOne({
                 _id: documentId,
@@ -107,7 +192,12 @@ exports.saveValidationDocument = async (req, res) => {
                         $set: {
                             'versions.$.dataJson': json_data, 
                             lockedBy: req.user._id,
+                            lockExpiresAt: leaseExpiry(),
                             dataXml: JSON.stringify(json_data),
+                            supplierName: getSupplierName(json_data),
+                            fingerprint: fingerprintOf(json_data),
+                            dateSources,
+                            ...customerOf(previous, customerId),
                             vertices: JSON.stringify(vertices)
                         }
                     }, // Update existing version's dataJson
@@ -122,13 +212,28 @@ exports.saveValidationDocument = async (req, res) => {
                             versions: { versionNumber, dataJson: json_data } // Add new version
                         },
                         lockedBy: req.user._id,
+                        lockExpiresAt: leaseExpiry(),
                         dataXml: JSON.stringify(json_data),
+                        supplierName: getSupplierName(json_data),
+                        fingerprint: fingerprintOf(json_data),
+                        dateSources,
+                        ...customerOf(previous, customerId),
                         vertices: JSON.stringify(vertices)
                     },
                     { new: true } // Return the updated document
                 );
             }
 
+            await recordRevision({ document: documentId, stage: versionNumber, data: json_data, user: req.user });
+
+            await recordEvent({
+                document: documentId,
+                action: 'save',
+                user: req.user,
+                stage: versionNumber,
+                changedFields: changedFields(parseData(previous?.dataXml), json_data)
+            });
+
             res.json({
                 ok: true,
                 data: updatedDocument
@@ -155,7 +260,47 @@ exports.saveValidationDocument = async (req, res) => {
 exports.validateDocument = async (req, res) => {
     try {
         const { documentId } = req.params; // document id
-        const { json_data, versionNumber, vertices={} } = req.body;
+        const { json_data: edited, versionNumber, vertices={}, skip = false, ignoreDuplicates = false, customerId } = req.body;
+
+        const { file: previous, workflow, error } = await loadStage(documentId, versionNumber, req.user);
+        if (error) {
+            return res.status(error.status).json({ ok: false, message: error.message });
+        }
+        const { json: normalized, dateSources } = await normalizeDocumentDates(edited, previous, customerId);
+        const json_data = canonicalEdits(normalized, previous.numberLocale);
+        if (skip && !allowsTransition(workflow, versionNumber, 'skip')) {
+            return res.status(403).json({ ok: false, message: `Stage '${versionNumber}' cannot be skipped` });
+        }
+
+        // invalid IBAN, BIC or VAT numbers block the validation when the customer asks for it
+        const identifierErrors = checkIdentifiers(json_data);
+        if (identifierErrors.length && await identifierMode(previous.customer || customerId) === 'block') {
+            return res.status(422).json({ ok: false, message: 'Invalid IBAN, BIC or VAT number', identifierErrors });
+        }
+
+        // business rules of the customer: blocking ones stop the validation, the others are reported
+        const brokenRules = evaluateRules(json_data, await rulesFor(previous.customer || customerId, previous.type), previous.type);
+        const blockingRules = brokenRules.filter(rule => rule.severity === 'block');
+        if (blockingRules.length) {
+            return res.status(422).json({ ok: false, message: 'Business rules not respected', ruleErrors: blockingRules });
+        }
+
+        // travel documents: the MRZ check digits, its differences with the form and the expiry date
+        if (previous.type === 'FormParser') {
+            const mrzErrors = checkMrz(json_data, previous.type);
+            if (mrzErrors.length) {
+                return res.status(422).json({ ok: false, message: 'Travel document not valid', mrzErrors });
+            }
+        }
+
+        // the same invoice may already be validated or in progress, the agent confirms it is not
+        const duplicates = await findDuplicates(documentId, json_data);
+        if (duplicates.length && !ignoreDuplicates) {
+            return res.status(409).json({ ok: false, message: 'Possible duplicate invoice', duplicates });
+        }
+
+        // skipping ends the workflow, the remaining stages are not required
+        const next = skip ? null : nextStage(workflow, versionNumber);
 
         // update document
         var validated = await Document.findOneAndUpdate(
@@ -165,17 +310,22 @@ exports.validateDocument = async (req, res) => {
                     'versions.$.dataJson': json_data, // Updates the matched version's dataJson
                     [`validation.${versionNumber}`]: true, // Sets the validation field for the version
                     [`validatedBy.${versionNumber}`]: req.user._id, // Sets the validation field for user
-                    status: versionNumber === 'v2' ? 'validated' : 'progress',
+                    stage: next?.key ?? '',
+                    status: next ? 'progress' : 'validated',
                     dataXml: JSON.stringify(json_data),
+                    supplierName: getSupplierName(json_data),
+                    fingerprint: fingerprintOf(json_data),
+                    dateSources,
+                    ...customerOf(previous, customerId),
                     vertices: JSON.stringify(vertices),
                     isLocked: false,
-                    lockedBy: null
+                    lockedBy: null,
+                    lockExpiresAt: null
                 }
             },
             { new: true } // Returns the updated document
         ).populate('lockedBy')
-        .populate('validatedBy.v1')
-        .populate('validatedBy.v2')
+        .populate('validatedBy.$*')
         .populate('returnedBy');
 
         if (!validated) {
@@ -191,21 +341,41 @@ exports.validateDocument = async (req, res) => {
                     $set: {
                         [`validation.${versionNumber}`]: true,
                         [`validatedBy.${versionNumber}`]: req.user._id, // Sets the validation field for user
-                        status: versionNumber === 'v2' ? 'validated' : 'progress',
+                        stage: next?.key ?? '',
+                        status: next ? 'progress' : 'validated',
                         dataXml: JSON.stringify(json_data),
+                        supplierName: getSupplierName(json_data),
+                        fingerprint: fingerprintOf(json_data),
+                        dateSources,
+                        ...customerOf(previous, customerId),
                         vertices: JSON.stringify(vertices),
                         lockedBy: null,
-                        isLocked: false
+                        isLocked: false,
+                        lockExpiresAt: null
                     }
                 },
                 { new: true, upsert: true }
             ).populate('lockedBy')
-            .populate('validatedBy.v1')
-            .populate('validatedBy.v2')
+            .populate('validatedBy.$*')
             .populate('returnedBy');
         }
 
-        
+        await recordRevision({ document: documentId, stage: versionNumber, data: json_data, user: req.user });
+
+        await recordEvent({
+            document: documentId,
+            action: 'validate',
+            user: req.user,
+            stage: versionNumber,
+            changedFields: changedFields(parseData(previous?.dataXml), json_data),
+            details: {
+                ...(skip) && { skip },
+                ...(duplicates.length) && { ignoredDuplicates: duplicates.map(duplicate => duplicate._id) },
+                ...(identifierErrors.length) && { invalidIdentifiers: identifierErrors.map(({ field, value }) => ({ field, value })) },
+                ...(brokenRules.length) && { brokenRules: brokenRules.map(rule => rule.name) }
+            }
+        });
+
         // send socket
         if (req.io) {
             req.io.emit('document-changed', {...validated._doc});
@@ -213,7 +383,9 @@ exports.validateDocument = async (req, res) => {
 
         res.json({
             ok: true,
-            data: validated
+            data: validated,
+            ...(identifierErrors.length) && { warnings: identifierErrors },
+            ...(brokenRules.length) && { ruleWarnings: brokenRules }
         });
 
     } catch (error) {
@@ -231,25 +403,39 @@ exports.returnDocument = async (req, res) => {
         const { documentId } = req.params;
         const { comment = "" } = req.body;
 
+        const file = await Document.findById(documentId).select('stage workflow customer type');
+        const { error, workflow } = file
+            ? await loadStage(documentId, file.stage, req.user)
+            : { error: { status: 404, message: 'Document not found' } };
+        if (error) {
+            return res.status(error.status).json({ ok: false, data: null, message: error.message });
+        }
+        if (!allowsTransition(workflow, file.stage, 'return')) {
+            return res.status(403).json({ ok: false, data: null, message: `Documents cannot be returned from stage '${file.stage}'` });
+        }
+
+        // back to the first stage, every stage has to be validated again
         const updatedDocument = await Document.findByIdAndUpdate(
             documentId,
             {
                 $set: {
-                    "validation.v1": false,
-                    "validation.v2": false,
+                    validation: Object.fromEntries(workflow.stages.map(stage => [stage.key, false])),
+                    stage: firstStage(workflow).key,
                     status: 'returned',
                     returnedBy: req.user._id,
                     lockedBy: null,
                     isLocked: false,
+                    lockExpiresAt: null,
                     comment: comment,
                 },
             },
             { new: true } // Returns the updated document
         ).populate('lockedBy')
-        .populate('validatedBy.v1')
-        .populate('validatedBy.v2')
+        .populate('validatedBy.$*')
         .populate('returnedBy');
 
+        await recordEvent({ document: documentId, action: 'return', user: req.user, stage: file.stage, details: { comment } });
+
         if (req.io) {
             req.io.emit('document-changed', updatedDocument)
         }
@@ -273,29 +459,49 @@ exports.rejectDocument = async (req, res) => {
     try {
 
         const { documentId } = req.params;
-        const { reason = "", json_data, validation } = req.body;
+        const { reason = "", json_data, validation, duplicateOf = null } = req.body;
+
+        const { workflow, error } = await loadStage(documentId, validation, req.user);
+        if (error) {
+            return res.status(error.status).json({ ok: false, data: null, message: error.message });
+        }
+        if (!allowsTransition(workflow, validation, 'reject')) {
+            return res.status(403).json({ ok: false, data: null, message: `Documents cannot be rejected at stage '${validation}'` });
+        }
+
+        // before the last stage the rejection is temporary: the next stage confirms it or not
+        const next = nextStage(workflow, validation);
 
         const updatedDocument = await Document.findByIdAndUpdate(
             documentId,
             {
                 $set: {
-                    status: validation === 'v1' ? 'temporarily-rejected' : 'rejected',
+                    stage: next?.key ?? '',
+                    status: next ? 'temporarily-rejected' : 'rejected',
                     returnedBy: req.user._id,
                     lockedBy: null,
                     isLocked: false,
+                    lockExpiresAt: null,
                     [`validation.${validation}`]: true,
                     [`validatedBy.${validation}`]: req.user._id,
-                    temporarilyReason: validation === 'v1' ? reason : '',
-                    reason: validation !== 'v1' ? reason : '',
+                    temporarilyReason: next ? reason : '',
+                    reason: next ? '' : reason,
+                    // rejected as a duplicate: keep the document it repeats
+                    duplicateOf: reason === DUPLICATE_REASON && mongoose.isObjectIdOrHexString(duplicateOf) ? duplicateOf : null,
                     ...(json_data) && { dataXml: json_data }
                 },
             },
             { new: true } // Returns the updated document
         ).populate('lockedBy')
-        .populate('validatedBy.v1')
-        .populate('validatedBy.v2')
+        .populate('validatedBy.$*')
         .populate('returnedBy');
 
+        if (json_data) {
+            await recordRevision({ document: documentId, stage: validation, data: json_data, user: req.user });
+        }
+
+        await recordEvent({ document: documentId, action: 'reject', user: req.user, stage: validation, details: { reason, ...(updatedDocument?.duplicateOf) && { duplicateOf } } });
+
         if (req.io) {
             req.io.emit('document-changed', updatedDocument)
         }
@@ -313,28 +519,94 @@ exports.rejectDocument = async (req, res) => {
     }
 
 }
-const removeKeysEndingWithId = (data) => {
+// Method to read the data of a document at a point of its history:
+// 'ai' (extraction), 'current', a stage (last save on the stage) or a revision id
+const snapshotOf = async (file, point) => {
+    if (point === 'current') {
+        return parseData(file.dataXml);
+    }
+
+    if (point === BASELINE) {
+        const baseline = await findBaseline(file._id);
+        let xmlJSON = baseline && parseData(baseline.data);
+        if (!baseline) {
+            // documents opened before revisions existed: extract the xml again
+            xmlJSON = await convertXmlToJson(file.xmlLink || './uploads/' + file.xmlName);
+            await recordBaseline(file._id, xmlJSON);
+        }
+        // the extraction holds the amounts as written on the document, they are compared and reverted as stored
+        return canonicalAmounts(xmlJSON, file.numberLocale || detectNumberLocale(xmlJSON));
+    }
+
+    const revision = mongoose.isObjectIdOrHexString(point)
+        ? await DocumentRevision.findOne({ _id: point, document: file._id })
+        : await DocumentRevision.findOne({ document: file._id, stage: point }).sort({ createdAt: -1, _id: -1 });
+    if (revision) return parseData(revision.data);
+
+    // saves done before revisions existed
+    const version = file.versions.find(version => version.versionNumber === point);
+    return version ? version.dataJson : null;
+}
+
+// Method to compare the data of a document between two points of its history
+exports.getDocumentDiff = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { from = BASELINE, to = 'current' } = req.query;
+
+        const file = await Document.findById(id).select('dataXml versions xmlLink xmlName customer numberLocale');
+        if (!file) {
+            return res.status(404).json({ message: 'Document not found' });
+        }
+
+        const [before, after] = await Promise.all([snapshotOf(file, from), snapshotOf(file, to)]);
+        const missing = [[from, before], [to, after]].find(([, data]) => !data);
+        if (missing) {
+            return res.status(404).json({ message: `No data for '${missing[0]}'` });
+        }
+
+        const { order } = await dateOptionsOf(file.customer);
+        res.json({ from, to, ...diffFields(before, after, { order }) });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Error while comparing the document versions' });
+    }
+}
+
+// Row helpers added by the form (LineItem id / key, hidden Vat ids) are not document data
+const isTechnicalKey = (key) => key === 'key' || key === 'id' || /^Vat.*Id$/.test(key);
+
+const removeTechnicalKeys = (data) => {
     if (Array.isArray(data)) {
         // Process each item in the array
-        return data.map(item => removeKeysEndingWithId(item));
+        return data.map(item => removeTechnicalKeys(item));
     } else if (typeof data === 'object' && data !== null) {
         // Process each key-value pair in the object
         return Object.fromEntries(
             Object.entries(data)
-            .filter(([key]) => !key.endsWith('Id') && key !== 'key' && key !== 'id') // Exclude keys ending with "Id", "key", and "id"
-                .map(([key, value]) => [key, removeKeysEndingWithId(value)]) // Recursively process values
+            .filter(([key]) => !isTechnicalKey(key)) // InvoiceId, SupplierTaxId... are kept
+                .map(([key, value]) => [key, removeTechnicalKeys(value)]) // Recursively process values
         );
     }
     return data; // Return primitive values as-is
 };
 
+// Method to find the output template of the customer of a document (or of the given customer)
+const outputTemplate = async ({ documentId, customerId, type }) => {
+    const file = mongoose.isObjectIdOrHexString(documentId) ? await Document.findById(documentId).select('customer type') : null;
+    const customer = file?.customer || customerId;
+    if (!mongoose.isObjectIdOrHexString(customer)) return null;
+
+    return templateFor(await Customer.findById(customer).select('xmlTemplates'), file?.type || type);
+}
+
 exports.createXMLFile = async (req, res) => {
     try {
-        const { json } = req.body;
-        // Create a new Builder instance
-        const builder = new Builder();
-        // Convert JSON to XML
-        const xml = builder.buildObject(removeKeysEndingWithId(json));
+        const { json, documentId, customerId } = req.body;
+        const data = removeTechnicalKeys(json);
+        // xml expected by the customer ERP, internal key names otherwise
+        const template = await outputTemplate({ documentId, customerId, type: Object.keys(json || {})[0] });
+        const xml = template ? renderTemplate(data, template) : new Builder().buildObject(data);
 
         // Define the file path where XML will be written
         const filePath = path.join(__dirname, 'output.xml');
@@ -369,6 +641,7 @@ exports.deleteDocuments = async (req, res) => {
         const { documents } = req.body;
         // find documents
         const docs = await Document.deleteMany({ _id: { $in: documents }});
+        await recordEvents(documents, { action: 'delete', user: req.user });
         res.status(200).json({ ok: true });
     } catch (err) {
         console.log(err)
@@ -13,9 +13,49 @@ const customerSchema = new mongoose.Schema({
         type: String,
         default: ''
     },
+    facturXProfile: { // Factur-X / ZUGFeRD profile of the hybrid invoices
+        type: String,
+        enum: ['MINIMUM', 'BASIC', 'EN16931'],
+        default: 'EN16931'
+    },
+    locale: { // locale of the documents of the customer, 04/08/2024 is August 4 unless it writes the month first (en-US)
+        type: String,
+        default: 'fr-FR'
+    },
+    invalidIdentifiers: { // invalid IBAN, BIC or VAT numbers block the validation, or only warn
+        type: String,
+        enum: ['block', 'warn'],
+        default: 'warn'
+    },
+    xmlTemplates: [{ // xml output of the documents, one template per document type
+        type: { type: String, required: true },
+        rootName: { type: String, default: '' },
+        fields: [{
+            _id: false,
+            source: { type: String, default: '' }, // internal field (Invoice.SupplierName, LineItem[].LineItemAmount)
+            value: { type: String, default: '' }, // constant written when there is no source
+            target: { type: String, required: true }, // element path in the output (Lines.Line[].Amount)
+            format: { type: String, default: '' }, // date:DD/MM/YYYY, number:0.00, upper, lower
+            condition: { type: String, default: '' } // Invoice.Currency=EUR, !Invoice.DueDate...
+        }]
+    }],
+    businessRules: [{ // checks of the document data, in the form and on validation
+        type: { type: String, required: true }, // document type (Invoice, OCR, FormParser)
+        name: { type: String, required: true },
+        kind: { type: String, enum: ['compare', 'required', 'allowed'], required: true },
+        expression: { type: String, default: '' }, // compare: TotalAmount = NetAmount + TotalTaxAmount, DueDate >= InvoiceDate
+        tolerance: { type: Number, default: 0 }, // compare: allowed difference of the amounts
+        field: { type: String, default: '' }, // required / allowed: checked field, compare: field the agent is sent to
+        values: { type: [String], default: [] }, // allowed: accepted values
+        when: { type: String, default: '' }, // condition: TotalAmount > 1000, or a field that must be filled
+        severity: { type: String, enum: ['block', 'warn'], default: 'warn' },
+        message: { type: String, default: '' },
+        enabled: { type: Boolean, default: true }
+    }],
     dynamicKeys: [{
         name: { type: String, required: true, unique: true },
         description: { type: String, default: ''},
+        type: { type: String, enum: ['text', 'date'], default: 'text' }, // date values are stored as ISO 8601
         value: { type: Array, default: [] },
         order: { type: Number, default: 0 } // Added for ordering
     }]
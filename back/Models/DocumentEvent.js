@@ -0,0 +1,43 @@
+const mongoose = require("mongoose")
+const appendOnly = require("../utils/append-only")
+
+// Append-only log of what happened to a document (audit trail)
+const documentEventSchema = new mongoose.Schema({
+    document: {
+        type: mongoose.Types.ObjectId,
+        ref: 'demoFile',
+        required: true,
+        index: true
+    },
+    action: {
+        type: String,
+        enum: ['upload', 'lock', 'unlock', 'save', 'validate', 'return', 'reject', 'delete', 'supplier-match', 'number-locale', 'payment'],
+        required: true
+    },
+    user: { // empty for actions done by the system (AI import, expired lock...)
+        type: mongoose.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    stage: { // validation stage the action was done on (v1, v2)
+        type: String,
+        default: ''
+    },
+    changedFields: { // dotted paths of the fields changed by a save / validation
+        type: [String],
+        default: []
+    },
+    details: { // comment, reason, source...
+        type: Object,
+        default: {}
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+});
+
+// Events are never modified nor removed
+documentEventSchema.plugin(appendOnly, { name: 'Document events' });
+
+module.exports = mongoose.model('documentEvent', documentEventSchema)
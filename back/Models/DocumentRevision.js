@@ -0,0 +1,34 @@
+const mongoose = require("mongoose")
+const appendOnly = require("../utils/append-only")
+
+// Snapshot of the data of a document: the AI extraction (baseline) then every save
+const documentRevisionSchema = new mongoose.Schema({
+    document: {
+        type: mongoose.Types.ObjectId,
+        ref: 'demoFile',
+        required: true,
+        index: true
+    },
+    stage: { // 'ai' for the extraction, else the validation stage of the save (v1, v2...)
+        type: String,
+        required: true
+    },
+    data: { // json string, like dataXml
+        type: String,
+        default: '{}'
+    },
+    user: { // empty for the AI extraction
+        type: mongoose.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+});
+
+// Revisions are never modified nor removed
+documentRevisionSchema.plugin(appendOnly, { name: 'Document revisions' });
+
+module.exports = mongoose.model('documentRevision', documentRevisionSchema)
@@ -11,11 +11,53 @@ const versionSchema = new mongoose.Schema({
     }
 }, { _id: false }); // Prevent creating an _id for this sub-document
 
+const fingerprintSchema = new mongoose.Schema({
+    suppliers: [String], // 'name:acme', 'vat:BE0123456789', 'iban:BE71...'
+    invoiceId: String,
+    invoiceDate: String,
+    totalAmount: Number
+}, { _id: false });
+
+const supplierCandidateSchema = new mongoose.Schema({
+    supplier: {
+        type: mongoose.Types.ObjectId,
+        ref: 'supplier'
+    },
+    score: Number, // 0 to 1
+    method: String // 'taxId', 'iban' or 'name'
+}, { _id: false });
+
+const supplierMatchSchema = new mongoose.Schema({
+    supplier: { // best candidate, or the supplier chosen by the agent
+        type: mongoose.Types.ObjectId,
+        ref: 'supplier',
+        default: null
+    },
+    score: Number,
+    method: String,
+    status: {
+        type: String,
+        enum: ['none', 'suggested', 'confirmed', 'overridden'],
+        default: 'suggested'
+    },
+    alternatives: [supplierCandidateSchema],
+    matchedAt: Date,
+    confirmedBy: {
+        type: mongoose.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, { _id: false });
+
 const fileSchema = new mongoose.Schema({
     isLocked: {
         type: Boolean,
         default: false
     },
+    lockExpiresAt: { // lease end, renewed by the document page heartbeat
+        type: Date,
+        default: null
+    },
     pdfName: {
         type: String, // pdf link
         default: ''
@@ -24,6 +66,14 @@ const fileSchema = new mongoose.Schema({
         type: String, // pdf link
         default: ''
     },
+    originalName: { // name of the uploaded file, stored under a generated pdfName
+        type: String,
+        default: ''
+    },
+    contentHash: { // SHA-256 of the pdf, an identical upload is reported as a duplicate
+        type: String,
+        default: ''
+    },
     xmlName: {
         type: String, // xml link
         default: ''
@@ -49,15 +99,24 @@ const fileSchema = new mongoose.Schema({
         default: Date.now
     },
     versions: [versionSchema], // Array of version documents
-    validation: {
-        v1: {
-            type: Boolean,
-            default: false,
-        },
-        v2: {
-            type: Boolean,
-            default: false,
-        }
+    validation: { // one flag per stage of the workflow (v1, v2...)
+        type: Map,
+        of: Boolean,
+        default: () => ({})
+    },
+    workflow: { // empty when following the default workflow
+        type: mongoose.Types.ObjectId,
+        ref: 'workflow',
+        default: null
+    },
+    stage: { // stage the document is waiting in, empty once validated or rejected
+        type: String,
+        default: ''
+    },
+    customer: {
+        type: mongoose.Types.ObjectId,
+        ref: 'customer',
+        default: null
     },
     status: {
         type: String,
@@ -65,15 +124,13 @@ const fileSchema = new mongoose.Schema({
         default: 'progress'
     },
     // Additional field for user
-    validatedBy: {
-        v1: {
+    validatedBy: { // user of each validated stage
+        type: Map,
+        of: {
             type: mongoose.Types.ObjectId,
             ref: 'User'
         },
-        v2: {
-            type: mongoose.Types.ObjectId,
-            ref: 'User'
-        }
+        default: () => ({})
     },
     lockedBy: {
         type: mongoose.Types.ObjectId,
@@ -102,6 +159,44 @@ const fileSchema = new mongoose.Schema({
     type: { // need to be filled in import IA
         type: String,
         default: 'Invoice'
+    },
+    priority: { // higher values are claimed first with the 'priority' queue order
+        type: Number,
+        default: 0
+    },
+    supplierName: { // copy of the supplier name, used by the 'supplier' queue order
+        type: String,
+        default: ''
+    },
+    fingerprint: { // normalized supplier, number, date and total compared to find duplicate invoices
+        type: fingerprintSchema,
+        default: undefined
+    },
+    supplierMatch: { // master data supplier matched on import, confirmed or overridden by the agent
+        type: supplierMatchSchema,
+        default: undefined
+    },
+    numberLocale: { // separators of the extracted amounts (de-DE, en-GB...), detected on import or chosen by the agent
+        type: String,
+        default: ''
+    },
+    dateSources: [{ // texts the dates were read from before being stored as ISO 8601 (path: Invoice.InvoiceDate)
+        _id: false,
+        path: { type: String, required: true },
+        text: { type: String, default: '' }
+    }],
+    payment: { // invoices: paid by the bank statement transactions matched to them
+        status: { type: String, enum: ['unpaid', 'partial', 'paid'], default: 'unpaid' },
+        paidAmount: { type: Number, default: 0 },
+        // invoice fields listed by the reconciliation once it is paid (its data is not read again)
+        invoiceId: { type: String, default: '' },
+        total: { type: Number, default: 0 },
+        currency: { type: String, default: '' }
+    },
+    duplicateOf: { // document this one was rejected as a duplicate of
+        type: mongoose.Types.ObjectId,
+        ref: 'demoFile',
+        default: null
     }
 }, {
     timestamps: true,
@@ -133,11 +228,17 @@ fileSchema.virtual('documentid').get(function() {
 
 /* virtual field to avoid code errors in frontend */
 fileSchema.virtual('name').get(function() {
-    return this.pdfName;
+    return this.originalName || this.pdfName;
 });
 
 fileSchema.virtual('xml').get(function() {
     return this.xmlName;
 });
 
+fileSchema.index({ 'fingerprint.suppliers': 1 });
+fileSchema.index({ 'fingerprint.invoiceId': 1 });
+
+// one document per pdf content (documents stored before hashing have none)
+fileSchema.index({ contentHash: 1 }, { unique: true, partialFilterExpression: { contentHash: { $gt: '' } } });
+
 module.exports = mongoose.model('demoFile', fileSchema)
\ No newline at end of file
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose")
+
+// Link between a transaction of a validated bank statement and the validated invoice it pays
+// a transaction may pay several invoices and an invoice be paid in several times (amount is the part paid)
+const paymentMatchSchema = new mongoose.Schema({
+    statement: {
+        type: mongoose.Types.ObjectId,
+        ref: 'demoFile',
+        required: true
+    },
+    transaction: { // index of the transaction in the TableItem of the statement
+        type: Number,
+        required: true
+    },
+    invoice: {
+        type: mongoose.Types.ObjectId,
+        ref: 'demoFile',
+        required: true,
+        index: true
+    },
+    amount: {
+        type: Number,
+        required: true
+    },
+    method: { // 'auto' when matched on the amount, IBAN and invoice number, 'manual' when linked by a user
+        type: String,
+        enum: ['auto', 'manual'],
+        default: 'auto'
+    },
+    reasons: { // what matched: 'amount', 'iban', 'reference'
+        type: [String],
+        default: []
+    },
+    user: { // empty for the automatic matches
+        type: mongoose.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+});
+
+// a transaction is linked once to an invoice (automatic runs at the same time do not pay an invoice twice)
+paymentMatchSchema.index({ statement: 1, transaction: 1, invoice: 1 }, { unique: true });
+
+module.exports = mongoose.model('paymentMatch', paymentMatchSchema)
@@ -19,7 +19,7 @@ const UserSchema = new mongoose.Schema({
     },
     role: {
         type: String,
-        enum: ['admin', 'agent V1', 'agent V2'],
+        enum: ['admin', 'agent V1', 'agent V2', 'approver', 'service'],
         default: 'agent V1'
     },
     resetToken: {
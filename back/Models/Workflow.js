@@ -0,0 +1,53 @@
+const mongoose = require("mongoose")
+
+const stageSchema = new mongoose.Schema({
+    key: { // stored in validation.<key>, validatedBy.<key> and used in the urls (v1, v2, approval...)
+        type: String,
+        required: true,
+        match: /^[a-zA-Z0-9_-]+$/
+    },
+    label: {
+        type: String,
+        default: ''
+    },
+    roles: { // roles allowed to act on the stage (admins can act on every stage)
+        type: [String],
+        default: []
+    },
+    transitions: { // actions allowed besides validating to the next stage
+        type: [{ type: String, enum: ['return', 'reject', 'skip'] }],
+        default: []
+    }
+}, { _id: false });
+
+// Ordered validation stages of a customer and/or document type
+const workflowSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+    customer: { // empty for every customer
+        type: mongoose.Types.ObjectId,
+        ref: 'customer',
+        default: null
+    },
+    documentType: { // Invoice, OCR, FormParser... empty for every type
+        type: String,
+        default: ''
+    },
+    stages: {
+        type: [stageSchema],
+        validate: [
+            { validator: (stages) => stages.length > 0, message: 'A workflow needs at least one stage' },
+            { validator: (stages) => new Set(stages.map(stage => stage.key)).size === stages.length, message: 'Stage keys must be unique' }
+        ]
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+});
+
+workflowSchema.index({ customer: 1, documentType: 1 }, { unique: true });
+
+module.exports = mongoose.model('workflow', workflowSchema)
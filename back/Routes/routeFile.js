@@ -1,19 +1,39 @@
 const express = require("express")
 const multer = require("multer")
 const router = express.Router()
-const {uploadFile, getFiles, getFileById, unlock_file, lock_file, getPrevalidations, getV2Validations, 
+const {uploadFile, getFiles, getFileById, unlock_file, lock_file, renew_lock, getPrevalidations, getV2Validations, getStageValidations,
   getReturnedValidations, getValidatedValidations, generateExcel, uploadDocuments,
   getDocumentCounts,
   getRejectedValidations,
   fetchLimitedDocuments,
-  checkAvailableDocument,
+  claimNextDocument,
+  getDocumentHistory,
   insertDocumentFromAI} = require("../Controller/controllerFile")
-const {getValidationByDocumentId, saveValidationDocument, getValidations, validateDocument, getValidationByDocumentIdAndValidation, createXMLFile, returnDocument, rejectDocument, deleteDocuments} = require("../Controller/controllerValidation")
+const {getValidationByDocumentId, saveValidationDocument, getValidations, validateDocument, getValidationByDocumentIdAndValidation, createXMLFile, returnDocument, rejectDocument, deleteDocuments, getDocumentDiff} = require("../Controller/controllerValidation")
 const {login, signup, forgotPassword, resetPassword} = require("../Controller/controllerAuthentification")
 const {allUser, updateUser, deleteUser} = require("../Controller/ControllerUser")
 const supplierController = require('../Controller/data-source/supplier-controller');
 const { extractTextFromImage } = require("../Controller/api/tesseract-controller")
 const { deleteCustomer, updateCustomer, getCustomerById, createCustomer, getAllCustomers, updateDynamicKeys, updateDynamicKeysOrder, uploadJSONFileKey } = require("../Controller/api/customer-controller")
+const { createWorkflow, getAllWorkflows, getWorkflowStages, getWorkflowById, updateWorkflow, deleteWorkflow } = require("../Controller/api/workflow-controller")
+const { authorize, authorizeStage } = require("../Controller/authMiddleware")
+const { getExtractionAccuracy } = require("../Controller/api/report-controller")
+const { exportUbl, getDocumentUbl, validateUbl } = require("../Controller/api/ubl-controller")
+const { getDocumentFacturX } = require("../Controller/api/facturx-controller")
+const { deleteXmlTemplate, previewXmlTemplate, saveXmlTemplate } = require("../Controller/api/xml-template-controller")
+const { checkDuplicates } = require("../Controller/api/duplicate-controller")
+const { confirmSupplierMatch, getSupplierMatch } = require("../Controller/api/supplier-match-controller")
+const { checkBusinessRules, saveBusinessRules } = require("../Controller/api/business-rule-controller")
+const { setNumberLocale } = require("../Controller/api/number-locale-controller")
+const { getDocumentStatement } = require("../Controller/api/bank-statement-controller")
+const { autoReconcile, getReconciliation, linkPayment, unlinkPayment } = require("../Controller/api/reconciliation-controller")
+const { checkDocumentMrz } = require("../Controller/api/mrz-controller")
+const { getOcrSuggestions } = require("../Controller/api/ocr-suggestion-controller")
+const { storedName } = require("../utils/upload-storage")
+const { documentStage } = require("../utils/workflow")
+
+// Stage submitted by the validation form (save / validate)
+const bodyVersion = (req) => req.body.versionNumber
 
 // Configurer l'emplacement de stockage et les fichiers acceptés
 const storage = multer.diskStorage({
@@ -21,7 +41,8 @@ const storage = multer.diskStorage({
     cb(null, 'uploads/');
   },
   filename: function (req, file, cb) {
-    cb(null, `${file.originalname}`);
+    // generated name, the original one is kept on the document
+    cb(null, storedName(file.originalname));
   }
 });
 
@@ -50,59 +71,64 @@ const upload = multer({
 
 // Route POST pour l'upload des fichiers
 // router.route('/upload').post(upload.single("file"), uploadFile);
-router.route('/upload').post(upload.array('files', 10), uploadFile);
-router.route('/upload-documents').post(upload.fields([{ name: 'pdfFile' }, { name: 'xmlFile' }]), uploadDocuments);
-router.route('/insert-documents').post(insertDocumentFromAI);
-
-router.get("/files", getFiles)
-router.get("/documents", fetchLimitedDocuments)
-router.get("/prevalidations", getPrevalidations)
-router.get("/v2-validations", getV2Validations)
-router.get("/returned-validations", getReturnedValidations)
-router.get("/rejected-validations", getRejectedValidations)
-router.get("/validated-validations", getValidatedValidations)
-router.get("/document/:id", getFileById)
-router.post("/unlockFile/:id", unlock_file)
-router.post("/lockFile/:id", lock_file)
-router.post("/next-doc/:validation", checkAvailableDocument)
+router.route('/upload').post(authorize('documents:upload'), upload.array('files', 10), uploadFile);
+router.route('/upload-documents').post(authorize('documents:upload'), upload.fields([{ name: 'pdfFile' }, { name: 'xmlFile' }]), uploadDocuments);
+router.route('/insert-documents').post(authorize('documents:import'), insertDocumentFromAI);
+
+router.get("/files", authorize('documents:read'), getFiles)
+router.get("/documents", authorize('documents:read-all'), fetchLimitedDocuments)
+router.get("/prevalidations", authorize('documents:read'), getPrevalidations)
+router.get("/v2-validations", authorize('documents:read'), getV2Validations)
+router.get("/stage-validations/:stage", authorize('documents:read'), authorizeStage(req => req.params.stage), getStageValidations)
+router.get("/returned-validations", authorize('documents:read'), getReturnedValidations)
+router.get("/rejected-validations", authorize('documents:read'), getRejectedValidations)
+router.get("/validated-validations", authorize('documents:read'), getValidatedValidations)
+router.get("/document/:id", authorize('documents:read'), getFileById)
+router.get("/document/:id/history", authorize('documents:read'), getDocumentHistory)
+router.get("/document/:id/diff", authorize('documents:read'), getDocumentDiff)
+router.post("/unlockFile/:id", authorize('documents:lock'), unlock_file)
+router.post("/lockFile/:id", authorize('documents:lock'), lock_file)
+router.post("/lockFile/:id/heartbeat", authorize('documents:lock'), renew_lock)
+router.post("/next-doc/:validation/claim", authorize('documents:lock'), authorizeStage(req => req.params.validation), claimNextDocument)
 
 // Validation routes
-router.route('/validation/:documentId').get(getValidationByDocumentId)
-      .post(saveValidationDocument) // create or update document
-      .put(validateDocument); // update document
-router.route('/validation/:documentId/:validation').get(getValidationByDocumentIdAndValidation)
-router.route('/get-validations/:state?').get(getValidations)
-router.route('/get-xml').post(createXMLFile)
-router.route('/return-document/:documentId').post(returnDocument)
-router.route('/reject-document/:documentId').post(rejectDocument)
-router.route('/delete-documents').post(deleteDocuments)
+router.route('/validation/:documentId').get(authorize('documents:read'), getValidationByDocumentId)
+      .post(authorize('documents:validate'), authorizeStage(bodyVersion), saveValidationDocument) // create or update document
+      .put(authorize('documents:validate'), authorizeStage(bodyVersion), validateDocument); // update document
+router.route('/validation/:documentId/:validation').get(authorize('documents:read'), authorizeStage(req => req.params.validation), getValidationByDocumentIdAndValidation)
+router.route('/get-validations/:state?').get(authorize('documents:read'), getValidations)
+router.route('/get-xml').post(authorize('documents:export'), createXMLFile)
+// documents are returned to the first stage of their workflow from the stage they wait in
+router.route('/return-document/:documentId').post(authorize('documents:validate'), authorizeStage(documentStage), returnDocument)
+router.route('/reject-document/:documentId').post(authorize('documents:validate'), authorizeStage(req => req.body.validation), rejectDocument)
+router.route('/delete-documents').post(authorize('documents:delete'), deleteDocuments)
 router.route('/login').post(login)
-router.route('/registerUser').post(signup)
+router.route('/registerUser').post(authorize('users:manage'), signup)
 router.route('/forgot-password').post(forgotPassword)
 router.route('/reset-password/:token').post(resetPassword)
-router.route('/deleteUser/:id').post(deleteUser)
+router.route('/deleteUser/:id').post(authorize('users:manage'), deleteUser)
 
-router.route('/allUsers').get(allUser)
-router.route('/updateUser').post(updateUser)
+router.route('/allUsers').get(authorize('users:manage'), allUser)
+router.route('/updateUser').post(authorize('users:manage'), updateUser)
 
 ///:validation
-router.route('/generateFile').get(generateExcel)
+router.route('/generateFile').get(authorize('documents:export'), generateExcel)
 
-router.route('/document-counts').get(getDocumentCounts)
+router.route('/document-counts').get(authorize('documents:read'), getDocumentCounts)
 
 // TESSERACT recognition
-router.route('/extract-text').post(extractTextFromImage)
+router.route('/extract-text').post(authorize('ocr:extract'), extractTextFromImage)
 
 
 // SUPPLIER DATASOURCE
 router.route('/data-source/supplier')
-  .get(supplierController.getAllSuppliers)
-  .post(supplierController.createSupplier);
+  .get(authorize('data-source:read'), supplierController.getAllSuppliers)
+  .post(authorize('data-source:manage'), supplierController.createSupplier);
 
 router.route('/data-source/supplier/:id')
-  .get(supplierController.getSupplierById)
-  .put(supplierController.updateSupplier)
-  .delete(supplierController.deleteSupplier);
+  .get(authorize('data-source:read'), supplierController.getSupplierById)
+  .put(authorize('data-source:manage'), supplierController.updateSupplier)
+  .delete(authorize('data-source:manage'), supplierController.deleteSupplier);
 
 
 // customerApi
@@ -110,32 +136,160 @@ router.route('/data-source/supplier/:id')
 /**
 * Add new customer
 */
-router.post('/api/customers', createCustomer);
+router.post('/api/customers', authorize('data-source:manage'), createCustomer);
 
 /**
 * Get all customers
 */
-router.get('/api/customers', getAllCustomers);
+router.get('/api/customers', authorize('data-source:read'), getAllCustomers);
 
 /**
 * Get a single customer by ID
 */
-router.get('/api/customers/:id', getCustomerById);
+router.get('/api/customers/:id', authorize('data-source:read'), getCustomerById);
 
 /**
 * Update a customer by ID
 */
-router.put('/api/customers/:id', updateCustomer);
+router.put('/api/customers/:id', authorize('data-source:manage'), updateCustomer);
 // update dynamic keys
-router.put('/api/customers/:id/dynamic-keys', updateDynamicKeys);
+router.put('/api/customers/:id/dynamic-keys', authorize('data-source:manage'), updateDynamicKeys);
 // update reorder
-router.put('/api/customers/:id/update-order-dynamic-keys', updateDynamicKeysOrder);
+router.put('/api/customers/:id/update-order-dynamic-keys', authorize('data-source:manage'), updateDynamicKeysOrder);
 // read json file
-router.post('/api/customers/:id/upload-json-key', upload.single('jsonFile'), uploadJSONFileKey);
+router.post('/api/customers/:id/upload-json-key', authorize('data-source:manage'), upload.single('jsonFile'), uploadJSONFileKey);
 
 /**
 * Delete a customer by ID
 */
-router.delete('/api/customers/:id', deleteCustomer);
+router.delete('/api/customers/:id', authorize('data-source:manage'), deleteCustomer);
+
+/**
+* Xml output template of a document type (ERP element names), used by /get-xml
+*/
+router.post('/api/customers/:id/xml-templates/preview', authorize('data-source:read'), previewXmlTemplate);
+router.put('/api/customers/:id/xml-templates/:type', authorize('data-source:manage'), saveXmlTemplate);
+router.delete('/api/customers/:id/xml-templates/:type', authorize('data-source:manage'), deleteXmlTemplate);
+
+/**
+* Business rules of a document type (compare, required, allowed), checked in the form and on validation
+*/
+router.put('/api/customers/:id/business-rules/:type', authorize('data-source:manage'), saveBusinessRules);
+
+
+// reportApi
+
+/**
+* How often each extracted field was corrected, by supplier, type and AI source
+*/
+router.get('/api/reports/extraction-accuracy', authorize('reports:read'), getExtractionAccuracy);
+
+
+// duplicateApi
+
+/**
+* Documents that look like the same invoice (supplier, number, date, total)
+*/
+router.post('/api/documents/:documentId/duplicates', authorize('documents:read'), checkDuplicates);
+
+
+// supplierMatchApi
+
+/**
+* Master data supplier matched on import (score, alternatives), confirmed or overridden by the agent
+*/
+router.get('/api/documents/:documentId/supplier-match', authorize('documents:read'), getSupplierMatch);
+router.put('/api/documents/:documentId/supplier-match', authorize('documents:validate'), confirmSupplierMatch);
+
+
+// numberLocaleApi
+
+/**
+* Number locale of the amounts of a document (1.234,56 or 1,234.56), overridden by the agent
+*/
+router.put('/api/documents/:documentId/number-locale', authorize('documents:validate'), setNumberLocale);
+
+
+// businessRuleApi
+
+/**
+* Business rules broken by the edited data of a document
+*/
+router.post('/api/documents/:documentId/rules', authorize('documents:read'), checkBusinessRules);
+
+
+// mrzApi
+
+/**
+* Machine readable zone of a travel document (FormParser), check digits and differences with the form
+*/
+router.post('/api/documents/:documentId/mrz', authorize('documents:read'), checkDocumentMrz);
+
+
+// ocrSuggestionApi
+
+/**
+* Dynamic keys suggested for the text fragments of an OCR document, with their confidence
+*/
+router.post('/api/documents/:documentId/ocr-suggestions', authorize('documents:read'), getOcrSuggestions);
+
+
+// ublApi
+
+/**
+* Check the edited data against the Peppol BIS Billing 3.0 rules before finalising
+*/
+router.post('/api/ubl/validate', authorize('documents:validate'), validateUbl);
+
+/**
+* UBL 2.1 Invoice / CreditNote of validated documents, one or several (zip)
+*/
+router.get('/api/documents/:documentId/ubl', authorize('documents:export'), getDocumentUbl);
+router.post('/api/ubl/export', authorize('documents:export'), exportUbl);
+
+
+// facturXApi
+
+/**
+* Original pdf of a validated invoice with its CII xml embedded (PDF/A-3), profile of the customer
+*/
+router.get('/api/documents/:documentId/factur-x', authorize('documents:export'), getDocumentFacturX);
+
+
+// bankStatementApi
+
+/**
+* Validated bank statement as ISO 20022 CAMT.053 (camt053) or SWIFT MT940 (mt940), balances reconciled
+*/
+router.get('/api/documents/:documentId/statement/:format', authorize('documents:export'), getDocumentStatement);
+
+
+// reconciliationApi
+
+/**
+* Transactions of the validated bank statements matched to the validated invoices they pay
+* auto: match on the amount, the IBAN and the invoice number, matches: manual links
+*/
+router.get('/api/reconciliation', authorize('documents:export'), getReconciliation);
+router.post('/api/reconciliation/auto', authorize('documents:export'), autoReconcile);
+router.post('/api/reconciliation/matches', authorize('documents:export'), linkPayment);
+router.delete('/api/reconciliation/matches/:matchId', authorize('documents:export'), unlinkPayment);
+
+
+// workflowApi
+
+/**
+* Stages of every workflow (validation queues)
+*/
+router.get('/api/workflows/stages', authorize('documents:read'), getWorkflowStages);
+
+router.route('/api/workflows')
+  .get(authorize('workflows:manage'), getAllWorkflows)
+  .post(authorize('workflows:manage'), createWorkflow);
+
+router.route('/api/workflows/:id')
+  .get(authorize('workflows:manage'), getWorkflowById)
+  .put(authorize('workflows:manage'), updateWorkflow)
+  .delete(authorize('workflows:manage'), deleteWorkflow);
 
 module.exports = router
\ No newline at end of file
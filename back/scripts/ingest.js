@@ -0,0 +1,42 @@
+/**
+ * Import once the pdf / xml / vertices bundles of a directory (backfills)
+ * usage: npm run ingest -- [directory] [--customer <id>]
+ * the directory defaults to INGEST_DIR, bundles are taken without waiting for them to settle
+ */
+const mongoose = require('mongoose');
+const { ingestDirectory } = require('../utils/ingest-worker');
+require('dotenv').config();
+
+const args = process.argv.slice(2);
+const customerIndex = args.indexOf('--customer');
+const customer = customerIndex >= 0 ? args.splice(customerIndex, 2)[1] : undefined;
+const directory = args[0] || process.env.INGEST_DIR;
+
+const run = async () => {
+    if (!directory) {
+        console.error('Usage: npm run ingest -- <directory> [--customer <id>] (or set INGEST_DIR)');
+        process.exitCode = 1;
+        return;
+    }
+
+    await mongoose.connect(process.env.DB_URI, {});
+    try {
+        const { done, failed, pending } = await ingestDirectory(directory, {
+            ...(customer) && { customer },
+            settleMs: 0,
+            orphanMs: 0
+        });
+
+        done.forEach(({ basename, document }) => console.log(`ok      ${basename} -> ${document}`));
+        failed.forEach(({ basename, error }) => console.log(`failed  ${basename}: ${error}`));
+        console.log(`${done.length} imported, ${failed.length} failed, ${pending.length} pending`);
+        if (failed.length) process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+run().catch(error => {
+    console.error('Erreur lors de l\'import:', error);
+    process.exitCode = 1;
+});
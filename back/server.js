@@ -6,6 +6,10 @@ const socketIo = require('socket.io');
 const bodyParser = require('body-parser');
 const fileRoutes = require('./Routes/routeFile');
 const { protect, authenticateToken } = require('./Controller/authMiddleware')
+const { startLockSweeper } = require('./utils/document-lock')
+const { startIngestWorker } = require('./utils/ingest-worker')
+const { backfillStages } = require('./utils/workflow')
+const { backfillFingerprints } = require('./utils/duplicates')
 require('dotenv').config();
 mongoose.connect(process.env.DB_URI, {});
 
@@ -14,6 +18,10 @@ const db = mongoose.connection
 db.on("error", console.error.bind(console, 'MongoDB connection error'))
 db.once("open", ()=>{
     console.log("Connected to MongoDB ");
+    // Placer les documents antérieurs aux workflows dans leur étape
+    backfillStages().catch(error => console.error("Erreur lors de la mise à jour des étapes:", error));
+    // Calculer les empreintes de détection des doublons des documents existants
+    backfillFingerprints().catch(error => console.error("Erreur lors du calcul des empreintes:", error));
 })
 
 
@@ -41,7 +49,7 @@ app.use((req, res, next)=>{
 })
 
 app.use((req, res, next) => {
-  const unprotectedRoutes = ['/login', '/forgot-password', '/generateFile', '/upload', '/upload-documents'];
+  const unprotectedRoutes = ['/login', '/forgot-password'];
   const resetPasswordRegex = /^\/reset-password\/[^\/]+$/; // Vérifie si l'URL correspond à /reset-password/something
 
   if (unprotectedRoutes.includes(req.path) || resetPasswordRegex.test(req.path)) {
@@ -54,6 +62,12 @@ app.use((req, res, next) => {
 
 app.use('/', fileRoutes);
 
+// Libérer automatiquement les verrous dont le bail a expiré
+startLockSweeper(io);
+
+// Importer les lots pdf / xml déposés dans le dossier surveillé (INGEST_DIR)
+startIngestWorker(io);
+
 // Démarrer le serveur
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
@@ -0,0 +1,48 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { formatAmount, isAmountKey, parseAmount, roundAmount, toCanonical } = require('../utils/amounts')
+
+test('parseAmount guesses the decimal separator without a locale', () => {
+    assert.equal(parseAmount('1.231,21'), 1231.21);
+    assert.equal(parseAmount('1,231.21'), 1231.21);
+    assert.equal(parseAmount('1 231,21 €'), 1231.21);
+    assert.equal(parseAmount('1231.5'), 1231.5);
+    assert.equal(parseAmount(1231.21), 1231.21);
+    assert.equal(parseAmount({ _: '12,50' }), 12.5);
+});
+
+test('parseAmount reads the separators of a locale', () => {
+    assert.equal(parseAmount('1.234', 'de-DE'), 1234);
+    assert.equal(parseAmount('1,234', 'en-US'), 1234);
+    assert.equal(parseAmount('1.234,5', 'de-DE'), 1234.5);
+    assert.equal(parseAmount("1'234.50", 'de-CH'), 1234.5);
+    assert.equal(parseAmount('1,2,3', 'de-DE'), null);
+});
+
+test('parseAmount reads negative amounts and returns null without a number', () => {
+    assert.equal(parseAmount('-12.50'), -12.5);
+    assert.equal(parseAmount('12.50-'), -12.5);
+    assert.equal(parseAmount('(12.50)'), -12.5);
+    assert.equal(parseAmount('n/a'), null);
+    assert.equal(parseAmount(Infinity), null);
+});
+
+test('toCanonical stores amounts as decimals and keeps other values', () => {
+    assert.equal(toCanonical('1.234,5', 'de-DE'), '1234.5');
+    assert.equal(toCanonical('n/a', 'de-DE'), 'n/a');
+});
+
+test('roundAmount and formatAmount use the minor unit of the currency', () => {
+    assert.equal(roundAmount(1.005, 'EUR'), 1.01);
+    assert.equal(roundAmount(1231.6, 'JPY'), 1232);
+    assert.equal(formatAmount(1231.2, 'EUR'), '1231.20');
+    assert.equal(formatAmount(1231.2, 'JPY'), '1231');
+    assert.equal(formatAmount(1231.2, 'KWD'), '1231.200');
+});
+
+test('isAmountKey', () => {
+    assert.equal(isAmountKey('TotalAmount'), true);
+    assert.equal(isAmountKey('LineItemUnitPrice'), true);
+    assert.equal(isAmountKey('TableItemTransactionDeposit'), true);
+    assert.equal(isAmountKey('InvoiceId'), false);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { buildMt940, isBankStatement, readStatement, statementTotals, validateStatement } = require('../utils/bank-statement')
+
+const STATEMENT = {
+    FormParser: {
+        IBAN: 'BE71 0961 2345 6769',
+        Currency: 'EUR',
+        OpeningBalance: '100.00',
+        ClosingBalance: '140.00',
+        TableItem: [
+            { TableItemDate: '01/08/2024', TableItemDescription: 'Payment INV-1', TableItemCreditAmount: '80.00' },
+            { TableItemDate: '02/08/2024', TableItemDescription: 'Rent', TableItemDebitAmount: '30.00' },
+            { TableItemDate: '03/08/2024', TableItemTransactionDeposit: '-10.00' },
+        ]
+    }
+};
+
+test('isBankStatement looks for a section with transactions', () => {
+    assert.equal(isBankStatement(STATEMENT), true);
+    assert.equal(isBankStatement({ Invoice: { TotalAmount: '10' } }), false);
+});
+
+test('readStatement reads the account and books each transaction as a debit or a credit', () => {
+    const statement = readStatement(STATEMENT);
+    assert.equal(statement.iban, 'BE71096123456769');
+    assert.equal(statement.currency, 'EUR');
+    assert.equal(statement.opening, 100);
+    assert.equal(statement.closing, 140);
+    assert.deepEqual(statement.transactions.map(({ date, debit, credit }) => [date, debit, credit]), [
+        ['2024-08-01', 0, 80],
+        ['2024-08-02', 30, 0],
+        // a negative deposit is a debit
+        ['2024-08-03', 10, 0],
+    ]);
+});
+
+test('statementTotals computes the expected closing balance', () => {
+    assert.deepEqual(statementTotals(readStatement(STATEMENT)), { credits: 80, debits: 40, expectedClosing: 140 });
+});
+
+test('validateStatement accepts a balanced statement', () => {
+    assert.deepEqual(validateStatement(readStatement(STATEMENT)), []);
+});
+
+test('validateStatement reports an unbalanced statement', () => {
+    const json = { FormParser: { ...STATEMENT.FormParser, ClosingBalance: '150.00' } };
+    assert.deepEqual(validateStatement(readStatement(json)).map(({ rule }) => rule), ['BS-08']);
+});
+
+test('validateStatement reports the missing fields of the statement and its transactions', () => {
+    const statement = readStatement({ FormParser: { Currency: 'XXX', TableItem: [{ TableItemDescription: 'Fee' }] } });
+    assert.deepEqual(validateStatement(statement).map(({ rule, field }) => [rule, field]), [
+        ['BS-01', 'IBAN'],
+        ['BS-02', 'Currency'],
+        ['BS-03', 'OpeningBalance'],
+        ['BS-04', 'ClosingBalance'],
+        ['BS-06', 'TableItem.0.TableItemTransactionWithdrawalDate'],
+        ['BS-07', 'TableItem.0.TableItemTransactionWithdrawal'],
+    ]);
+});
+
+test('buildMt940 writes the amounts with a decimal comma', () => {
+    const lines = buildMt940(readStatement(STATEMENT), { reference: 'REF' }).split('\r\n');
+    assert.deepEqual(lines.filter(line => /^:(60F|61|62F):/.test(line)), [
+        ':60F:C240801EUR100,00',
+        ':61:240801C80,00NTRFNONREF',
+        ':61:240802D30,00NTRFNONREF',
+        ':61:240803D10,00NTRFNONREF',
+        ':62F:C240803EUR140,00',
+    ]);
+});
+
+test('buildMt940 keeps the decimal comma of the currencies without decimals', () => {
+    const json = { FormParser: { ...STATEMENT.FormParser, Currency: 'JPY', OpeningBalance: '1000', ClosingBalance: '1234', TableItem: [
+        { TableItemDate: '01/08/2024', TableItemCreditAmount: '234' },
+    ] } };
+    const lines = buildMt940(readStatement(json)).split('\r\n');
+    assert.deepEqual(lines.filter(line => /^:(60F|61|62F):/.test(line)), [
+        ':60F:C240801JPY1000,',
+        ':61:240801C234,NTRFNONREF',
+        ':62F:C240801JPY1234,',
+    ]);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { evaluateRules, validateRules } = require('../utils/business-rules')
+
+const rule = (fields) => ({ name: fields.expression || fields.field, kind: 'compare', severity: 'block', type: 'Invoice', ...fields });
+
+const broken = (invoice, rules) => evaluateRules({ Invoice: invoice }, rules).map(({ name }) => name);
+
+test('a date plus a number of days', () => {
+    const rules = [rule({ expression: 'DueDate <= InvoiceDate + 60' })];
+    assert.deepEqual(broken({ InvoiceDate: '2024-08-16', DueDate: '2024-10-15' }, rules), []);
+    assert.deepEqual(broken({ InvoiceDate: '16/08/2024', DueDate: '16/10/2024' }, rules), ['DueDate <= InvoiceDate + 60']);
+    // an empty field is not checked
+    assert.deepEqual(broken({ InvoiceDate: '2024-08-16' }, rules), []);
+});
+
+test('amounts are equal within the tolerance', () => {
+    const rules = [rule({ expression: 'TotalAmount = NetAmount + TotalTaxAmount', tolerance: 0.02 })];
+    assert.deepEqual(broken({ TotalAmount: '121.01', NetAmount: '100', TotalTaxAmount: '21' }, rules), []);
+    assert.deepEqual(broken({ TotalAmount: '121.05', NetAmount: '100', TotalTaxAmount: '21' }, rules), ['TotalAmount = NetAmount + TotalTaxAmount']);
+    assert.deepEqual(broken({ TotalAmount: '121.01', NetAmount: '100', TotalTaxAmount: '21' }, [{ ...rules[0], tolerance: 0 }]), ['TotalAmount = NetAmount + TotalTaxAmount']);
+});
+
+test('texts are compared without case', () => {
+    const rules = [rule({ expression: "Currency = 'EUR'" }), rule({ expression: "SupplierCountry != 'BE'" })];
+    assert.deepEqual(broken({ Currency: 'eur', SupplierCountry: 'FR' }, rules), []);
+    assert.deepEqual(broken({ Currency: 'USD', SupplierCountry: 'be' }, rules), ["Currency = 'EUR'", "SupplierCountry != 'BE'"]);
+    // a text is neither greater nor smaller than a number
+    assert.deepEqual(broken({ Currency: 'EUR' }, [rule({ expression: 'Currency > 10' })]), []);
+});
+
+test('rules are only checked when their condition is met', () => {
+    const purchaseOrder = { name: 'po', kind: 'required', field: 'PurchaseOrder', severity: 'block', type: 'Invoice' };
+    const rules = [{ ...purchaseOrder, when: 'TotalAmount > 1000' }];
+    assert.deepEqual(broken({ TotalAmount: '999' }, rules), []);
+    assert.deepEqual(broken({ TotalAmount: '1.500,00' }, rules), ['po']);
+    assert.deepEqual(broken({ TotalAmount: '1500', PurchaseOrder: 'PO-1' }, rules), []);
+
+    // a field as condition: it must be filled
+    const withIban = [{ ...purchaseOrder, when: 'SupplierIban' }];
+    assert.deepEqual(broken({}, withIban), []);
+    assert.deepEqual(broken({ SupplierIban: 'BE71096123456769' }, withIban), ['po']);
+});
+
+test('allowed values, disabled rules and rules of other document types', () => {
+    const currency = { name: 'currency', kind: 'allowed', field: 'Currency', values: ['EUR', 'USD'], severity: 'warn', type: 'Invoice' };
+    assert.deepEqual(broken({ Currency: 'usd' }, [currency]), []);
+    assert.deepEqual(broken({ Currency: 'GBP' }, [currency]), ['currency']);
+    assert.deepEqual(broken({ Currency: 'GBP' }, [{ ...currency, enabled: false }]), []);
+    assert.deepEqual(broken({ Currency: 'GBP' }, [{ ...currency, type: 'OCR' }]), []);
+    assert.deepEqual(broken({ Currency: 'GBP' }, [{ ...currency, type: undefined }]), ['currency']);
+});
+
+test('evaluateRules sends the agent to the first field of the expression', () => {
+    const [result] = evaluateRules({ Invoice: { DueDate: '2024-08-01', InvoiceDate: '2024-08-16' } }, [rule({ expression: 'DueDate >= InvoiceDate' })]);
+    assert.deepEqual(result, { rule: 'DueDate >= InvoiceDate', name: 'DueDate >= InvoiceDate', severity: 'block', field: 'Invoice.DueDate', message: 'DueDate >= InvoiceDate is not respected.' });
+});
+
+test('validateRules reports the rules that cannot be checked', () => {
+    const errors = validateRules([
+        rule({ expression: 'DueDate <= InvoiceDate + 60' }),
+        rule({ expression: 'TotalAmount' }),
+        { name: 'po', kind: 'required', severity: 'block', when: 'TotalAmount >' },
+    ]);
+    assert.deepEqual(errors.map(({ field }) => field), ['rules.1', 'rules.2', 'rules.2']);
+});
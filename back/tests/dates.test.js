@@ -0,0 +1,56 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { dateOrderOf, isDateKey, normalizeDates, toIsoDate } = require('../utils/dates')
+
+test('toIsoDate reads numeric dates', () => {
+    assert.equal(toIsoDate('2024-08-16'), '2024-08-16');
+    assert.equal(toIsoDate('2024-08-16T10:00:00Z'), '2024-08-16');
+    assert.equal(toIsoDate('16/08/2024'), '2024-08-16');
+    assert.equal(toIsoDate('16.08.24'), '2024-08-16');
+    assert.equal(toIsoDate(['16-08-2024']), '2024-08-16');
+    assert.equal(toIsoDate({ _: '16/08/2024' }), '2024-08-16');
+});
+
+test('toIsoDate reads ambiguous dates in the order of the locale', () => {
+    assert.equal(toIsoDate('04/08/2024'), '2024-08-04');
+    assert.equal(toIsoDate('04/08/2024', 'MDY'), '2024-04-08');
+    // a day above 12 tells the order
+    assert.equal(toIsoDate('08/16/2024'), '2024-08-16');
+});
+
+test('toIsoDate reads dates written with a month name', () => {
+    assert.equal(toIsoDate('16 août 2024'), '2024-08-16');
+    assert.equal(toIsoDate('vendredi 16 août 2024'), '2024-08-16');
+    assert.equal(toIsoDate('August 16th, 2024'), '2024-08-16');
+    assert.equal(toIsoDate('16-Aug-24'), '2024-08-16');
+    assert.equal(toIsoDate('16. Okt 2024'), '2024-10-16');
+});
+
+test('toIsoDate returns null for dates that do not exist', () => {
+    assert.equal(toIsoDate('31/02/2024'), null);
+    assert.equal(toIsoDate('2023-02-29'), null);
+    assert.equal(toIsoDate('hello'), null);
+    assert.equal(toIsoDate(20240816), null);
+});
+
+test('dateOrderOf and isDateKey', () => {
+    assert.equal(dateOrderOf('en-US'), 'MDY');
+    assert.equal(dateOrderOf('fr-BE'), 'DMY');
+    assert.equal(isDateKey('InvoiceDate'), true);
+    assert.equal(isDateKey('InvoiceDateId'), false);
+    assert.equal(isDateKey('InvoiceId'), false);
+});
+
+test('normalizeDates writes the date fields as ISO 8601 and keeps their texts', () => {
+    const { json, sources } = normalizeDates({
+        Invoice: { InvoiceDate: '16/08/2024', InvoiceId: '16/08/2024', DueDate: 'n/a' },
+        OCRData: [{ name: 'Delivery', value: [{ id: 3, value: '01.09.2024' }] }],
+    }, { dateKeys: ['Delivery'] });
+
+    assert.deepEqual(json.Invoice, { InvoiceDate: '2024-08-16', InvoiceId: '16/08/2024', DueDate: 'n/a' });
+    assert.deepEqual(json.OCRData[0].value, [{ id: 3, value: '2024-09-01' }]);
+    assert.deepEqual(sources, [
+        { path: 'Invoice.InvoiceDate', text: '16/08/2024' },
+        { path: 'OCRData.0.value.0.value', text: '01.09.2024' },
+    ]);
+});
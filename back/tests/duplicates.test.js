@@ -0,0 +1,39 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { fingerprintOf, normalizeName } = require('../utils/duplicates')
+
+test('normalizeName leaves out accents, punctuation and legal forms', () => {
+    assert.equal(normalizeName('ACME S.A.'), 'acme');
+    assert.equal(normalizeName('Acme'), 'acme');
+    assert.equal(normalizeName('Acme GmbH'), 'acme');
+    assert.equal(normalizeName('Société Générale SARL'), 'societegenerale');
+});
+
+test('fingerprintOf lists every way the supplier is identified', () => {
+    const fingerprint = fingerprintOf({
+        Invoice: {
+            SupplierName: 'ACME S.A.',
+            SupplierTaxId: 'BE 0403.170.701',
+            SupplierIban: 'BE71 0961 2345 6769',
+            InvoiceId: 'INV-000123',
+            InvoiceDate: '16/08/2024',
+            TotalAmount: '121.00',
+        }
+    });
+    assert.deepEqual(fingerprint, {
+        suppliers: ['name:acme', 'vat:BE0403170701', 'iban:BE71096123456769'],
+        invoiceId: 'INV123',
+        invoiceDate: '2024-08-16',
+        totalAmount: 121,
+    });
+});
+
+test('fingerprintOf gives the same invoice number to differently written ones', () => {
+    const id = (InvoiceId) => fingerprintOf({ Invoice: { InvoiceId } }).invoiceId;
+    assert.equal(id('inv 000123'), id('INV-123'));
+    assert.equal(id('000042'), '42');
+});
+
+test('fingerprintOf of an empty document', () => {
+    assert.deepEqual(fingerprintOf({}), { suppliers: [], invoiceId: '', invoiceDate: '', totalAmount: null });
+});
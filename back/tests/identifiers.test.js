@@ -0,0 +1,64 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { checkBic, checkIban, checkIdentifiers, checkVat } = require('../utils/identifiers')
+
+test('checkIban accepts valid IBANs written with or without spaces', () => {
+    assert.equal(checkIban('DE89370400440532013000'), '');
+    assert.equal(checkIban('GB82 WEST 1234 5698 7654 32'), '');
+    assert.equal(checkIban('be71 0961 2345 6769'), '');
+});
+
+test('checkIban rejects wrong check digits, lengths and countries', () => {
+    assert.equal(checkIban('DE89370400440532013001'), 'The IBAN check digits are wrong.');
+    assert.equal(checkIban('DE8937040044053201300'), 'A DE IBAN has 22 characters, not 21.');
+    assert.equal(checkIban('ZZ89370400440532013000'), "Unknown IBAN country 'ZZ'.");
+    assert.equal(checkIban('370400440532013000'), 'The IBAN shall start with a country code and two check digits.');
+});
+
+test('checkBic accepts 8 and 11 characters codes only', () => {
+    assert.equal(checkBic('DEUTDEFF'), '');
+    assert.equal(checkBic('DEUTDEFF500'), '');
+    assert.notEqual(checkBic('DEUTDEF'), '');
+    assert.notEqual(checkBic('DEUT1EFF'), '');
+});
+
+test('checkVat computes the check digits of each country', () => {
+    ['DE136695976', 'FR40303265045', 'NL004495445B01', 'IT00743110157', 'BE0403170701', 'ATU13585627',
+        'DK13585628', 'PL5260250995', 'SE556036079301', 'EL094014201'].forEach(vat => {
+        assert.equal(checkVat(vat), '', vat);
+    });
+    assert.equal(checkVat('DE136695977'), 'The DE VAT number check digits are wrong.');
+    assert.equal(checkVat('FR41303265045'), 'The FR VAT number check digits are wrong.');
+});
+
+test('checkVat reads GR as EL and checks the national format', () => {
+    assert.equal(checkVat('GR094014201'), '');
+    assert.equal(checkVat('FR4030326504'), 'The format of the FR VAT number is wrong.');
+    assert.equal(checkVat('US123456789'), 'The VAT number shall start with a known country code.');
+});
+
+test('checkIdentifiers reports the invalid fields by path', () => {
+    const errors = checkIdentifiers({
+        Invoice: {
+            SupplierIban: 'DE89370400440532013001',
+            SupplierBic: 'DEUTDEFF',
+            SupplierVatNumber: 'DE136695977',
+            ReceiverIban: '',
+        }
+    });
+    assert.deepEqual(errors.map(({ rule, field }) => [rule, field]), [
+        ['IBAN', 'Invoice.SupplierIban'],
+        ['VAT', 'Invoice.SupplierVatNumber'],
+    ]);
+});
+
+test('checkIdentifiers only checks the tax ids with a VAT country prefix', () => {
+    const errors = checkIdentifiers({
+        Invoice: {
+            SupplierTaxId: '123456789',
+            ReceiverTaxId: 'DE136695977',
+            CustomerTaxId: '12-3456789',
+        }
+    });
+    assert.deepEqual(errors.map(({ field }) => field), ['Invoice.ReceiverTaxId']);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { checkDigit, checkMrz, findMrz, parseMrz } = require('../utils/mrz')
+
+// Specimens of ICAO 9303
+const TD3 = 'P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<\nL898902C36UTO7408122F1204159ZE184226B<<<<<10';
+const TD1 = 'I<UTOD231458907<<<<<<<<<<<<<<<\n7408122F1204159UTO<<<<<<<<<<<6\nERIKSSON<<ANNA<MARIA<<<<<<<<<<';
+
+test('checkDigit weighs the characters 7, 3, 1', () => {
+    assert.equal(checkDigit('L898902C3'), '6');
+    assert.equal(checkDigit('740812'), '2');
+    assert.equal(checkDigit('120415'), '9');
+    assert.equal(checkDigit('<<<<<<'), '0');
+});
+
+test('parseMrz reads a passport (TD3)', () => {
+    const mrz = parseMrz(TD3);
+    assert.equal(mrz.format, 'TD3');
+    assert.equal(mrz.documentNumber, 'L898902C3');
+    assert.equal(mrz.surname, 'ERIKSSON');
+    assert.equal(mrz.givenNames, 'ANNA MARIA');
+    assert.equal(mrz.nationality, 'UTO');
+    assert.equal(mrz.birthDate, '1974-08-12');
+    assert.equal(mrz.expiryDate, '2012-04-15');
+    assert.equal(mrz.sex, 'F');
+    assert.ok(mrz.checks.every(check => check.valid));
+});
+
+test('parseMrz reads an ID card (TD1) written on one line with spaces', () => {
+    const mrz = parseMrz(TD1.replace(/\n/g, ' '));
+    assert.equal(mrz.format, 'TD1');
+    assert.equal(mrz.documentNumber, 'D23145890');
+    assert.equal(mrz.birthDate, '1974-08-12');
+    assert.ok(mrz.checks.every(check => check.valid));
+});
+
+test('parseMrz flags a wrong check digit and returns null without MRZ', () => {
+    const mrz = parseMrz(TD3.replace('L898902C36', 'L898902C37'));
+    assert.deepEqual(mrz.checks.filter(check => !check.valid).map(check => check.field), ['documentNumber', 'composite']);
+    assert.equal(parseMrz('no machine readable zone here'), null);
+});
+
+test('findMrz looks in the MRZ field first, then in the texts of the section', () => {
+    assert.equal(findMrz({ MRZ: TD3 }).field, 'MRZ');
+    assert.equal(findMrz({ Notes: TD1 }).field, 'Notes');
+    assert.deepEqual(findMrz({ Name: 'Anna' }), { field: 'MachineReadableZone', mrz: null });
+});
+
+test('checkMrz accepts a form matching the MRZ', () => {
+    const json = {
+        FormParser: {
+            MachineReadableZone: TD3,
+            PassportNumber: 'L898902C3',
+            DateOfBirth: '12/08/1974',
+            Name: 'Anna Maria Eriksson',
+            Gender: 'Female',
+        }
+    };
+    assert.deepEqual(checkMrz(json, 'FormParser', '2010-01-01'), []);
+});
+
+test('checkMrz reports the fields differing from the MRZ and an expired document', () => {
+    const json = {
+        FormParser: {
+            MachineReadableZone: TD3,
+            PassportNumber: 'L898902C4',
+            DateOfBirth: '13/08/1974',
+            Name: 'Anna Eriksson',
+        }
+    };
+    assert.deepEqual(checkMrz(json, 'FormParser', '2013-01-01').map(({ rule, field }) => [rule, field]), [
+        ['MRZ-02', 'FormParser.PassportNumber'],
+        ['MRZ-02', 'FormParser.DateOfBirth'],
+        ['MRZ-02', 'FormParser.Name'],
+        ['MRZ-03', 'FormParser.ExpiryDate'],
+    ]);
+});
+
+test('checkMrz reports an MRZ field that cannot be read', () => {
+    const errors = checkMrz({ FormParser: { MachineReadableZone: 'P<UTO' } });
+    assert.deepEqual(errors.map(({ rule }) => rule), ['MRZ-00']);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { DEFAULT_LOCALE, canonicalAmounts, canonicalEdits, detectNumberLocale, relocalize } = require('../utils/number-locale')
+
+test('detectNumberLocale reads the separators of the amounts', () => {
+    assert.equal(detectNumberLocale({ Invoice: { TotalAmount: '1.234,56' } }), 'de-DE');
+    assert.equal(detectNumberLocale({ Invoice: { TotalAmount: '1 234,56' } }), 'fr-FR');
+    assert.equal(detectNumberLocale({ Invoice: { TotalAmount: "1'234.56" } }), 'de-CH');
+    assert.equal(detectNumberLocale({ Invoice: { TotalAmount: '1,234.56' } }), 'en-GB');
+});
+
+test('detectNumberLocale falls back on the currency, then the default locale', () => {
+    assert.equal(detectNumberLocale({ Invoice: { TotalAmount: '1,234.56', Currency: 'USD' } }), 'en-US');
+    assert.equal(detectNumberLocale({ Invoice: { TotalAmount: '1234', Currency: 'GBP' } }), 'en-GB');
+    assert.equal(detectNumberLocale({}), DEFAULT_LOCALE);
+});
+
+test('canonicalAmounts converts the amount fields only', () => {
+    const json = { Invoice: { TotalAmount: '1.234,56', InvoiceId: '1.234,56', LineItem: [{ LineItemAmount: '10,5' }] } };
+    assert.deepEqual(canonicalAmounts(json, 'de-DE'), {
+        Invoice: { TotalAmount: '1234.56', InvoiceId: '1.234,56', LineItem: [{ LineItemAmount: '10.5' }] }
+    });
+});
+
+test('canonicalEdits keeps the canonical decimals of the form and converts the other amounts', () => {
+    const json = { Invoice: { TotalAmount: '1234.5', NetAmount: '1.020,50', LineItem: [{ LineItemAmount: '1.5' }] } };
+    assert.deepEqual(canonicalEdits(json, 'de-DE'), {
+        Invoice: { TotalAmount: '1234.5', NetAmount: '1020.5', LineItem: [{ LineItemAmount: '1.5' }] }
+    });
+});
+
+test('relocalize reads the extracted amounts again and keeps the ones the agent changed', () => {
+    const baseline = { Invoice: { TotalAmount: '1.234', NetAmount: '100' } };
+    const json = { Invoice: { TotalAmount: '1.234', NetAmount: '99' } };
+    assert.deepEqual(relocalize(json, baseline, 'en-GB', 'de-DE'), { Invoice: { TotalAmount: '1234', NetAmount: '99' } });
+});
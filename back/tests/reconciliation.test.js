@@ -0,0 +1,72 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { autoMatches, buildReconciliation, invoiceOf, transactionsOf } = require('../utils/reconciliation')
+
+const STATEMENT = {
+    _id: 'statement',
+    name: 'statement.pdf',
+    dataXml: JSON.stringify({
+        FormParser: {
+            Currency: 'EUR',
+            TableItem: [
+                { TableItemDate: '01/08/2024', TableItemDescription: 'Payment INV-2024-001', TableItemDebitAmount: '121.00', TableItemCounterpartyIban: 'BE71 0961 2345 6769' },
+                { TableItemDate: '02/08/2024', TableItemDescription: 'Transfer', TableItemDebitAmount: '50.00' },
+                { TableItemDate: '03/08/2024', TableItemDescription: 'Nothing' },
+            ]
+        }
+    })
+};
+
+const invoiceFile = (id, invoice) => ({ _id: id, name: `${id}.pdf`, dataXml: JSON.stringify({ Invoice: { Currency: 'EUR', ...invoice } }) });
+
+const INVOICES = [
+    invoiceFile('invoice-1', { InvoiceId: 'INV-2024-001', TotalAmount: '121.00', SupplierName: 'Acme', SupplierIban: 'BE71 0961 2345 6769' }),
+    invoiceFile('invoice-2', { InvoiceId: 'F-77', TotalAmount: '200.00', SupplierName: 'Globex' }),
+].map(invoiceOf);
+
+test('transactionsOf lists the booked transactions with a positive amount', () => {
+    assert.deepEqual(transactionsOf(STATEMENT).map(({ index, direction, amount, iban }) => [index, direction, amount, iban]), [
+        [0, 'debit', 121, 'BE71096123456769'],
+        [1, 'debit', 50, ''],
+    ]);
+});
+
+test('invoiceOf reads the number, total and supplier account of an invoice', () => {
+    assert.deepEqual(INVOICES[0], {
+        _id: 'invoice-1',
+        name: 'invoice-1.pdf',
+        invoiceId: 'INV-2024-001',
+        supplierName: 'Acme',
+        iban: 'BE71096123456769',
+        currency: 'EUR',
+        total: 121,
+        dueDate: null,
+    });
+});
+
+test('autoMatches links a transaction matching the reference, amount and account of an invoice', () => {
+    assert.deepEqual(autoMatches(transactionsOf(STATEMENT), INVOICES, []), [
+        { statement: 'statement', transaction: 0, invoice: 'invoice-1', amount: 121, reasons: ['reference', 'amount', 'iban'] },
+    ]);
+});
+
+test('autoMatches leaves the amounts already matched out', () => {
+    const matches = [{ statement: 'statement', transaction: 0, invoice: 'invoice-1', amount: 121 }];
+    assert.deepEqual(autoMatches(transactionsOf(STATEMENT), INVOICES, matches), []);
+});
+
+test('buildReconciliation gives the state of the transactions and invoices', () => {
+    const matches = [{ _id: 'match', statement: 'statement', transaction: 1, invoice: 'invoice-2', amount: 50, method: 'manual', reasons: [] }];
+    const { transactions, invoices } = buildReconciliation(transactionsOf(STATEMENT), INVOICES, matches);
+
+    assert.deepEqual(transactions.map(({ status }) => status), ['unmatched', 'matched']);
+    assert.deepEqual(transactions[0].suggestions.map(({ invoice, reasons }) => [invoice, reasons]), [['invoice-1', ['reference', 'amount', 'iban']]]);
+    assert.deepEqual(transactions[1].matches.map(({ invoiceId, amount }) => [invoiceId, amount]), [['F-77', 50]]);
+    assert.deepEqual(invoices.map(({ status, paid, outstanding }) => [status, paid, outstanding]), [['unpaid', 0, 121], ['partial', 50, 150]]);
+});
+
+test('credit transactions are not matched to supplier invoices', () => {
+    const credit = { ...transactionsOf(STATEMENT)[0], direction: 'credit' };
+    assert.deepEqual(autoMatches([credit], INVOICES, []), []);
+    assert.deepEqual(buildReconciliation([credit], INVOICES, []).transactions[0].suggestions, []);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { diffFields, normalizeLists } = require('../utils/revisions')
+
+test('normalizeLists turns a single line item into a list', () => {
+    assert.deepEqual(normalizeLists({ Invoice: { LineItem: { LineItemAmount: '10' } } }), { Invoice: { LineItem: [{ LineItemAmount: '10' }] } });
+});
+
+test('diffFields lists the added, removed and changed fields', () => {
+    const before = { Invoice: { InvoiceId: 'F-1', SupplierName: 'Acme', LineItem: [{ id: 1, LineItemAmount: '10' }] } };
+    const after = { Invoice: { InvoiceId: 'F-2', Currency: 'EUR', LineItem: [{ id: 2, LineItemAmount: '10' }] } };
+    assert.deepEqual(diffFields(before, after), {
+        added: [{ path: 'Invoice.Currency', value: 'EUR' }],
+        removed: [{ path: 'Invoice.SupplierName', value: 'Acme' }],
+        changed: [{ path: 'Invoice.InvoiceId', from: 'F-1', to: 'F-2' }],
+    });
+});
+
+test('diffFields keeps the amounts stored as canonical decimals unchanged', () => {
+    const { changed } = diffFields({ Invoice: { TotalAmount: '1.234,50' } }, { Invoice: { TotalAmount: '1234.5' } });
+    assert.deepEqual(changed, []);
+});
+
+test('diffFields keeps the dates stored as ISO 8601 unchanged', () => {
+    const before = { Invoice: { InvoiceDate: '16/08/2024', DueDate: '15 septembre 2024' } };
+    const after = { Invoice: { InvoiceDate: '2024-08-16', DueDate: '2024-09-15' } };
+    assert.deepEqual(diffFields(before, after).changed, []);
+});
+
+test('diffFields reads the extracted dates in the day/month order of the customer', () => {
+    const before = { Invoice: { InvoiceDate: '04/08/2024' } };
+    const after = { Invoice: { InvoiceDate: '2024-04-08' } };
+    assert.deepEqual(diffFields(before, after, { order: 'MDY' }).changed, []);
+    assert.deepEqual(diffFields(before, after).changed, [{ path: 'Invoice.InvoiceDate', from: '04/08/2024', to: '2024-04-08' }]);
+});
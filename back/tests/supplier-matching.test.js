@@ -0,0 +1,74 @@
+const { mock, test } = require('node:test')
+const assert = require('node:assert/strict')
+const Supplier = require('../Models/Supplier')
+const { HIGH_CONFIDENCE, MIN_SCORE, matchSupplier, scoreSupplier } = require('../utils/supplier-matching')
+
+const SUPPLIERS = [
+    { _id: 'acme', name: 'ACME S.A.', address: 'Rue de la Loi 16, 1000 Bruxelles', taxId: 'BE 0403.170.701', iban: 'BE71 0961 2345 6769' },
+    { _id: 'acme-industry', name: 'Acme Industry', address: 'Avenue Louise 5, 1050 Ixelles' },
+    { _id: 'initech', name: 'Initech', iban: 'DE89 3704 0044 0532 0130 00' },
+];
+
+// master data of the customer, without a database
+const withSuppliers = (suppliers) => mock.method(Supplier, 'find', () => ({ select: () => ({ lean: async () => suppliers }) }));
+
+const invoice = (fields) => ({ Invoice: fields });
+
+test('scoreSupplier matches the VAT number first, then the IBAN', () => {
+    const extracted = { name: 'other', taxId: 'BE0403170701', iban: 'BE71096123456769', address: '' };
+    assert.deepEqual(scoreSupplier(extracted, SUPPLIERS[0]), { score: 1, method: 'taxId' });
+    assert.deepEqual(scoreSupplier({ ...extracted, taxId: '' }, SUPPLIERS[0]), { score: 0.97, method: 'iban' });
+});
+
+test('scoreSupplier compares the names and the addresses', () => {
+    const extracted = { name: 'acme', taxId: '', iban: '', address: 'Rue de la Loi 16 1000 Bruxelles' };
+    // same name and address: legal forms and punctuation left out
+    assert.deepEqual(scoreSupplier(extracted, SUPPLIERS[0]), { score: 1, method: 'name' });
+    // the name alone is worth 90% at most
+    assert.deepEqual(scoreSupplier({ ...extracted, address: '' }, { name: 'Acme' }), { score: 0.9, method: 'name' });
+    // similar name at another address
+    assert.deepEqual(scoreSupplier({ ...extracted, name: 'acmeindustries' }, SUPPLIERS[1]), { score: 0.63, method: 'name' });
+    assert.deepEqual(scoreSupplier({ ...extracted, address: '' }, SUPPLIERS[2]), { score: 0, method: 'name' });
+});
+
+test('matchSupplier suggests the best supplier with the others as alternatives', async (t) => {
+    t.after(() => mock.restoreAll());
+    withSuppliers(SUPPLIERS);
+
+    const match = await matchSupplier(invoice({ SupplierName: 'Acme Industries', SupplierTaxId: 'BE0403170701' }));
+    assert.equal(match.supplier, 'acme');
+    assert.equal(match.score, 1);
+    assert.equal(match.method, 'taxId');
+    assert.equal(match.status, 'suggested');
+    assert.ok(match.score >= HIGH_CONFIDENCE);
+    assert.deepEqual(match.alternatives.map(({ supplier }) => supplier), ['acme-industry']);
+});
+
+test('matchSupplier matches the IBAN of the invoice', async (t) => {
+    t.after(() => mock.restoreAll());
+    withSuppliers(SUPPLIERS);
+
+    const match = await matchSupplier(invoice({ SupplierName: 'Unknown GmbH', SupplierIban: 'DE89370400440532013000' }));
+    assert.deepEqual([match.supplier, match.score, match.method], ['initech', 0.97, 'iban']);
+});
+
+test('matchSupplier leaves the suppliers scored below the minimum out', async (t) => {
+    t.after(() => mock.restoreAll());
+    withSuppliers([{ _id: 'acme-corp', name: 'Acme Corp' }, ...SUPPLIERS.slice(2)]);
+
+    // a weak match is suggested, not applied
+    const weak = await matchSupplier(invoice({ SupplierName: 'Acme' }));
+    assert.deepEqual([weak.supplier, weak.score, weak.status, weak.alternatives], ['acme-corp', 0.54, 'suggested', []]);
+    assert.ok(weak.score >= MIN_SCORE && weak.score < HIGH_CONFIDENCE);
+
+    const none = await matchSupplier(invoice({ SupplierName: 'Globex Corporation' }));
+    assert.deepEqual([none.supplier, none.score, none.method, none.status, none.alternatives], [null, 0, '', 'none', []]);
+});
+
+test('matchSupplier looks in the suppliers of the customer and the shared ones', async (t) => {
+    t.after(() => mock.restoreAll());
+    const find = withSuppliers([]);
+
+    await matchSupplier(invoice({ SupplierName: 'Acme' }), 'customer');
+    assert.deepEqual(find.mock.calls[0].arguments[0], { customer: { $in: ['customer', null] } });
+});
@@ -0,0 +1,81 @@
+const { minorUnits } = require('./currencies')
+
+// Separators of the number locales a document can be read with
+const NUMBER_LOCALES = {
+    'de-DE': { decimal: ',', group: '.' },
+    'fr-FR': { decimal: ',', group: ' ' },
+    'it-IT': { decimal: ',', group: '.' },
+    'es-ES': { decimal: ',', group: '.' },
+    'nl-NL': { decimal: ',', group: '.' },
+    'en-GB': { decimal: '.', group: ',' },
+    'en-US': { decimal: '.', group: ',' },
+    'de-CH': { decimal: '.', group: "'" },
+};
+
+// Fields holding a number ('NetAmount', 'LineItemUnitPrice', 'LineItemQuantity', 'VatRate', 'TableItemTransactionDeposit'...)
+const AMOUNT_KEY = /(Amount|Price|Quantity|Rate|Percentage|Balance|Withdrawal|Deposit)$/;
+
+// Amounts of the form are stored as canonical decimals ('1234.56')
+const CANONICAL = /^-?\d+(\.\d+)?$/;
+
+const isAmountKey = (key = '') => AMOUNT_KEY.test(key);
+
+// Method to read an extracted amount: '1.231,21', '1,231.21', '1 231,21 €', 1231.21...
+// with a locale, only its decimal separator is one (the others are grouping)
+// without, a canonical decimal is read as is, otherwise the last separator followed by one or two digits is the decimal one
+// returns null when the value holds no number
+const parseAmount = (value, locale) => {
+    if (typeof value === 'number') return isFinite(value) ? value : null;
+    if (Array.isArray(value)) value = value[0];
+    if (value && typeof value === 'object') value = value._;
+    if (typeof value !== 'string') return null;
+
+    const separators = NUMBER_LOCALES[locale];
+    if (!separators && CANONICAL.test(value.trim())) return parseFloat(value);
+
+    let text = value.replace(/[^\d.,-]/g, '');
+    const negative = /^-|-$/.test(text) || /^\(.*\)$/.test(value.trim());
+    text = text.replace(/-/g, '');
+    if (!/\d/.test(text)) return null;
+
+    let integer, fraction;
+    if (separators) {
+        const parts = text.replace(new RegExp(`[^\\d${separators.decimal}]`, 'g'), '').split(separators.decimal);
+        if (parts.length > 2) return null;
+        [integer, fraction] = parts;
+    } else {
+        const decimal = text.match(/[.,](\d{1,2})$/);
+        [integer, fraction] = decimal
+            ? [text.slice(0, decimal.index), decimal[1]]
+            : [text, ''];
+    }
+
+    const number = parseFloat(`${integer.replace(/[.,]/g, '') || '0'}.${fraction || '0'}`);
+    return negative ? -number : number;
+};
+
+// Method to store an amount as a canonical decimal ('1.234,5' in de-DE gives '1234.5')
+// a value holding no number is kept as is
+const toCanonical = (value, locale) => {
+    const number = parseAmount(value, locale);
+    return number === null ? value : String(number);
+};
+
+// Method to round an amount to the decimal places of its currency (the cents when none)
+const roundAmount = (value, currency) => {
+    const factor = 10 ** minorUnits(currency);
+    return Math.round((value + Number.EPSILON) * factor) / factor;
+};
+
+// Method to write an amount with the decimals of its currency ('1231.20', JPY '1231', KWD '1231.200')
+const formatAmount = (value, currency) => roundAmount(value, currency).toFixed(minorUnits(currency));
+
+module.exports = {
+    CANONICAL,
+    NUMBER_LOCALES,
+    formatAmount,
+    isAmountKey,
+    parseAmount,
+    roundAmount,
+    toCanonical
+}
@@ -0,0 +1,16 @@
+// Mongoose plugin for collections that are only ever appended to (audit trail, revisions):
+// documents can be created but never modified nor removed
+const appendOnly = (schema, { name = 'Documents' } = {}) => {
+    const refuseChange = function (next) {
+        next(new Error(`${name} are append-only`));
+    };
+
+    schema.pre('save', function (next) {
+        if (!this.isNew) return refuseChange(next);
+        next();
+    });
+    schema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], refuseChange);
+    schema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], refuseChange);
+};
+
+module.exports = appendOnly
@@ -0,0 +1,76 @@
+const DocumentEvent = require('../Models/DocumentEvent')
+
+// Method to flatten a json into { 'Invoice.LineItem.0.LineItemAmount': value }
+const flatten = (value, prefix = '', result = {}) => {
+    if (value && typeof value === 'object') {
+        const entries = Object.entries(value);
+        if (!entries.length && prefix) result[prefix] = Array.isArray(value) ? [] : {};
+        for (const [key, child] of entries) {
+            flatten(child, prefix ? `${prefix}.${key}` : key, result);
+        }
+    } else if (prefix) {
+        result[prefix] = value;
+    }
+    return result;
+};
+
+// Row helpers added by the form tables (LineItem id / key), not document data
+const isTechnicalKey = (path) => /\.(id|key)$/.test(path);
+
+// Method to list the dotted paths whose value differs between two jsons
+const changedFields = (before = {}, after = {}) => {
+    const previous = flatten(before);
+    const next = flatten(after);
+    const keys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+    return [...keys]
+        .filter(key => !isTechnicalKey(key))
+        .filter(key => JSON.stringify(previous[key]) !== JSON.stringify(next[key]));
+};
+
+// Method to parse the dataXml string stored on a document
+const parseData = (dataXml) => {
+    try {
+        return JSON.parse(dataXml || '{}');
+    } catch (error) {
+        return {};
+    }
+};
+
+// Method to read the supplier name from the edited json ({ Invoice: { SupplierName } })
+const getSupplierName = (json = {}) => {
+    const section = Object.values(json).find(value => value && typeof value === 'object' && 'SupplierName' in value);
+    return typeof section?.SupplierName === 'string' ? section.SupplierName : '';
+}
+
+// Method to append an event to the history of a document
+// an audit failure is logged but never fails the request
+const recordEvent = async ({ document, action, user = null, stage = '', changedFields = [], details = {} }) => {
+    try {
+        return await DocumentEvent.create({
+            document,
+            action,
+            user: user?._id ?? user,
+            stage,
+            changedFields,
+            details
+        });
+    } catch (error) {
+        console.error(`Erreur lors de l'enregistrement de l'évènement ${action}:`, error);
+        return null;
+    }
+};
+
+// Method to append the same event to several documents
+const recordEvents = async (documents = [], event) => {
+    return Promise.all(documents.map(document => recordEvent({ ...event, document })));
+};
+
+module.exports = {
+    changedFields,
+    flatten,
+    getSupplierName,
+    isTechnicalKey,
+    parseData,
+    recordEvent,
+    recordEvents
+}
@@ -0,0 +1,249 @@
+const { Builder } = require('xml2js')
+const { formatAmount, parseAmount, roundAmount } = require('./amounts')
+const { isCurrency, minorUnits } = require('./currencies')
+const { toIsoDate } = require('./dates')
+const { compact } = require('./invoice-model')
+
+// Transactions of a bank statement: one row per booking, a withdrawal (debit) or a deposit (credit)
+const ROW_KEYS = {
+    debit: ['TableItemTransactionWithdrawal', 'TableItemDebitAmount'],
+    credit: ['TableItemTransactionDeposit', 'TableItemCreditAmount'],
+    date: ['TableItemTransactionWithdrawalDate', 'TableItemTransactionDepositDate', 'TableItemDate'],
+    description: ['TableItemTransactionWithdrawalDescription', 'TableItemTransactionDepositDescription', 'TableItemDescription'],
+    iban: ['TableItemCounterpartyIban', 'TableItemIban'],
+};
+
+const text = (value) => {
+    if (Array.isArray(value)) value = value.join(' ');
+    if (value && typeof value === 'object') value = value._;
+    return value === undefined || value === null ? '' : String(value).replace(/\s+/g, ' ').trim();
+};
+
+const pick = (source = {}, keys) => keys.map(key => text(source[key])).find(Boolean) || '';
+
+// First key of a row holding a value, so the errors point to the extracted field
+const keyOf = (row, keys) => keys.find(key => text(row[key])) || keys[0];
+
+const amountOf = (source, keys) => {
+    const value = pick(source, keys);
+    return value ? parseAmount(value) : null;
+};
+
+// Section of the document holding the transactions (FormParser.TableItem...)
+const statementSection = (json = {}) => Object.values(json || {}).find(value => value && typeof value === 'object' && !Array.isArray(value) && 'TableItem' in value) || null;
+
+const isBankStatement = (json) => statementSection(json) !== null;
+
+/**
+ * Method to read the bank statement model of a json ({ FormParser: { OpeningBalance, TableItem: [...] } })
+ * debits and credits are positive, a negative withdrawal or deposit is booked on the other side
+ */
+const readStatement = (json = {}) => {
+    const section = statementSection(json) || {};
+    const currency = pick(section, ['Currency', 'AccountCurrency']).toUpperCase() || 'EUR';
+
+    const transactions = [].concat(section.TableItem ?? []).filter(row => row && typeof row === 'object').map((row, index) => {
+        const debit = amountOf(row, ROW_KEYS.debit);
+        const credit = amountOf(row, ROW_KEYS.credit);
+        const signed = (credit ?? 0) - (debit ?? 0);
+        return {
+            index,
+            date: toIsoDate(pick(row, ROW_KEYS.date)),
+            description: pick(row, ROW_KEYS.description),
+            iban: pick(row, ROW_KEYS.iban).replace(/\s/g, '').toUpperCase(),
+            debit: signed < 0 ? roundAmount(-signed, currency) : 0,
+            credit: signed > 0 ? roundAmount(signed, currency) : 0,
+            empty: debit === null && credit === null,
+            fields: { debit: keyOf(row, ROW_KEYS.debit), credit: keyOf(row, ROW_KEYS.credit), date: keyOf(row, ROW_KEYS.date) },
+        };
+    });
+
+    return {
+        id: pick(section, ['StatementNumber', 'StatementId']),
+        date: toIsoDate(pick(section, ['StatementDate'])),
+        currency,
+        iban: pick(section, ['IBAN', 'AccountIban', 'AccountIBAN']).replace(/\s/g, '').toUpperCase(),
+        account: pick(section, ['AccountNumber']).replace(/\s/g, ''),
+        bic: pick(section, ['BIC', 'SwiftCode']).replace(/\s/g, '').toUpperCase(),
+        holder: pick(section, ['AccountHolder', 'AccountName']),
+        opening: amountOf(section, ['OpeningBalance']),
+        closing: amountOf(section, ['ClosingBalance']),
+        transactions,
+    };
+};
+
+// Sums of the statement and the closing balance they give (opening + credits - debits)
+const statementTotals = (statement) => {
+    const credits = statement.transactions.reduce((sum, transaction) => sum + transaction.credit, 0);
+    const debits = statement.transactions.reduce((sum, transaction) => sum + transaction.debit, 0);
+    return {
+        credits: roundAmount(credits, statement.currency),
+        debits: roundAmount(debits, statement.currency),
+        expectedClosing: roundAmount((statement.opening ?? 0) + credits - debits, statement.currency),
+    };
+};
+
+/**
+ * Method to check a bank statement before it is exported
+ * returns [{ rule, field, message }], field is the path in the section (TableItem.2.TableItemTransactionDeposit)
+ */
+const validateStatement = (statement) => {
+    const errors = [];
+    const error = (rule, field, message) => errors.push({ rule, field, message });
+    const { currency } = statement;
+
+    if (!statement.iban && !statement.account) error('BS-01', 'IBAN', 'A statement shall have the account it belongs to.');
+    if (!isCurrency(currency)) error('BS-02', 'Currency', 'A statement shall have an ISO 4217 currency code.');
+    if (statement.opening === null) error('BS-03', 'OpeningBalance', 'A statement shall have an opening balance.');
+    if (statement.closing === null) error('BS-04', 'ClosingBalance', 'A statement shall have a closing balance.');
+    if (!statement.transactions.length) error('BS-05', 'TableItem', 'A statement shall have at least one transaction.');
+
+    statement.transactions.forEach(transaction => {
+        const field = (name) => `TableItem.${transaction.index}.${name}`;
+        if (!transaction.date) error('BS-06', field(transaction.fields.date), `Transaction ${transaction.index + 1} shall have a valid booking date.`);
+        if (transaction.empty) error('BS-07', field(transaction.fields.debit), `Transaction ${transaction.index + 1} shall have a debit or a credit amount.`);
+    });
+
+    const { expectedClosing } = statementTotals(statement);
+    // amounts are booked to the minor unit, the balances match exactly
+    if (statement.closing !== null && expectedClosing !== roundAmount(statement.closing, currency)) {
+        error('BS-08', 'ClosingBalance', `The opening balance plus the credits minus the debits (${formatAmount(expectedClosing, currency)}) differs from the closing balance (${formatAmount(statement.closing, currency)}).`);
+    }
+
+    return errors;
+};
+
+// Dates of the opening and closing balances: the statement date, or the first and last bookings
+const balanceDates = (statement) => {
+    const dates = statement.transactions.map(transaction => transaction.date).filter(Boolean).sort();
+    const today = new Date().toISOString().slice(0, 10);
+    return {
+        opening: dates[0] || statement.date || today,
+        closing: statement.date || dates[dates.length - 1] || today,
+    };
+};
+
+const camtAmount = (value, currency) => ({ _: formatAmount(Math.abs(value), currency), $: { Ccy: currency } });
+const indicator = (value) => value < 0 ? 'DBIT' : 'CRDT';
+
+const camtBalance = (code, value, date, currency) => ({
+    Tp: { CdOrPrtry: { Cd: code } },
+    Amt: camtAmount(value, currency),
+    CdtDbtInd: indicator(value),
+    Dt: { Dt: date },
+});
+
+/**
+ * Method to build the ISO 20022 BankToCustomerStatement (camt.053.001.02) of a statement
+ */
+const buildCamt053 = (statement, { messageId, createdAt = new Date() } = {}) => {
+    const { currency } = statement;
+    const dates = balanceDates(statement);
+    const { credits, debits } = statementTotals(statement);
+    const created = createdAt.toISOString().slice(0, 19);
+    const count = (items) => String(items.length);
+    const creditEntries = statement.transactions.filter(transaction => transaction.credit);
+    const debitEntries = statement.transactions.filter(transaction => transaction.debit);
+    const id = statement.id || messageId;
+
+    const root = {
+        $: { xmlns: 'urn:iso:std:iso:20022:tech:xsd:camt.053.001.02' },
+        BkToCstmrStmt: {
+            GrpHdr: { MsgId: messageId, CreDtTm: created },
+            Stmt: {
+                Id: id,
+                ElctrncSeqNb: /^\d+$/.test(statement.id) ? statement.id : undefined,
+                CreDtTm: created,
+                Acct: {
+                    Id: statement.iban ? { IBAN: statement.iban } : { Othr: { Id: statement.account } },
+                    Ccy: currency,
+                    Ownr: statement.holder && { Nm: statement.holder },
+                    Svcr: statement.bic && { FinInstnId: { BIC: statement.bic } },
+                },
+                Bal: [
+                    camtBalance('OPBD', statement.opening, dates.opening, currency),
+                    camtBalance('CLBD', statement.closing, dates.closing, currency),
+                ],
+                TxsSummry: {
+                    TtlNtries: { NbOfNtries: count(statement.transactions) },
+                    TtlCdtNtries: { NbOfNtries: count(creditEntries), Sum: formatAmount(credits, currency) },
+                    TtlDbtNtries: { NbOfNtries: count(debitEntries), Sum: formatAmount(debits, currency) },
+                },
+                Ntry: statement.transactions.map(transaction => ({
+                    Amt: camtAmount(transaction.credit || transaction.debit, currency),
+                    CdtDbtInd: transaction.credit ? 'CRDT' : 'DBIT',
+                    Sts: 'BOOK',
+                    BookgDt: { Dt: transaction.date },
+                    ValDt: { Dt: transaction.date },
+                    BkTxCd: { Prtry: { Cd: 'NOTPROVIDED' } },
+                    NtryDtls: transaction.description && {
+                        TxDtls: { RmtInf: { Ustrd: transaction.description.slice(0, 140) } },
+                    },
+                })),
+            },
+        },
+    };
+
+    const builder = new Builder({ rootName: 'Document', xmldec: { version: '1.0', encoding: 'UTF-8' } });
+    return builder.buildObject(compact(root));
+};
+
+// SWIFT MT940 fields only allow the X character set, other characters are replaced
+const swiftText = (value) => value
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9/\-?:().,'+ ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const swiftDate = (iso) => iso.slice(2).replace(/-/g, '');
+// amounts always hold the decimal comma, also in the currencies without decimals ('1234,' in JPY)
+const swiftAmount = (value, currency) => {
+    const amount = formatAmount(Math.abs(value), currency).replace('.', ',');
+    return minorUnits(currency) === 0 ? `${amount},` : amount;
+};
+const swiftBalance = (tag, value, date, currency) => `:${tag}:${value < 0 ? 'D' : 'C'}${swiftDate(date)}${currency}${swiftAmount(value, currency)}`;
+
+// Method to cut a text into lines of a field (:86: holds 6 lines of 65 characters)
+const swiftLines = (value, size = 65, count = 6) => (value.match(new RegExp(`.{1,${size}}`, 'g')) || []).slice(0, count);
+
+/**
+ * Method to build the SWIFT MT940 customer statement (block 4) of a statement
+ */
+const buildMt940 = (statement, { reference } = {}) => {
+    const { currency } = statement;
+    const dates = balanceDates(statement);
+    const number = String(statement.id).replace(/\D/g, '').slice(-5) || '1';
+
+    const lines = [
+        `:20:${swiftText(reference || statement.id || 'STATEMENT').slice(0, 16)}`,
+        `:25:${statement.iban || statement.account}`,
+        `:28C:${number}/1`,
+        swiftBalance('60F', statement.opening, dates.opening, currency),
+    ];
+    statement.transactions.forEach(transaction => {
+        const amount = transaction.credit || transaction.debit;
+        lines.push(`:61:${swiftDate(transaction.date)}${transaction.credit ? 'C' : 'D'}${swiftAmount(amount, currency)}NTRFNONREF`);
+        const description = swiftLines(swiftText(transaction.description));
+        if (description.length) lines.push(`:86:${description.join('\r\n')}`);
+    });
+    lines.push(swiftBalance('62F', statement.closing, dates.closing, currency), '-');
+
+    return lines.join('\r\n');
+};
+
+// Export formats of a validated statement
+const STATEMENT_FORMATS = {
+    camt053: { build: buildCamt053, extension: 'xml', contentType: 'application/xml' },
+    mt940: { build: buildMt940, extension: 'sta', contentType: 'text/plain' },
+};
+
+module.exports = {
+    STATEMENT_FORMATS,
+    buildCamt053,
+    buildMt940,
+    isBankStatement,
+    readStatement,
+    statementTotals,
+    validateStatement
+}
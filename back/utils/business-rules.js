@@ -0,0 +1,198 @@
+const mongoose = require('mongoose')
+const Customer = require('../Models/Customer')
+const { parseAmount } = require('./amounts')
+const { toIsoDate } = require('./dates')
+
+// Business rules of a customer, checked in the form and again on validation
+// kinds:
+//   compare:  'TotalAmount = NetAmount + TotalTaxAmount' (tolerance), 'DueDate >= InvoiceDate', 'DueDate <= InvoiceDate + 60'
+//   required: the field is filled (PurchaseOrder)
+//   allowed:  the field is one of the values (Currency: EUR, USD)
+// when: optional condition, a comparison ('TotalAmount > 1000') or a field that must be filled
+
+const RULE_KINDS = ['compare', 'required', 'allowed'];
+const SEVERITIES = ['block', 'warn'];
+
+const COMPARISON = /^(.+?)\s*(>=|<=|!=|=|>|<)\s*(.+)$/;
+const TERM = /^\s*([+-])?\s*('[^']*'|\d+(?:[.,]\d+)?|[A-Za-z_][\w.]*)\s*/;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Method to split one side of a comparison into signed terms ('NetAmount + TotalTaxAmount')
+// returns null when the text is not a sum of fields, numbers, 'today' and quoted texts
+const parseSide = (text) => {
+    const terms = [];
+    let rest = text.trim();
+    while (rest) {
+        const match = rest.match(TERM);
+        if (!match || (terms.length && !match[1])) return null;
+        terms.push({ sign: match[1] === '-' ? -1 : 1, token: match[2] });
+        rest = rest.slice(match[0].length);
+    }
+    return terms.length ? terms : null;
+};
+
+// Method to parse a comparison, null when it is not one
+const parseComparison = (text = '') => {
+    const match = text.trim().match(COMPARISON);
+    if (!match) return null;
+    const left = parseSide(match[1]);
+    const right = parseSide(match[3]);
+    return left && right ? { left, operator: match[2], right } : null;
+};
+
+// Method to read a field of the document section (Vat.1.VatRate)
+const fieldValue = (section, field) => field.split('.').reduce((value, key) => value?.[key], section);
+
+const isEmpty = (value) => value === undefined || value === null || (typeof value === 'object' ? !Object.keys(value).length : !String(value).trim());
+
+const text = (value) => (value && typeof value === 'object' ? value._ ?? '' : value ?? '').toString().trim();
+
+// Method to compute a side of a comparison: { kind: 'number' | 'date' | 'text', value }
+// dates are days since 1970 (numbers added to a date are days), null when a field is empty
+const sideValue = (section, terms) => {
+    let kind = 'number';
+    let total = 0;
+    for (const { sign, token } of terms) {
+        if (token.startsWith("'")) {
+            if (terms.length > 1) return null;
+            return { kind: 'text', value: token.slice(1, -1) };
+        }
+        if (/^\d/.test(token)) {
+            total += sign * parseAmount(token);
+            continue;
+        }
+
+        const isDate = token === 'today' || /date/i.test(token);
+        const raw = token === 'today' ? new Date().toISOString().slice(0, 10) : fieldValue(section, token);
+        if (isEmpty(raw)) return null;
+
+        if (isDate) {
+            const iso = toIsoDate(text(raw));
+            if (!iso) return null;
+            kind = 'date';
+            total += sign * Date.parse(iso) / DAY;
+        } else if (terms.length === 1 && parseAmount(text(raw)) === null) {
+            return { kind: 'text', value: text(raw) };
+        } else {
+            const amount = parseAmount(text(raw));
+            if (amount === null) return null;
+            total += sign * amount;
+        }
+    }
+    return { kind, value: total };
+};
+
+// Method to compare two sides, null when they cannot be compared (empty field, text and number...)
+const compare = (section, { left, operator, right }, tolerance = 0) => {
+    const a = sideValue(section, left);
+    const b = sideValue(section, right);
+    if (!a || !b) return null;
+
+    if (a.kind === 'text' || b.kind === 'text') {
+        const same = text(a.value).toLowerCase() === text(b.value).toLowerCase();
+        return operator === '=' ? same : operator === '!=' ? !same : null;
+    }
+
+    const difference = a.value - b.value;
+    switch (operator) {
+        case '=': return Math.abs(difference) <= tolerance + Number.EPSILON;
+        case '!=': return Math.abs(difference) > tolerance;
+        case '>': return difference > 0;
+        case '<': return difference < 0;
+        case '>=': return difference >= -tolerance - Number.EPSILON;
+        case '<=': return difference <= tolerance + Number.EPSILON;
+        default: return null;
+    }
+};
+
+// Method to tell whether the condition of a rule is met (no condition: always)
+const conditionMet = (section, when) => {
+    if (!when?.trim()) return true;
+    const comparison = parseComparison(when);
+    return comparison ? compare(section, comparison) === true : !isEmpty(fieldValue(section, when.trim()));
+};
+
+// Field a rule result jumps to: the given one, or the first field of the expression
+const ruleField = (rule) => {
+    if (rule.field) return rule.field;
+    const comparison = parseComparison(rule.expression);
+    const token = comparison?.left.find(({ token }) => /^[A-Za-z_]/.test(token) && token !== 'today')?.token;
+    return token || '';
+};
+
+// Method to tell whether a rule is checked on a document type (rules without a type apply to every type)
+const appliesTo = (rule, type) => rule.enabled !== false && (!rule.type || rule.type === type);
+
+const defaultMessage = (rule) => {
+    if (rule.kind === 'required') return `${rule.field} is required.`;
+    if (rule.kind === 'allowed') return `${rule.field} shall be one of ${rule.values.join(', ')}.`;
+    return `${rule.expression} is not respected.`;
+};
+
+/**
+ * Method to check a document json against business rules
+ * returns the broken rules [{ rule, name, severity, field, message }], field is the dotted path (Invoice.DueDate)
+ */
+const evaluateRules = (json = {}, rules = [], type = 'Invoice') => {
+    const section = json?.[type] || {};
+    return rules
+        .filter(rule => appliesTo(rule, type))
+        .filter(rule => conditionMet(section, rule.when))
+        .filter(rule => {
+            if (rule.kind === 'required') return isEmpty(fieldValue(section, rule.field));
+            if (rule.kind === 'allowed') {
+                const value = text(fieldValue(section, rule.field));
+                return value && !rule.values.some(allowed => allowed.toLowerCase() === value.toLowerCase());
+            }
+            const comparison = parseComparison(rule.expression);
+            return comparison && compare(section, comparison, rule.tolerance || 0) === false;
+        })
+        .map(rule => ({
+            rule: rule._id?.toString() || rule.name,
+            name: rule.name,
+            severity: rule.severity,
+            field: [type, ruleField(rule)].filter(Boolean).join('.'),
+            message: rule.message || defaultMessage(rule),
+        }));
+};
+
+/**
+ * Method to check the rules an admin saves
+ * returns [{ field, message }] with field 'rules.<index>'
+ */
+const validateRules = (rules = []) => {
+    const errors = [];
+    rules.forEach((rule, index) => {
+        const error = (message) => errors.push({ field: `rules.${index}`, message });
+        if (!rule.name) error('A rule needs a name.');
+        if (!RULE_KINDS.includes(rule.kind)) error(`Unknown rule kind '${rule.kind}'.`);
+        if (!SEVERITIES.includes(rule.severity)) error(`Unknown severity '${rule.severity}'.`);
+        if (rule.kind === 'compare' && !parseComparison(rule.expression)) {
+            error(`'${rule.expression}' is not a comparison (TotalAmount = NetAmount + TotalTaxAmount).`);
+        }
+        if (['required', 'allowed'].includes(rule.kind) && !/^[A-Za-z_][\w.]*$/.test(rule.field || '')) {
+            error('The rule needs the field it checks.');
+        }
+        if (rule.kind === 'allowed' && !rule.values?.length) error('The rule needs the allowed values.');
+        if (rule.when && !parseComparison(rule.when) && !/^[A-Za-z_][\w.]*$/.test(rule.when.trim())) {
+            error(`'${rule.when}' is not a condition (TotalAmount > 1000 or a field name).`);
+        }
+    });
+    return errors;
+};
+
+// Method to load the enabled rules of a customer for a document type
+const rulesFor = async (customerId, type) => {
+    if (!mongoose.isObjectIdOrHexString(customerId)) return [];
+    const customer = await Customer.findById(customerId).select('businessRules').lean();
+    return (customer?.businessRules || []).filter(rule => appliesTo(rule, type));
+};
+
+module.exports = {
+    RULE_KINDS,
+    SEVERITIES,
+    evaluateRules,
+    rulesFor,
+    validateRules
+}
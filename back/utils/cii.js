@@ -0,0 +1,156 @@
+const { Builder } = require('xml2js')
+const { formatAmount, roundAmount } = require('./amounts')
+const { EMPTY_ELEMENT, compact, lineRate, readInvoice, validateInvoice, vatBreakdown } = require('./invoice-model')
+
+// Factur-X / ZUGFeRD profiles a customer can choose, with their guideline identifiers
+const FACTURX_PROFILES = {
+    MINIMUM: { guideline: 'urn:factur-x.eu:1p0:minimum', conformance: 'MINIMUM' },
+    BASIC: { guideline: 'urn:cen.eu:en16931:2017#compliant#urn:factur-x.eu:1p0:basic', conformance: 'BASIC' },
+    EN16931: { guideline: 'urn:cen.eu:en16931:2017', conformance: 'EN 16931' },
+};
+
+const DEFAULT_PROFILE = 'EN16931';
+
+const NAMESPACES = {
+    'xmlns:rsm': 'urn:un:unece:uncefact:data:standard:CrossIndustryInvoice:100',
+    'xmlns:qdt': 'urn:un:unece:uncefact:data:standard:QualifiedDataType:100',
+    'xmlns:ram': 'urn:un:unece:uncefact:data:standard:ReusableAggregateBusinessInformationEntity:100',
+    'xmlns:udt': 'urn:un:unece:uncefact:data:standard:UnqualifiedDataType:100',
+};
+
+// Rules the MINIMUM profile does not carry the data for (no lines, no buyer address, no due date)
+const MINIMUM_SKIPPED_RULES = ['BR-11', 'BR-16', 'BR-CO-13', 'BR-CO-25'];
+
+// amounts have the decimals of the currency, the currency is only written on the VAT total
+const amount = (value, currency, withCurrency = false) => value === null ? undefined : (withCurrency ? { _: formatAmount(value, currency), $: { currencyID: currency } } : formatAmount(value, currency));
+
+const date = (iso) => iso && { 'udt:DateTimeString': { _: iso.replace(/-/g, ''), $: { format: '102' } } };
+
+const tradeParty = (data, { full }) => ({
+    'ram:Name': data.name,
+    'ram:SpecifiedLegalOrganization': { 'ram:ID': data.registration },
+    'ram:PostalTradeAddress': full ? {
+        'ram:PostcodeCode': data.address.postalZone,
+        'ram:LineOne': data.address.street,
+        'ram:CityName': data.address.city,
+        'ram:CountryID': data.country,
+    } : { 'ram:CountryID': data.country },
+    'ram:URIUniversalCommunication': full && data.email && { 'ram:URIID': { _: data.email, $: { schemeID: 'EM' } } },
+    'ram:SpecifiedTaxRegistration': data.taxId && { 'ram:ID': { _: data.taxId, $: { schemeID: 'VA' } } },
+});
+
+/**
+ * Method to check the invoice model before building a Factur-X of the given profile
+ * (Peppol network rules do not apply to CII)
+ */
+const validateCii = (invoice, profile = DEFAULT_PROFILE) => validateInvoice(invoice)
+    .filter(error => !error.rule.startsWith('PEPPOL-'))
+    .filter(error => profile !== 'MINIMUM' || !(MINIMUM_SKIPPED_RULES.includes(error.rule) || error.field.startsWith('LineItem')));
+
+/**
+ * Method to build the UN/CEFACT Cross Industry Invoice (D16B) of an invoice model
+ * elements follow the order of the CII schema, the profile limits the content
+ */
+const buildCii = (invoice, profile = DEFAULT_PROFILE) => {
+    const full = profile !== 'MINIMUM';
+    const currency = invoice.currency;
+    const breakdown = vatBreakdown(invoice);
+    const lineTotal = roundAmount(invoice.lines.reduce((sum, line) => sum + (line.amount ?? 0), 0), currency);
+    const taxTotal = invoice.tax ?? breakdown.reduce((sum, row) => sum + row.tax, 0);
+    const taxCategory = (rate) => rate > 0 ? 'S' : 'Z';
+
+    const root = {
+        $: NAMESPACES,
+        'rsm:ExchangedDocumentContext': {
+            'ram:GuidelineSpecifiedDocumentContextParameter': { 'ram:ID': FACTURX_PROFILES[profile].guideline },
+        },
+        'rsm:ExchangedDocument': {
+            'ram:ID': invoice.id,
+            'ram:TypeCode': invoice.documentType === 'CreditNote' ? '381' : '380',
+            'ram:IssueDateTime': date(invoice.issueDate),
+        },
+        'rsm:SupplyChainTradeTransaction': {
+            'ram:IncludedSupplyChainTradeLineItem': full && invoice.lines.map((line, index) => ({
+                'ram:AssociatedDocumentLineDocument': { 'ram:LineID': String(index + 1) },
+                'ram:SpecifiedTradeProduct': {
+                    'ram:SellerAssignedID': line.productCode,
+                    'ram:Name': line.name,
+                },
+                'ram:SpecifiedLineTradeAgreement': {
+                    'ram:NetPriceProductTradePrice': { 'ram:ChargeAmount': amount(line.unitPrice, currency) },
+                },
+                'ram:SpecifiedLineTradeDelivery': {
+                    'ram:BilledQuantity': line.quantity !== null && { _: String(line.quantity), $: { unitCode: 'C62' } },
+                },
+                'ram:SpecifiedLineTradeSettlement': {
+                    'ram:ApplicableTradeTax': {
+                        'ram:TypeCode': 'VAT',
+                        'ram:CategoryCode': taxCategory(lineRate(line, breakdown) ?? 0),
+                        'ram:RateApplicablePercent': formatAmount(lineRate(line, breakdown) ?? 0),
+                    },
+                    'ram:SpecifiedTradeSettlementLineMonetarySummation': { 'ram:LineTotalAmount': amount(line.amount, currency) },
+                },
+            })),
+            'ram:ApplicableHeaderTradeAgreement': {
+                'ram:BuyerReference': invoice.purchaseOrder,
+                'ram:SellerTradeParty': tradeParty(invoice.supplier, { full }),
+                // MINIMUM only carries the buyer name and legal id
+                'ram:BuyerTradeParty': full ? tradeParty(invoice.receiver, { full }) : {
+                    'ram:Name': invoice.receiver.name,
+                    'ram:SpecifiedLegalOrganization': { 'ram:ID': invoice.receiver.registration },
+                },
+                'ram:BuyerOrderReferencedDocument': { 'ram:IssuerAssignedID': invoice.purchaseOrder },
+            },
+            // mandatory even when empty
+            'ram:ApplicableHeaderTradeDelivery': EMPTY_ELEMENT,
+            'ram:ApplicableHeaderTradeSettlement': {
+                'ram:InvoiceCurrencyCode': currency,
+                'ram:SpecifiedTradeSettlementPaymentMeans': full && invoice.supplier.iban && {
+                    'ram:TypeCode': '58', // SEPA credit transfer
+                    'ram:PayeePartyCreditorFinancialAccount': { 'ram:IBANID': invoice.supplier.iban },
+                },
+                'ram:ApplicableTradeTax': full && breakdown.map(row => ({
+                    'ram:CalculatedAmount': amount(row.tax, currency),
+                    'ram:TypeCode': 'VAT',
+                    'ram:BasisAmount': amount(row.taxable, currency),
+                    'ram:CategoryCode': taxCategory(row.rate),
+                    'ram:RateApplicablePercent': formatAmount(row.rate),
+                })),
+                'ram:SpecifiedTradePaymentTerms': full && {
+                    'ram:Description': invoice.paymentTerms,
+                    'ram:DueDateDateTime': date(invoice.dueDate),
+                },
+                'ram:SpecifiedTradeSettlementHeaderMonetarySummation': {
+                    'ram:LineTotalAmount': full ? amount(lineTotal, currency) : undefined,
+                    'ram:TaxBasisTotalAmount': amount(invoice.net ?? lineTotal, currency),
+                    'ram:TaxTotalAmount': amount(taxTotal, currency, true),
+                    'ram:GrandTotalAmount': amount(invoice.total, currency),
+                    'ram:DuePayableAmount': amount(invoice.total, currency),
+                },
+            },
+        },
+    };
+
+    const builder = new Builder({ rootName: 'rsm:CrossIndustryInvoice', xmldec: { version: '1.0', encoding: 'UTF-8' } });
+    return builder.buildObject(compact(root));
+};
+
+/**
+ * Method to convert a validated json to a Factur-X / ZUGFeRD CII xml
+ * returns { errors, xml } (xml is null when a rule is broken)
+ */
+const toCii = (json, profile = DEFAULT_PROFILE) => {
+    const invoice = readInvoice(json);
+    const errors = validateCii(invoice, profile);
+    return {
+        errors,
+        xml: errors.length ? null : buildCii(invoice, profile)
+    };
+};
+
+module.exports = {
+    DEFAULT_PROFILE,
+    FACTURX_PROFILES,
+    buildCii,
+    toCii
+}
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose')
+const Customer = require('../Models/Customer')
+
+// Month names in English, French, Dutch and German, without accents
+// a word is a month when it starts one of them (3 letters at least: 'sept', 'févr.', 'Okt')
+const MONTHS = [
+    ['january', 'janvier', 'januari', 'januar', 'janner'],
+    ['february', 'fevrier', 'februari', 'februar'],
+    ['march', 'mars', 'maart', 'marz', 'maerz', 'mrt'],
+    ['april', 'avril'],
+    ['may', 'mai', 'mei'],
+    ['june', 'juin', 'juni'],
+    ['july', 'juillet', 'juli'],
+    ['august', 'aout', 'augustus'],
+    ['september', 'septembre'],
+    ['october', 'octobre', 'oktober'],
+    ['november', 'novembre'],
+    ['december', 'decembre', 'dezember'],
+];
+
+// Order of the day and month of the customer locales writing dates month first (04/08/2024 is April 8)
+const MONTH_FIRST = /-(US|PH|FM|MH)$/i;
+
+const ISO = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:$|[T\s])/;
+
+const withoutAccents = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+// Method to tell the order of the numeric dates of a customer locale ('DMY' or 'MDY')
+const dateOrderOf = (locale = '') => MONTH_FIRST.test(locale) ? 'MDY' : 'DMY';
+
+// Method to find the month of a word, null when it is none or could be several ('ju')
+const monthOf = (word) => {
+    if (word.length < 3) return null;
+    const months = MONTHS
+        .map((names, index) => names.some(name => name.startsWith(word)) ? index + 1 : null)
+        .filter(Boolean);
+    return months.length === 1 ? months[0] : null;
+};
+
+// Method to check a date and write it as ISO 8601, null when it does not exist (31/02)
+const isoOf = (year, month, day) => {
+    if (year < 100) year += 2000;
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+    return date.toISOString().slice(0, 10);
+};
+
+// Method to read a date written with a month name: '16 août 2024', 'August 16th, 2024', '16-Aug-24', 'vendredi 16 août 2024'
+const textualDate = (text) => {
+    const words = withoutAccents(text.toLowerCase()).split(/[^a-z0-9]+/).filter(Boolean);
+    const months = words.map(word => /^[a-z]+$/.test(word) ? monthOf(word) : null).filter(Boolean);
+    const numbers = words.map(word => word.match(/^(\d{1,4})(?:st|nd|rd|th|er|e|ste|de)?$/)?.[1]).filter(Boolean);
+    if (months.length !== 1 || numbers.length !== 2) return null;
+
+    const yearIndex = numbers.findIndex(number => number.length === 4);
+    const [day, year] = yearIndex === -1 ? numbers : [numbers[1 - yearIndex], numbers[yearIndex]];
+    if (day.length > 2) return null;
+    return isoOf(Number(year), months[0], Number(day));
+};
+
+/**
+ * Method to read an extracted date as ISO 8601 (YYYY-MM-DD)
+ * accepts 2024-08-16, 2024/08/16, 16/08/2024, 16.08.2024, 16-08-24, '16 août 2024', 'August 16, 2024'...
+ * a numeric date where both the day and the month could be either is read in the order of the customer locale ('DMY' or 'MDY')
+ * returns null when the value is not a valid date
+ */
+const toIsoDate = (value, order = 'DMY') => {
+    if (Array.isArray(value)) value = value[0];
+    if (value && typeof value === 'object') value = value._;
+    if (typeof value !== 'string') return null;
+
+    const text = value.trim();
+    const iso = text.match(ISO) || text.match(/^(\d{4})[/.](\d{1,2})[/.](\d{1,2})$/);
+    if (iso) return isoOf(...iso.slice(1, 4).map(Number));
+
+    const numeric = text.match(/^(\d{1,2})[/.\-\s](\d{1,2})[/.\-\s](\d{2}|\d{4})$/);
+    if (numeric) {
+        const [first, second, year] = numeric.slice(1, 4).map(Number);
+        const monthFirst = first > 12 ? false : second > 12 ? true : order === 'MDY';
+        return monthFirst ? isoOf(year, first, second) : isoOf(year, second, first);
+    }
+
+    return textualDate(text);
+};
+
+// Fields holding a date: keys containing 'Date' (InvoiceDate, DueDate...), not the vertices ids
+const isDateKey = (key = '') => key.includes('Date') && !key.endsWith('Id');
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Method to write the dates of a document json as ISO 8601
+ * dates are the fields whose key contains 'Date', and the values of the OCR keys typed as dates (dateKeys)
+ * returns the json and the texts the dates were read from [{ path, text }], the unreadable ones are kept as is
+ */
+const normalizeDates = (json = {}, { order = 'DMY', dateKeys = [] } = {}) => {
+    const sources = [];
+    const convert = (value, path) => {
+        if (typeof value !== 'string' || ISO_DATE.test(value.trim())) return value;
+        const iso = toIsoDate(value, order);
+        if (!iso) return value;
+        sources.push({ path, text: value });
+        return iso;
+    };
+    const walk = (value, path, key) => {
+        if (Array.isArray(value)) return value.map((child, index) => walk(child, `${path}.${index}`, key));
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([child, node]) => [child, walk(node, path ? `${path}.${child}` : child, child === '_' ? key : child)]));
+        }
+        return isDateKey(key) ? convert(value, path) : value;
+    };
+
+    const normalized = walk(json, '', '');
+    if (Array.isArray(normalized.OCRData)) {
+        normalized.OCRData = normalized.OCRData.map((field, index) => !dateKeys.includes(field?.name) ? field : {
+            ...field,
+            value: [].concat(field.value ?? []).map((fragment, position) => fragment && typeof fragment === 'object'
+                ? { ...fragment, value: convert(fragment.value, `OCRData.${index}.value.${position}.value`) }
+                : fragment)
+        });
+    }
+    return { json: normalized, sources };
+};
+
+// Method to read the date settings of a customer: the day/month order of its locale and the OCR keys typed as dates
+const dateOptionsOf = async (customerId) => {
+    const customer = mongoose.isObjectIdOrHexString(customerId) ? await Customer.findById(customerId).select('locale dynamicKeys').lean() : null;
+    return {
+        order: dateOrderOf(customer?.locale),
+        dateKeys: (customer?.dynamicKeys || []).filter(key => key.type === 'date').map(key => key.name)
+    };
+};
+
+module.exports = {
+    dateOptionsOf,
+    dateOrderOf,
+    isDateKey,
+    normalizeDates,
+    toIsoDate
+}
@@ -0,0 +1,77 @@
+const File = require('../Models/File')
+const { recordEvent } = require('./audit-log')
+require('dotenv').config();
+
+// Duration of a lock lease, the document page renews it on a heartbeat
+const LOCK_TTL_MS = parseInt(process.env.LOCK_TTL_MS) || 2 * 60 * 1000;
+// Interval between two sweeps of expired leases
+const LOCK_SWEEP_INTERVAL_MS = parseInt(process.env.LOCK_SWEEP_INTERVAL_MS) || 30 * 1000;
+
+// Method to get the end of a lease starting now
+const leaseExpiry = () => new Date(Date.now() + LOCK_TTL_MS);
+
+// Filter matching expired leases, locks taken before leases existed have no end and are expired too
+const expiredLease = () => ({
+    $or: [
+        { lockExpiresAt: null },
+        { lockExpiresAt: { $lt: new Date() } },
+    ]
+});
+
+// Filter matching documents whose lock can be taken by the user
+// (not locked, already owned by the user, or with an expired lease)
+const lockableBy = (userId) => ({
+    $or: [
+        { isLocked: false },
+        { lockedBy: userId },
+        expiredLease(),
+    ]
+});
+
+// Method to release every expired lease and notify clients
+const releaseExpiredLocks = async (io) => {
+    const expired = await File.find({
+        isLocked: true,
+        ...expiredLease()
+    }).select('_id');
+
+    for (const { _id } of expired) {
+        // the lease may have been renewed since the lookup
+        const file = await File.findOneAndUpdate(
+            { _id, isLocked: true, ...expiredLease() },
+            { isLocked: false, lockedBy: null, lockExpiresAt: null },
+            { new: true }
+        )
+        .populate('lockedBy')
+        .populate('validatedBy.$*')
+        .populate('returnedBy');
+
+        if (!file) continue;
+
+        await recordEvent({ document: _id, action: 'unlock', stage: file.stage, details: { reason: 'expired' } });
+
+        if (io) {
+            io.emit('document-lock/unlock', { id: _id.toString(), ...file._doc });
+        }
+    }
+
+    return expired.length;
+};
+
+// Method to start the periodic release of expired leases
+const startLockSweeper = (io) => {
+    return setInterval(() => {
+        releaseExpiredLocks(io).catch(error => {
+            console.error('Erreur lors de la libération des verrous expirés:', error);
+        });
+    }, LOCK_SWEEP_INTERVAL_MS);
+};
+
+module.exports = {
+    LOCK_TTL_MS,
+    expiredLease,
+    leaseExpiry,
+    lockableBy,
+    releaseExpiredLocks,
+    startLockSweeper
+}
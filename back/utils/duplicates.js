@@ -0,0 +1,104 @@
+const File = require('../Models/File')
+const { parseData } = require('./audit-log')
+const { readInvoice } = require('./invoice-model')
+
+// Reject reason sent by the duplicate alert of the document page, it links the document to its duplicate (duplicateOf)
+const DUPLICATE_REASON = 'Duplicate invoice';
+
+// Documents a new invoice is compared with (rejected ones are left out)
+const CHECKED_STATUSES = ['validated', 'progress', 'returned', 'temporarily-rejected'];
+
+// Suspected duplicates listed at most
+const MAX_DUPLICATES = 10;
+
+// Legal forms left out of supplier names ('ACME S.A.' and 'Acme' are the same supplier)
+const LEGAL_FORMS = /\b(sa|sas|sarl|sprl|srl|bv|bvba|nv|gmbh|ag|ltd|llc|inc|plc|cv|scrl|asbl|vzw)\b/g;
+
+const normalizeName = (name = '') => name
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\b([a-z])\.(?=[a-z]\.?\b)/g, '$1') // s.a. -> sa
+    .replace(LEGAL_FORMS, '')
+    .replace(/[^a-z0-9]/g, '');
+
+// INV-000123 and inv 123 are the same invoice number
+const normalizeInvoiceId = (id = '') => id.toUpperCase().replace(/[^A-Z0-9]/g, '').replace(/(^|[A-Z])0+(?=\d)/g, '$1');
+
+/**
+ * Method to compute the fields compared to find duplicates of a document json
+ * suppliers lists every way the supplier is identified ('name:acme', 'vat:BE0123456789', 'iban:BE71...')
+ */
+const fingerprintOf = (json = {}) => {
+    const invoice = readInvoice(json);
+    const name = normalizeName(invoice.supplier.name);
+    return {
+        suppliers: [
+            name && `name:${name}`,
+            invoice.supplier.taxId && `vat:${invoice.supplier.taxId}`,
+            invoice.supplier.iban && `iban:${invoice.supplier.iban}`,
+        ].filter(Boolean),
+        invoiceId: normalizeInvoiceId(invoice.id),
+        invoiceDate: invoice.issueDate || '',
+        totalAmount: invoice.total,
+    };
+};
+
+// Method to build the filter of the documents that may be the same invoice:
+// same supplier and (same number or same date and total), every field when no supplier is known
+const duplicateFilter = (fingerprint) => {
+    const { suppliers, invoiceId, invoiceDate, totalAmount } = fingerprint;
+    const sameNumber = invoiceId && { 'fingerprint.invoiceId': invoiceId };
+    const sameAmount = invoiceDate && totalAmount !== null && { 'fingerprint.invoiceDate': invoiceDate, 'fingerprint.totalAmount': totalAmount };
+
+    if (suppliers.length) {
+        const same = [sameNumber, sameAmount].filter(Boolean);
+        return same.length ? { 'fingerprint.suppliers': { $in: suppliers }, $or: same } : null;
+    }
+    return sameNumber && sameAmount ? { ...sameNumber, ...sameAmount } : null;
+};
+
+// Method to tell which fields of two fingerprints are equal
+const matchedFields = (fingerprint, other) => [
+    fingerprint.suppliers.some(supplier => other.suppliers?.includes(supplier)) && 'supplier',
+    fingerprint.invoiceId && fingerprint.invoiceId === other.invoiceId && 'invoiceId',
+    fingerprint.invoiceDate && fingerprint.invoiceDate === other.invoiceDate && 'invoiceDate',
+    fingerprint.totalAmount !== null && fingerprint.totalAmount === other.totalAmount && 'totalAmount',
+].filter(Boolean);
+
+/**
+ * Method to find the validated and in-progress documents that look like the same invoice
+ * returns [{ _id, name, status, stage, supplierName, fingerprint, matchedOn }]
+ */
+const findDuplicates = async (documentId, json) => {
+    const fingerprint = fingerprintOf(json);
+    const filter = duplicateFilter(fingerprint);
+    if (!filter) return [];
+
+    const documents = await File.find({ ...filter, _id: { $ne: documentId }, status: { $in: CHECKED_STATUSES } })
+        .select('pdfName originalName pdfLink status stage supplierName fingerprint createdAt')
+        .sort({ createdAt: -1 })
+        .limit(MAX_DUPLICATES)
+        .lean();
+
+    return documents.map(({ pdfName, originalName, ...document }) => ({
+        ...document,
+        name: originalName || pdfName,
+        matchedOn: matchedFields(fingerprint, document.fingerprint),
+    }));
+};
+
+// Method to compute the fingerprint of the documents stored before duplicate detection
+const backfillFingerprints = async () => {
+    const cursor = File.find({ fingerprint: { $exists: false }, dataXml: { $ne: '{}' } }).select('dataXml').lean().cursor();
+    for await (const file of cursor) {
+        await File.updateOne({ _id: file._id }, { fingerprint: fingerprintOf(parseData(file.dataXml)) });
+    }
+};
+
+module.exports = {
+    DUPLICATE_REASON,
+    backfillFingerprints,
+    findDuplicates,
+    fingerprintOf,
+    normalizeName
+}
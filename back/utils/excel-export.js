@@ -0,0 +1,218 @@
+const ExcelJS = require('exceljs')
+const File = require('../Models/File')
+const DocumentEvent = require('../Models/DocumentEvent')
+const { parseData } = require('./audit-log')
+const { isAmountKey, parseAmount, roundAmount } = require('./amounts')
+const { listStages } = require('./workflow')
+
+// Fields of the validated data exported when no column is asked
+const DEFAULT_DATA_COLUMNS = [
+    'InvoiceId', 'InvoiceDate', 'DueDate', 'Currency', 'NetAmount', 'TotalTaxAmount', 'TotalAmount',
+    'SupplierName', 'SupplierAddress', 'SupplierTaxId', 'SupplierIban'
+];
+
+const DEFAULT_LINE_ITEM_COLUMNS = [
+    'LineItemProductCode', 'LineItemDescription', 'LineItemUnitPrice', 'LineItemQuantity', 'LineItemAmount'
+];
+
+// Documents read from the database (and events looked up) at once
+const BATCH_SIZE = 500;
+
+const HEADER_STYLE = {
+    font: { bold: true, color: { argb: 'FF0A1F28' } },
+    fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF1DD1FD' } },
+    alignment: { horizontal: 'center' }
+};
+
+// Method to read a comma separated list of the query (?status=validated,rejected)
+const listParam = (value) => [].concat(value ?? [])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+
+// Method to build the documents filter of the export query
+// returns { filter } or { error } when a date is invalid
+const exportFilter = (query = {}) => {
+    const statuses = listParam(query.status);
+    const stages = listParam(query.stage);
+    const types = listParam(query.type);
+    const from = query.from ? new Date(query.from) : null;
+    const to = query.to ? new Date(query.to) : null;
+
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+        return { error: 'Invalid date range.' };
+    }
+    to?.setUTCHours(23, 59, 59, 999);
+
+    return {
+        filter: {
+            ...(statuses.length) && { status: { $in: statuses } },
+            ...(stages.length) && { stage: { $in: stages } },
+            ...(types.length) && { type: { $in: types } },
+            ...(query.supplier) && { supplierName: query.supplier },
+            ...(from || to) && { createdAt: { ...(from) && { $gte: from }, ...(to) && { $lte: to } } },
+        }
+    };
+};
+
+// Method to read a field of the validated data: 'SupplierName', 'Supplier.Address'...
+// paths start under the root section (Invoice, Document...)
+const fieldValue = (section, path) => {
+    let value = path.split('.').reduce((current, key) => current?.[key], section);
+    if (Array.isArray(value)) value = value.map(item => item?._ ?? item).filter(item => typeof item !== 'object').join(', ');
+    if (value && typeof value === 'object') value = value._;
+    return value ?? '';
+};
+
+// Method to read a cell of the export, amounts are written as numbers (shown with the separators of the reader)
+// rounded to the decimals of the currency of the document
+const cellValue = (section, path, currency) => {
+    const value = fieldValue(section, path);
+    const key = path.split('.').pop();
+    if (!isAmountKey(key)) return value;
+    const amount = parseAmount(value);
+    if (amount === null) return value;
+    return key.endsWith('Amount') ? roundAmount(amount, currency) : amount;
+};
+
+const rootSection = (data) => Object.values(data)[0] || {};
+
+// Method to list the rows of the line item tables of the validated data
+const lineItemsOf = (section) => [].concat(section.LineItem ?? [], section.TableItem ?? [])
+    .filter(row => row && typeof row === 'object');
+
+const fullName = (user) => user ? `${user.name ?? ''} ${user.firstname ?? ''}`.trim() : '';
+
+// Method to find when each stage of a batch of documents was last validated
+// { documentId: { v1: Date, v2: Date } }
+const validationDates = async (documentIds) => {
+    const events = await DocumentEvent.find({ document: { $in: documentIds }, action: 'validate' })
+        .select('document stage createdAt')
+        .sort({ createdAt: 1 })
+        .lean();
+
+    const dates = {};
+    for (const event of events) {
+        dates[event.document] = { ...dates[event.document], [event.stage]: event.createdAt };
+    }
+    return dates;
+};
+
+// Method to go through the documents of the filter by batches, without loading them all
+const forEachBatch = async (query, callback) => {
+    let batch = [];
+    for await (const file of query.cursor({ batchSize: BATCH_SIZE })) {
+        batch.push(file);
+        if (batch.length === BATCH_SIZE) {
+            await callback(batch);
+            batch = [];
+        }
+    }
+    if (batch.length) await callback(batch);
+};
+
+const addHeader = (worksheet) => {
+    const header = worksheet.getRow(1);
+    Object.assign(header, HEADER_STYLE);
+    header.commit();
+};
+
+/**
+ * Method to stream the excel export of the documents to a writable stream (response)
+ * options: { filter, columns, lineItems, lineItemColumns }
+ */
+const writeExcelExport = async (stream, {
+    filter = {},
+    columns = DEFAULT_DATA_COLUMNS,
+    lineItems = false,
+    lineItemColumns = DEFAULT_LINE_ITEM_COLUMNS
+} = {}) => {
+
+    const stages = await listStages();
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+
+    const documents = workbook.addWorksheet('Documents');
+    documents.columns = [
+        { header: 'Id', key: 'id', width: 28 },
+        { header: 'Nom', key: 'name', width: 40 },
+        { header: 'Type', key: 'type', width: 15 },
+        { header: 'Fournisseur', key: 'supplierName', width: 30 },
+        { header: 'Status', key: 'status', width: 20 },
+        { header: 'Étape', key: 'stage', width: 15 },
+        { header: 'Créé le', key: 'createdAt', width: 20, style: { numFmt: 'dd/mm/yyyy hh:mm' } },
+        ...stages.flatMap(({ key, label }) => [
+            { header: label, key: `validator.${key}`, width: 30 },
+            { header: `${label} - date`, key: `validatedAt.${key}`, width: 20, style: { numFmt: 'dd/mm/yyyy hh:mm' } },
+        ]),
+        ...columns.map(column => ({ header: column, key: `data.${column}`, width: 20 })),
+    ];
+    addHeader(documents);
+
+    const query = () => File.find(filter)
+        .select('pdfName originalName type supplierName status stage createdAt validatedBy dataXml')
+        .sort({ createdAt: -1 })
+        .lean();
+
+    await forEachBatch(query().populate('validatedBy.$*', 'name firstname'), async (batch) => {
+        const dates = await validationDates(batch.map(file => file._id));
+
+        for (const file of batch) {
+            const section = rootSection(parseData(file.dataXml));
+            const validatedBy = file.validatedBy || {};
+
+            documents.addRow({
+                id: file._id.toString(),
+                name: file.originalName || file.pdfName,
+                type: file.type,
+                supplierName: file.supplierName,
+                status: file.status,
+                stage: file.stage,
+                createdAt: file.createdAt,
+                ...Object.fromEntries(stages.flatMap(({ key }) => [
+                    [`validator.${key}`, fullName(validatedBy[key])],
+                    [`validatedAt.${key}`, dates[file._id]?.[key] ?? null],
+                ])),
+                ...Object.fromEntries(columns.map(column => [`data.${column}`, cellValue(section, column, fieldValue(section, 'Currency'))])),
+            }).commit();
+        }
+    });
+    documents.commit();
+
+    // second pass: a sheet is committed before the next one is written
+    if (lineItems) {
+        const items = workbook.addWorksheet('Lignes');
+        items.columns = [
+            { header: 'Id', key: 'id', width: 28 },
+            { header: 'InvoiceId', key: 'invoiceId', width: 20 },
+            { header: 'Ligne', key: 'line', width: 8 },
+            ...lineItemColumns.map(column => ({ header: column, key: `data.${column}`, width: 20 })),
+        ];
+        addHeader(items);
+
+        await forEachBatch(query(), async (batch) => {
+            for (const file of batch) {
+                const section = rootSection(parseData(file.dataXml));
+                lineItemsOf(section).forEach((row, index) => {
+                    items.addRow({
+                        id: file._id.toString(),
+                        invoiceId: fieldValue(section, 'InvoiceId'),
+                        line: index + 1,
+                        ...Object.fromEntries(lineItemColumns.map(column => [`data.${column}`, cellValue(row, column, fieldValue(section, 'Currency'))])),
+                    }).commit();
+                });
+            }
+        });
+        items.commit();
+    }
+
+    await workbook.commit();
+};
+
+module.exports = {
+    DEFAULT_DATA_COLUMNS,
+    DEFAULT_LINE_ITEM_COLUMNS,
+    exportFilter,
+    fieldValue,
+    listParam,
+    writeExcelExport
+}
@@ -0,0 +1,106 @@
+const { diffFields, normalizeLists, LIST_KEYS } = require('./revisions')
+
+// Dimensions the accuracy can be broken down by, with the document property they read
+const REPORT_DIMENSIONS = {
+    supplier: (sample) => sample.supplierName || '',
+    type: (sample) => sample.type || '',
+    createdBy: (sample) => sample.createdBy || '',
+};
+
+// Field name of a dotted path, without the root section nor the row numbers
+// Invoice.LineItem.3.LineItemAmount -> LineItem.LineItemAmount
+const fieldName = (path) => path.split('.').slice(1).filter(part => !/^\d+$/.test(part)).join('.');
+
+// Method to list the rows count of each list of a json ({ 'LineItem rows': 3 })
+const rowCounts = (json, counts = {}) => {
+    if (Array.isArray(json)) {
+        json.forEach(item => rowCounts(item, counts));
+    } else if (json && typeof json === 'object') {
+        for (const [key, value] of Object.entries(json)) {
+            if (LIST_KEYS.includes(key) && Array.isArray(value)) {
+                counts[`${key} rows`] = (counts[`${key} rows`] || 0) + value.length;
+            }
+            rowCounts(value, counts);
+        }
+    }
+    return counts;
+};
+
+// Method to compare the AI extraction and the validated data of one document:
+// fields present on either side, and fields corrected by a human
+// order: day/month order of the numeric dates of the customer ('DMY' or 'MDY')
+const compareExtraction = (baseline, validated, order) => {
+    const { added, removed, changed } = diffFields(baseline, validated, { order });
+    const { added: kept } = diffFields({}, baseline);
+
+    const corrected = new Set([...added, ...removed, ...changed].map(({ path }) => fieldName(path)));
+    const fields = new Set([...kept, ...added].map(({ path }) => fieldName(path)));
+
+    // rows added or removed by hand
+    const before = rowCounts(normalizeLists(baseline));
+    const after = rowCounts(normalizeLists(validated));
+    for (const rows of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        fields.add(rows);
+        if ((before[rows] || 0) !== (after[rows] || 0)) corrected.add(rows);
+    }
+
+    fields.delete('');
+    corrected.delete('');
+    return { fields, corrected };
+};
+
+const accuracy = (total, corrected) => total ? Math.round((1 - corrected / total) * 10000) / 100 : null;
+
+// Method to sum the field statistics of a list of compared documents
+const summarize = (comparisons) => {
+    const stats = new Map();
+    for (const { fields, corrected } of comparisons) {
+        for (const field of fields) {
+            const stat = stats.get(field) || { field, total: 0, corrected: 0 };
+            stat.total += 1;
+            if (corrected.has(field)) stat.corrected += 1;
+            stats.set(field, stat);
+        }
+    }
+
+    const fields = [...stats.values()]
+        .map(stat => ({ ...stat, accuracy: accuracy(stat.total, stat.corrected) }))
+        .sort((a, b) => b.corrected - a.corrected || a.field.localeCompare(b.field));
+
+    const total = fields.reduce((sum, stat) => sum + stat.total, 0);
+    const corrected = fields.reduce((sum, stat) => sum + stat.corrected, 0);
+
+    return {
+        documents: comparisons.length,
+        correctedDocuments: comparisons.filter(comparison => comparison.corrected.size).length,
+        accuracy: accuracy(total, corrected),
+        fields
+    };
+};
+
+// Method to build the extraction accuracy report of validated documents
+// samples: [{ baseline, validated, order, supplierName, type, createdBy }]
+const buildAccuracyReport = (samples) => {
+    const comparisons = samples.map(sample => ({ ...sample, ...compareExtraction(sample.baseline, sample.validated, sample.order) }));
+
+    const breakdowns = Object.fromEntries(Object.entries(REPORT_DIMENSIONS).map(([dimension, keyOf]) => {
+        const groups = new Map();
+        for (const comparison of comparisons) {
+            const key = keyOf(comparison);
+            groups.set(key, [...(groups.get(key) || []), comparison]);
+        }
+        const rows = [...groups.entries()]
+            .map(([key, group]) => ({ key, ...summarize(group) }))
+            .sort((a, b) => (a.accuracy ?? 100) - (b.accuracy ?? 100));
+        return [dimension, rows];
+    }));
+
+    return { ...summarize(comparisons), breakdowns };
+};
+
+module.exports = {
+    REPORT_DIMENSIONS,
+    buildAccuracyReport,
+    compareExtraction,
+    fieldName
+}
@@ -0,0 +1,213 @@
+const crypto = require('crypto')
+const { PDFDocument, PDFHexString, PDFName, PDFString } = require('pdf-lib')
+const { FACTURX_PROFILES } = require('./cii')
+
+// Name of the embedded invoice required by Factur-X 1.0 / ZUGFeRD 2.x
+const FACTURX_FILE_NAME = 'factur-x.xml';
+
+const PRODUCER = 'Document validation';
+
+// Method to build a minimal sRGB ICC v2 profile (matrix / gamma 2.2) for the PDF/A output intent
+const srgbProfile = () => {
+    const fixed = (value) => Math.round(value * 65536);
+    const xyz = (x, y, z) => {
+        const buffer = Buffer.alloc(20);
+        buffer.write('XYZ ', 0, 'ascii');
+        [x, y, z].forEach((value, index) => buffer.writeInt32BE(fixed(value), 8 + index * 4));
+        return buffer;
+    };
+    const text = (value) => {
+        const buffer = Buffer.alloc(8 + value.length + 1);
+        buffer.write('text', 0, 'ascii');
+        buffer.write(value, 8, 'ascii');
+        return buffer;
+    };
+    const description = (value) => {
+        const buffer = Buffer.alloc(12 + value.length + 1 + 4 + 4 + 2 + 1 + 67);
+        buffer.write('desc', 0, 'ascii');
+        buffer.writeUInt32BE(value.length + 1, 8);
+        buffer.write(value, 12, 'ascii');
+        return buffer;
+    };
+    const curve = Buffer.alloc(14);
+    curve.write('curv', 0, 'ascii');
+    curve.writeUInt32BE(1, 8);
+    curve.writeUInt16BE(0x0233, 12); // gamma 2.2 (u8Fixed8)
+
+    const name = 'sRGB IEC61966-2.1';
+    const data = [
+        ['desc', description(name)],
+        ['cprt', text('No copyright, use freely')],
+        ['wtpt', xyz(0.9642, 1.0, 0.8249)],
+        ['rXYZ', xyz(0.4361, 0.2225, 0.0139)],
+        ['gXYZ', xyz(0.3851, 0.7169, 0.0971)],
+        ['bXYZ', xyz(0.1431, 0.0606, 0.7141)],
+        ['rTRC', curve],
+    ];
+    const tags = [...data.map(([signature]) => signature), 'gTRC', 'bTRC'];
+
+    // tag data follows the header and the tag table, aligned on 4 bytes
+    const pad = (buffer) => Buffer.concat([buffer, Buffer.alloc((4 - buffer.length % 4) % 4)]);
+    let offset = 128 + 4 + tags.length * 12;
+    const table = Buffer.alloc(4 + tags.length * 12);
+    table.writeUInt32BE(tags.length, 0);
+    const blocks = [];
+    const offsets = {};
+    for (const [signature, buffer] of data) {
+        offsets[signature] = { offset, size: buffer.length };
+        blocks.push(pad(buffer));
+        offset += pad(buffer).length;
+    }
+    offsets.gTRC = offsets.rTRC;
+    offsets.bTRC = offsets.rTRC;
+    tags.forEach((signature, index) => {
+        table.write(signature, 4 + index * 12, 'ascii');
+        table.writeUInt32BE(offsets[signature].offset, 8 + index * 12);
+        table.writeUInt32BE(offsets[signature].size, 12 + index * 12);
+    });
+
+    const header = Buffer.alloc(128);
+    header.writeUInt32BE(offset, 0);
+    header.writeUInt32BE(0x02100000, 8); // version 2.1
+    header.write('mntrRGB XYZ ', 12, 'ascii');
+    [2024, 1, 1, 0, 0, 0].forEach((value, index) => header.writeUInt16BE(value, 24 + index * 2));
+    header.write('acsp', 36, 'ascii');
+    [0.9642, 1.0, 0.8249].forEach((value, index) => header.writeInt32BE(fixed(value), 68 + index * 4));
+
+    return Buffer.concat([header, table, ...blocks]);
+};
+
+const escapeXml = (value = '') => String(value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const extensionProperty = (name, description) => `
+            <rdf:li rdf:parseType="Resource">
+              <pdfaProperty:name>${name}</pdfaProperty:name>
+              <pdfaProperty:valueType>Text</pdfaProperty:valueType>
+              <pdfaProperty:category>external</pdfaProperty:category>
+              <pdfaProperty:description>${description}</pdfaProperty:description>
+            </rdf:li>`;
+
+// XMP metadata of a PDF/A-3B Factur-X invoice (must match the document info dictionary)
+const xmpMetadata = ({ title, profile, date }) => `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+    <rdf:Description rdf:about="" xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/">
+      <pdfaid:part>3</pdfaid:part>
+      <pdfaid:conformance>B</pdfaid:conformance>
+    </rdf:Description>
+    <rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/">
+      <dc:title><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(title)}</rdf:li></rdf:Alt></dc:title>
+    </rdf:Description>
+    <rdf:Description rdf:about="" xmlns:pdf="http://ns.adobe.com/pdf/1.3/">
+      <pdf:Producer>${PRODUCER}</pdf:Producer>
+    </rdf:Description>
+    <rdf:Description rdf:about="" xmlns:xmp="http://ns.adobe.com/xap/1.0/">
+      <xmp:CreatorTool>${PRODUCER}</xmp:CreatorTool>
+      <xmp:CreateDate>${date}</xmp:CreateDate>
+      <xmp:ModifyDate>${date}</xmp:ModifyDate>
+    </rdf:Description>
+    <rdf:Description rdf:about="" xmlns:fx="urn:factur-x:pdfa:CrossIndustryDocument:invoice:1p0#">
+      <fx:DocumentType>INVOICE</fx:DocumentType>
+      <fx:DocumentFileName>${FACTURX_FILE_NAME}</fx:DocumentFileName>
+      <fx:Version>1.0</fx:Version>
+      <fx:ConformanceLevel>${FACTURX_PROFILES[profile].conformance}</fx:ConformanceLevel>
+    </rdf:Description>
+    <rdf:Description rdf:about=""
+        xmlns:pdfaExtension="http://www.aiim.org/pdfa/ns/extension/"
+        xmlns:pdfaSchema="http://www.aiim.org/pdfa/ns/schema#"
+        xmlns:pdfaProperty="http://www.aiim.org/pdfa/ns/property#">
+      <pdfaExtension:schemas>
+        <rdf:Bag>
+          <rdf:li rdf:parseType="Resource">
+            <pdfaSchema:schema>Factur-X PDFA Extension Schema</pdfaSchema:schema>
+            <pdfaSchema:namespaceURI>urn:factur-x:pdfa:CrossIndustryDocument:invoice:1p0#</pdfaSchema:namespaceURI>
+            <pdfaSchema:prefix>fx</pdfaSchema:prefix>
+            <pdfaSchema:property>
+              <rdf:Seq>${[
+                extensionProperty('DocumentFileName', 'name of the embedded XML invoice file'),
+                extensionProperty('DocumentType', 'INVOICE'),
+                extensionProperty('Version', 'The actual version of the Factur-X XML schema'),
+                extensionProperty('ConformanceLevel', 'The conformance level of the embedded Factur-X data'),
+              ].join('')}
+              </rdf:Seq>
+            </pdfaSchema:property>
+          </rdf:li>
+        </rdf:Bag>
+      </pdfaExtension:schemas>
+    </rdf:Description>
+  </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+
+/**
+ * Method to turn a pdf into a Factur-X / ZUGFeRD invoice:
+ * the CII xml is attached as an associated file (AFRelationship Data), with the
+ * PDF/A-3B metadata and sRGB output intent. The page content is kept as is,
+ * so fonts and colours of the original pdf must already suit PDF/A.
+ */
+const embedFacturX = async (pdfBytes, xml, { profile, title = 'Invoice' }) => {
+    const pdf = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+    const context = pdf.context;
+    const now = new Date();
+    now.setMilliseconds(0);
+
+    // embedded xml and its file specification
+    const xmlBytes = Buffer.from(xml, 'utf-8');
+    const embeddedFile = context.register(context.flateStream(xmlBytes, {
+        Type: 'EmbeddedFile',
+        Subtype: 'text/xml',
+        Params: { Size: xmlBytes.length, ModDate: PDFString.fromDate(now) },
+    }));
+    const fileSpec = context.register(context.obj({
+        Type: 'Filespec',
+        F: PDFString.of(FACTURX_FILE_NAME),
+        UF: PDFHexString.fromText(FACTURX_FILE_NAME),
+        Desc: PDFString.of('Factur-X invoice'),
+        AFRelationship: 'Data',
+        EF: { F: embeddedFile, UF: embeddedFile },
+    }));
+    pdf.catalog.set(PDFName.of('AF'), context.obj([fileSpec]));
+    // keep the other name trees (destinations...) of the original pdf
+    const names = pdf.catalog.lookup(PDFName.of('Names')) || context.obj({});
+    names.set(PDFName.of('EmbeddedFiles'), context.obj({ Names: [PDFString.of(FACTURX_FILE_NAME), fileSpec] }));
+    pdf.catalog.set(PDFName.of('Names'), names);
+
+    // PDF/A-3B identification
+    const xmp = xmpMetadata({ title, profile, date: now.toISOString().replace('.000', '') });
+    const metadata = context.stream(Buffer.from(xmp, 'utf-8'), {
+        Type: 'Metadata',
+        Subtype: 'XML',
+    });
+    pdf.catalog.set(PDFName.of('Metadata'), context.register(metadata));
+
+    const iccProfile = srgbProfile();
+    const outputProfile = context.register(context.flateStream(iccProfile, { N: 3 }));
+    pdf.catalog.set(PDFName.of('OutputIntents'), context.obj([{
+        Type: 'OutputIntent',
+        S: 'GTS_PDFA1',
+        OutputConditionIdentifier: PDFString.of('sRGB IEC61966-2.1'),
+        Info: PDFString.of('sRGB IEC61966-2.1'),
+        DestOutputProfile: outputProfile,
+    }]));
+
+    // document info matching the XMP metadata
+    pdf.setTitle(title);
+    pdf.setProducer(PRODUCER);
+    pdf.setCreator(PRODUCER);
+    pdf.setCreationDate(now);
+    pdf.setModificationDate(now);
+
+    // PDF/A requires a file identifier
+    if (!context.trailerInfo.ID) {
+        const id = PDFHexString.of(crypto.randomBytes(16).toString('hex'));
+        context.trailerInfo.ID = context.obj([id, id]);
+    }
+
+    return pdf.save({ useObjectStreams: false });
+};
+
+module.exports = {
+    FACTURX_FILE_NAME,
+    embedFacturX
+}
@@ -0,0 +1,169 @@
+// Checks of the bank and tax identifiers extracted from documents (IBAN, BIC, VAT number)
+// the same checks run in the document form (front/src/utils/identifiers.js)
+
+// IBAN length of each country
+const IBAN_LENGTHS = {
+    AD: 24, AE: 23, AL: 28, AT: 20, AZ: 28, BA: 20, BE: 16, BG: 22, BH: 22, BR: 29, BY: 28, CH: 21, CR: 22,
+    CY: 28, CZ: 24, DE: 22, DK: 18, DO: 28, EE: 20, EG: 29, ES: 24, FI: 18, FO: 18, FR: 27, GB: 22, GE: 22,
+    GI: 23, GL: 18, GR: 27, GT: 28, HR: 21, HU: 28, IE: 22, IL: 23, IQ: 23, IS: 26, IT: 27, JO: 30, KW: 30,
+    KZ: 20, LB: 28, LC: 32, LI: 21, LT: 20, LU: 20, LV: 21, MC: 27, MD: 24, ME: 22, MK: 19, MR: 27, MT: 31,
+    MU: 30, NL: 18, NO: 15, PK: 24, PL: 28, PS: 29, PT: 25, QA: 29, RO: 24, RS: 22, SA: 24, SC: 31, SE: 24,
+    SI: 19, SK: 24, SM: 27, ST: 25, SV: 28, TL: 23, TN: 24, TR: 26, UA: 29, VA: 22, VG: 24, XK: 20,
+};
+
+// VAT number format after the country prefix (EU member states, Northern Ireland and a few neighbours)
+const VAT_FORMATS = {
+    AT: /^U\d{8}$/, BE: /^[01]\d{9}$/, BG: /^\d{9,10}$/, CY: /^\d{8}[A-Z]$/, CZ: /^\d{8,10}$/,
+    DE: /^\d{9}$/, DK: /^\d{8}$/, EE: /^\d{9}$/, EL: /^\d{9}$/, ES: /^[A-Z0-9]\d{7}[A-Z0-9]$/,
+    FI: /^\d{8}$/, FR: /^[A-HJ-NP-Z0-9]{2}\d{9}$/, HR: /^\d{11}$/, HU: /^\d{8}$/,
+    IE: /^\d[A-Z0-9+*]\d{5}[A-Z]{1,2}$/, IT: /^\d{11}$/, LT: /^(\d{9}|\d{12})$/, LU: /^\d{8}$/,
+    LV: /^\d{11}$/, MT: /^\d{8}$/, NL: /^\d{9}B\d{2}$/, PL: /^\d{10}$/, PT: /^\d{9}$/, RO: /^\d{2,10}$/,
+    SE: /^\d{10}01$/, SI: /^\d{8}$/, SK: /^\d{10}$/, XI: /^(\d{9}|\d{12}|GD\d{3}|HA\d{3})$/,
+    GB: /^(\d{9}|\d{12}|GD\d{3}|HA\d{3})$/, CH: /^E\d{9}(MWST|TVA|IVA)?$/, NO: /^\d{9}(MVA)?$/,
+};
+
+const digitsOf = (text) => text.split('').map(Number);
+
+// Method to compute a weighted sum of digits
+const weighted = (digits, weights) => weights.reduce((sum, weight, index) => sum + weight * digits[index], 0);
+
+// Luhn checksum (IT, SE)
+const luhn = (text) => digitsOf(text).reverse()
+    .reduce((sum, digit, index) => sum + (index % 2 ? (digit * 2 > 9 ? digit * 2 - 9 : digit * 2) : digit), 0) % 10 === 0;
+
+// ISO 7064 MOD 11,10 (DE, HR)
+const mod11_10 = (text) => {
+    let product = 10;
+    const digits = digitsOf(text);
+    for (const digit of digits.slice(0, -1)) {
+        const sum = (digit + product) % 10 || 10;
+        product = (2 * sum) % 11;
+    }
+    return (11 - product) % 10 === digits[digits.length - 1];
+};
+
+// Method to compute a big number modulo 97 (IBAN, BE, FR, NL)
+const mod97 = (numeric) => numeric.match(/\d{1,7}/g).reduce((rest, chunk) => Number(`${rest}${chunk}`) % 97, 0);
+
+// Check digits of the VAT numbers, by country (other countries only have their format checked)
+const VAT_CHECKS = {
+    AT: (n) => {
+        const digits = digitsOf(n.slice(1));
+        const sum = digits.slice(0, 7).reduce((total, digit, index) => total + (index % 2 ? Math.floor(digit * 2 / 10) + (digit * 2) % 10 : digit), 0);
+        return (10 - (sum + 4) % 10) % 10 === digits[7];
+    },
+    BE: (n) => 97 - Number(n.slice(0, 8)) % 97 === Number(n.slice(8)),
+    DE: mod11_10,
+    DK: (n) => weighted(digitsOf(n), [2, 7, 6, 5, 4, 3, 2, 1]) % 11 === 0,
+    EE: (n) => (10 - weighted(digitsOf(n), [3, 7, 1, 3, 7, 1, 3, 7]) % 10) % 10 === Number(n[8]),
+    FI: (n) => {
+        const rest = weighted(digitsOf(n), [7, 9, 10, 5, 8, 4, 2]) % 11;
+        return rest !== 1 && (rest ? 11 - rest : 0) === Number(n[7]);
+    },
+    // numeric keys only, the alphanumeric ones cannot be computed from the SIREN
+    FR: (n) => !/^\d{2}/.test(n) || (12 + 3 * (Number(n.slice(2)) % 97)) % 97 === Number(n.slice(0, 2)),
+    HR: mod11_10,
+    IT: luhn,
+    LU: (n) => Number(n.slice(0, 6)) % 89 === Number(n.slice(6)),
+    // 11-test of the former numbers, mod 97 of the numbers issued since 2020
+    NL: (n) => {
+        const rest = weighted(digitsOf(n), [9, 8, 7, 6, 5, 4, 3, 2]) % 11;
+        return (rest < 10 && rest === Number(n[8])) || mod97(`2321${n.replace('B', '11')}`) === 1;
+    },
+    PL: (n) => weighted(digitsOf(n), [6, 5, 7, 2, 3, 4, 5, 6, 7]) % 11 === Number(n[9]),
+    PT: (n) => {
+        const check = 11 - weighted(digitsOf(n), [9, 8, 7, 6, 5, 4, 3, 2]) % 11;
+        return (check >= 10 ? 0 : check) === Number(n[8]);
+    },
+    SE: (n) => luhn(n.slice(0, 10)),
+    SI: (n) => {
+        const check = 11 - weighted(digitsOf(n), [8, 7, 6, 5, 4, 3, 2]) % 11;
+        return check !== 11 && (check === 10 ? 0 : check) === Number(n[7]);
+    },
+    SK: (n) => Number(n) % 11 === 0,
+};
+
+const compact = (value = '') => String(value).replace(/[\s.\-/]/g, '').toUpperCase();
+
+/**
+ * Method to check an IBAN: country length and mod-97 check digits
+ * returns the error message, '' when valid
+ */
+const checkIban = (value) => {
+    const iban = compact(value);
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]+$/.test(iban)) return 'The IBAN shall start with a country code and two check digits.';
+
+    const length = IBAN_LENGTHS[iban.slice(0, 2)];
+    if (!length) return `Unknown IBAN country '${iban.slice(0, 2)}'.`;
+    if (iban.length !== length) return `A ${iban.slice(0, 2)} IBAN has ${length} characters, not ${iban.length}.`;
+
+    const numeric = `${iban.slice(4)}${iban.slice(0, 4)}`.replace(/[A-Z]/g, letter => letter.charCodeAt(0) - 55);
+    return mod97(numeric) === 1 ? '' : 'The IBAN check digits are wrong.';
+};
+
+/**
+ * Method to check a BIC: 4 letters bank code, country code, location and optional branch
+ * returns the error message, '' when valid
+ */
+const checkBic = (value) => {
+    const bic = compact(value);
+    if (!/^[A-Z]{4}[A-Z]{2}[A-Z0-9]{2}([A-Z0-9]{3})?$/.test(bic)) {
+        return 'A BIC has 8 or 11 characters: bank code, country code, location and optional branch.';
+    }
+    return '';
+};
+
+/**
+ * Method to check a VAT number: country prefix, national format and check digits
+ * returns the error message, '' when valid
+ */
+const checkVat = (value) => {
+    const vat = compact(value).replace(/^GR/, 'EL');
+    const country = vat.slice(0, 2);
+    const number = vat.slice(2);
+
+    const format = VAT_FORMATS[country];
+    if (!/^[A-Z]{2}/.test(vat) || !format) return 'The VAT number shall start with a known country code.';
+    if (!format.test(number)) return `The format of the ${country} VAT number is wrong.`;
+
+    const check = VAT_CHECKS[country];
+    return !check || check(number) ? '' : `The ${country} VAT number check digits are wrong.`;
+};
+
+// Method to tell whether a value starts with the country prefix of a VAT number
+const isVatNumber = (value) => !!VAT_FORMATS[compact(value).replace(/^GR/, 'EL').slice(0, 2)];
+
+// Checked fields: the kind of identifier by the end of the field name
+const IDENTIFIER_FIELDS = [
+    { test: /Iban$/i, rule: 'IBAN', check: checkIban },
+    { test: /(Bic|Swift)$/i, rule: 'BIC', check: checkBic },
+    { test: /VatNumber$/i, rule: 'VAT', check: checkVat },
+    // tax ids are not all VAT numbers (SIREN, EIN...): only the ones with a VAT country prefix are checked
+    { test: /TaxId$/i, rule: 'VAT', check: checkVat, applies: isVatNumber },
+];
+
+/**
+ * Method to check the IBAN, BIC and VAT number fields of a document json (empty fields are not checked)
+ * returns [{ rule, field, value, message }], field is the dotted path (Invoice.SupplierIban)
+ */
+const checkIdentifiers = (json = {}) => {
+    const errors = [];
+    const visit = (data, parentKey) => Object.entries(data || {}).forEach(([key, value]) => {
+        const fullKey = parentKey ? `${parentKey}.${key}` : key;
+        if (value && typeof value === 'object') return visit(value, fullKey);
+
+        const identifier = IDENTIFIER_FIELDS.find(({ test }) => test.test(key));
+        const checked = identifier && String(value ?? '').trim() && (!identifier.applies || identifier.applies(value));
+        const message = checked && identifier.check(value);
+        if (message) errors.push({ rule: identifier.rule, field: fullKey, value, message });
+    });
+    visit(json, '');
+    return errors;
+};
+
+module.exports = {
+    checkBic,
+    checkIban,
+    checkIdentifiers,
+    checkVat
+}
@@ -0,0 +1,236 @@
+const fs = require('fs')
+const path = require('path')
+const xml2js = require('xml2js')
+const File = require('../Models/File')
+const { getSupplierName, recordEvent } = require('./audit-log')
+const { recordBaseline } = require('./revisions')
+const { initialStage } = require('./workflow')
+const { UPLOADS_DIR, discardFile, findDuplicate, hashFile, storeCopy } = require('./upload-storage')
+const { fingerprintOf } = require('./duplicates')
+const { matchSupplier } = require('./supplier-matching')
+const { canonicalAmounts, detectNumberLocale } = require('./number-locale')
+const { dateOptionsOf, normalizeDates } = require('./dates')
+require('dotenv').config();
+
+// Watched directory, the worker only starts when it is set
+const INGEST_DIR = process.env.INGEST_DIR || '';
+// Interval between two scans of the watched directory
+const INGEST_POLL_INTERVAL_MS = parseInt(process.env.INGEST_POLL_INTERVAL_MS) || 10 * 1000;
+// Files modified more recently are still being copied
+const INGEST_SETTLE_MS = parseInt(process.env.INGEST_SETTLE_MS) || 5 * 1000;
+// A pdf or xml still alone after this delay is moved to failed/
+const INGEST_ORPHAN_MS = parseInt(process.env.INGEST_ORPHAN_MS) || 60 * 60 * 1000;
+// Customer of the ingested documents (default workflow otherwise)
+const INGEST_CUSTOMER = process.env.INGEST_CUSTOMER || null;
+// Url the uploads folder is served at (express.static)
+const PUBLIC_URL = (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+
+// Root elements of the AI xml, used as the document type
+const DOCUMENT_TYPES = ['Invoice', 'OCR', 'FormParser'];
+
+// Method to tell the part of a bundle a file is, by its extension
+// invoice.pdf, invoice.xml and invoice.json / invoice.vertices.json
+const bundlePart = (fileName) => {
+    const lower = fileName.toLowerCase();
+    if (lower.endsWith('.vertices.json')) return { basename: fileName.slice(0, -'.vertices.json'.length), part: 'vertices' };
+    const part = { '.pdf': 'pdf', '.xml': 'xml', '.json': 'vertices' }[path.extname(lower)];
+    return part ? { basename: fileName.slice(0, -path.extname(fileName).length), part } : null;
+};
+
+// Method to group the files of the watched directory by basename
+// { invoice: { basename, pdf, xml, vertices, modifiedAt } }
+const listBundles = async (directory) => {
+    const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+    const bundles = {};
+
+    for (const entry of entries.filter(entry => entry.isFile())) {
+        const match = bundlePart(entry.name);
+        if (!match) continue;
+
+        const filePath = path.join(directory, entry.name);
+        const { mtimeMs } = await fs.promises.stat(filePath);
+        const bundle = bundles[match.basename] || { basename: match.basename, modifiedAt: 0 };
+        bundle[match.part] = filePath;
+        bundle.modifiedAt = Math.max(bundle.modifiedAt, mtimeMs);
+        bundles[match.basename] = bundle;
+    }
+    return Object.values(bundles);
+};
+
+const bundleFiles = (bundle) => [bundle.pdf, bundle.xml, bundle.vertices].filter(Boolean);
+
+const parseXml = async (filePath) => xml2js.parseStringPromise(await fs.promises.readFile(filePath, 'utf8'), { explicitArray: false });
+
+// Method to copy a file of the bundle to the served uploads folder, under a generated name
+const storeFile = async (filePath) => {
+    const name = await storeCopy(filePath);
+    return { name, link: `${PUBLIC_URL}/${name}` };
+};
+
+// Method to move the files of a bundle to done/ or failed/ (one folder per bundle)
+const archiveBundle = async (directory, bundle, outcome, stamp, report = null) => {
+    const target = path.join(directory, outcome, `${stamp}_${bundle.basename}`);
+    await fs.promises.mkdir(target, { recursive: true });
+    for (const filePath of bundleFiles(bundle)) {
+        await fs.promises.rename(filePath, path.join(target, path.basename(filePath)));
+    }
+    if (report) {
+        await fs.promises.writeFile(path.join(target, 'error.json'), JSON.stringify(report, null, 2));
+    }
+    return target;
+};
+
+// Method to create the document of a complete bundle, as insertDocumentFromAI does
+const ingestBundle = async (bundle, { customer, io }) => {
+    const json = await parseXml(bundle.xml);
+    const type = Object.keys(json || {})[0];
+    if (!DOCUMENT_TYPES.includes(type)) {
+        throw new Error(`Unknown document type '${type}' (expected ${DOCUMENT_TYPES.join(', ')}).`);
+    }
+
+    // invalid vertices fail the bundle, they are only stored as a file (verticesLink) like uploads
+    if (bundle.vertices) {
+        JSON.parse(await fs.promises.readFile(bundle.vertices, 'utf8'));
+    }
+
+    // the same pdf is only imported once
+    const contentHash = await hashFile(bundle.pdf);
+    const duplicate = await findDuplicate(contentHash);
+    if (duplicate) {
+        throw new Error(`Duplicate of document ${duplicate._id} (${duplicate.originalName || duplicate.pdfName}).`);
+    }
+
+    // amounts are stored as canonical decimals, read with the locale of the extraction, and dates as ISO 8601
+    const numberLocale = detectNumberLocale(json);
+    const { json: data, sources: dateSources } = normalizeDates(canonicalAmounts(json, numberLocale), await dateOptionsOf(customer));
+
+    // the copies are removed when the document cannot be created, the bundle is retried from failed/
+    const stored = [];
+    let createdDocument;
+    try {
+        const pdf = await storeFile(bundle.pdf);
+        stored.push(pdf);
+        const xml = await storeFile(bundle.xml);
+        stored.push(xml);
+        const verticesFile = bundle.vertices ? await storeFile(bundle.vertices) : null;
+        if (verticesFile) stored.push(verticesFile);
+
+        // insert file at the first stage of its workflow
+        createdDocument = await File.create({
+            ...await initialStage({ customer, type }),
+            pdfName: pdf.name,
+            pdfLink: pdf.link,
+            originalName: path.basename(bundle.pdf),
+            contentHash,
+            xmlName: xml.name,
+            xmlLink: xml.link,
+            dataXml: JSON.stringify(data),
+            numberLocale,
+            dateSources,
+            ...(verticesFile) && { verticesLink: verticesFile.link },
+            supplierName: getSupplierName(json),
+            fingerprint: fingerprintOf(data),
+            supplierMatch: await matchSupplier(json, customer),
+            createdBy: 'watch-folder',
+            type,
+            customer
+        });
+    } catch (error) {
+        await Promise.all(stored.map(file => discardFile(path.join(UPLOADS_DIR, file.name))));
+        throw error;
+    }
+
+    // keep the AI extraction as the baseline of the revisions
+    await recordBaseline(createdDocument._id, json);
+    await recordEvent({
+        document: createdDocument._id,
+        action: 'upload',
+        details: { source: 'watch-folder', type, pdf: path.basename(bundle.pdf), xml: path.basename(bundle.xml) }
+    });
+
+    // get document with populated fields
+    const newDocument = await File.findById(createdDocument._id)
+        .populate('lockedBy')
+        .populate('validatedBy.$*')
+        .populate('returnedBy');
+
+    if (io) io.emit('document-incoming', newDocument);
+    return createdDocument;
+};
+
+/**
+ * Method to ingest the bundles of a directory once
+ * options: { customer, io, settleMs, orphanMs } (0 delays take every bundle now, for backfills)
+ * returns { done: [{ basename, document }], failed: [{ basename, error }], pending: [basename] }
+ */
+const ingestDirectory = async (directory = INGEST_DIR, {
+    customer = INGEST_CUSTOMER,
+    io = null,
+    settleMs = INGEST_SETTLE_MS,
+    orphanMs = INGEST_ORPHAN_MS
+} = {}) => {
+    const result = { done: [], failed: [], pending: [] };
+    const now = Date.now();
+
+    for (const bundle of await listBundles(directory)) {
+        const age = now - bundle.modifiedAt;
+        const complete = bundle.pdf && bundle.xml;
+
+        // still being copied, or waiting for its other half
+        if (age < settleMs || (!complete && age < orphanMs)) {
+            result.pending.push(bundle.basename);
+            continue;
+        }
+
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        let document;
+        try {
+            if (!complete) {
+                throw new Error(`Missing ${bundle.pdf ? 'xml' : 'pdf'} file for '${bundle.basename}'.`);
+            }
+            document = await ingestBundle(bundle, { customer, io });
+        } catch (error) {
+            console.error(`Erreur lors de l'import du lot ${bundle.basename}:`, error.message);
+            await archiveBundle(directory, bundle, 'failed', stamp, {
+                basename: bundle.basename,
+                files: bundleFiles(bundle).map(filePath => path.basename(filePath)),
+                error: error.message,
+                failedAt: new Date()
+            }).catch(archiveError => console.error(`Impossible de déplacer le lot ${bundle.basename}:`, archiveError.message));
+            result.failed.push({ basename: bundle.basename, error: error.message });
+            continue;
+        }
+
+        // the document exists: a bundle that cannot be moved is only logged
+        await archiveBundle(directory, bundle, 'done', stamp)
+            .catch(archiveError => console.error(`Impossible de déplacer le lot ${bundle.basename}:`, archiveError.message));
+        result.done.push({ basename: bundle.basename, document: document._id.toString() });
+    }
+
+    return result;
+};
+
+// Method to start the periodic scan of the watched directory
+const startIngestWorker = (io, directory = INGEST_DIR) => {
+    if (!directory) return null;
+
+    let running = false;
+    return setInterval(async () => {
+        // a slow scan is not started twice
+        if (running) return;
+        running = true;
+        try {
+            await ingestDirectory(directory, { io });
+        } catch (error) {
+            console.error('Erreur lors du scan du dossier d\'import:', error);
+        } finally {
+            running = false;
+        }
+    }, INGEST_POLL_INTERVAL_MS);
+};
+
+module.exports = {
+    DOCUMENT_TYPES,
+    ingestDirectory,
+    startIngestWorker
+}
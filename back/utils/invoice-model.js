@@ -0,0 +1,220 @@
+const { formatAmount, parseAmount, roundAmount } = require('./amounts')
+const { isCurrency, minorUnits } = require('./currencies')
+const { toIsoDate } = require('./dates')
+
+// Electronic address schemes (EAS) of the VAT numbers, by country prefix
+const VAT_SCHEMES = {
+    AD: '9922', AL: '9923', AT: '9914', BA: '9924', BE: '9925', BG: '9926', CH: '9927', CY: '9928',
+    CZ: '9929', DE: '9930', EE: '9931', ES: '9920', FI: '0213', FR: '9957', GB: '9932', GR: '9933',
+    HR: '9934', HU: '9910', IE: '9935', IT: '0211', LI: '9936', LT: '9937', LU: '9938', LV: '9939',
+    MC: '9940', ME: '9941', MK: '9942', MT: '9943', NL: '9944', PL: '9945', PT: '9946', RO: '9947',
+    RS: '9948', SE: '9955', SI: '9949', SK: '9950', SM: '9951', TR: '9952', VA: '9953',
+};
+
+// Allowed difference between a total and the sum of its parts: one minor unit of the currency (0.01 EUR, 1 JPY)
+const toleranceOf = (currency) => 1 / 10 ** minorUnits(currency);
+
+const CREDIT_NOTE_TYPES = /credit|avoir|gutschrift|abono|nota di credito|creditnota/i;
+
+// Method to read the text of an extracted value (xml2js '_' text, repeated values...)
+const text = (value) => {
+    if (Array.isArray(value)) value = value[0];
+    if (value && typeof value === 'object') value = value._;
+    return value === undefined || value === null ? '' : String(value).trim();
+};
+
+// First extracted value among several possible field names
+const pick = (source = {}, keys) => keys.map(key => text(source[key])).find(Boolean) || '';
+
+const amountOf = (source, keys) => {
+    const value = pick(source, keys);
+    return value ? parseAmount(value) : null;
+};
+
+const asList = (value) => [].concat(value ?? []).filter(item => item && typeof item === 'object');
+
+// Country code of a VAT number (Greece uses EL)
+const countryOfVat = (vat) => {
+    const prefix = vat.replace(/\s/g, '').toUpperCase().match(/^([A-Z]{2})/)?.[1];
+    return prefix === 'EL' ? 'GR' : prefix || '';
+};
+
+// Method to split a one line address into street, postal code and city when possible
+// 'Rue de la Loi 16, 1000 Bruxelles' -> { street: 'Rue de la Loi 16', postalZone: '1000', city: 'Bruxelles' }
+const splitAddress = (address) => {
+    const parts = address.split(/,|\n/).map(part => part.trim()).filter(Boolean);
+    const last = parts[parts.length - 1] || '';
+    const match = parts.length > 1 && last.match(/^([A-Z]{0,2}-?\d{4,5}(?:\s?[A-Z]{2})?)\s+(.+)$/);
+    if (!match) return { street: address.trim(), postalZone: '', city: '' };
+    return { street: parts.slice(0, -1).join(', '), postalZone: match[1], city: match[2] };
+};
+
+const partyOf = (section, prefix) => {
+    const taxId = pick(section, [`${prefix}TaxId`, `${prefix}Vat`]).replace(/[^a-zA-Z0-9]/g, '').toUpperCase();
+    const country = countryOfVat(taxId);
+    return {
+        name: pick(section, [`${prefix}Name`]),
+        address: splitAddress(pick(section, [`${prefix}Address`])),
+        taxId,
+        country,
+        registration: pick(section, [`${prefix}Registration`]),
+        email: pick(section, [`${prefix}Email`]),
+        phone: pick(section, [`${prefix}Phone`]),
+        endpoint: taxId && VAT_SCHEMES[country] ? { id: taxId, scheme: VAT_SCHEMES[country] } : null,
+    };
+};
+
+const rateOf = (value) => {
+    const rate = parseAmount(text(value).replace('%', ''));
+    return rate === null ? null : roundAmount(rate);
+};
+
+/**
+ * Method to read the invoice model of a validated json ({ Invoice: { InvoiceId, LineItem... } })
+ * amounts are positive, credit notes are told by their type or a negative total
+ */
+const readInvoice = (json = {}) => {
+    const section = json.Invoice || Object.values(json).find(value => value && typeof value === 'object') || {};
+
+    const total = amountOf(section, ['TotalAmount', 'InvoiceTotal']);
+    const isCreditNote = CREDIT_NOTE_TYPES.test(pick(section, ['InvoiceType'])) || (total !== null && total < 0);
+    const abs = (value) => value === null ? null : Math.abs(value);
+
+    const vat = asList(section.Vat).map(row => ({
+        rate: rateOf(pick(row, ['VatRate', 'VatTaxRate', 'VatPercentage', 'VatCode'])),
+        taxable: abs(amountOf(row, ['VatNetAmount', 'VatBaseAmount', 'VatTaxableAmount'])),
+        tax: abs(amountOf(row, ['VatTaxAmount', 'VatAmount'])),
+    }));
+
+    const lines = asList(section.LineItem).map(row => ({
+        name: pick(row, ['LineItemDescription', 'LineItemName']),
+        productCode: pick(row, ['LineItemProductCode']),
+        quantity: abs(amountOf(row, ['LineItemQuantity'])),
+        unitPrice: abs(amountOf(row, ['LineItemUnitPrice'])),
+        amount: abs(amountOf(row, ['LineItemAmount'])),
+        rate: rateOf(pick(row, ['LineItemTaxRate', 'LineItemVatRate'])),
+    }));
+
+    return {
+        documentType: isCreditNote ? 'CreditNote' : 'Invoice',
+        id: pick(section, ['InvoiceId']),
+        issueDate: toIsoDate(pick(section, ['InvoiceDate'])),
+        dueDate: toIsoDate(pick(section, ['DueDate'])),
+        currency: pick(section, ['Currency']).toUpperCase(),
+        purchaseOrder: pick(section, ['PurchaseOrder']),
+        paymentTerms: pick(section, ['PaymentTerms']),
+        net: abs(amountOf(section, ['NetAmount'])),
+        tax: abs(amountOf(section, ['TotalTaxAmount'])),
+        total: abs(total),
+        supplier: { ...partyOf(section, 'Supplier'), iban: pick(section, ['SupplierIban']).replace(/\s/g, '').toUpperCase() },
+        receiver: partyOf(section, 'Receiver'),
+        vat,
+        lines,
+    };
+};
+
+// Method to compute the VAT breakdown: the extracted one, or a single rate from the totals
+const vatBreakdown = (invoice) => {
+    const extracted = invoice.vat.filter(row => row.rate !== null || row.tax !== null);
+    if (extracted.length) {
+        return extracted.map(row => ({
+            rate: row.rate ?? (row.taxable ? roundAmount(row.tax / row.taxable * 100) : 0),
+            taxable: row.taxable ?? (row.rate ? roundAmount(row.tax * 100 / row.rate, invoice.currency) : invoice.net),
+            tax: row.tax ?? roundAmount((row.taxable ?? 0) * (row.rate ?? 0) / 100, invoice.currency),
+        }));
+    }
+    if (invoice.net === null || invoice.tax === null) return [];
+    return [{ rate: invoice.net ? roundAmount(invoice.tax / invoice.net * 100) : 0, taxable: invoice.net, tax: invoice.tax }];
+};
+
+const lineRate = (line, breakdown) => line.rate ?? (breakdown.length === 1 ? breakdown[0].rate : null);
+
+const differs = (a, b, currency) => Math.abs(roundAmount(a, currency) - roundAmount(b, currency)) > toleranceOf(currency) + Number.EPSILON;
+
+/**
+ * Method to check the invoice model against the EN 16931 / Peppol BIS Billing 3.0 rules we can map
+ * (PEPPOL- rules only apply to UBL)
+ * returns [{ rule, field, message }]
+ */
+const validateInvoice = (invoice) => {
+    const errors = [];
+    const error = (rule, field, message) => errors.push({ rule, field, message });
+    const breakdown = vatBreakdown(invoice);
+
+    if (!invoice.id) error('BR-02', 'InvoiceId', 'An invoice shall have an invoice number.');
+    if (!invoice.issueDate) error('BR-03', 'InvoiceDate', 'An invoice shall have a valid issue date.');
+    if (!isCurrency(invoice.currency)) error('BR-05', 'Currency', 'An invoice shall have an ISO 4217 currency code.');
+    if (!invoice.supplier.name) error('BR-06', 'SupplierName', 'An invoice shall contain the seller name.');
+    if (!invoice.receiver.name) error('BR-07', 'ReceiverName', 'An invoice shall contain the buyer name.');
+    if (!invoice.supplier.country) error('BR-09', 'SupplierTaxId', 'The seller country code cannot be read from the seller VAT number.');
+    if (!invoice.receiver.country) error('BR-11', 'ReceiverTaxId', 'The buyer country code cannot be read from the buyer VAT number.');
+    if (!invoice.purchaseOrder) error('PEPPOL-EN16931-R003', 'PurchaseOrder', 'A buyer reference or purchase order reference must be provided.');
+    if (!invoice.supplier.endpoint) error('PEPPOL-EN16931-R020', 'SupplierTaxId', 'The seller electronic address (VAT number) must be provided.');
+    if (!invoice.receiver.endpoint) error('PEPPOL-EN16931-R010', 'ReceiverTaxId', 'The buyer electronic address (VAT number) must be provided.');
+    if (invoice.dueDate === null && invoice.documentType === 'Invoice' && invoice.total && !invoice.paymentTerms) {
+        error('BR-CO-25', 'DueDate', 'A due date or payment terms shall be provided when an amount is due.');
+    }
+
+    if (!invoice.lines.length) error('BR-16', 'LineItem', 'An invoice shall have at least one invoice line.');
+    invoice.lines.forEach((line, index) => {
+        const field = (name) => `LineItem.${index}.${name}`;
+        if (line.quantity === null) error('BR-22', field('LineItemQuantity'), `Line ${index + 1} shall have an invoiced quantity.`);
+        if (line.amount === null) error('BR-24', field('LineItemAmount'), `Line ${index + 1} shall have a net amount.`);
+        if (!line.name) error('BR-25', field('LineItemDescription'), `Line ${index + 1} shall have an item name.`);
+        if (line.unitPrice === null) error('BR-26', field('LineItemUnitPrice'), `Line ${index + 1} shall have a net price.`);
+        if (lineRate(line, breakdown) === null) error('BR-CO-04', field('LineItemTaxRate'), `Line ${index + 1} shall have a VAT rate.`);
+    });
+
+    if (invoice.total === null) error('BR-14', 'TotalAmount', 'An invoice shall have the amount due with VAT.');
+    if (!breakdown.length) error('BR-CO-18', 'Vat', 'An invoice shall have at least one VAT breakdown.');
+
+    const lineTotal = invoice.lines.reduce((sum, line) => sum + (line.amount ?? 0), 0);
+    const taxExclusive = invoice.net ?? lineTotal;
+    const taxTotal = breakdown.reduce((sum, row) => sum + row.tax, 0);
+    const { currency } = invoice;
+
+    if (invoice.lines.length && invoice.net !== null && differs(lineTotal, invoice.net, currency)) {
+        error('BR-CO-13', 'NetAmount', `The sum of the line amounts (${formatAmount(lineTotal, currency)}) differs from the net amount (${formatAmount(invoice.net, currency)}).`);
+    }
+    if (invoice.tax !== null && breakdown.length && differs(taxTotal, invoice.tax, currency)) {
+        error('BR-CO-14', 'TotalTaxAmount', `The sum of the VAT breakdown (${formatAmount(taxTotal, currency)}) differs from the total VAT amount (${formatAmount(invoice.tax, currency)}).`);
+    }
+    if (invoice.total !== null && differs(taxExclusive + (invoice.tax ?? taxTotal), invoice.total, currency)) {
+        error('BR-CO-15', 'TotalAmount', `The total amount shall be the net amount plus the VAT amount (${formatAmount(taxExclusive + (invoice.tax ?? taxTotal), currency)}).`);
+    }
+    breakdown.forEach((row, index) => {
+        if (differs(row.taxable * row.rate / 100, row.tax, currency)) {
+            error('BR-S-09', `Vat.${index}`, `The VAT amount at ${row.rate} % shall be the taxable amount times the rate (${formatAmount(row.taxable * row.rate / 100, currency)}).`);
+        }
+    });
+
+    return errors;
+};
+
+// Method to drop the empty elements before building the xml (undefined, null, '', {})
+// EMPTY_ELEMENT is kept: schemas needing an element even without content
+const EMPTY_ELEMENT = Object.freeze({});
+
+const compact = (value) => {
+    if (value === EMPTY_ELEMENT) return value;
+    if (Array.isArray(value)) {
+        const items = value.map(compact).filter(item => item !== undefined);
+        return items.length ? items : undefined;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.entries(value)
+            .map(([key, child]) => [key, compact(child)])
+            .filter(([, child]) => child !== undefined);
+        return entries.some(([key]) => key !== '$') ? Object.fromEntries(entries) : undefined;
+    }
+    return value === null || value === '' || value === false ? undefined : value;
+};
+
+module.exports = {
+    EMPTY_ELEMENT,
+    compact,
+    lineRate,
+    readInvoice,
+    validateInvoice,
+    vatBreakdown
+}
@@ -0,0 +1,216 @@
+const { toIsoDate } = require('./dates')
+
+// Machine readable zone of travel documents (ICAO 9303)
+//   TD3 (passports):   2 lines of 44 characters
+//   TD1 (ID cards):    3 lines of 30 characters
+// the OCR text may hold the lines on one line or with spaces, they are read from the text without spaces
+
+// Fields of the extraction holding the MRZ, captured from the image or filled by the OCR
+const MRZ_KEYS = ['MachineReadableZone', 'MRZ', 'Mrz'];
+
+const TD3 = /P[A-Z<][A-Z<]{3}[A-Z<]{39}[A-Z0-9<]{44}/;
+const TD1 = /[ACI][A-Z<][A-Z<]{3}[A-Z0-9<]{25}[A-Z0-9<]{30}[A-Z<]{30}/;
+
+// Form fields compared with the MRZ
+const FIELDS = {
+    documentNumber: 'PassportNumber',
+    birthDate: 'DateOfBirth',
+    expiryDate: 'ExpiryDate',
+    name: 'Name',
+    sex: 'Gender',
+    nationality: 'CurrentCitizenship',
+};
+
+const text = (value) => {
+    if (Array.isArray(value)) value = value.join(' ');
+    if (value && typeof value === 'object') value = value._;
+    return value === undefined || value === null ? '' : String(value).trim();
+};
+
+// Value of a character in a check digit: 0-9, A = 10 ... Z = 35, < = 0
+const charValue = (char) => {
+    if (/\d/.test(char)) return Number(char);
+    if (/[A-Z]/.test(char)) return char.charCodeAt(0) - 55;
+    return 0;
+};
+
+// Method to compute the check digit of a value (weights 7, 3, 1)
+const checkDigit = (value) => String(value.split('').reduce((sum, char, index) => sum + charValue(char) * [7, 3, 1][index % 3], 0) % 10);
+
+// Method to read a YYMMDD date, expiry dates are in this century unless far away, birth dates are in the past
+const mrzDate = (value, kind) => {
+    if (!/^\d{6}$/.test(value)) return null;
+    const year = Number(value.slice(0, 2));
+    const current = new Date().getFullYear() % 100;
+    const century = kind === 'expiry' ? (year > current + 50 ? 1900 : 2000) : (year > current ? 1900 : 2000);
+    const iso = `${century + year}-${value.slice(2, 4)}-${value.slice(4, 6)}`;
+    return toIsoDate(iso);
+};
+
+const clean = (value) => value.replace(/</g, ' ').trim();
+
+// Names: 'DUPONT<<JEAN<PIERRE' (the primary and secondary identifiers), truncated when they end with a letter
+const readNames = (value) => {
+    const [surname = '', givenNames = ''] = value.split('<<');
+    return { surname: clean(surname), givenNames: clean(givenNames), truncated: !value.endsWith('<') };
+};
+
+const check = (field, value, digit) => ({ field, valid: checkDigit(value) === digit });
+
+const readTd3 = (mrz) => {
+    const [line1, line2] = [mrz.slice(0, 44), mrz.slice(44)];
+    const optional = line2.slice(28, 42);
+    return {
+        format: 'TD3',
+        lines: [line1, line2],
+        documentType: clean(line1.slice(0, 2)),
+        issuingCountry: clean(line1.slice(2, 5)),
+        ...readNames(line1.slice(5)),
+        documentNumber: clean(line2.slice(0, 9)),
+        nationality: clean(line2.slice(10, 13)),
+        birthDate: mrzDate(line2.slice(13, 19), 'birth'),
+        sex: clean(line2.slice(20, 21)),
+        expiryDate: mrzDate(line2.slice(21, 27), 'expiry'),
+        personalNumber: clean(optional),
+        checks: [
+            check('documentNumber', line2.slice(0, 9), line2[9]),
+            check('birthDate', line2.slice(13, 19), line2[19]),
+            check('expiryDate', line2.slice(21, 27), line2[27]),
+            // an empty personal number may have a '<' check digit
+            ...(/^<+$/.test(optional) && line2[42] === '<' ? [] : [check('personalNumber', optional, line2[42])]),
+            check('composite', line2.slice(0, 10) + line2.slice(13, 20) + line2.slice(21, 43), line2[43]),
+        ],
+    };
+};
+
+const readTd1 = (mrz) => {
+    const [line1, line2, line3] = [mrz.slice(0, 30), mrz.slice(30, 60), mrz.slice(60)];
+    // a number longer than 9 characters goes on in the optional data, with its check digit last ('<' in place of the digit)
+    const long = line1[14] === '<';
+    const rest = long ? line1.slice(15).split('<')[0] : '';
+    const number = long ? line1.slice(5, 14) + rest.slice(0, -1) : line1.slice(5, 14);
+    const numberDigit = long ? rest.slice(-1) : line1[14];
+    return {
+        format: 'TD1',
+        lines: [line1, line2, line3],
+        documentType: clean(line1.slice(0, 2)),
+        issuingCountry: clean(line1.slice(2, 5)),
+        documentNumber: clean(number),
+        birthDate: mrzDate(line2.slice(0, 6), 'birth'),
+        sex: clean(line2.slice(7, 8)),
+        expiryDate: mrzDate(line2.slice(8, 14), 'expiry'),
+        nationality: clean(line2.slice(15, 18)),
+        personalNumber: clean(long ? line1.slice(15 + rest.length) : line1.slice(15)),
+        ...readNames(line3),
+        checks: [
+            check('documentNumber', number, numberDigit),
+            check('birthDate', line2.slice(0, 6), line2[6]),
+            check('expiryDate', line2.slice(8, 14), line2[14]),
+            check('composite', line1.slice(5) + line2.slice(0, 7) + line2.slice(8, 15) + line2.slice(18, 29), line2[29]),
+        ],
+    };
+};
+
+/**
+ * Method to read the MRZ of a text (captured image or OCR text)
+ * returns { format, lines, documentType, issuingCountry, surname, givenNames, documentNumber, nationality, birthDate, sex, expiryDate, personalNumber, checks: [{ field, valid }] }
+ * or null when the text holds no MRZ
+ */
+const parseMrz = (value = '') => {
+    const compacted = text(value).toUpperCase().replace(/[«‹]/g, '<').replace(/\s+/g, '');
+    const td3 = compacted.match(TD3);
+    if (td3) return readTd3(td3[0]);
+    const td1 = compacted.match(TD1);
+    return td1 ? readTd1(td1[0]) : null;
+};
+
+// Method to find the MRZ of a document: in its MRZ field, or in any text of the section (OCR text)
+const findMrz = (section = {}) => {
+    const field = MRZ_KEYS.find(key => text(section[key]));
+    if (field) return { field, mrz: parseMrz(section[field]) };
+    const found = Object.entries(section)
+        .filter(([, value]) => typeof value === 'string' || typeof value?._ === 'string')
+        .map(([key, value]) => ({ field: key, mrz: parseMrz(value) }))
+        .find(({ mrz }) => mrz);
+    return found || { field: MRZ_KEYS[0], mrz: null };
+};
+
+// Names are compared word by word without accents (ICAO transliteration: Ü = UE or U, ß = SS)
+const nameWords = (value, expand = false) => {
+    let name = text(value).toUpperCase();
+    if (expand) name = name.replace(/Ä/g, 'AE').replace(/Ö/g, 'OE').replace(/Ü/g, 'UE');
+    return name
+        .replace(/ß/g, 'SS').replace(/Æ/g, 'AE').replace(/Ø/g, 'OE')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .split(/[^A-Z]+/)
+        .filter(Boolean);
+};
+
+// every word of the MRZ is in the name of the form, the last one may be truncated
+const sameName = (mrz, value) => [false, true].some(expand => {
+    const words = nameWords(value, expand);
+    const mrzWords = [...nameWords(mrz.surname), ...nameWords(mrz.givenNames)];
+    return mrzWords.length > 0 && mrzWords.every((word, index) => words.includes(word)
+        || (mrz.truncated && index === mrzWords.length - 1 && words.some(name => name.startsWith(word))));
+});
+
+// Gender of the form: M, F, Male, Female, Homme, Femme...
+const sexOf = (value) => {
+    const first = text(value).toUpperCase().charAt(0);
+    if (['M', 'H'].includes(first)) return 'M';
+    if (first === 'F') return 'F';
+    return '';
+};
+
+const compact = (value) => text(value).toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Method to compare the MRZ with the form fields and check the travel document
+ * returns [{ rule, field, message }], field is the dotted path (FormParser.PassportNumber)
+ */
+const checkMrz = (json = {}, type = 'FormParser', today = new Date().toISOString().slice(0, 10)) => {
+    const section = json?.[type] || {};
+    const { field, mrz } = findMrz(section);
+    const errors = [];
+    const error = (rule, key, message) => errors.push({ rule, field: `${type}.${key}`, message });
+
+    if (!mrz && MRZ_KEYS.includes(field) && text(section[field])) {
+        error('MRZ-00', field, 'The MRZ cannot be read, 2 lines of 44 or 3 lines of 30 characters are expected.');
+    }
+
+    if (mrz) {
+        mrz.checks.filter(item => !item.valid).forEach(item => {
+            error('MRZ-01', field, `The check digit of the ${item.field} of the MRZ is invalid.`);
+        });
+
+        const compare = (key, same) => {
+            const value = text(section[FIELDS[key]]);
+            if (value && mrz[key] && !same(value)) error('MRZ-02', FIELDS[key], `${FIELDS[key]} differs from the MRZ (${mrz[key]}).`);
+        };
+        compare('documentNumber', value => compact(value) === compact(mrz.documentNumber));
+        compare('birthDate', value => toIsoDate(value) === mrz.birthDate);
+        compare('expiryDate', value => toIsoDate(value) === mrz.expiryDate);
+        compare('sex', value => !sexOf(value) || !['M', 'F'].includes(mrz.sex) || sexOf(value) === mrz.sex);
+        // citizenships are compared when the form holds the ISO 3166 code (FRA)
+        compare('nationality', value => !/^[A-Z]{3}$/i.test(value) || value.toUpperCase() === mrz.nationality);
+
+        const name = text(section[FIELDS.name]);
+        if (name && !sameName(mrz, name)) {
+            error('MRZ-02', FIELDS.name, `${FIELDS.name} differs from the MRZ (${[mrz.surname, mrz.givenNames].filter(Boolean).join(', ')}).`);
+        }
+    }
+
+    const expiry = mrz?.expiryDate || toIsoDate(text(section[FIELDS.expiryDate]));
+    if (expiry && expiry < today) error('MRZ-03', FIELDS.expiryDate, `The travel document expired on ${expiry}.`);
+
+    return errors;
+};
+
+module.exports = {
+    MRZ_KEYS,
+    checkDigit,
+    checkMrz,
+    findMrz,
+    parseMrz
+}
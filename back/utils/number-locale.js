@@ -0,0 +1,106 @@
+const { CANONICAL, NUMBER_LOCALES, isAmountKey, toCanonical } = require('./amounts')
+const { normalizeLists } = require('./revisions')
+
+// Locale of the amounts when the extraction does not tell
+const DEFAULT_LOCALE = 'de-DE';
+
+// Usual number locale of a currency
+const CURRENCY_LOCALES = {
+    EUR: 'de-DE',
+    GBP: 'en-GB',
+    USD: 'en-US',
+    CHF: 'de-CH',
+};
+
+// Method to list the extracted amounts of a json ([key, value])
+const amountValues = (value, key = '') => {
+    if (Array.isArray(value)) return value.flatMap(child => amountValues(child, key));
+    if (value && typeof value === 'object') return Object.entries(value).flatMap(([child, node]) => amountValues(node, child));
+    return isAmountKey(key) && typeof value === 'string' ? [value] : [];
+};
+
+// Method to find the first value of a key in a json (Invoice.Currency)
+const findValue = (value, key) => {
+    if (!value || typeof value !== 'object') return undefined;
+    if (!Array.isArray(value) && typeof value[key] === 'string') return value[key];
+    for (const child of Object.values(value)) {
+        const found = findValue(child, key);
+        if (found !== undefined) return found;
+    }
+    return undefined;
+};
+
+/**
+ * Method to guess the number locale of an extracted json
+ * the separator followed by one or two digits at the end of the amounts is the decimal one,
+ * '1 234,56' is French and "1'234.56" Swiss, the currency decides when the amounts do not tell
+ */
+const detectNumberLocale = (json = {}) => {
+    const votes = { ',': 0, '.': 0 };
+    let spaced = false;
+    let apostrophe = false;
+
+    amountValues(json).forEach(value => {
+        const text = value.replace(/[^\d.,'’\s-]/g, '').trim();
+        const decimal = text.match(/([.,])\d{1,2}$/) || (/\d\.\d+,|\d,\d+\./.test(text) && text.match(/([.,])\d+$/));
+        if (decimal) votes[decimal[1]] += 1;
+        if (/\d\s\d{3}/.test(text)) spaced = true;
+        if (/\d['’]\d{3}/.test(text)) apostrophe = true;
+    });
+
+    const byCurrency = CURRENCY_LOCALES[String(findValue(json, 'Currency') || '').trim().toUpperCase()];
+    const separator = votes[','] > votes['.'] ? ',' : votes['.'] > votes[','] ? '.' : null;
+
+    if (!separator) return byCurrency || DEFAULT_LOCALE;
+    if (separator === ',' && spaced) return 'fr-FR';
+    if (separator === '.' && apostrophe) return 'de-CH';
+    if (byCurrency && NUMBER_LOCALES[byCurrency].decimal === separator) return byCurrency;
+    return separator === ',' ? DEFAULT_LOCALE : 'en-GB';
+};
+
+// Method to store the amounts of a json as canonical decimals, read with a number locale
+const canonicalAmounts = (value, locale, key = '') => {
+    if (Array.isArray(value)) return value.map(child => canonicalAmounts(child, locale, key));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([child, node]) => [child, canonicalAmounts(node, locale, child)]));
+    }
+    return isAmountKey(key) && typeof value === 'string' ? toCanonical(value, locale) : value;
+};
+
+// Method to store the amounts of an edited json as canonical decimals
+// the form sends canonical decimals, which are kept; amounts still written with separators are read with the number locale
+const canonicalEdits = (json, locale) => {
+    const walk = (value, key) => {
+        if (Array.isArray(value)) return value.map(child => walk(child, key));
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([child, node]) => [child, walk(node, child)]));
+        }
+        return isAmountKey(key) && typeof value === 'string' && !CANONICAL.test(value.trim()) ? toCanonical(value, locale) : value;
+    };
+    return walk(json, '');
+};
+
+/**
+ * Method to read the amounts of a json again with another number locale
+ * each amount is read again from the AI extraction, the amounts the agent changed are kept
+ */
+const relocalize = (json, baseline, from, to) => {
+    const walk = (value, extracted, key) => {
+        if (Array.isArray(value)) return value.map((child, index) => walk(child, Array.isArray(extracted) ? extracted[index] : undefined, key));
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([child, node]) => [child, walk(node, extracted?.[child], child)]));
+        }
+        if (!isAmountKey(key) || typeof extracted !== 'string') return value;
+        return toCanonical(extracted, from) === value ? toCanonical(extracted, to) : value;
+    };
+    return walk(json, normalizeLists(baseline), '');
+};
+
+module.exports = {
+    CURRENCY_LOCALES,
+    DEFAULT_LOCALE,
+    canonicalAmounts,
+    canonicalEdits,
+    detectNumberLocale,
+    relocalize
+}
@@ -0,0 +1,218 @@
+const File = require('../Models/File')
+const { parseData } = require('./audit-log')
+const { parseAmount } = require('./amounts')
+const { toIsoDate } = require('./dates')
+
+// Suggestions of the dynamic key of each OCR text fragment, learned from the documents of the customer
+// already validated: where the fragment is on the page, the label next to it and the shape of its value
+
+// Weight of each criterion in the similarity of a fragment with a validated one
+const WEIGHTS = { position: 0.4, label: 0.35, pattern: 0.25 };
+
+// Fragments further than this (share of the page) are not at the same place
+const MAX_DISTANCE = 0.2;
+
+// Validated documents of another supplier of the customer count a bit less
+const OTHER_SUPPLIER = 0.85;
+
+// Suggestions below this confidence are not made
+const MIN_CONFIDENCE = 0.5;
+
+// Validated documents learned from (the most recent ones)
+const MAX_DOCUMENTS = 50;
+
+// Documents a confidence is averaged on, a key found in one document only is less certain
+const AGREEMENT = 3;
+
+const text = (value) => {
+    if (Array.isArray(value)) value = value.join(' ');
+    if (value && typeof value === 'object') value = value._ ?? value.value;
+    return value === undefined || value === null ? '' : String(value).replace(/\s+/g, ' ').trim();
+};
+
+const words = (value) => value
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter(word => word.length > 1);
+
+// Method to read the text fragments of an OCR document [{ id, value }] (stored as such once saved)
+const fragmentsOf = (json = {}) => {
+    const section = json.OCR;
+    if (Array.isArray(section) && section.every(item => item && typeof item === 'object' && 'id' in item)) {
+        return section.map(item => ({ id: item.id, value: text(item.value) }));
+    }
+    return Object.values(section || {}).flat().map((value, id) => ({ id, value: text(value) }));
+};
+
+// Method to read the center of the box of each fragment { [id]: { page, x, y } } from the vertices of the document
+const positionsOf = (vertices) => {
+    const list = typeof vertices === 'string' ? parseData(vertices) : vertices;
+    if (!Array.isArray(list)) return {};
+    return Object.fromEntries(list
+        .filter(item => Array.isArray(item?.vertices) && item.vertices.length && (typeof item.key === 'number' || /^\d+$/.test(item.key)))
+        .map(item => {
+            const xs = item.vertices.map(point => point.x || 0);
+            const ys = item.vertices.map(point => point.y || 0);
+            return [item.key, {
+                page: item.page || 0,
+                x: (Math.min(...xs) + Math.max(...xs)) / 2,
+                y: (Math.min(...ys) + Math.max(...ys)) / 2,
+            }];
+        }));
+};
+
+// Method to tell the kind of a value: date, amount, number, email or text
+const kindOf = (value) => {
+    if (/^\S+@\S+\.\S+$/.test(value)) return 'email';
+    if (/\d/.test(value) && toIsoDate(value)) return 'date';
+    if (/^\d+$/.test(value.replace(/\s/g, ''))) return 'number';
+    if (/\d[.,]\d{2}\b/.test(value) && parseAmount(value) !== null) return 'amount';
+    return 'text';
+};
+
+// Shape of a value: letters as 'a', digits as '9' ('12/03/2024' -> '9/9/9', 'INV-0042' -> 'a-9')
+const patternOf = (value) => value.slice(0, 40).replace(/\p{L}+/gu, 'a').replace(/\d+/g, '9').replace(/\s+/g, ' ');
+
+// Method to find the label of a fragment: its own text before ':', the fragment on its left on the same line,
+// the fragment above it, or the previous fragment of the text when the positions are unknown
+const labelOf = (fragment, fragments, positions) => {
+    const own = fragment.value.includes(':') ? fragment.value.split(':')[0] : '';
+    const position = positions[fragment.id];
+    let neighbour = null;
+
+    if (position) {
+        neighbour = fragments
+            .filter(other => other.id !== fragment.id && positions[other.id]?.page === position.page)
+            .map(other => ({ other, dx: position.x - positions[other.id].x, dy: position.y - positions[other.id].y }))
+            .filter(({ dx, dy }) => (Math.abs(dy) < 0.015 && dx > 0) || (dy > 0 && dy < 0.05 && Math.abs(dx) < 0.1))
+            .sort((a, b) => Math.hypot(a.dx, a.dy) - Math.hypot(b.dx, b.dy))[0]?.other;
+    } else {
+        neighbour = fragments[fragments.indexOf(fragment) - 1];
+    }
+
+    const label = neighbour && neighbour.value.length <= 60 ? neighbour.value : '';
+    return [...new Set(words(`${own} ${label}`))];
+};
+
+// Method to describe the fragments of a document for the comparison
+const featuresOf = (fragments, positions) => fragments.map(fragment => ({
+    ...fragment,
+    position: positions[fragment.id] || null,
+    label: labelOf(fragment, fragments, positions),
+    pattern: patternOf(fragment.value),
+    kind: kindOf(fragment.value),
+}));
+
+// Method to compare a fragment with one of a validated document, from 0 to 1
+// only the criteria known for both are weighted
+const similarity = (fragment, example) => {
+    const scores = [];
+    if (fragment.position && example.position && fragment.position.page === example.position.page) {
+        const distance = Math.hypot(fragment.position.x - example.position.x, fragment.position.y - example.position.y);
+        scores.push(['position', Math.max(0, 1 - distance / MAX_DISTANCE)]);
+    } else if (fragment.position && example.position) {
+        scores.push(['position', 0]);
+    }
+    if (fragment.label.length || example.label.length) {
+        const common = fragment.label.filter(word => example.label.includes(word)).length;
+        scores.push(['label', common / new Set([...fragment.label, ...example.label]).size]);
+    }
+    scores.push(['pattern', fragment.pattern === example.pattern ? 1 : fragment.kind === example.kind ? 0.6 : 0]);
+
+    const weight = scores.reduce((total, [criterion]) => total + WEIGHTS[criterion], 0);
+    return scores.reduce((total, [criterion, score]) => total + WEIGHTS[criterion] * score, 0) / weight;
+};
+
+/**
+ * Method to read what the agent assigned in a validated OCR document
+ * returns { sameSupplier, keys: { [name]: [fragment features] } }
+ */
+const assignmentsOf = (file, supplier) => {
+    const json = parseData(file.dataXml);
+    const features = featuresOf(fragmentsOf(json), positionsOf(file.vertices));
+    const byId = Object.fromEntries(features.map(feature => [feature.id, feature]));
+    const keys = {};
+    [].concat(json.OCRData || []).forEach(field => {
+        const assigned = [].concat(field?.value || [])
+            .map(item => byId[item?.id] || (item?.value !== undefined && featuresOf([{ id: item.id, value: text(item.value) }], {})[0]))
+            .filter(Boolean);
+        if (field?.name && assigned.length) keys[field.name] = assigned;
+    });
+    const sameSupplier = !!supplier && [file.supplierMatch?.supplier?.toString(), file.supplierName].includes(supplier);
+    return { sameSupplier, keys };
+};
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor((sorted.length - 1) / 2)];
+};
+
+/**
+ * Method to suggest the dynamic key of the fragments of a document
+ * documents: the validated ones learned from ({ sameSupplier, keys }), names: the dynamic keys of the customer
+ * each key gets as many fragments as it usually has, a fragment goes to one key only
+ * returns [{ name, value: [{ id, value, confidence }] }]
+ */
+const suggestAssignments = (fragments, positions, documents, names) => {
+    const features = featuresOf(fragments.filter(fragment => fragment.value), positions);
+    const candidates = [];
+    const limits = {};
+
+    names.forEach(name => {
+        const learned = documents.filter(document => document.keys[name]);
+        if (!learned.length) return;
+        limits[name] = median(learned.map(document => document.keys[name].length));
+
+        features.forEach(fragment => {
+            // best match in each validated document, averaged on the documents that agree the most
+            const scores = documents
+                .map(document => Math.max(0, ...(document.keys[name] || []).map(example => similarity(fragment, example))) * (document.sameSupplier ? 1 : OTHER_SUPPLIER))
+                .sort((a, b) => b - a)
+                .slice(0, AGREEMENT);
+            const confidence = scores.reduce((total, score) => total + score, 0) / Math.min(AGREEMENT, Math.max(documents.length, 1));
+            if (confidence >= MIN_CONFIDENCE) candidates.push({ name, fragment, confidence: Math.round(confidence * 100) / 100 });
+        });
+    });
+
+    const used = new Set();
+    const assigned = {};
+    candidates.sort((a, b) => b.confidence - a.confidence).forEach(({ name, fragment, confidence }) => {
+        if (used.has(fragment.id) || (assigned[name] || []).length >= limits[name]) return;
+        used.add(fragment.id);
+        assigned[name] = [...(assigned[name] || []), { id: fragment.id, value: fragment.value, confidence }];
+    });
+
+    return names
+        .filter(name => assigned[name])
+        .map(name => ({ name, value: assigned[name].sort((a, b) => a.id - b.id) }));
+};
+
+/**
+ * Method to load the validated OCR documents of a customer and suggest the keys of the fragments of a file
+ * fragments and vertices are the ones shown to the agent, the stored ones otherwise
+ * returns { suggestions, trainedOn }
+ */
+const suggestForFile = async (file, customerId, names, { fragments, vertices } = {}) => {
+    if (!customerId || !names.length) return { suggestions: [], trainedOn: 0 };
+
+    const supplier = file.supplierMatch?.supplier?.toString() || file.supplierName || '';
+    const validated = await File.find({ _id: { $ne: file._id }, customer: customerId, type: 'OCR', status: 'validated' })
+        .sort({ updatedAt: -1 })
+        .limit(MAX_DOCUMENTS)
+        .select('dataXml vertices supplierName supplierMatch')
+        .lean();
+    const documents = validated.map(document => assignmentsOf(document, supplier)).filter(document => Object.keys(document.keys).length);
+
+    const shown = Array.isArray(fragments) ? fragments.map(item => ({ id: item.id, value: text(item.value) })) : fragmentsOf(parseData(file.dataXml));
+    const suggestions = suggestAssignments(shown, positionsOf(vertices ?? file.vertices), documents, names);
+    return { suggestions, trainedOn: documents.length };
+};
+
+module.exports = {
+    MIN_CONFIDENCE,
+    fragmentsOf,
+    positionsOf,
+    suggestAssignments,
+    suggestForFile
+}
@@ -0,0 +1,228 @@
+const File = require('../Models/File')
+const PaymentMatch = require('../Models/PaymentMatch')
+const { parseData } = require('./audit-log')
+const { roundAmount } = require('./amounts')
+const { minorUnits } = require('./currencies')
+const { isBankStatement, readStatement } = require('./bank-statement')
+const { readInvoice } = require('./invoice-model')
+
+// Weight of each criterion in the score of a transaction against an invoice
+// one criterion is not enough: the same amount or IBAN is paid every month, an invoice number may be mistyped
+const WEIGHTS = { reference: 0.45, amount: 0.35, iban: 0.3 };
+
+// Score from which a transaction is matched without a user (two criteria)
+const AUTO_MATCH = 0.65;
+
+// Candidates below this score are not suggested
+const MIN_SCORE = 0.3;
+
+const MAX_SUGGESTIONS = 3;
+
+// Supplier invoices are paid by the money leaving the account, credits (refunds, customer payments) are not matched
+const paysInvoice = (transaction) => transaction.direction === 'debit';
+
+// Invoice numbers are compared without spaces, dashes nor case ('INV-2024/001' in 'inv 2024 001')
+const compactText = (value = '') => value.normalize('NFD').replace(/[^a-zA-Z0-9]/g, '').toUpperCase();
+
+const differs = (a, b, currency) => Math.abs(a - b) > 1 / 10 ** minorUnits(currency) / 2;
+
+// Method to read the transactions of a validated bank statement (amount is positive, credit or debit)
+const transactionsOf = (file) => {
+    const statement = readStatement(parseData(file.dataXml));
+    return statement.transactions.map(transaction => ({
+        statement: file._id,
+        statementName: file.name || file.pdfName || '',
+        index: transaction.index,
+        date: transaction.date,
+        description: transaction.description,
+        iban: transaction.iban,
+        direction: transaction.credit ? 'credit' : 'debit',
+        amount: transaction.credit || transaction.debit,
+        currency: statement.currency,
+    })).filter(transaction => transaction.amount);
+};
+
+// Method to read what a validated invoice is paid with: its number, total and the IBAN of the supplier
+const invoiceOf = (file) => {
+    const invoice = readInvoice(parseData(file.dataXml));
+    return {
+        _id: file._id,
+        name: file.name || file.pdfName || '',
+        invoiceId: invoice.id,
+        supplierName: invoice.supplier.name || file.supplierName || '',
+        iban: invoice.supplier.iban,
+        currency: invoice.currency || 'EUR',
+        total: invoice.total ?? 0,
+        dueDate: invoice.dueDate,
+    };
+};
+
+/**
+ * Method to score a transaction against an invoice, from 0 to 1
+ * reference: the remittance text holds the invoice number, amount: it pays what is left to pay, iban: it goes to the supplier account
+ * a credit does not pay an invoice and scores 0
+ * returns { score, reasons }
+ */
+const scoreMatch = (transaction, invoice, outstanding) => {
+    const reasons = [];
+    if (!paysInvoice(transaction)) return { score: 0, reasons };
+
+    const reference = compactText(invoice.invoiceId);
+    if (reference.length >= 3 && compactText(transaction.description).includes(reference)) reasons.push('reference');
+    if (outstanding > 0 && !differs(transaction.amount, outstanding, invoice.currency)) reasons.push('amount');
+    if (invoice.iban && (transaction.iban === invoice.iban || compactText(transaction.description).includes(invoice.iban))) reasons.push('iban');
+
+    const score = reasons.reduce((total, reason) => total + WEIGHTS[reason], 0);
+    return { score: Math.round(Math.min(score, 1) * 100) / 100, reasons };
+};
+
+// Method to tell the payment state of an invoice from the amount paid
+const paymentStatus = (total, paid, currency) => {
+    if (paid <= 0) return 'unpaid';
+    return total > 0 && differs(paid, total, currency) && paid < total ? 'partial' : 'paid';
+};
+
+// Amounts already matched, by transaction ('statement:index') and by invoice
+const matchedAmounts = (matches) => {
+    const byTransaction = {};
+    const byInvoice = {};
+    matches.forEach(match => {
+        const key = `${match.statement}:${match.transaction}`;
+        byTransaction[key] = (byTransaction[key] || 0) + match.amount;
+        byInvoice[match.invoice] = (byInvoice[match.invoice] || 0) + match.amount;
+    });
+    return { byTransaction, byInvoice };
+};
+
+/**
+ * Method to list the reconciliation of transactions and invoices with their matches
+ * transactions: matched (whole amount linked), partial or unmatched, with suggestions for the ones not matched
+ * invoices: paid, partial or unpaid
+ */
+const buildReconciliation = (transactions, invoices, matches) => {
+    const { byTransaction, byInvoice } = matchedAmounts(matches);
+    const invoicesById = Object.fromEntries(invoices.map(invoice => [invoice._id.toString(), invoice]));
+
+    const invoiceRows = invoices.map(invoice => {
+        const paid = roundAmount(byInvoice[invoice._id] || 0, invoice.currency);
+        return { ...invoice, paid, outstanding: roundAmount(Math.max(invoice.total - paid, 0), invoice.currency), status: paymentStatus(invoice.total, paid, invoice.currency) };
+    });
+    const open = invoiceRows.filter(invoice => invoice.status !== 'paid');
+
+    const transactionRows = transactions.map(transaction => {
+        const key = `${transaction.statement}:${transaction.index}`;
+        const matched = roundAmount(byTransaction[key] || 0, transaction.currency);
+        const status = matched <= 0 ? 'unmatched' : differs(matched, transaction.amount, transaction.currency) && matched < transaction.amount ? 'partial' : 'matched';
+        const links = matches
+            .filter(match => `${match.statement}:${match.transaction}` === key)
+            .map(match => ({
+                _id: match._id,
+                invoice: match.invoice,
+                invoiceId: invoicesById[match.invoice]?.invoiceId || '',
+                supplierName: invoicesById[match.invoice]?.supplierName || '',
+                amount: match.amount,
+                method: match.method,
+                reasons: match.reasons,
+            }));
+        const suggestions = status === 'matched' ? [] : open
+            .filter(invoice => invoice.currency === transaction.currency)
+            .map(invoice => ({ invoice: invoice._id, invoiceId: invoice.invoiceId, supplierName: invoice.supplierName, outstanding: invoice.outstanding, ...scoreMatch(transaction, invoice, invoice.outstanding) }))
+            .filter(suggestion => suggestion.score >= MIN_SCORE && !links.some(link => link.invoice.toString() === suggestion.invoice.toString()))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, MAX_SUGGESTIONS);
+        return { ...transaction, matched, status, matches: links, suggestions };
+    });
+
+    return { transactions: transactionRows, invoices: invoiceRows };
+};
+
+/**
+ * Method to pick the automatic matches among the transactions and invoices not fully matched yet
+ * each transaction goes to its best invoice from AUTO_MATCH, for what is left of both
+ * returns the matches to create [{ statement, transaction, invoice, amount, reasons }]
+ */
+const autoMatches = (transactions, invoices, matches) => {
+    const { byTransaction, byInvoice } = matchedAmounts(matches);
+    const outstanding = Object.fromEntries(invoices.map(invoice => [invoice._id.toString(), invoice.total - (byInvoice[invoice._id] || 0)]));
+    const created = [];
+
+    transactions.filter(paysInvoice).forEach(transaction => {
+        const left = transaction.amount - (byTransaction[`${transaction.statement}:${transaction.index}`] || 0);
+        if (left <= 1 / 10 ** minorUnits(transaction.currency) / 2) return;
+
+        const best = invoices
+            .filter(invoice => invoice.currency === transaction.currency && outstanding[invoice._id.toString()] > 0)
+            .map(invoice => ({ invoice, ...scoreMatch({ ...transaction, amount: left }, invoice, outstanding[invoice._id.toString()]) }))
+            .filter(candidate => candidate.score >= AUTO_MATCH)
+            .sort((a, b) => b.score - a.score)[0];
+        if (!best) return;
+
+        const id = best.invoice._id.toString();
+        const amount = roundAmount(Math.min(left, outstanding[id]), transaction.currency);
+        outstanding[id] -= amount;
+        created.push({ statement: transaction.statement, transaction: transaction.index, invoice: best.invoice._id, amount, reasons: best.reasons });
+    });
+
+    return created;
+};
+
+// Method to read a paid invoice from its stored payment, as invoiceOf does from its data
+const paidInvoiceOf = (file) => ({
+    _id: file._id,
+    name: file.name || file.pdfName || '',
+    invoiceId: file.payment?.invoiceId || '',
+    supplierName: file.supplierName || '',
+    iban: '',
+    currency: file.payment?.currency || 'EUR',
+    total: file.payment?.total ?? 0,
+    dueDate: null,
+});
+
+// Method to load the validated bank statements and invoices with their matches
+// only the data of the statements and of the invoices left to pay is read, paid invoices are listed from their payment
+const loadReconciliation = async () => {
+    const [files, paid, matches] = await Promise.all([
+        File.find({
+            status: 'validated',
+            $or: [{ type: 'Invoice', 'payment.status': { $ne: 'paid' } }, { dataXml: /"TableItem"/ }]
+        }).select('name pdfName dataXml type supplierName payment').lean(),
+        File.find({ status: 'validated', type: 'Invoice', 'payment.status': 'paid' }).select('name pdfName supplierName payment').lean(),
+        PaymentMatch.find().lean(),
+    ]);
+    const statements = files.filter(file => isBankStatement(parseData(file.dataXml)));
+    const invoices = files.filter(file => file.type === 'Invoice' && file.payment?.status !== 'paid' && !statements.includes(file)).map(invoiceOf);
+    return { transactions: statements.flatMap(transactionsOf), invoices: [...invoices, ...paid.map(paidInvoiceOf)], matches };
+};
+
+// Method to store the payment state of invoices from their matches (shown in the documents list)
+const updatePayments = async (invoiceIds = []) => {
+    const ids = [...new Set(invoiceIds.map(String))];
+    for (const id of ids) {
+        const file = await File.findById(id).select('dataXml');
+        if (!file) continue;
+        const invoice = invoiceOf(file);
+        const matches = await PaymentMatch.find({ invoice: id }).select('amount').lean();
+        const paid = roundAmount(matches.reduce((total, match) => total + match.amount, 0), invoice.currency);
+        await File.updateOne({ _id: id }, {
+            $set: {
+                payment: {
+                    status: paymentStatus(invoice.total, paid, invoice.currency),
+                    paidAmount: paid,
+                    invoiceId: invoice.invoiceId,
+                    total: invoice.total,
+                    currency: invoice.currency
+                }
+            }
+        });
+    }
+};
+
+module.exports = {
+    autoMatches,
+    buildReconciliation,
+    invoiceOf,
+    loadReconciliation,
+    paysInvoice,
+    transactionsOf,
+    updatePayments
+}
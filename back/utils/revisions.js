@@ -0,0 +1,100 @@
+const DocumentRevision = require('../Models/DocumentRevision')
+const { flatten, isTechnicalKey } = require('./audit-log')
+const { isAmountKey, parseAmount } = require('./amounts')
+const { isDateKey, toIsoDate } = require('./dates')
+
+// Stage of the revision holding the AI extraction
+const BASELINE = 'ai';
+
+// Lists extracted as a single object when they hold one item
+const LIST_KEYS = ['LineItem', 'TableItem'];
+
+// Method to store a revision of the data of a document
+// a revision failure is logged but never fails the request
+const recordRevision = async ({ document, stage, data, user = null }) => {
+    try {
+        return await DocumentRevision.create({
+            document,
+            stage,
+            data: typeof data === 'string' ? data : JSON.stringify(data),
+            user: user?._id ?? user
+        });
+    } catch (error) {
+        console.error(`Erreur lors de l'enregistrement de la révision ${stage}:`, error);
+        return null;
+    }
+};
+
+const findBaseline = (document) => DocumentRevision.findOne({ document, stage: BASELINE });
+
+// Method to store the AI extraction of a document, only once
+const recordBaseline = async (document, data) => {
+    if (await DocumentRevision.exists({ document, stage: BASELINE })) return null;
+    return recordRevision({ document, stage: BASELINE, data });
+};
+
+// Method to turn the single-item lists into arrays, as the form does
+const normalizeLists = (value) => {
+    if (Array.isArray(value)) return value.map(normalizeLists);
+    if (!value || typeof value !== 'object') return value;
+
+    return Object.fromEntries(Object.entries(value).map(([key, child]) => {
+        const normalized = normalizeLists(child);
+        const single = LIST_KEYS.includes(key) && normalized && typeof normalized === 'object' && !Array.isArray(normalized);
+        return [key, single ? [normalized] : normalized];
+    }));
+};
+
+// Method to get the fields of a json with a value, by dotted path
+const leaves = (json) => Object.fromEntries(
+    Object.entries(flatten(normalizeLists(json)))
+        .filter(([path, value]) => !isTechnicalKey(path) && !(value && typeof value === 'object'))
+);
+
+// an extracted amount and its canonical decimal ('1.234,50' and '1234.5') are the same value,
+// so are an extracted date and its ISO 8601 form ('16/08/2024' and '2024-08-16'), read in the day/month order of the customer
+const sameValue = (path, a, b, order) => {
+    if (JSON.stringify(a) === JSON.stringify(b)) return true;
+    const key = path.split('.').pop();
+    if (isAmountKey(key)) {
+        const amount = parseAmount(a);
+        return amount !== null && amount === parseAmount(b);
+    }
+    if (isDateKey(key)) {
+        const date = toIsoDate(a, order);
+        return date !== null && date === toIsoDate(b, order);
+    }
+    return false;
+};
+
+// Method to compare two jsons field by field, line items included
+// order: day/month order of the numeric dates ('DMY' or 'MDY')
+const diffFields = (before = {}, after = {}, { order = 'DMY' } = {}) => {
+    const previous = leaves(before);
+    const next = leaves(after);
+    const added = [];
+    const removed = [];
+    const changed = [];
+
+    for (const path of new Set([...Object.keys(previous), ...Object.keys(next)])) {
+        if (!(path in previous)) {
+            added.push({ path, value: next[path] });
+        } else if (!(path in next)) {
+            removed.push({ path, value: previous[path] });
+        } else if (!sameValue(path, previous[path], next[path], order)) {
+            changed.push({ path, from: previous[path], to: next[path] });
+        }
+    }
+
+    return { added, removed, changed };
+};
+
+module.exports = {
+    BASELINE,
+    LIST_KEYS,
+    diffFields,
+    findBaseline,
+    normalizeLists,
+    recordBaseline,
+    recordRevision
+}
@@ -0,0 +1,121 @@
+const Supplier = require('../Models/Supplier')
+const { readInvoice } = require('./invoice-model')
+const { normalizeName } = require('./duplicates')
+
+// Score from which the match is applied to the form without the agent picking it
+const HIGH_CONFIDENCE = 0.85;
+
+// Candidates below this score are not kept
+const MIN_SCORE = 0.5;
+
+// Other candidates kept for a one click override
+const MAX_ALTERNATIVES = 3;
+
+// Scores of the exact matches (a VAT number identifies the supplier better than a bank account)
+const EXACT_SCORES = { taxId: 1, iban: 0.97 };
+
+const normalizeTaxId = (value = '') => value.replace(/[^a-zA-Z0-9]/g, '').toUpperCase();
+const normalizeIban = (value = '') => value.replace(/\s/g, '').toUpperCase();
+
+// Method to list the pairs of letters of a text ('acme' -> ac, cm, me)
+const bigrams = (text) => {
+    const pairs = [];
+    for (let i = 0; i < text.length - 1; i++) pairs.push(text.slice(i, i + 2));
+    return pairs;
+};
+
+// Method to compare two normalized names (Dice coefficient of their bigrams), 0 to 1
+const nameSimilarity = (a, b) => {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    const left = bigrams(a);
+    const right = bigrams(b);
+    if (!left.length || !right.length) return 0;
+
+    const remaining = [...right];
+    let common = 0;
+    for (const pair of left) {
+        const index = remaining.indexOf(pair);
+        if (index !== -1) {
+            common++;
+            remaining.splice(index, 1);
+        }
+    }
+    return 2 * common / (left.length + right.length);
+};
+
+const addressWords = (address = '') => new Set(address
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1));
+
+// Method to compare two addresses (share of common words), null when one is unknown
+const addressSimilarity = (a, b) => {
+    const left = addressWords(a);
+    const right = addressWords(b);
+    if (!left.size || !right.size) return null;
+    const common = [...left].filter(word => right.has(word)).length;
+    return common / Math.min(left.size, right.size);
+};
+
+// Method to score a master data supplier against the extracted one
+// returns { score, method } with method 'taxId', 'iban' or 'name'
+const scoreSupplier = (extracted, supplier) => {
+    if (extracted.taxId && extracted.taxId === normalizeTaxId(supplier.taxId)) {
+        return { score: EXACT_SCORES.taxId, method: 'taxId' };
+    }
+    if (extracted.iban && extracted.iban === normalizeIban(supplier.iban)) {
+        return { score: EXACT_SCORES.iban, method: 'iban' };
+    }
+
+    // fuzzy: mostly the name, the address tells homonyms apart
+    const name = nameSimilarity(extracted.name, normalizeName(supplier.name));
+    const address = addressSimilarity(extracted.address, supplier.address);
+    const score = address === null ? name * 0.9 : name * 0.75 + address * 0.25;
+    return { score: Math.round(score * 100) / 100, method: 'name' };
+};
+
+// Method to read the supplier fields of a document json
+const extractedSupplier = (json) => {
+    const { supplier } = readInvoice(json);
+    return {
+        name: normalizeName(supplier.name),
+        taxId: normalizeTaxId(supplier.taxId),
+        iban: normalizeIban(supplier.iban),
+        address: [supplier.address.street, supplier.address.postalZone, supplier.address.city].filter(Boolean).join(' '),
+    };
+};
+
+/**
+ * Method to match the supplier of a document json with the master data of its customer
+ * exact VAT number and IBAN first, then name and address similarity
+ * returns the supplierMatch of the document: { supplier, score, method, status, alternatives, matchedAt }
+ */
+const matchSupplier = async (json, customer = null) => {
+    const extracted = extractedSupplier(json);
+    const filter = customer ? { customer: { $in: [customer, null] } } : {};
+    const suppliers = await Supplier.find(filter).select('name address iban taxId').lean();
+
+    const candidates = suppliers
+        .map(supplier => ({ supplier: supplier._id, ...scoreSupplier(extracted, supplier) }))
+        .filter(candidate => candidate.score >= MIN_SCORE)
+        .sort((a, b) => b.score - a.score);
+
+    const [best, ...alternatives] = candidates;
+    return {
+        supplier: best?.supplier || null,
+        score: best?.score || 0,
+        method: best?.method || '',
+        status: best ? 'suggested' : 'none',
+        alternatives: alternatives.slice(0, MAX_ALTERNATIVES),
+        matchedAt: new Date(),
+    };
+};
+
+module.exports = {
+    HIGH_CONFIDENCE,
+    MIN_SCORE,
+    matchSupplier,
+    scoreSupplier
+}
@@ -0,0 +1,135 @@
+const { Builder } = require('xml2js')
+const { formatAmount, roundAmount } = require('./amounts')
+const { compact, lineRate, readInvoice, validateInvoice, vatBreakdown } = require('./invoice-model')
+
+// Peppol BIS Billing 3.0 identifiers
+const CUSTOMIZATION_ID = 'urn:cen.eu:en16931:2017#compliant#urn:fdc:peppol.eu:2017:poacc:billing:3.0';
+const PROFILE_ID = 'urn:fdc:peppol.eu:2017:poacc:billing:01:1.0';
+
+const NAMESPACES = {
+    Invoice: 'urn:oasis:names:specification:ubl:schema:xsd:Invoice-2',
+    CreditNote: 'urn:oasis:names:specification:ubl:schema:xsd:CreditNote-2',
+    cac: 'urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2',
+    cbc: 'urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2',
+};
+
+const amount = (value, currency) => value === null ? undefined : { _: formatAmount(value, currency), $: { currencyID: currency } };
+
+const taxCategory = (rate) => ({
+    'cbc:ID': rate > 0 ? 'S' : 'Z',
+    'cbc:Percent': formatAmount(rate),
+    'cac:TaxScheme': { 'cbc:ID': 'VAT' },
+});
+
+const party = (data) => ({
+    'cac:Party': {
+        'cbc:EndpointID': data.endpoint && { _: data.endpoint.id, $: { schemeID: data.endpoint.scheme } },
+        'cac:PartyName': { 'cbc:Name': data.name },
+        'cac:PostalAddress': {
+            'cbc:StreetName': data.address.street,
+            'cbc:CityName': data.address.city,
+            'cbc:PostalZone': data.address.postalZone,
+            'cac:Country': { 'cbc:IdentificationCode': data.country },
+        },
+        'cac:PartyTaxScheme': data.taxId && {
+            'cbc:CompanyID': data.taxId,
+            'cac:TaxScheme': { 'cbc:ID': 'VAT' },
+        },
+        'cac:PartyLegalEntity': {
+            'cbc:RegistrationName': data.name,
+            'cbc:CompanyID': data.registration,
+        },
+        'cac:Contact': {
+            'cbc:Telephone': data.phone,
+            'cbc:ElectronicMail': data.email,
+        },
+    }
+});
+
+/**
+ * Method to build the UBL 2.1 Invoice / CreditNote xml of an invoice model
+ * elements follow the order of the UBL schemas
+ */
+const buildUbl = (invoice) => {
+    const creditNote = invoice.documentType === 'CreditNote';
+    const currency = invoice.currency;
+    const breakdown = vatBreakdown(invoice);
+    const lineTotal = roundAmount(invoice.lines.reduce((sum, line) => sum + (line.amount ?? 0), 0), currency);
+    const taxTotal = breakdown.reduce((sum, row) => sum + row.tax, 0);
+    const taxExclusive = invoice.net ?? lineTotal;
+
+    const root = {
+        $: {
+            xmlns: NAMESPACES[invoice.documentType],
+            'xmlns:cac': NAMESPACES.cac,
+            'xmlns:cbc': NAMESPACES.cbc,
+        },
+        'cbc:CustomizationID': CUSTOMIZATION_ID,
+        'cbc:ProfileID': PROFILE_ID,
+        'cbc:ID': invoice.id,
+        'cbc:IssueDate': invoice.issueDate,
+        ...(!creditNote) && { 'cbc:DueDate': invoice.dueDate },
+        [creditNote ? 'cbc:CreditNoteTypeCode' : 'cbc:InvoiceTypeCode']: creditNote ? '381' : '380',
+        'cbc:DocumentCurrencyCode': currency,
+        'cbc:BuyerReference': invoice.purchaseOrder,
+        'cac:OrderReference': { 'cbc:ID': invoice.purchaseOrder },
+        'cac:AccountingSupplierParty': party(invoice.supplier),
+        'cac:AccountingCustomerParty': party(invoice.receiver),
+        'cac:PaymentMeans': invoice.supplier.iban && {
+            'cbc:PaymentMeansCode': '58', // SEPA credit transfer
+            ...(creditNote) && { 'cbc:PaymentDueDate': invoice.dueDate },
+            'cbc:PaymentID': invoice.id,
+            'cac:PayeeFinancialAccount': { 'cbc:ID': invoice.supplier.iban },
+        },
+        'cac:PaymentTerms': { 'cbc:Note': invoice.paymentTerms },
+        'cac:TaxTotal': {
+            'cbc:TaxAmount': amount(invoice.tax ?? taxTotal, currency),
+            'cac:TaxSubtotal': breakdown.map(row => ({
+                'cbc:TaxableAmount': amount(row.taxable, currency),
+                'cbc:TaxAmount': amount(row.tax, currency),
+                'cac:TaxCategory': taxCategory(row.rate),
+            })),
+        },
+        'cac:LegalMonetaryTotal': {
+            'cbc:LineExtensionAmount': amount(lineTotal, currency),
+            'cbc:TaxExclusiveAmount': amount(taxExclusive, currency),
+            'cbc:TaxInclusiveAmount': amount(invoice.total, currency),
+            'cbc:PayableAmount': amount(invoice.total, currency),
+        },
+        [creditNote ? 'cac:CreditNoteLine' : 'cac:InvoiceLine']: invoice.lines.map((line, index) => ({
+            'cbc:ID': String(index + 1),
+            [creditNote ? 'cbc:CreditedQuantity' : 'cbc:InvoicedQuantity']: line.quantity !== null && {
+                _: String(line.quantity), $: { unitCode: 'C62' } // C62: one (unit)
+            },
+            'cbc:LineExtensionAmount': amount(line.amount, currency),
+            'cac:Item': {
+                'cbc:Name': line.name,
+                'cac:SellersItemIdentification': { 'cbc:ID': line.productCode },
+                'cac:ClassifiedTaxCategory': taxCategory(lineRate(line, breakdown) ?? 0),
+            },
+            'cac:Price': { 'cbc:PriceAmount': amount(line.unitPrice, currency) },
+        })),
+    };
+
+    const builder = new Builder({ rootName: invoice.documentType, xmldec: { version: '1.0', encoding: 'UTF-8' } });
+    return builder.buildObject(compact(root));
+};
+
+/**
+ * Method to convert a validated json to UBL
+ * returns { documentType, errors, xml } (xml is null when a rule is broken)
+ */
+const toUbl = (json) => {
+    const invoice = readInvoice(json);
+    const errors = validateInvoice(invoice);
+    return {
+        documentType: invoice.documentType,
+        errors,
+        xml: errors.length ? null : buildUbl(invoice)
+    };
+};
+
+module.exports = {
+    buildUbl,
+    toUbl
+}
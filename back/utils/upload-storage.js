@@ -0,0 +1,53 @@
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const File = require('../Models/File')
+
+// Folder served by express.static, where uploaded files are stored
+const UPLOADS_DIR = 'uploads';
+
+// Method to name a stored file: a generated id, keeping the extension of the original name
+// (two suppliers sending invoice.pdf no longer overwrite each other)
+const storedName = (originalName = '') => {
+    const extension = path.extname(originalName).toLowerCase().replace(/[^.a-z0-9]/g, '');
+    return `${crypto.randomUUID()}${extension}`;
+};
+
+// Method to read the original name of a multer file (multer decodes it as latin1)
+const originalNameOf = (file) => Buffer.from(file.originalname, 'latin1').toString('utf8');
+
+// Method to compute the SHA-256 of a file content, without loading it in memory
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+        .on('error', reject)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')));
+});
+
+// Method to find the document already stored with the same content
+const findDuplicate = (contentHash) => File.findOne({ contentHash })
+    .select('_id originalName pdfName status stage createdAt')
+    .lean();
+
+// Method to copy a local file to the uploads folder under a generated name
+const storeCopy = async (filePath) => {
+    const name = storedName(filePath);
+    await fs.promises.mkdir(UPLOADS_DIR, { recursive: true });
+    await fs.promises.copyFile(filePath, path.join(UPLOADS_DIR, name));
+    return name;
+};
+
+// Method to remove a stored file that is not kept (duplicate, ignored), a failure is only logged
+const discardFile = (filePath) => fs.promises.unlink(filePath)
+    .catch(error => console.error(`Impossible de supprimer le fichier ${filePath}:`, error.message));
+
+module.exports = {
+    UPLOADS_DIR,
+    discardFile,
+    findDuplicate,
+    hashFile,
+    originalNameOf,
+    storeCopy,
+    storedName
+}
@@ -0,0 +1,129 @@
+const File = require('../Models/File')
+const Workflow = require('../Models/Workflow')
+
+// Workflow followed when none is configured for a customer / document type
+const DEFAULT_WORKFLOW = {
+    _id: null,
+    name: 'default',
+    customer: null,
+    documentType: '',
+    stages: [
+        { key: 'v1', label: 'Validation 1', roles: ['agent V1'], transitions: ['reject'] },
+        { key: 'v2', label: 'Validation 2', roles: ['agent V2'], transitions: ['return', 'reject'] },
+    ]
+};
+
+// Statuses of the documents waiting in a stage queue
+// (returned documents are in the first stage of their workflow but listed and counted apart)
+const QUEUE_STATUSES = ['progress', 'temporarily-rejected'];
+
+// Filter of the documents waiting in the queue of a stage
+const queueFilter = (stage) => ({ stage, status: { $in: QUEUE_STATUSES } });
+
+// Method to find the workflow of a customer / document type
+// the most specific one wins: customer + type, customer, type, then the default one
+const findWorkflow = async ({ customer = null, type = '' } = {}) => {
+    const candidates = await Workflow.find({
+        customer: { $in: [customer || null, null] },
+        documentType: { $in: [type || '', ''] }
+    }).lean();
+
+    const specificity = (workflow) => (workflow.customer ? 2 : 0) + (workflow.documentType ? 1 : 0);
+    return candidates.sort((a, b) => specificity(b) - specificity(a))[0] || DEFAULT_WORKFLOW;
+};
+
+// Method to get the workflow followed by a document
+const workflowOf = async (file) => {
+    if (file?.workflow) {
+        const workflow = await Workflow.findById(file.workflow).lean();
+        if (workflow) return workflow;
+    }
+    return findWorkflow({ customer: file?.customer, type: file?.type });
+};
+
+const getStage = (workflow, key) => workflow.stages.find(stage => stage.key === key) || null;
+
+const firstStage = (workflow) => workflow.stages[0];
+
+// Stage following the given one, null when it is the last one
+const nextStage = (workflow, key) => {
+    const index = workflow.stages.findIndex(stage => stage.key === key);
+    return index === -1 ? null : workflow.stages[index + 1] || null;
+};
+
+const allowsTransition = (workflow, key, transition) => !!getStage(workflow, key)?.transitions.includes(transition);
+
+const canActOnStage = (user, stage) => user?.role === 'admin' || !!stage?.roles.includes(user?.role);
+
+// Method to list every workflow, with the default one when it is not configured
+const listWorkflows = async () => {
+    const workflows = await Workflow.find().lean();
+    const hasDefault = workflows.some(workflow => !workflow.customer && !workflow.documentType);
+    return hasDefault ? workflows : [DEFAULT_WORKFLOW, ...workflows];
+};
+
+// Method to list the stages of every workflow once (queues), in workflow order
+const listStages = async () => {
+    const stages = new Map();
+    for (const workflow of await listWorkflows()) {
+        for (const { key, label, roles } of workflow.stages) {
+            const known = stages.get(key);
+            stages.set(key, {
+                key,
+                label: known?.label || label || key,
+                roles: [...new Set([...(known?.roles || []), ...roles])]
+            });
+        }
+    }
+    return [...stages.values()];
+};
+
+// Method to list the stages a role can act on
+const stagesForRole = async (role) => {
+    const stages = await listStages();
+    return role === 'admin' ? stages : stages.filter(stage => stage.roles.includes(role));
+};
+
+// Workflow fields of a new document: workflow followed, first stage and empty validations
+const initialStage = async ({ customer = null, type = '' } = {}) => {
+    const workflow = await findWorkflow({ customer, type });
+    return {
+        workflow: workflow._id,
+        stage: firstStage(workflow).key,
+        validation: Object.fromEntries(workflow.stages.map(stage => [stage.key, false]))
+    };
+};
+
+// Method to read the stage a document is waiting in (route guards)
+const documentStage = async (req) => {
+    const file = await File.findById(req.params.documentId).select('stage');
+    return file?.stage;
+};
+
+// Method to set the stage of the documents stored before workflows (v1 / v2 flags only)
+const backfillStages = async () => {
+    const legacy = { stage: { $exists: false } };
+    await File.updateMany({ ...legacy, status: { $in: ['validated', 'rejected'] } }, { stage: '' });
+    await File.updateMany({ ...legacy, status: 'returned' }, { stage: 'v1' });
+    await File.updateMany({ ...legacy, 'validation.v1': true }, { stage: 'v2' });
+    await File.updateMany(legacy, { stage: 'v1' });
+};
+
+module.exports = {
+    DEFAULT_WORKFLOW,
+    QUEUE_STATUSES,
+    allowsTransition,
+    backfillStages,
+    canActOnStage,
+    documentStage,
+    findWorkflow,
+    firstStage,
+    getStage,
+    initialStage,
+    listStages,
+    listWorkflows,
+    nextStage,
+    queueFilter,
+    stagesForRole,
+    workflowOf
+}
@@ -0,0 +1,230 @@
+const { Builder } = require('xml2js')
+const { parseAmount } = require('./amounts')
+const { toIsoDate } = require('./dates')
+
+/**
+ * Output templates map the internal fields of a document to the xml an ERP expects.
+ * A template is { type, rootName, fields: [{ source, value, target, format, condition }] }
+ *  - source: internal field, 'Invoice.SupplierName' or 'LineItem[].LineItemAmount' (one row per list item)
+ *  - value: constant written when there is no source
+ *  - target: path of the element, 'Header.Supplier.Name', 'Lines.Line[].Amount', 'Lines.Line[].Amount.@currency'
+ *  - format: 'date:DD/MM/YYYY', 'number:0.00', 'number:0,000', 'upper' or 'lower'
+ *  - condition: 'Invoice.Currency=EUR', 'Invoice.Currency!=EUR', 'Invoice.DueDate' (filled) or '!Invoice.DueDate' (empty)
+ */
+
+const LIST_MARK = '[]';
+
+const FORMATS = /^(date:.+|number:0([.,]0+)?|upper|lower)$/;
+
+const CONDITION = /^(!?)([^=!]+?)(?:(!?=)(.*))?$/;
+
+// Method to read the text of an xml2js value ({ _: 'text', $: {...} } or 'text')
+const text = (value) => {
+    if (Array.isArray(value)) value = value[0];
+    if (value && typeof value === 'object') value = value._;
+    return value === undefined || value === null ? '' : String(value);
+};
+
+const asList = (value) => value === undefined || value === null || value === '' ? [] : [].concat(value);
+
+const readPath = (data, path) => path.split('.').filter(Boolean).reduce((current, key) => current?.[key], data);
+
+// Paths may start with the root section (Invoice.SupplierName) or under it (SupplierName)
+const resolve = (json, path) => {
+    const value = readPath(json, path);
+    if (value !== undefined) return value;
+    const section = Object.values(json || {})[0];
+    return readPath(section, path);
+};
+
+// Method to read a source path, on the current row for list paths (LineItem[].LineItemAmount)
+const sourceValue = (json, source, row) => {
+    if (!source.includes(LIST_MARK)) return resolve(json, source);
+    const [, rest] = source.split(LIST_MARK);
+    return row === undefined ? undefined : readPath(row, rest.replace(/^\./, ''));
+};
+
+// Method to list the rows of the list of a source path
+const sourceRows = (json, source) => asList(resolve(json, source.split(LIST_MARK)[0]))
+    .filter(row => row && typeof row === 'object');
+
+const matches = (json, condition, row) => {
+    if (!condition) return true;
+    const [, negate, path, operator, expected = ''] = condition.trim().match(CONDITION) || [];
+    if (!path) return true;
+    const value = text(sourceValue(json, path.trim(), row)).trim();
+
+    if (!operator) return negate ? !value : !!value;
+    return operator === '=' ? value === expected.trim() : value !== expected.trim();
+};
+
+const formatDate = (value, pattern) => {
+    const iso = toIsoDate(value);
+    if (!iso) return value;
+    const [year, month, day] = iso.split('-');
+    return pattern.replace(/YYYY|YY|MM|DD/g, (token) => ({ YYYY: year, YY: year.slice(2), MM: month, DD: day })[token]);
+};
+
+const formatNumber = (value, pattern) => {
+    const number = parseAmount(value);
+    if (number === null) return value;
+    const [, separator = '.', decimals = ''] = pattern.match(/^0(?:([.,])(0+))?$/) || [];
+    return number.toFixed(decimals.length).replace('.', separator);
+};
+
+const formatValue = (value, format) => {
+    if (!format || value === '') return value;
+    const [kind, ...rest] = format.split(':');
+    const pattern = rest.join(':');
+    switch (kind) {
+        case 'date': return formatDate(value, pattern);
+        case 'number': return formatNumber(value, pattern);
+        case 'upper': return value.toUpperCase();
+        case 'lower': return value.toLowerCase();
+        default: return value;
+    }
+};
+
+// Method to write a value at a target path, rows of list targets (Line[]) by index
+const writeTarget = (root, target, value, index) => {
+    const segments = target.split('.').filter(Boolean);
+    const attribute = segments[segments.length - 1].startsWith('@') ? segments.pop().slice(1) : null;
+
+    let node = root;
+    segments.forEach((segment, position) => {
+        const last = position === segments.length - 1;
+        const isList = segment.endsWith(LIST_MARK);
+        const key = isList ? segment.slice(0, -LIST_MARK.length) : segment;
+
+        if (isList) {
+            node[key] = node[key] || [];
+            // rows without a value for the previous fields stay empty elements
+            for (let row = 0; row <= index; row++) node[key][row] = node[key][row] ?? {};
+            if (last) return setNode(node[key], index, value, attribute);
+            node = node[key][index];
+            return;
+        }
+        if (last) return setNode(node, key, value, attribute);
+        if (typeof node[key] !== 'object') node[key] = node[key] === undefined ? {} : { _: node[key] };
+        node = node[key];
+    });
+};
+
+const setNode = (parent, key, value, attribute) => {
+    const current = parent[key];
+    if (!attribute) {
+        parent[key] = current && typeof current === 'object' && Object.keys(current).length ? { ...current, _: value } : value;
+        return;
+    }
+    const element = current && typeof current === 'object' ? current : (current ? { _: current } : {});
+    element.$ = { ...element.$, [attribute]: value };
+    parent[key] = element;
+};
+
+// Target lists a field writes to ('Lines.Line[]')
+const targetList = (target) => target.includes(LIST_MARK) ? target.slice(0, target.indexOf(LIST_MARK) + LIST_MARK.length) : null;
+
+/**
+ * Method to check a template before it is saved
+ * returns the list of errors ({ field, message }), empty when the template is valid
+ */
+const validateTemplate = (template = {}) => {
+    const errors = [];
+    const fields = Array.isArray(template.fields) ? template.fields : [];
+
+    if (!fields.length) errors.push({ field: 'fields', message: 'The template has no field.' });
+    if (template.rootName && !/^[A-Za-z_][\w.-]*(:[\w.-]+)?$/.test(template.rootName)) {
+        errors.push({ field: 'rootName', message: `'${template.rootName}' is not a valid element name.` });
+    }
+
+    fields.forEach((field, index) => {
+        const name = `fields.${index}`;
+        const target = field.target?.trim();
+        if (!target) {
+            errors.push({ field: name, message: 'The target path is required.' });
+            return;
+        }
+        if (!field.source?.trim() && (field.value === undefined || field.value === '')) {
+            errors.push({ field: name, message: `'${target}' needs a source field or a constant.` });
+        }
+        if ((target.split(LIST_MARK).length > 2) || (field.source || '').split(LIST_MARK).length > 2) {
+            errors.push({ field: name, message: 'Only one list ([]) is allowed per path.' });
+        }
+        if (field.source?.includes(LIST_MARK) && !target.includes(LIST_MARK)) {
+            errors.push({ field: name, message: `'${target}' must be a list ([]) to receive '${field.source}'.` });
+        }
+        if (target.split('.').slice(0, -1).some(segment => segment.startsWith('@'))) {
+            errors.push({ field: name, message: 'An attribute (@) can only end a target path.' });
+        }
+        if (field.format && !FORMATS.test(field.format)) {
+            errors.push({ field: name, message: `Unknown format '${field.format}'.` });
+        }
+        if (field.condition && !CONDITION.test(field.condition.trim())) {
+            errors.push({ field: name, message: `Invalid condition '${field.condition}'.` });
+        }
+    });
+    return errors;
+};
+
+/**
+ * Method to map a document json through an output template
+ * returns the object given to the xml builder
+ */
+const applyTemplate = (json, template) => {
+    const root = {};
+    const fields = template.fields || [];
+    const valueOf = (field, row) => field.source
+        ? formatValue(text(sourceValue(json, field.source, row)).trim(), field.format)
+        : formatValue(String(field.value ?? ''), field.format);
+
+    // rows of each target list, so constants of a list (Line[].Currency) go on every row
+    const rowCounts = {};
+    for (const field of fields.filter(field => field.source?.includes(LIST_MARK))) {
+        const list = targetList(field.target);
+        rowCounts[list] = Math.max(rowCounts[list] || 0, sourceRows(json, field.source).length);
+    }
+
+    // elements are written in the order of the template
+    for (const field of fields) {
+        const list = targetList(field.target);
+
+        if (field.source?.includes(LIST_MARK)) {
+            sourceRows(json, field.source).forEach((row, index) => {
+                const value = valueOf(field, row);
+                if (value !== '' && matches(json, field.condition, row)) writeTarget(root, field.target, value, index);
+            });
+            continue;
+        }
+
+        if (!matches(json, field.condition)) continue;
+        const value = valueOf(field);
+        if (value === '') continue;
+
+        if (!list) {
+            writeTarget(root, field.target, value);
+            continue;
+        }
+        for (let index = 0; index < (rowCounts[list] || 0); index++) writeTarget(root, field.target, value, index);
+    }
+
+    return root;
+};
+
+/**
+ * Method to render a document json as the xml of an output template
+ */
+const renderTemplate = (json, template) => {
+    const rootName = template.rootName || template.type || Object.keys(json || {})[0] || 'Document';
+    const builder = new Builder({ rootName, xmldec: { version: '1.0', encoding: 'UTF-8' } });
+    return builder.buildObject(applyTemplate(json, template));
+};
+
+// Method to find the template of a document type among the templates of a customer
+const templateFor = (customer, type) => (customer?.xmlTemplates || []).find(template => template.type === type) || null;
+
+module.exports = {
+    applyTemplate,
+    renderTemplate,
+    templateFor,
+    validateTemplate
+}
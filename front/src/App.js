@@ -7,6 +7,7 @@ import NoPage from "./Components/pages/NoPage";
 import "./App.css"
 import PreValidation from "./Components/pages/Prevalidation";
 import Validation from "./Components/pages/Validation";
+import StageValidation from "./Components/pages/StageValidation";
 import AllDoc from "./Components/pages/AllDocument";
 import './i18n'
 import Login from "./Components/login/login";
@@ -25,6 +26,8 @@ import { AuthProvider } from './firebase/AuthContext';
 import { memo, useEffect } from "react";
 import Rejected from "./Components/pages/Rejected";
 import DataSource from "./Components/pages/DataSource";
+import Reports from "./Components/pages/Reports";
+import Reconciliation from "./Components/pages/Reconciliation";
 import StandarLookup from "./Components/others/lookup/Lookup";
 import PDFViewerWithSnap from "./Components/others/pdf-viewer/PDFViewerWithSnap";
 import { DraggableList } from "./Components/orderable/orderable-value";
@@ -36,6 +39,7 @@ const AppRoutes = memo(() => (
           <Route path="accueil" key="home" element={<Home />} />
           <Route path="prevalidation" key="prevalidation" element={<PreValidation />} />
           <Route path="validation" key="validation" element={<Validation />} />
+          <Route path="stage/:stage" key="stage" element={<StageValidation />} />
           {/* <Route path="returned" key="returned" element={<Retourne />} /> */}
           <Route path="validated" key="validated" element={<Validated />} />
           <Route path="rejected" key="rejected" element={<Rejected />} />
@@ -43,6 +47,8 @@ const AppRoutes = memo(() => (
           <Route path="/user/add" element={<AddUser />} />
           <Route path="/user/view" element={<User />} />
           <Route path="/data-source" element={<DataSource />} />
+          <Route path="/reports" element={<Reports />} />
+          <Route path="/reconciliation" element={<Reconciliation />} />
       </Route>
       <Route path="*" key="no-page" element={<NoPage />} />
       <Route path="document/:validation/:id" key="doc" element={<PrivateRoute><Doc /></PrivateRoute>} />
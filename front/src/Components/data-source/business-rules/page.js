@@ -0,0 +1,156 @@
+import React, { useEffect, useState } from 'react'
+import { Button, Checkbox, IconButton, MenuItem, TextField } from '@mui/material';
+import { Add, DeleteOutline, SaveOutlined } from '@mui/icons-material';
+import { t } from 'i18next';
+import { getCustomerById, saveBusinessRules } from '../../services/customer-service';
+
+const TYPES = ['Invoice', 'OCR', 'FormParser'];
+const KINDS = ['compare', 'required', 'allowed'];
+const SEVERITIES = ['block', 'warn'];
+
+const emptyRule = { name: '', kind: 'compare', expression: '', tolerance: 0, field: '', values: '', when: '', severity: 'warn', message: '', enabled: true };
+
+// Text columns of a rule, with an example of what they accept
+const COLUMNS = [
+    { key: 'name', placeholder: 'Total' },
+    { key: 'expression', placeholder: 'TotalAmount = NetAmount + TotalTaxAmount' },
+    { key: 'tolerance', placeholder: '0.01', className: 'w-20' },
+    { key: 'field', placeholder: 'PurchaseOrder' },
+    { key: 'values', placeholder: 'EUR, USD' },
+    { key: 'when', placeholder: 'TotalAmount > 1000' },
+    { key: 'message', placeholder: '' },
+];
+
+// allowed values are edited as a comma separated text
+const toForm = (rule) => ({ ...emptyRule, ...rule, values: (rule.values || []).join(', ') });
+const toRule = (rule) => ({ ...rule, values: rule.values.split(',').map(value => value.trim()).filter(Boolean) });
+
+const BusinessRules = () => {
+
+    const customerId = '67514c02a36d01d14c04de95';
+    const [savedRules, setSavedRules] = useState([]);
+    const [type, setType] = useState(TYPES[0]);
+    const [rules, setRules] = useState([]);
+    const [errors, setErrors] = useState([]);
+    const [message, setMessage] = useState('');
+
+    useEffect(() => {
+        getCustomerById(customerId).then(data => {
+            if (data?._id) setSavedRules(data.businessRules || []);
+        });
+    }, []);
+
+    // show the saved rules of the selected type
+    useEffect(() => {
+        setRules(savedRules.filter(rule => rule.type === type).map(toForm));
+        setErrors([]);
+    }, [type, savedRules]);
+
+    function showMessage(text) {
+        setMessage(text);
+        setTimeout(() => {
+            setMessage('');
+        }, 5000);
+    }
+
+    function handleRuleChange(index, key, value) {
+        setRules(rules.map((rule, position) => position === index ? { ...rule, [key]: value } : rule));
+    }
+
+    function handleRemoveRule(index) {
+        setRules(rules.filter((_, position) => position !== index));
+    }
+
+    async function handleSave() {
+        const response = await saveBusinessRules(customerId, type, rules.map(toRule)).catch(() => ({ error: t('error') }));
+        setErrors(response.errors || []);
+        if (response.error) return showMessage(response.error);
+
+        setSavedRules([...savedRules.filter(rule => rule.type !== type), ...response]);
+        showMessage(t('business-rules-saved'));
+    }
+
+    const ruleErrors = (index) => errors.filter(error => error.field === `rules.${index}`);
+
+    return (
+        <div className='flex flex-col gap-3 flex-grow h-full'>
+            <div className='flex items-center gap-3'>
+                <TextField select size='small' label={t('type')} value={type} onChange={(e) => setType(e.target.value)} sx={{ minWidth: 160 }}>
+                    {TYPES.map(item => <MenuItem key={item} value={item}>{item}</MenuItem>)}
+                </TextField>
+                <span className='text-xs text-gray-500'>{t('business-rules-hint')}</span>
+            </div>
+
+            <div className='h-full relative sb overflow-y-auto'>
+                <div className='absolute inset-0 w-full h-full'>
+                    <table className='w-full text-sm'>
+                        <thead>
+                            <tr className='text-left text-gray-600'>
+                                <th className='p-1 font-semibold'>{t('rule-enabled')}</th>
+                                <th className='p-1 font-semibold'>{t('rule-kind')}</th>
+                                {COLUMNS.map(({ key }) => <th key={key} className='p-1 font-semibold'>{t(`rule-${key}`)}</th>)}
+                                <th className='p-1 font-semibold'>{t('rule-severity')}</th>
+                                <th />
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rules.map((rule, index) => (
+                                <React.Fragment key={index}>
+                                    <tr>
+                                        <td className='p-1'>
+                                            <Checkbox size='small' checked={rule.enabled} onChange={(e) => handleRuleChange(index, 'enabled', e.target.checked)} />
+                                        </td>
+                                        <td className='p-1'>
+                                            <select className='form_controller text-sm' value={rule.kind} onChange={(e) => handleRuleChange(index, 'kind', e.target.value)}>
+                                                {KINDS.map(kind => <option key={kind} value={kind}>{t(`rule-kind-${kind}`)}</option>)}
+                                            </select>
+                                        </td>
+                                        {COLUMNS.map(({ key, placeholder, className = '' }) => (
+                                            <td key={key} className='p-1'>
+                                                <input
+                                                    className={`form_controller text-sm w-full ${className}`}
+                                                    type={key === 'tolerance' ? 'number' : 'text'}
+                                                    value={rule[key]}
+                                                    placeholder={placeholder}
+                                                    onChange={(e) => handleRuleChange(index, key, e.target.value)}
+                                                />
+                                            </td>
+                                        ))}
+                                        <td className='p-1'>
+                                            <select className='form_controller text-sm' value={rule.severity} onChange={(e) => handleRuleChange(index, 'severity', e.target.value)}>
+                                                {SEVERITIES.map(severity => <option key={severity} value={severity}>{t(`rule-severity-${severity}`)}</option>)}
+                                            </select>
+                                        </td>
+                                        <td className='p-1'>
+                                            <IconButton size='small' onClick={() => handleRemoveRule(index)} title={t('delete')}>
+                                                <DeleteOutline fontSize='small' />
+                                            </IconButton>
+                                        </td>
+                                    </tr>
+                                    {ruleErrors(index).map((error, position) => (
+                                        <tr key={position}>
+                                            <td colSpan={COLUMNS.length + 4} className='px-1 text-xs text-rose-600'>{error.message}</td>
+                                        </tr>
+                                    ))}
+                                </React.Fragment>
+                            ))}
+                        </tbody>
+                    </table>
+                    <Button size='small' startIcon={<Add />} onClick={() => setRules([...rules, emptyRule])}>
+                        {t('add')}
+                    </Button>
+                </div>
+            </div>
+
+            {message && <p className="p-2 bg-orange-100 text-orange-600 rounded-sm text-sm">{message}</p>}
+
+            <div className='flex gap-2'>
+                <Button variant='contained' size='small' startIcon={<SaveOutlined />} onClick={handleSave}>
+                    {t('save')}
+                </Button>
+            </div>
+        </div>
+    )
+}
+
+export default BusinessRules
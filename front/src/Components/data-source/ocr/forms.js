@@ -8,6 +8,7 @@ export const DynamicKeysAddForm = ({ customerId = '67514c02a36d01d14c04de95', on
     const [key, setKey] = useState('');
     const [value, setValue] = useState('');
     const [description, setDescription] = useState('');
+    const [type, setType] = useState('text');
     const [message, setMessage] = useState('');
     const [isLoading, setLoading] = useState(false);
     const [uploading, setUploading] = useState(true);
@@ -23,6 +24,7 @@ export const DynamicKeysAddForm = ({ customerId = '67514c02a36d01d14c04de95', on
     useEffect(() => {
         setKey(currentItem?.name || '');
         setDescription(currentItem?.description || '');
+        setType(currentItem?.type || 'text');
     }, [currentItem]);
 
     const handleSubmit = async (e) => {
@@ -30,9 +32,10 @@ export const DynamicKeysAddForm = ({ customerId = '67514c02a36d01d14c04de95', on
         
         try {
             const response = await updateCustomerDynamicKeys(customerId, {
-                name: action === 'add' ? key : cItem.key,
-                ...(action === 'update') && { newKey: key },
+                name: action === 'add' ? key : cItem.name,
+                ...(action === 'update') && { newName: key },
                 description: description.trim(),
+                type,
                 value: value.split(','), // Split value into an array
                 action
             }, action);
@@ -96,6 +99,18 @@ export const DynamicKeysAddForm = ({ customerId = '67514c02a36d01d14c04de95', on
                             required
                         />
                     </div>
+                    <div className="input__form">
+                        <label htmlFor="type">{t('dynamic-key-type')}:</label>
+                        <select
+                            className="form_controller text-base"
+                            id="type"
+                            value={type}
+                            onChange={(e) => setType(e.target.value)}
+                        >
+                            <option value="text">{t('dynamic-key-type-text')}</option>
+                            <option value="date">{t('dynamic-key-type-date')}</option>
+                        </select>
+                    </div>
                     <div className="input__form hidden">
                         <label htmlFor="value">Value (comma-separated):</label>
                         <input
@@ -0,0 +1,183 @@
+import React, { useEffect, useState } from 'react'
+import { Button, CircularProgress, IconButton, MenuItem, TextField } from '@mui/material';
+import { Add, DeleteOutline, Preview, SaveOutlined } from '@mui/icons-material';
+import { t } from 'i18next';
+import { deleteXmlTemplate, getCustomerById, previewXmlTemplate, saveXmlTemplate } from '../../services/customer-service';
+
+const TYPES = ['Invoice', 'OCR', 'FormParser'];
+
+const emptyField = { source: '', value: '', target: '', format: '', condition: '' };
+
+// Columns of a template field, with an example of what they accept
+const COLUMNS = [
+    { key: 'source', placeholder: 'LineItem[].LineItemAmount' },
+    { key: 'value', placeholder: 'EUR' },
+    { key: 'target', placeholder: 'Lines.Line[].Amount' },
+    { key: 'format', placeholder: 'date:DD/MM/YYYY, number:0.00' },
+    { key: 'condition', placeholder: 'Invoice.Currency=EUR' },
+];
+
+const XmlTemplates = () => {
+
+    const customerId = '67514c02a36d01d14c04de95';
+    const [templates, setTemplates] = useState([]);
+    const [type, setType] = useState(TYPES[0]);
+    const [rootName, setRootName] = useState('');
+    const [fields, setFields] = useState([emptyField]);
+    const [errors, setErrors] = useState([]);
+    const [message, setMessage] = useState('');
+    const [preview, setPreview] = useState(null);
+    const [loading, setLoading] = useState(false);
+
+    useEffect(() => {
+        getCustomerById(customerId).then(data => {
+            if (data?._id) setTemplates(data.xmlTemplates || []);
+        });
+    }, []);
+
+    // show the saved template of the selected type
+    useEffect(() => {
+        const template = templates.find(item => item.type === type);
+        setRootName(template?.rootName || '');
+        setFields(template?.fields?.length ? template.fields.map(field => ({ ...emptyField, ...field })) : [emptyField]);
+        setErrors([]);
+        setPreview(null);
+    }, [type, templates]);
+
+    function showMessage(text) {
+        setMessage(text);
+        setTimeout(() => {
+            setMessage('');
+        }, 5000);
+    }
+
+    function handleFieldChange(index, key, value) {
+        setFields(fields.map((field, position) => position === index ? { ...field, [key]: value } : field));
+    }
+
+    function handleRemoveField(index) {
+        setFields(fields.filter((_, position) => position !== index));
+    }
+
+    // fields left empty are not part of the template
+    const templateData = () => ({ rootName, fields: fields.filter(field => field.source || field.value || field.target) });
+
+    async function handleSave() {
+        const response = await saveXmlTemplate(customerId, type, templateData());
+        setErrors(response.errors || []);
+        if (response.error) return showMessage(response.error);
+
+        setTemplates([...templates.filter(item => item.type !== type), response]);
+        showMessage(t('xml-template-saved'));
+    }
+
+    async function handleDelete() {
+        const response = await deleteXmlTemplate(customerId, type);
+        if (response.error) return showMessage(response.error);
+
+        setTemplates(templates.filter(item => item.type !== type));
+        showMessage(t('xml-template-deleted'));
+    }
+
+    async function handlePreview() {
+        setLoading(true);
+        const response = await previewXmlTemplate(customerId, { type, ...templateData() }).catch(() => ({ error: t('error') }));
+        setLoading(false);
+        setErrors(response.errors || []);
+        setPreview(response.error ? null : response);
+        if (response.error) showMessage(response.error);
+    }
+
+    const fieldErrors = (index) => errors.filter(error => error.field === `fields.${index}`);
+
+    return (
+        <div className='flex items-stretch gap-5 flex-grow h-full'>
+            <div className='w-full flex flex-col gap-3'>
+                <div className='flex items-center gap-3'>
+                    <TextField select size='small' label={t('type')} value={type} onChange={(e) => setType(e.target.value)} sx={{ minWidth: 160 }}>
+                        {TYPES.map(item => <MenuItem key={item} value={item}>{item}</MenuItem>)}
+                    </TextField>
+                    <TextField size='small' label={t('xml-root-name')} value={rootName} placeholder={type}
+                        onChange={(e) => setRootName(e.target.value)}
+                        error={errors.some(error => error.field === 'rootName')} />
+                    {!templates.some(item => item.type === type) && (
+                        <span className='text-xs text-gray-500'>{t('xml-template-none')}</span>
+                    )}
+                </div>
+
+                <div className='h-full relative sb overflow-y-auto'>
+                    <div className='absolute inset-0 w-full h-full'>
+                        <table className='w-full text-sm'>
+                            <thead>
+                                <tr className='text-left text-gray-600'>
+                                    {COLUMNS.map(({ key }) => <th key={key} className='p-1 font-semibold'>{t(`xml-field-${key}`)}</th>)}
+                                    <th />
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {fields.map((field, index) => (
+                                    <React.Fragment key={index}>
+                                        <tr>
+                                            {COLUMNS.map(({ key, placeholder }) => (
+                                                <td key={key} className='p-1'>
+                                                    <input
+                                                        className='form_controller text-sm w-full'
+                                                        type='text'
+                                                        value={field[key]}
+                                                        placeholder={placeholder}
+                                                        onChange={(e) => handleFieldChange(index, key, e.target.value)}
+                                                    />
+                                                </td>
+                                            ))}
+                                            <td className='p-1'>
+                                                <IconButton size='small' onClick={() => handleRemoveField(index)} title={t('delete')}>
+                                                    <DeleteOutline fontSize='small' />
+                                                </IconButton>
+                                            </td>
+                                        </tr>
+                                        {fieldErrors(index).map((error, position) => (
+                                            <tr key={position}>
+                                                <td colSpan={COLUMNS.length + 1} className='px-1 text-xs text-rose-600'>{error.message}</td>
+                                            </tr>
+                                        ))}
+                                    </React.Fragment>
+                                ))}
+                            </tbody>
+                        </table>
+                        <Button size='small' startIcon={<Add />} onClick={() => setFields([...fields, emptyField])}>
+                            {t('add')}
+                        </Button>
+                    </div>
+                </div>
+
+                {message && <p className="p-2 bg-orange-100 text-orange-600 rounded-sm text-sm">{message}</p>}
+
+                <div className='flex gap-2'>
+                    <Button variant='contained' size='small' startIcon={<SaveOutlined />} onClick={handleSave}>
+                        {t('save')}
+                    </Button>
+                    <Button variant='outlined' size='small' startIcon={loading ? <CircularProgress size={16} /> : <Preview />} onClick={handlePreview} disabled={loading}>
+                        {t('preview')}
+                    </Button>
+                    {templates.some(item => item.type === type) && (
+                        <Button color='error' size='small' startIcon={<DeleteOutline />} onClick={handleDelete}>
+                            {t('delete')}
+                        </Button>
+                    )}
+                </div>
+            </div>
+            <div className='w-full max-w-[600px] h-full flex flex-col border-l border-gray-300 pl-5'>
+                <h2 className='text-sm text-gray-600 font-semibold'>
+                    {t('preview')}{preview?.document && ` - ${preview.document.name}`}
+                </h2>
+                <div className='h-full relative sb overflow-y-auto'>
+                    <pre className='absolute inset-0 w-full h-full p-4 text-xs whitespace-pre-wrap'>
+                        {preview?.xml || t('xml-template-preview-hint')}
+                    </pre>
+                </div>
+            </div>
+        </div>
+    )
+}
+
+export default XmlTemplates
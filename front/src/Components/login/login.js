@@ -6,6 +6,7 @@ import axios from "axios";
 import { useNavigate } from 'react-router-dom';
 import fileService from "../services/fileService";
 import { Refresh } from "@mui/icons-material";
+import { stagePath } from "../../utils/utils";
 import SignInWithGoogle from "../../firebase/signin-with-google";
 import { useAuth } from "../../firebase/AuthContext";
 
@@ -93,12 +94,14 @@ export default function Login() {
         localStorage.setItem("token", response.data.token);
         localStorage.setItem("user", JSON.stringify(response.data));
         // Assurez-vous que le token est bien sauvegardé avant de rediriger
-        if (response.data.role === "agent V1")
-          navigate("/prevalidation");
-        else if (response.data.role === "agent V2")
-          navigate("/validation");
-        else if (response.data.role === "admin")
+        if (response.data.role === "admin")
           navigate('/alldoc')
+        else {
+          // first workflow stage the role can act on
+          const counts = await fileService.fetchDocumentCounts();
+          const stage = counts?.stageCounts?.find(stage => stage.roles.includes(response.data.role));
+          navigate(stage ? stagePath(stage.key) : '/accueil');
+        }
 
       } else {
         setEmailIncorrect(true)
@@ -1,9 +1,12 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { DragDropContext, Draggable, Droppable } from '@hello-pangea/dnd';
-import { DragIndicator } from '@mui/icons-material';
+import { Check, Close, DragIndicator } from '@mui/icons-material';
 import { useClickAway } from 'use-click-away';
 import { convertToPascalCase, labelToCapitalized, makeReadable, updateArray } from '../../utils/utils';
 import { Skeleton } from '@mui/material';
+import { t } from 'i18next';
+import { toIsoDate } from '../../utils/dates';
+import i18n from '../../i18n';
 
 
 const defaultDynamicKeys = [
@@ -37,13 +40,25 @@ const defaultTextFragments = [
 ];
 
 
-export const DraggableList = ({ textFragments=defaultTextFragments, dynamicKeys=defaultDynamicKeys, onClick, onUpdate, values }) => {
+// Confidence of a suggested key, from the best to the least certain
+const confidenceColor = (confidence) => {
+    if (confidence >= 0.8) return 'bg-emerald-100 text-emerald-800';
+    if (confidence >= 0.65) return 'bg-amber-100 text-amber-800';
+    return 'bg-rose-100 text-rose-800';
+};
+
+
+export const DraggableList = ({ textFragments=defaultTextFragments, dynamicKeys=defaultDynamicKeys, onClick, onUpdate, values, dateSources = [], dateOrder = 'DMY', suggestions = [], trainedOn = 0 }) => {
 
     const [items, setItems] = useState([]);
     const [activeItem, setActiveItem] = useState(null);
     const itemValues = useMemo(() => values, [values]);
 
     const [droppableItems, setDroppableItems] = useState(dynamicKeys);
+    // fragments assigned by a suggestion the agent has not accepted yet ({ [fragment id]: confidence })
+    const [pending, setPending] = useState({});
+    // the suggestions are applied once, not each time the values or fragments change
+    const suggestionsApplied = useRef(false);
 
     useEffect(() => {
         if (Array.isArray(dynamicKeys)) {
@@ -64,6 +79,50 @@ export const DraggableList = ({ textFragments=defaultTextFragments, dynamicKeys=
             setItems(textFragments);
     }, [textFragments]);
 
+    // pre-assign the suggested fragments of a document nobody assigned yet
+    useEffect(() => {
+        if (suggestionsApplied.current || !suggestions.length || !Array.isArray(dynamicKeys) || !dynamicKeys.length) return;
+        if ((itemValues || []).some(field => field.value?.length)) return;
+        suggestionsApplied.current = true;
+
+        const fragmentOf = ({ id, value }) => (Array.isArray(textFragments) && textFragments.find(item => item.id === id)) || { id, value };
+        const byName = Object.fromEntries(suggestions.map(suggestion => [suggestion.name, suggestion.value.map(fragmentOf)]));
+        const updated = updateArray(itemValues || [], dynamicKeys)
+            .map(field => ({ ...field, value: byName[field.name] || [] }))
+            .sort((a, b) => a.order - b.order);
+        const assigned = suggestions.flatMap(suggestion => suggestion.value);
+
+        setItems(prev => prev.filter(item => !assigned.some(fragment => fragment.id === item.id)));
+        setPending(Object.fromEntries(assigned.map(fragment => [fragment.id, fragment.confidence])));
+        setDroppableItems(updated);
+        onUpdate?.(updated);
+    }, [suggestions, dynamicKeys, itemValues, textFragments, onUpdate]);
+
+    // a fragment moved or edited by the agent is no longer a suggestion
+    const settle = (ids) => setPending(prev => Object.fromEntries(Object.entries(prev).filter(([id]) => !ids.includes(Number(id)))));
+
+    // method to give suggested fragments back to the list, in the order of the text
+    function handleRejectSuggestions(ids) {
+        const rejected = [];
+        const updated = droppableItems.map(field => {
+            const kept = field.value.filter(fragment => !ids.includes(fragment.id));
+            rejected.push(...field.value.filter(fragment => ids.includes(fragment.id)));
+            return kept.length === field.value.length ? field : { ...field, value: kept };
+        });
+        setItems(prev => [...prev, ...rejected].sort((a, b) => a.id - b.id));
+        setDroppableItems(updated);
+        settle(ids);
+        onUpdate?.(updated);
+    }
+
+    const pendingIds = Object.keys(pending).map(Number);
+
+    // text a date fragment was read from before being stored as ISO 8601
+    const originalOf = (name, position) => {
+        const index = (itemValues || []).findIndex(field => field.name === name);
+        return dateSources.find(source => source.path === `OCRData.${index}.value.${position}.value`)?.text;
+    };
+
     const onDragEnd = (result) => {
         const { source, destination } = result;
 
@@ -95,6 +154,7 @@ export const DraggableList = ({ textFragments=defaultTextFragments, dynamicKeys=
                 const field = droppableItems.find(field => field.name === sourceKey);
                 const [movedItem] = field.value.splice(source.index, 1);
                 setDroppableItems([...droppableItems]);
+                settle([movedItem.id]);
 
                 const updatedItems = Array.from(items);
                 updatedItems.splice(destination.index, 0, movedItem);
@@ -103,6 +163,7 @@ export const DraggableList = ({ textFragments=defaultTextFragments, dynamicKeys=
                 // Moving items between fields
                 const sourceField = droppableItems.find(field => field.name === sourceKey);
                 const [movedItem] = sourceField.value.splice(source.index, 1);
+                settle([movedItem.id]);
                 const updated = droppableItems.map(field => {
                     if (field.name === destinationKey) {
                         const updatedValue = Array.from(field.value);
@@ -143,6 +204,7 @@ export const DraggableList = ({ textFragments=defaultTextFragments, dynamicKeys=
         const updated = droppableItems.map(item => {
             if (item.name === key) {
                 item.value[index].value = value;
+                settle([item.value[index].id]);
             }
             return item
         })
@@ -216,6 +278,18 @@ export const DraggableList = ({ textFragments=defaultTextFragments, dynamicKeys=
                     {/* Create droppable items */}
                     <div className='h-full flex flex-col flex-grow'>
                         <h1 className='p-1 px-3 text-gray-500 font-semibold bg-white border border-x-0 text-sm'>Data Entry Fields</h1>
+                        {
+                            pendingIds.length > 0 &&
+                            <div className='flex flex-wrap items-center gap-2 px-3 py-1 bg-sky-50 border-b text-xs text-sky-900'>
+                                <span>{t('ocr-suggestions', { count: pendingIds.length, documents: trainedOn })}</span>
+                                <button type='button' className='ml-auto flex items-center gap-1 px-2 py-1 rounded hover:bg-emerald-100 text-emerald-700' onClick={() => setPending({})}>
+                                    <Check fontSize='small' /> {t('ocr-suggestions-accept-all')}
+                                </button>
+                                <button type='button' className='flex items-center gap-1 px-2 py-1 rounded hover:bg-rose-100 text-rose-700' onClick={() => handleRejectSuggestions(pendingIds)}>
+                                    <Close fontSize='small' /> {t('ocr-suggestions-reject-all')}
+                                </button>
+                            </div>
+                        }
                         <div className='flex flex-col flex-1 gap-1 h-full p-2 w-full overflow-x-hidden overflow-y-auto custom__scroll relative'>
                             <div className='absolute inset-0 w-full h-full p-2'>
                                 {
@@ -224,6 +298,11 @@ export const DraggableList = ({ textFragments=defaultTextFragments, dynamicKeys=
                                             <ValueItem
                                                 key={index}
                                                 item={item}
+                                                originalOf={originalOf}
+                                                dateOrder={dateOrder}
+                                                pending={pending}
+                                                onAccept={(id) => settle([id])}
+                                                onReject={(id) => handleRejectSuggestions([id])}
                                                 onChange={handleChangeItemValue}
                                                 onClick={(val) => {
                                                     onClick?.(val);
@@ -255,7 +334,18 @@ export const DraggableList = ({ textFragments=defaultTextFragments, dynamicKeys=
 };
 
 
-const ValueItem = ({ item, onChange, onClick, active }) => {
+// Date read from a fragment of a key typed as a date, with the text of the document it comes from
+const DateHint = ({ value = '', original, order }) => {
+    const iso = toIsoDate(value, order);
+    return (
+        <span className={`block text-xs ${iso ? 'text-slate-500' : 'text-rose-600'}`}>
+            {iso ? new Intl.DateTimeFormat(i18n.language, { dateStyle: 'long', timeZone: 'UTC' }).format(new Date(iso)) : t('date-invalid')}
+            {original && original !== value && <span className='ml-2'>({t('date-original')}: {original})</span>}
+        </span>
+    );
+};
+
+const ValueItem = ({ item, originalOf, dateOrder, pending = {}, onAccept, onReject, onChange, onClick, active }) => {
 
     const [editing, setEditing] = useState(false);
     const divRef = useRef(null);
@@ -290,7 +380,27 @@ const ValueItem = ({ item, onChange, onClick, active }) => {
                                                 {...provided.draggableProps}
                                                 {...provided.dragHandleProps}
                                                 className={`${active?.id === val.id ? 'bg-blue-50 border-slate-400' : 'bg-gray-50 hover:border-indigo-100 hover:bg-indigo-50'} flex items-start gap-1 p-2 m-0 text-sm text-slate-900 whitespace-break-spaces ${snapshot.isDragging ? 'bg-indigo-50 border-indigo-100 line-clamp-3' : ''} border-2 border-transparent`}
-                                            >{val.value}</p>
+                                            >
+                                                {
+                                                    item.type === 'date'
+                                                        ? <span>{val.value}<DateHint value={val.value} original={originalOf?.(item.name, idx)} order={dateOrder} /></span>
+                                                        : val.value
+                                                }
+                                                {
+                                                    pending[val.id] !== undefined &&
+                                                    <span className='ml-auto flex items-center gap-1 shrink-0'>
+                                                        <span className={`px-1 rounded text-xs ${confidenceColor(pending[val.id])}`} title={t('ocr-suggestion-confidence')}>
+                                                            {Math.round(pending[val.id] * 100)}%
+                                                        </span>
+                                                        <button type='button' className='rounded hover:bg-emerald-100' title={t('ocr-suggestion-accept')} onClick={(e) => { e.stopPropagation(); onAccept?.(val.id); }}>
+                                                            <Check fontSize='small' className='text-emerald-600' />
+                                                        </button>
+                                                        <button type='button' className='rounded hover:bg-rose-100' title={t('ocr-suggestion-reject')} onClick={(e) => { e.stopPropagation(); onReject?.(val.id); }}>
+                                                            <Close fontSize='small' className='text-rose-600' />
+                                                        </button>
+                                                    </span>
+                                                }
+                                            </p>
                                         )}
                                     </Draggable>
                                 ) : (
@@ -1,73 +1,145 @@
 import { DragDropContext, Draggable, Droppable } from "@hello-pangea/dnd";
-import { Add, Clear, DragIndicator } from "@mui/icons-material";
+import { Add, Check, Clear, DragIndicator } from "@mui/icons-material";
 import { styled, Tooltip, tooltipClasses } from "@mui/material";
 import { t } from "i18next";
 import PropTypes from "prop-types";
-import React, { useCallback, useEffect, useRef, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import DateInput from "./DateInput";
+import { formatCurrency, formatLocaleNumber, toCanonical, toNumber } from "../../utils/utils";
+import { minorUnits } from "../../utils/currencies";
 
-export const BankStatementTableItem = ({ data = [], onRowsUpdate, id }) => {
+// Keys of a transaction row, the extracted ones first (a row is a withdrawal or a deposit)
+// copy of the row keys of back/utils/bank-statement.js, the server reads the statement the same way
+const ROW_KEYS = {
+    debit: ['TableItemTransactionWithdrawal', 'TableItemDebitAmount'],
+    credit: ['TableItemTransactionDeposit', 'TableItemCreditAmount'],
+    date: ['TableItemTransactionWithdrawalDate', 'TableItemTransactionDepositDate', 'TableItemDate'],
+    description: ['TableItemTransactionWithdrawalDescription', 'TableItemTransactionDepositDescription', 'TableItemDescription'],
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Method to find the key a column of a row is stored under (the first one filled, or the first one)
+const keyOf = (row, column) => ROW_KEYS[column].find(key => !isBlank(row[key])) || ROW_KEYS[column][0];
+
+/**
+ * Transactions of a bank statement with their debit, credit and running balance
+ * the balances are reconciled: opening balance + credits - debits = closing balance
+ */
+export const BankStatementTableItem = ({ data = [], onRowsUpdate, onBalanceUpdate, onError, id, openingBalance = '', closingBalance = '', locale, currency }) => {
 
     const [rows, setRows] = useState([]);
 
+    // amounts have the decimals of the currency
+    const fixed = (n = 0) => n.toFixed(minorUnits(currency));
+    const differs = (a, b) => Math.abs(a - b) > 1 / 10 ** minorUnits(currency) / 2;
+
     useEffect(() => {
-        let newRows = data.map((d, index) => ({
-            ...d,
-            id: index + 1
-        }));
-        setRows(newRows);
+        setRows(data);
     }, [data]);
 
-    // Helper to flatten and parse descriptions for display
-    const formatDescriptions = (descriptions) => {
-        const value = Array.isArray(descriptions) ? descriptions.map(d => d.replace(/\n/g, ' ')).join('\n') : descriptions.replace(/\n/g, ' ');
-        return (
-            <AutoHeightTextarea className="form_controller w-full" value={value} />
-        )
-    };
+    // balance after each transaction and deviation of the closing balance
+    const check = useMemo(() => {
+        let balance = toNumber(openingBalance, locale);
+        const balances = rows.map(row => {
+            balance += toNumber(row[keyOf(row, 'credit')], locale) - toNumber(row[keyOf(row, 'debit')], locale);
+            return balance;
+        });
+        return {
+            balances,
+            deviation: isBlank(closingBalance) ? 0 : toNumber(closingBalance, locale) - balance,
+        };
+    }, [rows, openingBalance, closingBalance, locale]);
 
-    function handleAddNewRow() {
+    const hasDeviation = differs(check.deviation, 0);
+
+    // flag the closing balance the transactions do not add up to
+    useEffect(() => {
+        onError?.('ClosingBalance', hasDeviation);
+    }, [hasDeviation, onError]);
 
+    function update(updatedRows) {
+        setRows(updatedRows);
+        onRowsUpdate && onRowsUpdate(id, updatedRows);
     }
 
+    function handleAddNewRow() {
+        update([...rows, { TableItemDate: '', TableItemDescription: '', TableItemTransactionWithdrawal: '', TableItemTransactionDeposit: '' }]);
+    }
 
     // Function to handle deleting a row
-    const handleDeleteRow = useCallback((rowId) => {
-        const updatedRows = rows.filter((r) => r.id !== rowId);
-        setRows(updatedRows);
-        onRowsUpdate && onRowsUpdate(id, updatedRows);
-    }, [rows, onRowsUpdate, id]);
-    
+    const handleDeleteRow = (index) => {
+        update(rows.filter((_, position) => position !== index));
+    };
+
     // Function to handle updating cell data
-    const handleUpdateCell = useCallback((key, value) => {
-        const [, , rowId, field] = key.split('.');
-        const updatedRows = rows.map((row) => {
-            if (row.id === rowId && row[field] !== value) {
-                return { ...row, [field]: value };
-            }
-            return row;
-        });
+    const handleUpdateCell = (index, key, value) => {
+        if (rows[index]?.[key] === value) return;
+        update(rows.map((row, position) => position === index ? { ...row, [key]: value } : row));
+    };
 
-        // Check if rows have actually changed before updating state
-        setRows(updatedRows);
-        onRowsUpdate && onRowsUpdate(id, updatedRows);
-    }, [rows, onRowsUpdate, id]);
-    
     // Function to handle row drag and drop
-    const handleDragEnd = useCallback((result) => {
+    const handleDragEnd = (result) => {
         if (!result.destination) return;
         const reorderedRows = [...rows];
         const [removed] = reorderedRows.splice(result.source.index, 1);
         reorderedRows.splice(result.destination.index, 0, removed);
-        setRows(reorderedRows);
-        onRowsUpdate && onRowsUpdate(id, reorderedRows);
-    }, [rows, onRowsUpdate, id]);
+        update(reorderedRows);
+    };
 
+    // Helper to flatten the descriptions (several extracted lines) for display
+    const descriptionOf = (row) => {
+        const descriptions = row[keyOf(row, 'description')] ?? '';
+        return Array.isArray(descriptions) ? descriptions.map(d => d.replace(/\n/g, ' ')).join('\n') : String(descriptions).replace(/\n/g, ' ');
+    };
+
+    const amountCell = (row, index, column) => (
+        <TableItemCell
+            onUpdate={(_, value) => handleUpdateCell(index, keyOf(row, column), value)}
+            value={row[keyOf(row, column)] ?? ''}
+            type="numeric"
+            locale={locale}
+            id={`${id}.${index}.${keyOf(row, column)}`}
+        />
+    );
+
+    const balanceInput = (key, value, error = false) => (
+        <label className="flex items-center gap-2">
+            <span className="text-slate-800">{t(key === 'OpeningBalance' ? 'opening-balance' : 'closing-balance')}:</span>
+            <TableItemCell
+                className={`w-32 ${error ? '!border-rose-600 !bg-rose-200' : ''}`}
+                onUpdate={(_, newValue) => newValue !== value && onBalanceUpdate?.(key, newValue)}
+                value={value}
+                type="numeric"
+                locale={locale}
+                id={`${id}.${key}`}
+            />
+        </label>
+    );
 
     return (
         <div className="flex flex-col gap-2 bg-slate-100">
+            <div className="text-sm p-1 flex flex-wrap gap-2 w-full items-center">
+                {balanceInput('OpeningBalance', openingBalance)}
+                {balanceInput('ClosingBalance', closingBalance, hasDeviation)}
+                {
+                    hasDeviation &&
+                    <span className='bg-rose-200 text-black ml-auto py-1 px-2 text-sm'>
+                        <span className='text-slate-800'>{t('balance-deviation')}:</span> <span className='font-semibold'>
+                            {formatCurrency(fixed(check.deviation), currency, locale)}
+                        </span>
+                    </span>
+                }
+                {
+                    (!hasDeviation && !isBlank(closingBalance) && rows.length > 0) &&
+                    <span className='bg-green-200 text-black ml-auto py-1 px-2 text-sm'>
+                        <Check fontSize='12' />
+                        <span className='ml-1 text-slate-800'>{t('correct')}</span>
+                    </span>
+                }
+            </div>
             <label htmlFor="line-item-table" className="text-sm p-1 flex gap-2 w-full items-center">
-                <p>Transaction Items:</p>
+                <p>{t('transactions')}:</p>
             </label>
             <table
                 className="w-full border"
@@ -79,10 +151,11 @@ export const BankStatementTableItem = ({ data = [], onRowsUpdate, id }) => {
                                 <Add className="text-emerald-500" />
                             </button>
                         </th>
-                        <th className="w-[140px] text-left">Date</th>
-                        <th className="min-w-40 text-left" >Description</th>
-                        <th className="w-[120px] text-center">Amount</th>
-                        <th className="w-[100px] text-center">Type</th>
+                        <th className="w-[140px] text-left">{t('date')}</th>
+                        <th className="min-w-40 text-left">{t('statement-description')}</th>
+                        <th className="w-[110px] text-center">{t('debit')}</th>
+                        <th className="w-[110px] text-center">{t('credit')}</th>
+                        <th className="w-[110px] text-center">{t('running-balance')}</th>
                         <th className="text-sm text-center font-semibold px-1"></th>
                     </tr>
                 </thead>
@@ -102,7 +175,7 @@ export const BankStatementTableItem = ({ data = [], onRowsUpdate, id }) => {
                                                     <button
                                                         type="button"
                                                         className="p-1 self-center opacity-50 hover:opacity-100 hover:bg-red-100 rounded-md"
-                                                        onClick={() => handleDeleteRow(item.id)}
+                                                        onClick={() => handleDeleteRow(index)}
                                                     >
                                                         <Clear className="text-rose-500" />
                                                     </button>
@@ -110,38 +183,22 @@ export const BankStatementTableItem = ({ data = [], onRowsUpdate, id }) => {
                                                 <td className="align-top pr-1">
                                                     <DateInput
                                                         className="!grid-cols-1"
-                                                        value={item.TableItemTransactionWithdrawalDate ||
-                                                            item.TableItemTransactionDepositDate ||
-                                                            "N/A"}
+                                                        id={`${id}.${index}.${keyOf(item, 'date')}`}
+                                                        value={item[keyOf(item, 'date')] ?? ''}
+                                                        onInput={(_, value) => handleUpdateCell(index, keyOf(item, 'date'), value)}
                                                     />
-
-                                                </td>
-                                                <td className="align-top pr-1">
-                                                    {formatDescriptions(
-                                                        item.TableItemTransactionWithdrawalDescription ||
-                                                        item.TableItemTransactionDepositDescription ||
-                                                        "No Description"
-                                                    )}
                                                 </td>
                                                 <td className="align-top pr-1">
-
-                                                    <TableItemCell
-                                                        onUpdate={handleUpdateCell}
-                                                        value={item.TableItemTransactionWithdrawal ||
-                                                            item.TableItemTransactionDeposit ||
-                                                            "N/A"}
-                                                        type="numeric"
-                                                        id={`${id}.${item.id}.TableItemTransaction${item.TableItemTransactionWithdrawal ? "Withdrawal" : "Deposit"}`}
+                                                    <AutoHeightTextarea
+                                                        className="form_controller w-full"
+                                                        value={descriptionOf(item)}
+                                                        onUpdate={(value) => handleUpdateCell(index, keyOf(item, 'description'), value)}
                                                     />
-
                                                 </td>
-                                                <td className="align-top pr-1">
-                                                    <TableItemCell
-                                                        onUpdate={handleUpdateCell}
-                                                        value={item.TableItemTransactionWithdrawal ? "Withdrawal" : "Deposit"}
-                                                        id={`${id}.${item.id}.TableItemTransaction${item.TableItemTransactionWithdrawal ? "Withdrawal" : "Deposit"}Type`}
-                                                    />
-
+                                                <td className="align-top pr-1">{amountCell(item, index, 'debit')}</td>
+                                                <td className="align-top pr-1">{amountCell(item, index, 'credit')}</td>
+                                                <td className="align-top pr-1 pt-2 text-right text-sm text-slate-700">
+                                                    {formatCurrency(fixed(check.balances[index]), currency, locale)}
                                                 </td>
                                                 <td className="text-center align-top pr-1">
                                                     {/* Move button */}
@@ -156,6 +213,7 @@ export const BankStatementTableItem = ({ data = [], onRowsUpdate, id }) => {
                                         )}
                                     </Draggable>
                                 ))}
+                                {provided.placeholder}
                             </tbody>
                         )}
                     </Droppable>
@@ -166,8 +224,13 @@ export const BankStatementTableItem = ({ data = [], onRowsUpdate, id }) => {
 };
 
 
-const TableItemCell = ({ value = '', className = '', id = '', onUpdate, onFocus, type = '' }) => {
-    const [val, setVal] = useState(value);
+const TableItemCell = ({ value = '', className = '', id = '', onUpdate, onFocus, type = '', locale }) => {
+    // numbers are stored as canonical decimals and typed with the number locale of the document
+    const numeric = type === 'numeric';
+    const display = useCallback((v) => numeric ? formatLocaleNumber(v, locale) : v, [numeric, locale]);
+    const stored = useCallback((v) => numeric ? toCanonical(v, locale) : v, [numeric, locale]);
+
+    const [val, setVal] = useState(display(value));
     const [isOverflowing, setIsOverflowing] = useState(false);
     const inputRef = useRef(null);
 
@@ -180,27 +243,28 @@ const TableItemCell = ({ value = '', className = '', id = '', onUpdate, onFocus,
     }, [val]); // Re-check on value change
 
     const handleChange = useCallback((newVal) => {
-        if (type === 'numeric') {
-            // Allow empty values or values with digits, commas, and dots
-            const regex = /^-?(\d{1,3}(,\d{3})*|\d+)?(\.\d*)?(\,\d*)?$/;
+        if (numeric) {
+            // Allow empty values or values with digits, separators and a sign
+            const regex = /^[-(]?[\d\s.,'’]*\)?-?$/;
             if (regex.test(newVal)) {
                 setVal(newVal)
-                onUpdate && onUpdate(id, newVal);
+                onUpdate && onUpdate(id, stored(newVal));
             }
         } else {
             setVal(newVal);
             onUpdate && onUpdate(id, newVal);
         }
-    }, [id, onUpdate, type]);
+    }, [id, onUpdate, numeric, stored]);
 
     const handleFocus = () => {
-        onUpdate?.(id, val);
+        onUpdate?.(id, stored(val));
         onFocus?.();
     }
 
     useEffect(() => {
-        setVal(value);
-    }, [value]);
+        // a number being typed is kept as typed while it holds the stored value
+        setVal(prev => numeric && stored(prev) === value ? prev : display(value));
+    }, [value, numeric, display, stored]);
 
     return (
         <HtmlTooltip className="p-1" title={
@@ -240,6 +304,7 @@ TableItemCell.prototype = {
     onUpdate: PropTypes.func, // Function to handle update
     onFocus: PropTypes.func, // Function to handle focus
     type: PropTypes.oneOf(['text', 'numeric']), // Type of cell ('input', etc.)
+    locale: PropTypes.string, // Number locale of the numeric cells (de-DE, en-GB...)
 }
 
 const HtmlTooltip = styled(({ className, ...props }) => (
@@ -261,6 +326,10 @@ const AutoHeightTextarea = ({ value = '', onUpdate, className = '', ...props })
     const textareaRef = useRef(null);
     const [val, setVal] = useState(value);
 
+    useEffect(() => {
+        setVal(value);
+    }, [value]);
+
     const handleInputChange = (event) => {
         const textarea = textareaRef.current;
         if (textarea) {
@@ -0,0 +1,53 @@
+import { memo } from 'react';
+import { t } from 'i18next';
+import { IconButton } from '@mui/material';
+import { CheckCircleOutline, Close, ErrorOutline, WarningAmber } from '@mui/icons-material';
+import { makeReadable } from '../../utils/utils';
+
+// Business rules broken by the document ({ rule, name, severity, field, message })
+// onSelect jumps to the field of a rule
+const BusinessRulesPanel = memo(({ results = [], onSelect, onClose }) => (
+    <div className='flex flex-col h-full'>
+        <div className='flex items-center justify-between px-4 pt-4'>
+            <h2 className='font-semibold text-slate-800'>{t('business-rules')}</h2>
+            <IconButton size='small' onClick={onClose} title={t('close-btn')}>
+                <Close fontSize='small' />
+            </IconButton>
+        </div>
+        {
+            results.length === 0
+                ? <p className='flex items-center gap-2 p-4 text-sm text-emerald-700'>
+                    <CheckCircleOutline fontSize='small' /> {t('business-rules-ok')}
+                </p>
+                : <ul className='p-2 space-y-1'>
+                    {
+                        results.map((result, index) => (
+                            <li key={`${result.rule}-${index}`}>
+                                <button
+                                    type='button'
+                                    className='w-full p-2 text-left rounded hover:bg-slate-100'
+                                    onClick={() => onSelect?.(result.field)}
+                                >
+                                    <span className='flex items-center gap-2 text-sm font-semibold text-slate-800'>
+                                        {
+                                            result.severity === 'block'
+                                                ? <ErrorOutline fontSize='small' className='text-rose-600' />
+                                                : <WarningAmber fontSize='small' className='text-yellow-600' />
+                                        }
+                                        {result.name}
+                                    </span>
+                                    <span className='block text-xs text-slate-600'>{result.message}</span>
+                                    {
+                                        result.field &&
+                                        <span className='block text-xs text-sky-700'>{makeReadable(result.field.split('.').pop())}</span>
+                                    }
+                                </button>
+                            </li>
+                        ))
+                    }
+                </ul>
+        }
+    </div>
+));
+
+export default BusinessRulesPanel;
@@ -2,18 +2,57 @@ import React, { useEffect, useRef, useState } from 'react';
 import { makeReadable } from '../../utils/utils';
 import { ArrowDropDown } from '@mui/icons-material';
 
-const ComboBox = React.memo(({label = '', id, value = '', defaultValue = '', onInput, onFocus, onBlur, options = [], ...props}) => {
+// searchable: the typed text filters the options, only an option can be chosen
+const ComboBox = React.memo(({label = '', id, value = '', defaultValue = '', onInput, onFocus, onBlur, options = [], searchable = false, ...props}) => {
 
     const [val, setVal] = useState(value);
     const [showOptions, setShowOptions] = useState(false);
+    // text typed to filter the options of a searchable combo box
+    const [search, setSearch] = useState(null);
     const ref = useRef(null);
     const dropdownRef = useRef(null);
 
+    const optionValue = (option) => option.value ?? option;
+    const shownOptions = search ? options.filter(option =>
+        `${optionValue(option)} ${option.label ?? ''}`.toLowerCase().includes(search.trim().toLowerCase())
+    ) : options;
+
     function handleChange(newVal) {
         setVal(newVal);
         onInput && onInput(id, newVal);
     }
 
+    function handleType(newVal) {
+        if (!searchable) return handleChange(newVal);
+        setVal(newVal);
+        setSearch(newVal);
+        setShowOptions(true);
+    }
+
+    // a searchable combo box keeps the typed text only when it is one of the options
+    function endSearch() {
+        if (search === null) return;
+        const typed = options.find(option => String(optionValue(option)).toLowerCase() === search.trim().toLowerCase());
+        setSearch(null);
+        if (typed) {
+            handleChange(optionValue(typed));
+        } else {
+            setVal(value);
+        }
+    }
+
+    function handleKeyDown(e) {
+        if (!searchable) return;
+        if (e.key === 'Enter' && showOptions && shownOptions.length) {
+            e.preventDefault();
+            selectOption(optionValue(shownOptions[0]));
+        } else if (e.key === 'Escape') {
+            setShowOptions(false);
+            setSearch(null);
+            setVal(value);
+        }
+    }
+
     function handleFocus() {
         onInput && onInput(id, val);
         setTimeout(() => {
@@ -22,6 +61,7 @@ const ComboBox = React.memo(({label = '', id, value = '', defaultValue = '', onI
     }
 
     function handleBlur() {
+        if (searchable) endSearch();
         onBlur && onBlur('');
     }
 
@@ -30,6 +70,7 @@ const ComboBox = React.memo(({label = '', id, value = '', defaultValue = '', onI
     }
 
     function selectOption(option) {
+        setSearch(null);
         handleChange(option);
         setShowOptions(false);
     }
@@ -64,7 +105,8 @@ const ComboBox = React.memo(({label = '', id, value = '', defaultValue = '', onI
                     name={label}
                     {...props}
                     value={val}
-                    onChange={(e) => handleChange(e.currentTarget.value)}
+                    onChange={(e) => handleType(e.currentTarget.value)}
+                    onKeyDown={handleKeyDown}
                     autoComplete='off'
                     autoCorrect='off'
                     onClick={handleFocus}
@@ -80,7 +122,7 @@ const ComboBox = React.memo(({label = '', id, value = '', defaultValue = '', onI
                 
                 {showOptions && (
                     <ul className={`absolute left-0 ${props.position === 'top' ? 'top-0 -translate-y-full' : 'bottom-0 translate-y-full'}  mt-1 w-full bg-white border rounded shadow-md z-10 text-sm max-h-[400px] overflow-y-auto`}>
-                        {options.map((option, index) => (
+                        {shownOptions.map((option, index) => (
                             <li 
                                 key={index} 
                                 className={`p-2 cursor-pointer hover:bg-gray-200 ${option === val || option.value === val ? 'text-cyan-600 bg-cyan-50' : ''}`}
@@ -1,9 +1,11 @@
-import React, { useRef, useState } from 'react'
-import { detectDateFormat, makeReadable } from '../../utils/utils';
+import React, { useEffect, useRef, useState } from 'react'
+import { t } from 'i18next';
+import { makeReadable } from '../../utils/utils';
+import { toIsoDate } from '../../utils/dates';
 import { DateRange } from '@mui/icons-material';
 import DatePicker from 'react-datepicker';
 import { registerLocale } from  "react-datepicker";
-import { format, parse } from 'date-fns';
+import { format } from 'date-fns';
 import { es } from 'date-fns/locale/es';
 import { fr } from 'date-fns/locale/fr';
 import { useClickAway } from "use-click-away";
@@ -13,16 +15,21 @@ import i18n from '../../i18n';
 registerLocale('fr', fr);
 registerLocale('en', es);
 
-const DateInput = React.memo(({ label = '', id, value = '', defaultValue = '', onInput, onFocus, onBlur, className='', ...props }) => {
+// Date field: the extracted text is kept while typing and stored as ISO 8601 on save
+// shows the date it is read as (numeric dates in the day/month order of the customer) and the original text of the document
+const DateInput = React.memo(({ label = '', id, value = '', defaultValue = '', original = '', order = 'DMY', onInput, onFocus, onBlur, className='', ...props }) => {
 
     const [val, setVal] = useState(value);
     const ref = useRef(null);
     const clickRef = React.useRef(null);
     const [selectedDate, setSelectedDate] = useState(null);
     const [openDate, setOpenDate] = useState(false);
-    const [dateFormat, setDateFormat] = useState(detectDateFormat(value));
     const lang = i18n.language;
+    const iso = toIsoDate(val, order);
 
+    useEffect(() => {
+        setVal(value);
+    }, [value]);
     
     useClickAway(clickRef, () => {
         setOpenDate(false);
@@ -47,7 +54,7 @@ const DateInput = React.memo(({ label = '', id, value = '', defaultValue = '', o
     // Handle date selection
     const handleDateChange = (date) => {
         setSelectedDate(date);
-        let newValue = date ? format(date, dateFormat) : val;
+        let newValue = date ? format(date, 'yyyy-MM-dd') : val;
         setVal(newValue);
         onInput && onInput(id, newValue);
         setOpenDate(false)
@@ -55,8 +62,7 @@ const DateInput = React.memo(({ label = '', id, value = '', defaultValue = '', o
 
     // Handle icon click to open date picker
     const handleIconClick = () => {
-        let date = parse(val, dateFormat, new Date())
-        setSelectedDate(date == "Invalid Date" ? new Date() : date)
+        setSelectedDate(iso ? new Date(`${iso}T00:00:00`) : new Date())
         setOpenDate(true);
         onFocus && onFocus(id, val);
         ref.current.focus();
@@ -108,11 +114,19 @@ const DateInput = React.memo(({ label = '', id, value = '', defaultValue = '', o
                     },
                 ]}
             />
+            {
+                String(val ?? '').trim() &&
+                <p className={`${label ? 'col-start-2' : ''} col-span-2 text-xs ${iso ? 'text-slate-500' : 'text-rose-600'}`}>
+                    {iso ? new Intl.DateTimeFormat(lang, { dateStyle: 'long', timeZone: 'UTC' }).format(new Date(iso)) : t('date-invalid')}
+                    {original && original !== val && <span className='ml-2'>({t('date-original')}: {original})</span>}
+                </p>
+            }
         </div>
     )
 }, (prevProps, nextProps) => {
     // Only re-render if `value` or other critical props change
-    return prevProps.value === nextProps.value && prevProps.id === nextProps.id && prevProps.onFocus === nextProps.onFocus;
+    return prevProps.value === nextProps.value && prevProps.id === nextProps.id && prevProps.onFocus === nextProps.onFocus
+        && prevProps.original === nextProps.original && prevProps.order === nextProps.order;
 })
 
 export default DateInput
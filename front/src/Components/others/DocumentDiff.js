@@ -0,0 +1,95 @@
+import React, { useEffect, useState } from 'react';
+import { t } from 'i18next';
+import { CircularProgress, IconButton, Tooltip } from '@mui/material';
+import { Undo } from '@mui/icons-material';
+import fileService from '../services/fileService';
+import { makeReadable } from '../../utils/utils';
+
+// Path without the root section: Invoice.LineItem.0.LineItemAmount -> LineItem › 1 › Line Item Amount
+const readablePath = (path) => path.split('.').slice(1)
+    .map(part => /^\d+$/.test(part) ? `#${parseInt(part) + 1}` : makeReadable(part))
+    .join(' › ') || path;
+
+const display = (value) => (value === undefined || value === null || value === '') ? '∅' : String(value);
+
+// Changes of one step of the workflow (AI -> V1, V1 -> V2...)
+const DiffSection = ({ documentId, from, to, title, onRevert }) => {
+
+    const [diff, setDiff] = useState(null);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        setLoading(true);
+        fileService.fetchDocumentDiff(documentId, from, to)
+            .then(data => setDiff(data))
+            .catch(() => setDiff(null))
+            .finally(() => setLoading(false));
+    }, [documentId, from, to]);
+
+    // every change with the value to restore on revert (undefined removes an added field)
+    const changes = diff ? [
+        ...diff.changed.map(change => ({ ...change, kind: 'changed', revertTo: change.from })),
+        ...diff.added.map(change => ({ path: change.path, to: change.value, kind: 'added', revertTo: undefined })),
+        ...diff.removed.map(change => ({ path: change.path, from: change.value, kind: 'removed', revertTo: change.value })),
+    ].sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true })) : [];
+
+    const colors = { changed: 'bg-sky-400', added: 'bg-emerald-400', removed: 'bg-rose-400' };
+
+    return (
+        <section className='mb-4'>
+            <h3 className='mb-2 text-sm font-semibold text-slate-700'>{title}</h3>
+            {
+                loading ? <CircularProgress size={20} /> :
+                !diff ? <p className='text-xs text-gray-400'>{t('no-revision')}</p> :
+                !changes.length ? <p className='text-xs text-gray-400'>{t('no-changes')}</p> :
+                <ul className='space-y-1'>
+                    {
+                        changes.map(change => (
+                            <li key={`${change.kind}-${change.path}`} className='flex items-center gap-2 text-xs'>
+                                <span className={`w-2 h-2 rounded-full shrink-0 ${colors[change.kind]}`} title={t(`diff-${change.kind}`)} />
+                                <div className='flex-grow min-w-0'>
+                                    <p className='font-medium truncate text-slate-700' title={change.path}>{readablePath(change.path)}</p>
+                                    <p className='truncate text-slate-500'>
+                                        {change.kind !== 'added' && <span className='line-through'>{display(change.from)}</span>}
+                                        {change.kind === 'changed' && ' → '}
+                                        {change.kind !== 'removed' && <span>{display(change.to)}</span>}
+                                    </p>
+                                </div>
+                                <Tooltip title={t('revert-field')}>
+                                    <IconButton size='small' onClick={() => onRevert(change.path, change.revertTo)}>
+                                        <Undo fontSize='small' />
+                                    </IconButton>
+                                </Tooltip>
+                            </li>
+                        ))
+                    }
+                </ul>
+            }
+        </section>
+    );
+};
+
+// Field-level changes made by each stage of the workflow, starting from the AI extraction
+const DocumentDiff = ({ documentId, stages = [], onRevert }) => {
+
+    const points = [{ key: 'ai', label: t('ai-extraction') }, ...stages];
+
+    return (
+        <div className='p-4'>
+            {
+                points.slice(1).map((stage, index) => (
+                    <DiffSection
+                        key={stage.key}
+                        documentId={documentId}
+                        from={points[index].key}
+                        to={stage.key}
+                        title={`${points[index].label || points[index].key} → ${stage.label || stage.key}`}
+                        onRevert={onRevert}
+                    />
+                ))
+            }
+        </div>
+    );
+};
+
+export default DocumentDiff;
@@ -0,0 +1,83 @@
+import React, { useEffect, useState } from 'react';
+import { t } from 'i18next';
+import { format } from 'date-fns';
+import { CircularProgress } from '@mui/material';
+import { CheckCircle, CloudUpload, Delete, Lock, LockOpen, RemoveCircle, Save, SwipeLeftAlt } from '@mui/icons-material';
+import fileService from '../services/fileService';
+import { makeReadable } from '../../utils/utils';
+
+// icon and color of each audit action
+const ACTIONS = {
+    upload: { icon: CloudUpload, color: 'text-sky-500' },
+    lock: { icon: Lock, color: 'text-orange-400' },
+    unlock: { icon: LockOpen, color: 'text-slate-400' },
+    save: { icon: Save, color: 'text-sky-600' },
+    validate: { icon: CheckCircle, color: 'text-emerald-500' },
+    return: { icon: SwipeLeftAlt, color: 'text-yellow-600' },
+    reject: { icon: RemoveCircle, color: 'text-rose-500' },
+    delete: { icon: Delete, color: 'text-rose-700' },
+};
+
+const DocumentTimeline = ({ documentId }) => {
+
+    const [events, setEvents] = useState([]);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        if (!documentId) return;
+        setLoading(true);
+        fileService.fetchDocumentHistory(documentId)
+            .then(data => setEvents(data))
+            .catch(() => setEvents([]))
+            .finally(() => setLoading(false));
+    }, [documentId]);
+
+    if (loading) {
+        return <div className='flex justify-center p-4'><CircularProgress size={24} /></div>;
+    }
+
+    if (!events.length) {
+        return <p className='p-4 text-sm text-center text-gray-400'>{t('no-history')}</p>;
+    }
+
+    return (
+        <ol className='relative border-l border-slate-200 ml-3'>
+            {
+                events.map(event => {
+                    const { icon: Icon, color } = ACTIONS[event.action] || ACTIONS.save;
+                    const user = event.user ? `${event.user.name ?? ''} ${event.user.firstname ?? ''}`.trim() : t('system-user');
+                    return (
+                        <li key={event._id} className='mb-4 ml-5'>
+                            <span className='absolute -left-3 flex items-center justify-center w-6 h-6 bg-white rounded-full'>
+                                <Icon className={color} fontSize='small' />
+                            </span>
+                            <div className='flex items-center gap-2 text-sm'>
+                                <span className='font-semibold text-slate-800'>{t(`event-${event.action}`)}</span>
+                                {event.stage && <span className='px-1 text-xs uppercase bg-slate-200 text-slate-600 rounded'>{event.stage}</span>}
+                                <time className='ml-auto text-xs text-gray-400'>{format(new Date(event.createdAt), 'dd/MM/yyyy HH:mm:ss')}</time>
+                            </div>
+                            <p className='text-xs text-slate-500'>{user}</p>
+                            {
+                                event.details?.comment && <p className='text-xs text-slate-600'>{t('comments-col')}: {event.details.comment}</p>
+                            }
+                            {
+                                event.details?.reason && <p className='text-xs text-slate-600'>{t('reject-reason')}: {event.details.reason}</p>
+                            }
+                            {
+                                event.changedFields?.length > 0 &&
+                                <details className='text-xs text-slate-600'>
+                                    <summary className='cursor-pointer'>{t('changed-fields')} ({event.changedFields.length})</summary>
+                                    <ul className='pl-3 list-disc'>
+                                        {event.changedFields.map(field => <li key={field}>{makeReadable(field.split('.').slice(1).join(' › ') || field)}</li>)}
+                                    </ul>
+                                </details>
+                            }
+                        </li>
+                    );
+                })
+            }
+        </ol>
+    );
+};
+
+export default DocumentTimeline;
@@ -0,0 +1,44 @@
+import { memo } from 'react';
+import { t } from 'i18next';
+import { Link } from 'react-router-dom';
+import { Alert, Button } from '@mui/material';
+
+// Reject reason sent by the alert (the reject modal takes a free text), the server keeps duplicateOf with it only
+export const DUPLICATE_REASON = 'Duplicate invoice';
+
+// link to a suspected duplicate: its queue page while in progress, its pdf once done
+const DuplicateLink = ({ duplicate }) => duplicate.stage
+    ? <Link className='underline' to={`/document/${duplicate.stage}/${duplicate._id}`}>{duplicate.name || duplicate._id}</Link>
+    : <a className='underline' href={duplicate.pdfLink} target='_blank' rel='noreferrer'>{duplicate.name || duplicate._id}</a>;
+
+// Documents that look like the same invoice ({ _id, name, status, stage, supplierName, fingerprint, matchedOn })
+// onReject is given when the document can be rejected as a duplicate of the first one
+const DuplicateInvoiceAlert = memo(({ duplicates = [], onReject }) => duplicates.length > 0 && (
+    <Alert
+        severity='warning'
+        action={onReject && (
+            <Button color='warning' size='small' onClick={() => onReject(duplicates[0]._id)}>
+                {t('reject-as-duplicate')}
+            </Button>
+        )}
+    >
+        <p className='font-semibold'>{t('duplicate-invoice-title')}</p>
+        <ul className='mt-1 space-y-1 text-sm'>
+            {
+                duplicates.map(duplicate => (
+                    <li key={duplicate._id}>
+                        <DuplicateLink duplicate={duplicate} />
+                        <span className='ml-2 text-slate-600'>
+                            {duplicate.supplierName} · {duplicate.fingerprint?.invoiceId} · {duplicate.fingerprint?.invoiceDate} · {duplicate.fingerprint?.totalAmount}
+                        </span>
+                        <span className='ml-2 text-xs text-slate-500'>
+                            ({t(`status-${duplicate.status}`)} - {t('duplicate-matched-on')} {duplicate.matchedOn.map(field => t(`duplicate-${field}`)).join(', ')})
+                        </span>
+                    </li>
+                ))
+            }
+        </ul>
+    </Alert>
+));
+
+export default DuplicateInvoiceAlert;
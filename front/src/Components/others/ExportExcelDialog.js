@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { useSelector } from 'react-redux';
+import { t } from 'i18next';
+import {
+    Alert, Autocomplete, Button, Checkbox, CircularProgress, Dialog, DialogActions, DialogContent,
+    DialogTitle, FormControlLabel, MenuItem, TextField
+} from '@mui/material';
+import fileService from '../services/fileService';
+import { GenerateXMLFromResponse, invoiceOrder } from '../../utils/utils';
+
+const STATUSES = ['progress', 'returned', 'validated', 'temporarily-rejected', 'rejected'];
+const TYPES = ['Invoice', 'OCR', 'FormParser'];
+const DEFAULT_COLUMNS = [
+    'InvoiceId', 'InvoiceDate', 'DueDate', 'Currency', 'NetAmount', 'TotalTaxAmount', 'TotalAmount',
+    'SupplierName', 'SupplierAddress', 'SupplierTaxId', 'SupplierIban'
+];
+
+// Dialog to choose the filters and columns of the excel export of the documents
+const ExportExcelDialog = ({ open, onClose }) => {
+
+    const { stageCounts } = useSelector(state => state.document);
+
+    const [filters, setFilters] = useState({ status: [], stage: [], type: [], from: '', to: '', supplier: '' });
+    const [columns, setColumns] = useState(DEFAULT_COLUMNS);
+    const [lineItems, setLineItems] = useState(false);
+    const [exporting, setExporting] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleChange = (e) => setFilters({ ...filters, [e.target.name]: e.target.value });
+
+    const handleExport = async () => {
+        setExporting(true);
+        setError('');
+        try {
+            const response = await fileService.exportExcel({
+                ...filters,
+                columns,
+                lineItems
+            });
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.message);
+            }
+            await GenerateXMLFromResponse(response, 'documents.xlsx');
+            onClose();
+        } catch (err) {
+            setError(err.message || t('export-error'));
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    const multiSelect = (name, options, label) => (
+        <TextField
+            select fullWidth size='small' margin='dense' name={name} label={label}
+            value={filters[name]} onChange={handleChange}
+            SelectProps={{ multiple: true }}
+        >
+            {options.map(option => <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>)}
+        </TextField>
+    );
+
+    return (
+        <Dialog open={open} onClose={onClose} maxWidth='sm' fullWidth>
+            <DialogTitle>{t('export-excel')}</DialogTitle>
+            <DialogContent>
+                {error && <Alert severity='error' className='mb-2'>{error}</Alert>}
+
+                {multiSelect('status', STATUSES.map(status => ({ value: status, label: t(`status-${status}`) })), t('status'))}
+                {multiSelect('stage', stageCounts.map(stage => ({ value: stage.key, label: stage.label || stage.key })), t('stage'))}
+                {multiSelect('type', TYPES.map(type => ({ value: type, label: type })), t('type'))}
+
+                <TextField fullWidth size='small' margin='dense' name='supplier' label={t('supplier')}
+                    value={filters.supplier} onChange={handleChange} />
+
+                <div className='flex gap-3'>
+                    <TextField fullWidth size='small' margin='dense' type='date' name='from' label={t('from')}
+                        value={filters.from} onChange={handleChange} InputLabelProps={{ shrink: true }} />
+                    <TextField fullWidth size='small' margin='dense' type='date' name='to' label={t('to')}
+                        value={filters.to} onChange={handleChange} InputLabelProps={{ shrink: true }} />
+                </div>
+
+                <Autocomplete
+                    multiple freeSolo size='small'
+                    options={invoiceOrder.filter(key => key !== 'LineItem')}
+                    value={columns}
+                    onChange={(e, value) => setColumns(value)}
+                    renderInput={(params) => <TextField {...params} margin='dense' label={t('export-columns')} />}
+                />
+
+                <FormControlLabel
+                    control={<Checkbox checked={lineItems} onChange={(e) => setLineItems(e.target.checked)} />}
+                    label={t('export-line-items')}
+                />
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onClose}>{t('cancel')}</Button>
+                <Button variant='contained' onClick={handleExport} disabled={exporting}
+                    startIcon={exporting && <CircularProgress size={16} color='inherit' />}>
+                    {t('export')}
+                </Button>
+            </DialogActions>
+        </Dialog>
+    );
+};
+
+export default ExportExcelDialog;
@@ -1,11 +1,16 @@
-import React, { useEffect, useMemo, useRef, useState } from 'react'
-import { makeReadable } from '../../utils/utils';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react'
+import { formatLocaleNumber, makeReadable, toCanonical } from '../../utils/utils';
 import { useFloating, autoUpdate, offset, flip, shift } from '@floating-ui/react-dom';
 import { CenterFocusStrongOutlined, TabUnselected, TabUnselectedOutlined } from '@mui/icons-material';
 
-const Input = React.memo(({label = '', className='', id, value = '', type='text', defaultValue = '', onInput, onFocus, onBlur, isInvalid = false, isMapping=false, showWarning=false, suggestions=[], onMapping, ...props}) => {
+const Input = React.memo(({label = '', className='', id, value = '', type='text', defaultValue = '', onInput, onFocus, onBlur, isInvalid = false, isMapping=false, showWarning=false, errorMessage='', suggestions=[], onMapping, locale, ...props}) => {
 
-    const [val, setVal] = useState(value);
+    // numbers are stored as canonical decimals and typed with the number locale of the document
+    const numeric = type === 'numeric';
+    const display = useCallback((v) => numeric ? formatLocaleNumber(v, locale) : v, [numeric, locale]);
+    const stored = useCallback((v) => numeric ? toCanonical(v, locale) : v, [numeric, locale]);
+
+    const [val, setVal] = useState(display(value));
     const ref = useRef(null);
     const [invalidInput, setInvalidInput] = useState(isInvalid);
     const [warningInput, setWarningInput] = useState(showWarning);
@@ -23,21 +28,22 @@ const Input = React.memo(({label = '', className='', id, value = '', type='text'
     });
 
     useEffect(() => {
-        setVal(value);
+        // a number being typed is kept as typed while it holds the stored value
+        setVal(prev => numeric && stored(prev) === value ? prev : display(value));
         setInvalidInput(isInvalid);
         setWarningInput(showWarning);
         setSugges(suggestions.filter(s => s !== value));
-    }, [value, isInvalid, suggestions, showWarning]);
+    }, [value, isInvalid, suggestions, showWarning, numeric, display, stored]);
 
 
     function handleChange(newVal) {
         
-        if (type === 'numeric') {
-            // Allow empty values or values with digits, commas, and dots
-            const regex = /^-?(\d{1,3}(,\d{3})*|\d+)?(\.\d*)?(\,\d*)?$/;
+        if (numeric) {
+            // Allow empty values or values with digits, separators and a sign
+            const regex = /^[-(]?[\d\s.,'’]*\)?-?$/;
             if (regex.test(newVal)) {
                 setVal(newVal)
-                onInput && onInput(id, newVal);
+                onInput && onInput(id, stored(newVal));
             }
         } else {
             setVal(newVal)
@@ -46,7 +52,7 @@ const Input = React.memo(({label = '', className='', id, value = '', type='text'
     }
 
     function handleFocus() {
-        onInput && onInput(id, val);
+        onInput && onInput(id, stored(val));
         setTimeout(() => {
             onFocus && onFocus(id, val);
         }, 10);
@@ -62,8 +68,8 @@ const Input = React.memo(({label = '', className='', id, value = '', type='text'
 
     const handleUseSuggestion = (value) => {
         setOpenSuggestion(false);
-        setVal(value);
-        onInput && onInput(id, value);
+        setVal(display(stored(value)));
+        onInput && onInput(id, stored(value));
     }
 
     return (
@@ -120,6 +126,9 @@ const Input = React.memo(({label = '', className='', id, value = '', type='text'
                     </div>
                 }
             </div>
+            {
+                errorMessage && <p className='col-span-2 col-start-2 mt-0.5 text-xs text-rose-600'>{errorMessage}</p>
+            }
         </div>
     )
 }, (prevProps, nextProps) => {
@@ -127,8 +136,10 @@ const Input = React.memo(({label = '', className='', id, value = '', type='text'
     return (prevProps.value === nextProps.value && prevProps.id === nextProps.id && nextProps.onFocus === prevProps.onFocus
         && nextProps.isInvalid === prevProps.isInvalid
         && nextProps.showWarning === prevProps.showWarning
+        && nextProps.errorMessage === prevProps.errorMessage
         && nextProps.suggestions === prevProps.suggestions
         && nextProps.isMapping === prevProps.isMapping
+        && nextProps.locale === prevProps.locale
     );
 })
 
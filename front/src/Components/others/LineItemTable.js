@@ -4,15 +4,14 @@ import { DragDropContext, Droppable, Draggable } from '@hello-pangea/dnd';
 import { t } from 'i18next';
 import { useInView } from 'react-intersection-observer';
 import { styled, Tooltip, tooltipClasses } from '@mui/material';
-import { useSelector } from 'react-redux';
-import { formatCurrency } from '../../utils/utils';
+import { formatCurrency, formatLocaleNumber, toCanonical, toNumber } from '../../utils/utils';
+import { minorUnits, roundToCurrency } from '../../utils/currencies';
 import PropTypes from 'prop-types';
 
-const LineItemTable = ({ data = [], id, onRowsUpdate, onFocus, netAmount = 0, totalAmount = 0, onError, type="Invoice"}) => {
+const LineItemTable = ({ data = [], id, onRowsUpdate, onFocus, netAmount = 0, totalAmount = 0, onError, type="Invoice", locale, currency}) => {
     const [rows, setRows] = useState(data);
     const [TotalAmount, setTotalAmount] = useState(totalAmount);
     const [NetAmount, setNetAmount] = useState(netAmount);
-    const { currency } = useSelector((state) => state.currency);
     const [hasBeenFullyVisible, setHasBeenFullyVisible] = useState(false);
 
     const { ref, inView } = useInView({
@@ -25,39 +24,32 @@ const LineItemTable = ({ data = [], id, onRowsUpdate, onFocus, netAmount = 0, to
         setHasBeenFullyVisible(true); // Update state to prevent further logging or actions
     }
 
-    // to calculate amount deviation
-    const toNumber = (n = '0,0') => {
-        if (Array.isArray(n)) {
-            let array = n.map(a => toNumber(a));
-            n = Math.max(...array).toString();
-        }
-        return parseFloat(n?.replace(/\./g, '').replace(',', '.') || 0)
-    }
-    const fixed = (n = 0) => n.toFixed(2);
+    // to calculate amount deviation, rounded to the decimals of the currency (JPY 0, KWD 3)
+    const fixed = useCallback((n = 0) => n.toFixed(minorUnits(currency)), [currency]);
 
     const [deviation, setDeviation] = useState(0);
     const [lineItemTotalAmount, setLineItemTotalAmount] = useState(0);
 
     useEffect(() => {
         // Calculate lineItemsAmountTotal
-        const total = fixed(rows.reduce((total, item) => toNumber(item.LineItemAmount) + total, 0));
+        const total = fixed(rows.reduce((total, item) => toNumber(item.LineItemAmount, locale) + total, 0));
         setLineItemTotalAmount(total);
         // Calculate deviation
         if (NetAmount) {
-            const deviationValue = (NetAmount - total);
+            const deviationValue = roundToCurrency(NetAmount - total, currency);
             setDeviation(deviationValue);
     
             // set an error on net Amount
             onError?.('NetAmount', (deviationValue !== 0))
         } else if (TotalAmount) {
-            const deviationValue = (TotalAmount - total);
+            const deviationValue = roundToCurrency(TotalAmount - total, currency);
             setDeviation(deviationValue);
     
             // set an error on net Amount
             onError?.('TotalAmount', (deviationValue !== 0))
         }
 
-    }, [rows, NetAmount, TotalAmount]);
+    }, [rows, NetAmount, TotalAmount, locale, currency, fixed, onError]);
 
 
     const [columnVisibility] = useState({
@@ -66,15 +58,16 @@ const LineItemTable = ({ data = [], id, onRowsUpdate, onFocus, netAmount = 0, to
         unitPrice: true,
         quantity: true,
         amount: true,
+        taxRate: true, // optional, the VAT breakdown can be derived from it
     });
 
 
     useEffect(() => {
         if (totalAmount)
-            setTotalAmount(toNumber(totalAmount));
+            setTotalAmount(toNumber(totalAmount, locale));
         if (netAmount)
-            setNetAmount(toNumber(netAmount));
-    }, [totalAmount, netAmount]);
+            setNetAmount(toNumber(netAmount, locale));
+    }, [totalAmount, netAmount, locale]);
 
     // Update rows when column visibility changes
     useEffect(() => {
@@ -122,6 +115,7 @@ const LineItemTable = ({ data = [], id, onRowsUpdate, onFocus, netAmount = 0, to
             LineItemUnitPrice: '',
             LineItemQuantity: '',
             LineItemAmount: '',
+            LineItemTaxRate: '',
         };
         const updatedRows = [...rows, newRow];
         setRows(updatedRows);
@@ -168,7 +162,7 @@ const LineItemTable = ({ data = [], id, onRowsUpdate, onFocus, netAmount = 0, to
                     deviation !== 0 ?
                         <p className='bg-rose-200 text-black ml-auto py-1 px-2 text-sm'>
                             <span className='text-slate-800'>{t('deviation-label')}:</span> <span className='font-semibold'>
-                                {formatCurrency(fixed(deviation), currency)}
+                                {formatCurrency(fixed(deviation), currency, locale)}
                             </span>
                         </p>
                         :
@@ -213,6 +207,11 @@ const LineItemTable = ({ data = [], id, onRowsUpdate, onFocus, netAmount = 0, to
                                 <span className="line-clamp-1">{t('amount')}</span>
                             </th>
                         )}
+                        {columnVisibility.taxRate && (
+                            <th className="text-sm text-left font-semibold px-1 min-w-[50px]" title={t('tax-rate')}>
+                                <span className="line-clamp-1">{t('tax-rate')}</span>
+                            </th>
+                        )}
                         <th className="text-sm text-center font-semibold px-1"></th>
                     </tr>
                 </thead>
@@ -264,6 +263,7 @@ const LineItemTable = ({ data = [], id, onRowsUpdate, onFocus, netAmount = 0, to
                                                             id={`${id}.${lineItem.id}.LineItemUnitPrice`}
                                                             value={lineItem.LineItemUnitPrice}
                                                             type='numeric'
+                                                            locale={locale}
                                                             onUpdate={handleUpdateCell}
                                                             onFocus={() => onFocus?.(lineItem.LineItemUnitPriceId)}
                                                         />
@@ -275,6 +275,7 @@ const LineItemTable = ({ data = [], id, onRowsUpdate, onFocus, netAmount = 0, to
                                                             id={`${id}.${lineItem.id}.LineItemQuantity`}
                                                             value={lineItem.LineItemQuantity}
                                                             type='numeric'
+                                                            locale={locale}
                                                             onUpdate={handleUpdateCell}
                                                             onFocus={() => onFocus?.(lineItem.LineItemQuantityId)}
                                                         />
@@ -286,11 +287,24 @@ const LineItemTable = ({ data = [], id, onRowsUpdate, onFocus, netAmount = 0, to
                                                             id={`${id}.${lineItem.id}.LineItemAmount`}
                                                             value={lineItem.LineItemAmount}
                                                             type='numeric'
+                                                            locale={locale}
                                                             onUpdate={handleUpdateCell}
                                                             onFocus={() => onFocus?.(lineItem.LineItemAmountId)}
                                                         />
                                                     </td>
                                                 )}
+                                                {columnVisibility.taxRate && (
+                                                    <td>
+                                                        <LineItemCell
+                                                            id={`${id}.${lineItem.id}.LineItemTaxRate`}
+                                                            value={lineItem.LineItemTaxRate}
+                                                            type='numeric'
+                                                            locale={locale}
+                                                            onUpdate={handleUpdateCell}
+                                                            onFocus={() => onFocus?.(lineItem.LineItemTaxRateId)}
+                                                        />
+                                                    </td>
+                                                )}
                                                 <td className="text-center">
                                                     {/* Move button */}
                                                     <button
@@ -314,8 +328,13 @@ const LineItemTable = ({ data = [], id, onRowsUpdate, onFocus, netAmount = 0, to
     );
 };
 
-const LineItemCell = ({ value = '', className = '', id = '', onUpdate, onFocus, type = '' }) => {
-    const [val, setVal] = useState(value);
+const LineItemCell = ({ value = '', className = '', id = '', onUpdate, onFocus, type = '', locale }) => {
+    // numbers are stored as canonical decimals and typed with the number locale of the document
+    const numeric = type === 'numeric';
+    const display = useCallback((v) => numeric ? formatLocaleNumber(v, locale) : v, [numeric, locale]);
+    const stored = useCallback((v) => numeric ? toCanonical(v, locale) : v, [numeric, locale]);
+
+    const [val, setVal] = useState(display(value));
     const [isOverflowing, setIsOverflowing] = useState(false);
     const inputRef = useRef(null);
 
@@ -328,27 +347,28 @@ const LineItemCell = ({ value = '', className = '', id = '', onUpdate, onFocus,
     }, [val]); // Re-check on value change
 
     const handleChange = useCallback((newVal) => {
-        if (type === 'numeric') {
-            // Allow empty values or values with digits, commas, and dots
-            const regex = /^-?(\d{1,3}(,\d{3})*|\d+)?(\.\d*)?(\,\d*)?$/;
+        if (numeric) {
+            // Allow empty values or values with digits, separators and a sign
+            const regex = /^[-(]?[\d\s.,'’]*\)?-?$/;
             if (regex.test(newVal)) {
                 setVal(newVal)
-                onUpdate && onUpdate(id, newVal);
+                onUpdate && onUpdate(id, stored(newVal));
             }
         } else {
             setVal(newVal);
             onUpdate && onUpdate(id, newVal);
         }
-    }, [id, onUpdate, type]);
+    }, [id, onUpdate, numeric, stored]);
 
     const handleFocus = () => {
-        onUpdate?.(id, val);
+        onUpdate?.(id, stored(val));
         onFocus?.();
     }
 
     useEffect(() => {
-        setVal(value);
-    }, [value]);
+        // a number being typed is kept as typed while it holds the stored value
+        setVal(prev => numeric && stored(prev) === value ? prev : display(value));
+    }, [value, numeric, display, stored]);
 
     return (
         <HtmlTooltip className="p-1" title={
@@ -388,6 +408,7 @@ LineItemCell.prototype = {
     onUpdate: PropTypes.func, // Function to handle update
     onFocus: PropTypes.func, // Function to handle focus
     type: PropTypes.oneOf(['text', 'numeric']), // Type of cell ('input', etc.)
+    locale: PropTypes.string, // Number locale of the numeric cells (de-DE, en-GB...)
 }
 
 const HtmlTooltip = styled(({ className, ...props }) => (
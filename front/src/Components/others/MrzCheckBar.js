@@ -0,0 +1,51 @@
+import { memo } from 'react';
+import { t } from 'i18next';
+import { Alert, Button } from '@mui/material';
+import { CenterFocusStrong } from '@mui/icons-material';
+import { makeReadable } from '../../utils/utils';
+
+// Values of the MRZ shown to the agent, in the order of the document
+const MRZ_VALUES = ['documentNumber', 'surname', 'givenNames', 'nationality', 'birthDate', 'sex', 'expiryDate'];
+
+// Machine readable zone of a travel document ({ field, mrz, errors: [{ rule, field, message }] })
+// onSelect jumps to the field of an error, onCapture reads the MRZ from a zone of the image
+const MrzCheckBar = memo(({ result, onSelect, onCapture }) => {
+    const { mrz, errors = [] } = result || {};
+
+    return (
+        <Alert
+            severity={errors.length ? 'error' : mrz ? 'success' : 'info'}
+            action={onCapture && (
+                <Button color='inherit' size='small' startIcon={<CenterFocusStrong />} onClick={onCapture}>
+                    {t('mrz-capture')}
+                </Button>
+            )}
+        >
+            <span className='font-semibold'>{mrz ? `${t('mrz')} ${mrz.format}` : t('mrz-not-found')}</span>
+            {
+                mrz &&
+                <span className='ml-2 text-xs text-slate-600'>
+                    {MRZ_VALUES.filter(key => mrz[key]).map(key => `${t(`mrz-${key}`)}: ${mrz[key]}`).join(' · ')}
+                </span>
+            }
+            {
+                errors.length > 0 &&
+                <ul className='mt-1 text-sm'>
+                    {
+                        errors.map((error, index) => (
+                            <li key={`${error.rule}-${index}`}>
+                                <button type='button' className='text-left hover:underline' onClick={() => onSelect?.(error.field)}>
+                                    <span className='mr-2 font-mono text-xs text-rose-600'>{error.rule}</span>
+                                    <span className='mr-2 font-semibold'>{makeReadable(error.field.split('.').pop())}</span>
+                                    <span className='text-slate-600'>{error.message}</span>
+                                </button>
+                            </li>
+                        ))
+                    }
+                </ul>
+            }
+        </Alert>
+    );
+});
+
+export default MrzCheckBar;
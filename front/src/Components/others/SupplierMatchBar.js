@@ -0,0 +1,55 @@
+import { memo } from 'react';
+import { t } from 'i18next';
+import { Alert, Button } from '@mui/material';
+import { CheckCircle } from '@mui/icons-material';
+
+const percent = (score) => `${Math.round((score || 0) * 100)}%`;
+
+// Master data supplier matched on import ({ supplier, score, method, status, alternatives })
+// onChoose confirms the matched supplier, or overrides it with an alternative
+const SupplierMatchBar = memo(({ match, onChoose }) => {
+    if (!match?.supplier) return null;
+
+    const decided = ['confirmed', 'overridden'].includes(match.status);
+
+    return (
+        <Alert
+            severity={decided ? 'success' : 'info'}
+            icon={decided ? <CheckCircle fontSize='inherit' /> : undefined}
+            action={!decided && onChoose && (
+                <Button color='inherit' size='small' onClick={() => onChoose(match.supplier)}>
+                    {t('supplier-match-confirm')}
+                </Button>
+            )}
+        >
+            <span className='font-semibold'>{t(`supplier-match-${match.status}`)}: </span>
+            {match.supplier.name}
+            {
+                match.method &&
+                <span className='ml-2 text-xs text-slate-600'>
+                    ({percent(match.score)} - {t(`supplier-match-by-${match.method}`)})
+                </span>
+            }
+            {
+                (!decided && onChoose && match.alternatives?.length > 0) &&
+                <div className='flex flex-wrap items-center gap-1 mt-1 text-sm'>
+                    <span>{t('supplier-match-alternatives')}:</span>
+                    {
+                        match.alternatives.filter(alternative => alternative.supplier).map(alternative => (
+                            <Button
+                                key={alternative.supplier._id}
+                                size='small'
+                                variant='outlined'
+                                onClick={() => onChoose(alternative.supplier)}
+                            >
+                                {alternative.supplier.name} ({percent(alternative.score)})
+                            </Button>
+                        ))
+                    }
+                </div>
+            }
+        </Alert>
+    );
+});
+
+export default SupplierMatchBar;
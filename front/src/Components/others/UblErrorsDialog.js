@@ -0,0 +1,34 @@
+import { memo } from 'react';
+import { t } from 'i18next';
+import { Alert, Button, Dialog, DialogActions, DialogContent, DialogTitle } from '@mui/material';
+import { makeReadable } from '../../utils/utils';
+
+// E-invoicing rules (Peppol BIS Billing 3.0 by default) broken by a document ({ rule, field, message })
+// onConfirm is given when the agent may go on anyway
+const UblErrorsDialog = memo(({ open, errors = [], onClose, onConfirm, title = t('ubl-errors-title'), content = t('ubl-errors-content') }) => (
+    <Dialog open={open} onClose={onClose} maxWidth='sm' fullWidth>
+        <DialogTitle>
+            <Alert severity='warning'>{title}</Alert>
+        </DialogTitle>
+        <DialogContent>
+            <p className='mb-3 text-sm text-gray-600'>{content}</p>
+            <ul className='space-y-2'>
+                {
+                    errors.map((error, index) => (
+                        <li key={`${error.rule}-${index}`} className='text-sm'>
+                            <span className='mr-2 font-mono text-xs text-rose-600'>{error.rule}</span>
+                            {error.field && <span className='mr-2 font-semibold'>{makeReadable(error.field.split('.').pop())}</span>}
+                            <span className='text-slate-600'>{error.message}</span>
+                        </li>
+                    ))
+                }
+            </ul>
+        </DialogContent>
+        <DialogActions>
+            <Button onClick={onClose}>{onConfirm ? t('ubl-errors-fix') : t('close')}</Button>
+            {onConfirm && <Button color='warning' onClick={onConfirm}>{t('ubl-errors-ignore')}</Button>}
+        </DialogActions>
+    </Dialog>
+));
+
+export default UblErrorsDialog;
@@ -1,24 +1,32 @@
 import { t } from 'i18next';
-import React from 'react';
+import React, { useState } from 'react';
+import { Button, Dialog, DialogActions, DialogContent, DialogTitle, IconButton, Tooltip } from '@mui/material';
+import { History } from '@mui/icons-material';
+import DocumentTimeline from './DocumentTimeline';
 
-const ValidationSteps = ({ stage = 'v1', status='', onOpenInfos }) => {
+// steps shown when the workflow of the document is not known yet
+const DEFAULT_STAGES = [
+    { key: 'v1', label: 'Validation 1' },
+    { key: 'v2', label: 'Validation 2' },
+];
+
+const ValidationSteps = ({ stages = DEFAULT_STAGES, stage = 'v1', status='', onOpenInfos, documentId }) => {
+
+    const [openHistory, setOpenHistory] = useState(false);
 
     return (
         <div className="max-w-md bg-white rounded-lg">
             <div className="flex items-stretch w-full">
-                {/* Step 1 */}
-                <div className="flex items-center flex-grow">
-                    <div className={`px-4 py-2 flex text-xs items-center rounded-l-full ${stage === 'v1' ? 'bg-blue-optimum text-white' : 'bg-slate-200 text-gray-500'}`}>
-                        <span>Validation 1</span>
-                    </div>
-                </div>
-
-                {/* Step 2 */}
-                <div className="flex items-center flex-grow">
-                    <div className={`px-4 py-2 flex text-xs items-center ${status !== 'temporarily-rejected' ? 'rounded-r-full' : ''} ${stage === 'v2' ? 'bg-blue-optimum text-white' : 'bg-slate-200 text-gray-500'}`}>
-                        <span>Validation 2</span>
-                    </div>
-                </div>
+                {/* Workflow stages */}
+                {
+                    stages.map((step, index) => (
+                        <div key={step.key} className="flex items-center flex-grow">
+                            <div className={`px-4 py-2 flex text-xs items-center ${index === 0 ? 'rounded-l-full' : ''} ${index === stages.length - 1 && status !== 'temporarily-rejected' ? 'rounded-r-full' : ''} ${stage === step.key ? 'bg-blue-optimum text-white' : 'bg-slate-200 text-gray-500'}`}>
+                                <span>{step.label || step.key}</span>
+                            </div>
+                        </div>
+                    ))
+                }
 
                 {/* Temporarily rejected */}
                 {
@@ -30,7 +38,27 @@ const ValidationSteps = ({ stage = 'v1', status='', onOpenInfos }) => {
                         </div>
                     </button>
                 }
+
+                {/* History */}
+                {
+                    documentId &&
+                    <Tooltip title={t('history')}>
+                        <IconButton size='small' className='!ml-2' onClick={() => setOpenHistory(true)}>
+                            <History fontSize='small' />
+                        </IconButton>
+                    </Tooltip>
+                }
             </div>
+
+            <Dialog open={openHistory} onClose={() => setOpenHistory(false)} fullWidth maxWidth='sm'>
+                <DialogTitle>{t('history-title')}</DialogTitle>
+                <DialogContent>
+                    {openHistory && <DocumentTimeline documentId={documentId} />}
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setOpenHistory(false)}>{t('close')}</Button>
+                </DialogActions>
+            </Dialog>
         </div>
     );
 };
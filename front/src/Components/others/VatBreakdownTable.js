@@ -0,0 +1,219 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { Add, Calculate, Check, Clear } from '@mui/icons-material';
+import { t } from 'i18next';
+import { formatCurrency, formatLocaleNumber, toCanonical, toNumber } from '../../utils/utils';
+import { minorUnits } from '../../utils/currencies';
+
+
+// Extracted names of the breakdown columns, the first one found in the rows is kept
+const COLUMN_KEYS = {
+    rate: ['VatRate', 'VatTaxRate', 'VatPercentage'],
+    base: ['VatNetAmount', 'VatBaseAmount', 'VatTaxableAmount'],
+    tax: ['VatTaxAmount', 'VatAmount'],
+};
+
+const rateOf = (value, locale) => toNumber(String(value ?? '').replace('%', '').trim(), locale);
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Method to find the key each column is stored under (the extraction may use any of them)
+const columnKeysOf = (rows) => Object.fromEntries(Object.entries(COLUMN_KEYS).map(([column, keys]) => [
+    column,
+    keys.find(key => rows.some(row => key in row)) || keys[0]
+]));
+
+// Cell of the breakdown, typed with the number locale of the document and stored as a canonical decimal
+const AmountCell = ({ id, value = '', locale, error = false, onChange, onFocus }) => {
+    const [val, setVal] = useState(formatLocaleNumber(value, locale));
+
+    useEffect(() => {
+        // a number being typed is kept as typed while it holds the stored value
+        setVal(prev => toCanonical(prev, locale) === value ? prev : formatLocaleNumber(value, locale));
+    }, [value, locale]);
+
+    const handleChange = (text) => {
+        setVal(text);
+        onChange(toCanonical(text, locale));
+    };
+
+    return (
+        <input
+            className={`form_controller w-full ${error ? '!border-rose-600 !bg-rose-200' : ''}`}
+            id={id}
+            value={val}
+            onChange={(e) => handleChange(e.target.value)}
+            onFocus={onFocus}
+            autoComplete='off'
+            inputMode='numeric'
+            style={{ textAlign: 'right' }}
+        />
+    );
+};
+
+/**
+ * VAT breakdown of an invoice: one row per rate with its taxable base and tax amount
+ * each row is checked (tax = base × rate) and the rows are reconciled with NetAmount and TotalTaxAmount
+ */
+const VatBreakdownTable = ({ data = [], id, onRowsUpdate, onFocus, onError, netAmount = 0, totalTaxAmount = 0, lineItems = [], locale, currency }) => {
+    const [rows, setRows] = useState(data);
+    const keys = useMemo(() => columnKeysOf(rows), [rows]);
+
+    // amounts have the decimals of the currency, a difference of one minor unit is the rounding of a row
+    const fixed = (n = 0) => n.toFixed(minorUnits(currency));
+    const differs = useCallback((a, b) => Math.abs(a - b) > 1 / 10 ** minorUnits(currency) + Number.EPSILON, [currency]);
+
+    useEffect(() => {
+        setRows(data);
+    }, [data]);
+
+    // deviations of each row and of the totals
+    const check = useMemo(() => {
+        const rowErrors = rows.map(row => {
+            if (isBlank(row[keys.base]) || isBlank(row[keys.rate]) || isBlank(row[keys.tax])) return null;
+            const expected = toNumber(row[keys.base], locale) * rateOf(row[keys.rate], locale) / 100;
+            return differs(expected, toNumber(row[keys.tax], locale)) ? expected : null;
+        });
+        const baseTotal = rows.reduce((total, row) => total + toNumber(row[keys.base], locale), 0);
+        const taxTotal = rows.reduce((total, row) => total + toNumber(row[keys.tax], locale), 0);
+        const net = toNumber(netAmount, locale);
+        const tax = toNumber(totalTaxAmount, locale);
+        return {
+            rowErrors,
+            baseDeviation: net && rows.some(row => !isBlank(row[keys.base])) ? net - baseTotal : 0,
+            taxDeviation: tax ? tax - taxTotal : 0,
+        };
+    }, [rows, keys, netAmount, totalTaxAmount, locale, differs]);
+
+    const hasDeviation = differs(check.baseDeviation, 0) || differs(check.taxDeviation, 0) || check.rowErrors.some(error => error !== null);
+
+    // flag the totals the breakdown does not add up to
+    useEffect(() => {
+        onError?.('TotalTaxAmount', differs(check.taxDeviation, 0));
+    }, [check.taxDeviation, differs, onError]);
+
+    function update(updatedRows) {
+        setRows(updatedRows);
+        onRowsUpdate && onRowsUpdate(id, updatedRows);
+    }
+
+    const handleUpdateCell = (index, key, value) => {
+        update(rows.map((row, position) => position === index ? { ...row, [key]: value } : row));
+    };
+
+    const handleAddRow = () => {
+        update([...rows, { [keys.rate]: '', [keys.base]: '', [keys.tax]: '' }]);
+    };
+
+    const handleDeleteRow = (index) => {
+        update(rows.filter((_, position) => position !== index));
+    };
+
+    // one row per tax rate of the line items: base = sum of the amounts, tax = base × rate
+    const lineRates = lineItems.filter(line => !isBlank(line.LineItemTaxRate));
+    const handleDeriveFromLines = () => {
+        const byRate = {};
+        lineRates.forEach(line => {
+            const rate = rateOf(line.LineItemTaxRate, locale);
+            byRate[rate] = (byRate[rate] || 0) + toNumber(line.LineItemAmount, locale);
+        });
+        update(Object.entries(byRate).map(([rate, base]) => ({
+            [keys.rate]: rate,
+            [keys.base]: fixed(base),
+            [keys.tax]: fixed(base * rate / 100),
+        })));
+    };
+
+    // path of the vertices of a cell, a single extracted VAT row has no index
+    const verticesPath = (index, key) => rows.length === 1 ? `${id}.${key}` : `${id}.${index}.${key}`;
+
+    const cell = (index, column, error = false) => (
+        <AmountCell
+            id={`${id}.${index}.${keys[column]}`}
+            value={rows[index][keys[column]] ?? ''}
+            locale={locale}
+            error={error}
+            onChange={(value) => handleUpdateCell(index, keys[column], value)}
+            onFocus={() => onFocus?.(keys[column], verticesPath(index, keys[column]))}
+        />
+    );
+
+    return (
+        <div className="flex flex-col gap-2 bg-slate-100">
+            <label className="text-sm p-1 flex flex-wrap gap-2 w-full items-center">
+                <p>{t('vat-breakdown')}:</p>
+                {
+                    lineRates.length > 0 &&
+                    <button type='button' className='flex items-center gap-1 px-2 text-xs text-sky-700 hover:bg-sky-100' onClick={handleDeriveFromLines}>
+                        <Calculate fontSize='small' /> {t('vat-from-line-items')}
+                    </button>
+                }
+                {
+                    differs(check.baseDeviation, 0) &&
+                    <span className='bg-rose-200 text-black ml-auto py-1 px-2 text-sm'>
+                        <span className='text-slate-800'>{t('vat-base-deviation')}:</span> <span className='font-semibold'>
+                            {formatCurrency(fixed(check.baseDeviation), currency, locale)}
+                        </span>
+                    </span>
+                }
+                {
+                    differs(check.taxDeviation, 0) &&
+                    <span className={`bg-rose-200 text-black py-1 px-2 text-sm ${differs(check.baseDeviation, 0) ? '' : 'ml-auto'}`}>
+                        <span className='text-slate-800'>{t('vat-tax-deviation')}:</span> <span className='font-semibold'>
+                            {formatCurrency(fixed(check.taxDeviation), currency, locale)}
+                        </span>
+                    </span>
+                }
+                {
+                    (!hasDeviation && rows.length > 0) &&
+                    <span className='bg-green-200 text-black ml-auto py-1 px-2 text-sm'>
+                        <Check fontSize='12' />
+                        <span className='ml-1 text-slate-800'>{t('correct')}</span>
+                    </span>
+                }
+            </label>
+            <table className="border w-full p-1">
+                <thead>
+                    <tr>
+                        <th className="text-sm text-center font-semibold px-1 rounded hover:bg-emerald-100">
+                            <button type='button' className="p-1" onClick={handleAddRow}>
+                                <Add className="text-emerald-500" />
+                            </button>
+                        </th>
+                        <th className="text-sm text-left font-semibold px-1">{t('tax-rate')}</th>
+                        <th className="text-sm text-left font-semibold px-1">{t('vat-base')}</th>
+                        <th className="text-sm text-left font-semibold px-1">{t('vat-tax')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {rows.map((row, index) => (
+                        <React.Fragment key={index}>
+                            <tr className="bg-white hover:bg-gray-50">
+                                <td className="text-center">
+                                    <button
+                                        type="button"
+                                        className="p-1 self-center opacity-50 hover:opacity-100 hover:bg-red-100 rounded-md"
+                                        onClick={() => handleDeleteRow(index)}
+                                    >
+                                        <Clear className="text-rose-500" />
+                                    </button>
+                                </td>
+                                <td className="p-1">{cell(index, 'rate')}</td>
+                                <td className="p-1">{cell(index, 'base')}</td>
+                                <td className="p-1">{cell(index, 'tax', check.rowErrors[index] !== null)}</td>
+                            </tr>
+                            {
+                                check.rowErrors[index] !== null &&
+                                <tr>
+                                    <td colSpan={4} className="px-1 text-xs text-right text-rose-600">
+                                        {t('vat-row-expected')}: {formatCurrency(fixed(check.rowErrors[index]), currency, locale)}
+                                    </td>
+                                </tr>
+                            }
+                        </React.Fragment>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default VatBreakdownTable;
@@ -70,6 +70,19 @@ const CellRenderer = {
             </>
         );
     },
+    // paid state of a validated invoice, from the bank statement transactions matched to it
+    RenderPaymentStatus: ({ data: { type, status, payment } }) => {
+        if (type !== 'Invoice' || status !== 'validated') return null;
+        const state = payment?.status || 'unpaid';
+        return (
+            <Chip
+                label={t(`payment-${state}`)}
+                color={state === 'paid' ? 'success' : state === 'partial' ? 'warning' : 'default'}
+                variant="outlined"
+                size='small'
+            />
+        );
+    },
 };
 
 export default CellRenderer;
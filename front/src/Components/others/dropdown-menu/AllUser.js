@@ -105,8 +105,10 @@ export default function AllUsers({ data = [], loading = false, onUpdate, onDelet
 
     const roleOptions = [
         {value: 'admin', label: t('Admin')},
-        {value: 'validation 1', label: "Validation 1"},
-        {value: 'validation 2', label: "Validation 2"}
+        {value: 'agent V1', label: "Agent V1"},
+        {value: 'agent V2', label: "Agent V2"},
+        {value: 'approver', label: t('approver')},
+        {value: 'service', label: t('service-account')}
     ]
     const columns = [
         {
@@ -1,9 +1,8 @@
 import React, { useEffect, useState } from 'react'
 import { useDispatch, useSelector } from 'react-redux';
 import {
-    incrementPrevalidation,
+    affectStageCounts,
     incrementReturned,
-    incrementValidationV2,
     incrementValidated,
     resetCounts,
     incrementRejected,
@@ -11,6 +10,7 @@ import {
 import { useTranslation } from 'react-i18next';
 import { NavLink, useLocation } from 'react-router-dom';
 import fileService from '../../services/fileService';
+import { stagePath } from '../../../utils/utils';
 import { KeyboardArrowDown, KeyboardArrowUp } from '@mui/icons-material';
 import useSocketEvent from '../../../hooks/useSocketEvent';
 
@@ -19,12 +19,14 @@ const ValidationDropdown = ({user}) => {
     const dispatch = useDispatch();
     const location = useLocation();
     const {
-        prevalidationCount,
+        stageCounts,
         rejectedCount,
-        validationV2Count,
         validatedCount,
     } = useSelector((state) => state.documents);
 
+    // queues of the workflow stages the user can act on
+    const stages = stageCounts.filter(stage => user?.role === 'admin' || stage.roles.includes(user?.role));
+
 
     // console.log("rolle === ", role);
     const [isDropDownOpen, setIsDropDownOpen] = useState(false);
@@ -34,9 +36,8 @@ const ValidationDropdown = ({user}) => {
         .then(counts => {
             if (!counts) return;
             dispatch(resetCounts())
-            dispatch(incrementPrevalidation(counts.prevalidationCount[0]?.count || 0));
+            dispatch(affectStageCounts(counts.stageCounts || []));
             dispatch(incrementReturned(counts.returnedCount[0]?.count || 0));
-            dispatch(incrementValidationV2(counts.validationV2Count[0]?.count || 0));
             dispatch(incrementValidated(counts.validatedCount[0]?.count || 0));
             dispatch(incrementRejected(counts.rejectedCount[0]?.count || 0));
         })
@@ -62,7 +63,7 @@ const ValidationDropdown = ({user}) => {
         // Array of paths that should open the validation menu
         const validationPaths = ['/validation', '/prevalidation', '/returned', '/validated', '/rejected'];
         // Open the validation menu if the current path is in validationPaths
-        setIsDropDownOpen(validationPaths.includes(location.pathname));
+        setIsDropDownOpen(validationPaths.includes(location.pathname) || location.pathname.startsWith('/stage/'));
 
     }, [location]);
 
@@ -82,16 +83,11 @@ const ValidationDropdown = ({user}) => {
             {
                 isDropDownOpen && (
                     <ul className="ml-2 pl-4 py-1 space-y-1 border-l-2">
-                        {(user?.role === "admin" || user?.role === "agent V1") && (<li>
-                            <NavLink to="/prevalidation" className='menu-item' title={`${t('prevalidation')} ${prevalidationCount}`}>
-                                {t('prevalidation')} v1 {prevalidationCount > 0 && <span>{sc(prevalidationCount)}</span>}
+                        {stages.map(stage => (<li key={stage.key}>
+                            <NavLink to={stagePath(stage.key)} className='menu-item' title={`${stage.label} ${stage.count}`}>
+                                {stage.label} {stage.count > 0 && <span>{sc(stage.count)}</span>}
                             </NavLink>
-                        </li>)}
-                        {(user?.role === "admin" || user?.role === "agent V2") && (<li>
-                            <NavLink to="/validation" className='menu-item' title={`Validation ${validationV2Count}`}>
-                                Validation v2 {validationV2Count > 0 && <span>{sc(validationV2Count)}</span>}
-                            </NavLink>
-                        </li>)}
+                        </li>))}
                         {(user?.role === "admin" || user?.role === "agent V2") && (<li>
                             <NavLink to="/rejected" className='menu-item' title={`${t('rejected')} ${rejectedCount}`}>
                                 {t('rejected')} {rejectedCount > 0 && <span>{sc(rejectedCount)}</span>}
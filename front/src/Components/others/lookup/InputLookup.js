@@ -5,7 +5,7 @@ import StandarLookup from './Lookup';
 import { useFloating, autoUpdate, offset, flip, shift } from '@floating-ui/react-dom';
 import { getSuppliers } from '../../services/datasource-service';
 
-export const InputLookup = React.memo(({label = '', id, value = '', defaultValue = '', onInput, onFocus, onBlur, onSelect, ...props}) => {
+export const InputLookup = React.memo(({label = '', id, value = '', defaultValue = '', onInput, onFocus, onBlur, onSelect, showWarning = false, ...props}) => {
 
     const [val, setVal] = useState(value);
     const [open, setOpen] = useState(false);
@@ -22,6 +22,11 @@ export const InputLookup = React.memo(({label = '', id, value = '', defaultValue
         whileElementsMounted: autoUpdate // Updates position on scroll, resize, or DOM changes
     });
 
+    // value filled from outside (matched supplier)
+    useEffect(() => {
+        setVal(value);
+    }, [value]);
+
     useEffect(() => {
         setLoading(true);
         getSuppliers().then(data => {
@@ -65,7 +70,7 @@ export const InputLookup = React.memo(({label = '', id, value = '', defaultValue
                 <input
                     ref={ref}
                     id={id}
-                    className="w-full form_controller"
+                    className={`w-full form_controller ${showWarning ? '!border-yellow-600 focus:!outline-yellow-300 !bg-yellow-200' : ''}`}
                     name={label}
                     {...props}
                     value={val}
@@ -97,7 +102,9 @@ export const InputLookup = React.memo(({label = '', id, value = '', defaultValue
     )
 }, (prevProps, nextProps) => {
     // Only re-render if `value` or other critical props change
-    return (prevProps.value === nextProps.value && prevProps.id === nextProps.id && nextProps.onFocus === prevProps.onFocus);
+    return (prevProps.value === nextProps.value && prevProps.id === nextProps.id && nextProps.onFocus === prevProps.onFocus
+        && nextProps.showWarning === prevProps.showWarning
+        && nextProps.onSelect === prevProps.onSelect);
 })
 
 export default InputLookup
\ No newline at end of file
@@ -1,11 +1,12 @@
 import * as React from 'react';
-import { DeleteForever, Lock } from '@mui/icons-material'
+import { DeleteForever, FileDownload, Lock } from '@mui/icons-material'
 import { useTranslation } from 'react-i18next';
 import CellRenderer from '../cell-render/CellRenderer';
 import TemplateTable from './TemplateTable';
 import { GridToolbarContainer,GridToolbarColumnsButton, GridToolbarFilterButton, GridToolbarDensitySelector, GridToolbarExport } from '@mui/x-data-grid';
 import { Button, CircularProgress } from '@mui/material';
 import fileService from '../../services/fileService';
+import ExportExcelDialog from '../ExportExcelDialog';
 
 export default function AllDocumentTable({ data = [], loading = false, page=0, pageSize=10, onPaginationChange, totalRecords=0 }) {
 
@@ -13,6 +14,7 @@ export default function AllDocumentTable({ data = [], loading = false, page=0, p
     const [rows, setRows] = React.useState([]);
     const [isDeleting, setDeleting] = React.useState(false);
     const [selectedRows, setSelectedRows] = React.useState([]);
+    const [exportOpen, setExportOpen] = React.useState(false);
 
     React.useEffect(() => {
         setRows(data);
@@ -40,6 +42,9 @@ export default function AllDocumentTable({ data = [], loading = false, page=0, p
                 <GridToolbarFilterButton />
                 <GridToolbarDensitySelector />
                 <GridToolbarExport />
+                <Button startIcon={<FileDownload />} size='small' onClick={() => setExportOpen(true)}>
+                    {t('export-excel')}
+                </Button>
                 {
                     selectedRows.length > 0 &&
                     <Button
@@ -90,6 +95,15 @@ export default function AllDocumentTable({ data = [], loading = false, page=0, p
             ),
             flex: 1
         },
+        {
+            field: 'payment',
+            headerName: t('payment-col'),
+            renderCell: ({row}) => (
+                <CellRenderer.RenderPaymentStatus data={row} />
+            ),
+            valueGetter: (payment) => payment?.status || '',
+            flex: 1
+        },
         {
             field: 'lockedBy',
             headerName: t('current-user-col'),
@@ -123,17 +137,20 @@ export default function AllDocumentTable({ data = [], loading = false, page=0, p
     ];
 
     return (
-        <TemplateTable
-            cols={columns}
-            data={rows}
-            loading={loading}
-            pageSize={pageSize}
-            storageKey='alldocuments'
-            page={page}
-            totalRecords={totalRecords}
-            onPaginationChange={onPaginationChange}
-            onRowsSelected={setSelectedRows}
-            customGridToolbar={CustomGridToolbar}
-        />
+        <>
+            <TemplateTable
+                cols={columns}
+                data={rows}
+                loading={loading}
+                pageSize={pageSize}
+                storageKey='alldocuments'
+                page={page}
+                totalRecords={totalRecords}
+                onPaginationChange={onPaginationChange}
+                onRowsSelected={setSelectedRows}
+                customGridToolbar={CustomGridToolbar}
+            />
+            <ExportExcelDialog open={exportOpen} onClose={() => setExportOpen(false)} />
+        </>
     );
 }
@@ -1,17 +1,25 @@
 import * as React from 'react';
-import { Download } from '@mui/icons-material'
+import { AccountBalance, Download, PictureAsPdf, ReceiptLong, Subject } from '@mui/icons-material'
 import { useTranslation } from 'react-i18next';
-import { Button } from '@mui/material';
+import { Button, CircularProgress } from '@mui/material';
+import { GridToolbarContainer, GridToolbarColumnsButton, GridToolbarFilterButton, GridToolbarDensitySelector } from '@mui/x-data-grid';
 import fileService from '../../services/fileService';
 import { GenerateXMLFromResponse } from '../../../utils/utils';
 import CellRenderer from '../cell-render/CellRenderer';
 import TemplateTable from './TemplateTable';
+import UblErrorsDialog from '../UblErrorsDialog';
+
+// bank statements are the documents with transactions (TableItem)
+const isBankStatement = (row) => String(row.dataXml || '').includes('"TableItem"');
 
 export default function ValidatedTable({ data = [], version = 'v2', loading = false, page=0, pageSize=10, onPaginationChange, totalRecords=0  }) {
 
     const { t } = useTranslation();
     
     const [rows, setRows] = React.useState([]);
+    const [selectedRows, setSelectedRows] = React.useState([]);
+    const [isExporting, setExporting] = React.useState(false);
+    const [exportErrors, setExportErrors] = React.useState({ title: '', errors: [] });
 
     React.useEffect(() => {
         setRows(data);
@@ -73,9 +81,26 @@ export default function ValidatedTable({ data = [], version = 'v2', loading = fa
                     <Button onClick={() => handleDownloadXML(row)} title={t('download-as-xml')}>
                         <Download />
                     </Button>
+                    <Button onClick={() => handleDownloadFacturX(row)} title={t('download-as-facturx')}>
+                        <PictureAsPdf />
+                    </Button>
+                    <Button onClick={() => handleDownloadUbl(row)} title={t('download-as-ubl')}>
+                        <ReceiptLong />
+                    </Button>
+                    {
+                        isBankStatement(row) &&
+                        <>
+                            <Button onClick={() => handleDownloadStatement(row, 'camt053')} title={t('download-as-camt053')}>
+                                <AccountBalance />
+                            </Button>
+                            <Button onClick={() => handleDownloadStatement(row, 'mt940')} title={t('download-as-mt940')}>
+                                <Subject />
+                            </Button>
+                        </>
+                    }
                 </div>
             ),
-            width: 100,  // Fixed width for the action column
+            width: 200,  // Fixed width for the action column
             flex: 1
         },
     ];
@@ -86,23 +111,96 @@ export default function ValidatedTable({ data = [], version = 'v2', loading = fa
     async function handleDownloadXML(data) {
         const { versions } = data;
         if (versions[1]) {
-            const resp = await fileService.downloadXML(versions[1].dataJson);
+            const resp = await fileService.downloadXML(versions[1].dataJson, { documentId: data._id });
             if (resp.ok) {
                 GenerateXMLFromResponse(resp, 'download.xml');
             }
         }
     }
 
+    // method to show the rules an export is blocked by
+    async function showExportErrors(resp, title) {
+        const { errors = [], error } = await resp.json();
+        setExportErrors({ title, errors: errors.length ? errors : [{ rule: '', message: error }] });
+    }
+
+    // method to download the UBL invoice of a document, or show the rules it breaks
+    async function handleDownloadUbl(data) {
+        const resp = await fileService.downloadUbl(data._id);
+        if (resp.ok) {
+            GenerateXMLFromResponse(resp, `${data._id}.xml`);
+        } else {
+            showExportErrors(resp, t('ubl-errors-title'));
+        }
+    }
+
+    // method to download the Factur-X pdf of a document, or show the rules it breaks
+    async function handleDownloadFacturX(data) {
+        const resp = await fileService.downloadFacturX(data._id);
+        if (resp.ok) {
+            GenerateXMLFromResponse(resp, `${data._id}_factur-x.pdf`);
+        } else {
+            showExportErrors(resp, t('facturx-errors-title'));
+        }
+    }
+
+    // method to download a bank statement (CAMT.053 or MT940), or show why it cannot be exported
+    async function handleDownloadStatement(data, format) {
+        const resp = await fileService.downloadStatement(data._id, format);
+        if (resp.ok) {
+            GenerateXMLFromResponse(resp, `${data._id}.${format === 'mt940' ? 'sta' : 'xml'}`);
+        } else {
+            showExportErrors(resp, t('statement-errors-title'));
+        }
+    }
+
+    // method to download the UBL invoices of the selected documents (zip)
+    async function handleExportUbl() {
+        setExporting(true);
+        const resp = await fileService.exportUbl(selectedRows).finally(() => setExporting(false));
+        if (resp.ok) {
+            GenerateXMLFromResponse(resp, 'ubl.zip');
+        }
+    }
+
+    const CustomGridToolbar = () => (
+        <GridToolbarContainer>
+            <GridToolbarColumnsButton />
+            <GridToolbarFilterButton />
+            <GridToolbarDensitySelector />
+            {
+                selectedRows.length > 0 &&
+                <Button
+                    startIcon={isExporting ? <CircularProgress size={16} /> : <ReceiptLong />}
+                    variant='outlined' size='small' className='!ml-auto'
+                    disabled={isExporting}
+                    onClick={handleExportUbl}
+                >{t('export-ubl')} ({selectedRows.length})</Button>
+            }
+        </GridToolbarContainer>
+    );
+
     return (
-        <TemplateTable
-            cols={columns}
-            data={rows}
-            loading={loading}
-            pageSize={pageSize}
-            storageKey='validation2'
-            page={page}
-            totalRecords={totalRecords}
-            onPaginationChange={onPaginationChange}
-        />
+        <>
+            <TemplateTable
+                cols={columns}
+                data={rows}
+                loading={loading}
+                pageSize={pageSize}
+                storageKey='validation2'
+                page={page}
+                totalRecords={totalRecords}
+                onPaginationChange={onPaginationChange}
+                onRowsSelected={setSelectedRows}
+                customGridToolbar={CustomGridToolbar}
+            />
+            <UblErrorsDialog
+                open={exportErrors.errors.length > 0}
+                errors={exportErrors.errors}
+                title={exportErrors.title}
+                content={t('export-errors-content')}
+                onClose={() => setExportErrors({ title: '', errors: [] })}
+            />
+        </>
     );
 }
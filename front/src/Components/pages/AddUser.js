@@ -122,6 +122,8 @@ export default function AddUser() {
                 <option value="" >{t('select-role')}</option>
                 <option value="agent V1" >Agent V1</option>
                 <option value="agent V2" >Agent V2</option>
+                <option value="approver" >{t('approver')}</option>
+                <option value="service" >{t('service-account')}</option>
                 <option value="admin">{t('admin')}</option>
               </select>
             </div>
@@ -2,6 +2,9 @@ import React from 'react'
 import Tabs from '../data-source/tabs'
 import SupplierPage from '../data-source/supplier/page'
 import OCRDynamicKeys from '../data-source/ocr/page'
+import XmlTemplates from '../data-source/xml-template/page'
+import BusinessRules from '../data-source/business-rules/page'
+import { t } from 'i18next'
 
 export const DataSource = () => {
 
@@ -12,6 +15,12 @@ export const DataSource = () => {
         }, {
             label: "OCR Dynamic Keys",
             content: <OCRDynamicKeys />
+        }, {
+            label: t('xml-templates'),
+            content: <XmlTemplates />
+        }, {
+            label: t('business-rules'),
+            content: <BusinessRules />
         }
     ]
     return (
@@ -2,11 +2,17 @@ import React, { Suspense, useCallback, useEffect, useMemo, useRef, useState } fr
 import Input from "../others/Input";
 // import PDFViewer from "../others/PDFViewer";
 import { json, useNavigate, useParams } from "react-router-dom";
-import { addPrefixToKeys, changeObjectValue, CURRENCY_LIST, formParserOrder, GenerateXMLFromResponse, getVerticesOnJSOn, invoiceOrder, reorderKeys } from '../../utils/utils';
+import { addPrefixToKeys, changeObjectValue, DEFAULT_NUMBER_LOCALE, formatLocaleNumber, formParserOrder, GenerateXMLFromResponse, getVerticesOnJSOn, invoiceOrder, isAmountKey, NUMBER_LOCALES, reorderKeys, setValueAtPath, stagePath, toCanonical } from '../../utils/utils';
 import service from '../services/fileService'
 import ValidationSteps from "../others/ValidationSteps";
-import { Alert, Button, CircularProgress, Dialog, DialogActions, DialogContent, DialogTitle, Skeleton, Snackbar, Typography } from '@mui/material'
-import { SwipeLeftAlt, PublishedWithChanges, Save, Cancel, ArrowLeftSharp, RemoveCircle, PictureAsPdf } from '@mui/icons-material'
+import DocumentDiff from "../others/DocumentDiff";
+import UblErrorsDialog from "../others/UblErrorsDialog";
+import DuplicateInvoiceAlert, { DUPLICATE_REASON } from "../others/DuplicateInvoiceAlert";
+import SupplierMatchBar from "../others/SupplierMatchBar";
+import BusinessRulesPanel from "../others/BusinessRulesPanel";
+import MrzCheckBar from "../others/MrzCheckBar";
+import { Alert, Button, CircularProgress, Dialog, DialogActions, DialogContent, DialogTitle, Drawer, Skeleton, Snackbar, Typography } from '@mui/material'
+import { SwipeLeftAlt, PublishedWithChanges, Save, Cancel, ArrowLeftSharp, RemoveCircle, PictureAsPdf, SkipNext, Difference, Rule } from '@mui/icons-material'
 import { Panel, PanelGroup, PanelResizeHandle } from "react-resizable-panels";
 import Header from "../others/Header";
 import { useTranslation } from "react-i18next";
@@ -16,13 +22,15 @@ import CommentBox from "../others/CommentBox";
 import RejectModal from "../others/RejectModal";
 import ComboBox from "../others/ComboBox";
 import LineItemTable from "../others/LineItemTable";
+import VatBreakdownTable from "../others/VatBreakdownTable";
 import DateInput from "../others/DateInput";
 import InputLookup from "../others/lookup/InputLookup";
-import { useDispatch } from "react-redux";
-import { setCurrency } from "../redux/currencyReducer";
 import { convertImageToText } from "../services/capture-service";
 import { BankStatementTableItem } from "../others/BankStatementTableItem";
 import { getCustomerById } from "../services/customer-service";
+import { checkIdentifiers } from "../../utils/identifiers";
+import { currencyOptions } from "../../utils/currencies";
+import { dateOrderOf } from "../../utils/dates";
 const PDFViewer = React.lazy(() => import('../others/pdf-viewer/PDFViewerWithSnap'));
 const DraggableList = React.lazy(() => import('../orderable/orderable-value'));
 
@@ -37,6 +45,12 @@ const defaultLoadingState = {
   message: ''
 }
 
+// interval between two renewals of the document lock lease
+const LOCK_HEARTBEAT_INTERVAL = 30 * 1000;
+
+// delay after the last change before the business rules are checked again
+const RULES_CHECK_DELAY = 500;
+
 const Doc = () => {
 
   const navigate = useNavigate();
@@ -61,36 +75,55 @@ const Doc = () => {
   const [verticesToDraw, setVerticesToDraw] = useState([]);
   // selected value from lookup
   const [selectedSupplier, setSelectedSupplier] = useState({});
+  // master data supplier matched on import
+  const [supplierMatch, setSupplierMatch] = useState(null);
   // Error on field
   const [lineItemErrors, setLineItemErrors] = useState([]);
   // customer
   const [customer, setCustomer] = useState(null);
-  
-  // redux
-  const dispatch = useDispatch();
-
-  // get active user infos from localstorage
-  const _User = JSON.parse(localStorage.getItem('user'));
+  // changes panel, the form is mounted again after a revert
+  const [openDiff, setOpenDiff] = useState(false);
+  const [formRevision, setFormRevision] = useState(0);
+  // Peppol rules broken by an invoice about to be finalised
+  const [ublCheck, setUblCheck] = useState({ open: false, errors: [], skip: false });
+  // documents that look like the same invoice, and the validation waiting for the agent to confirm
+  const [duplicates, setDuplicates] = useState([]);
+  const [duplicateCheck, setDuplicateCheck] = useState({ open: false, skip: false, force: false });
+  // invalid IBAN, BIC or VAT numbers refused by the server (customer blocking them)
+  const [identifierCheck, setIdentifierCheck] = useState({ open: false, errors: [] });
+  // business rules broken by the form, side panel and blocking rules refused by the server
+  const [ruleResults, setRuleResults] = useState([]);
+  const [openRules, setOpenRules] = useState(false);
+  const [ruleCheck, setRuleCheck] = useState({ open: false, errors: [] });
+  // machine readable zone of a travel document (FormParser) and the errors blocking its validation
+  const [mrzResult, setMrzResult] = useState({ field: '', mrz: null, errors: [] });
+  const [mrzCheck, setMrzCheck] = useState({ open: false, errors: [] });
+  // dynamic keys suggested for the fragments of an OCR document, learned from the validated ones
+  const [ocrSuggestions, setOcrSuggestions] = useState({ suggestions: [], trainedOn: 0 });
+  // separators of the amounts (de-DE: 1.234,56, en-GB: 1,234.56), detected on import or chosen by the agent
+  const [numberLocale, setNumberLocale] = useState(DEFAULT_NUMBER_LOCALE);
+  // texts the dates were read from before being stored as ISO 8601 ({ path, text })
+  const [dateSources, setDateSources] = useState([]);
 
   const changeLanguage = (lng) => {
     i18n.changeLanguage(lng);
   };
 
   
-  // Navigate to url according to the document status
+  // Navigate to the list of the validation stage
   const redirect = useCallback(() => {
-    if (doc.status === 'returned')
-      return navigate('/returned')
-    else if (validation === 'v1')
-      return navigate('/prevalidation');
-    else if (validation === 'v2')
-      return navigate('/validation')
-  }, [doc, validation, navigate]);
-
-  // method that is used to take next document according to validation stage (v1, v2)
+    return navigate(stagePath(validation));
+  }, [validation, navigate]);
+
+  // stage of the document workflow being validated, with its allowed transitions
+  const currentStage = useMemo(() => doc?.workflowStages?.find(stage => stage.key === validationStage), [doc, validationStage]);
+  const canTransition = (transition) => !!currentStage?.transitions?.includes(transition);
+  const isLastStage = !!doc?.workflowStages?.length && doc.workflowStages[doc.workflowStages.length - 1].key === validationStage;
+
+  // method that is used to take next document according to validation stage
   const goToNextDocument = useCallback(async () => {
-    // instead of going back, go to next document
-    const nextDoc = await fileService.goToNextDocument(validation);
+    // instead of going back, claim the next document (it comes back already locked)
+    const nextDoc = await fileService.claimNextDocument(validation, id).catch(() => null);
     if (nextDoc) { // nextdoc found
       // open the new document
       navigate(`/document/${validation}/${nextDoc._id}`);
@@ -98,20 +131,34 @@ const Doc = () => {
       // go to list according to the validation state
       redirect();
     }
-  }, [navigate, redirect, validation]);
+  }, [navigate, redirect, validation, id]);
+
+  // method to apply a matched supplier to the section of the document type: empty fields are filled,
+  // the others are flagged when they differ from the master data
+  const applySupplierMatch = useCallback((supplier, type) => {
+    const { _id, id: supplierId, ...fields } = supplier;
+    const object = addPrefixToKeys(fields, "Supplier");
+    setSelectedSupplier(object);
+    setDocumentData(prev => {
+      if (!prev[type] || Array.isArray(prev[type])) return prev;
+      const section = { ...prev[type] };
+      Object.keys(object).forEach(key => {
+        if (key in section && !section[key]) section[key] = object[key];
+      });
+      return { ...prev, [type]: section };
+    });
+  }, []);
 
   useEffect(() => {
 
-    if (!['v1', 'v2'].includes(validation)) navigate('/');
-
-
     // check validation
     service.getDocumentValidation(id, validation)
     .then(async res => {
 
       const docData = await res;
 
-      if (!docData) {
+      // not found, or stage not available for the user
+      if (!docData?._id) {
         // IF DOCUMENT IS NOT FOUND GO BACK
         setSnackAlert({
           open: true,
@@ -124,25 +171,29 @@ const Doc = () => {
         return;
       };
 
-      // handle if is locked
-      setTimeout(async () => {
-        if (docData.isLocked && docData.lockedBy?._id !== _User._id) {
-          // instead of going back, go to next document
-          await goToNextDocument();
-        }
-      }, 5000);
-      
       if (["validated", "rejected"].includes(docData.status)) {
         await service.unlockFile(id);
         return redirect();
       }
       
       // lock document
-      await fileService.lockFile(id);
+      const lockResponse = await fileService.lockFile(id);
+
+      // handle if is locked by another user
+      if (lockResponse.status === 409) {
+        setSnackAlert({
+          open: true,
+          type: 'warning',
+          message: t('document-is-locked')
+        });
+        // instead of going back, go to next document
+        return await goToNextDocument();
+      }
 
-      if (docData.validation?.v1 && validation !== 'v2') {
+      // the document is waiting in another stage
+      if (docData.stage !== validation) {
         await service.unlockFile(id);
-        return navigate('/prevalidation');
+        return redirect();
       }
 
       const jsonData = JSON.parse(String.raw`${docData.dataXml}`);
@@ -163,9 +214,26 @@ const Doc = () => {
 
       }
       setDoc(docData);
+      setNumberLocale(docData.numberLocale || DEFAULT_NUMBER_LOCALE);
+      setDateSources(docData.dateSources || []);
       setLoading(false);
       setPdfUrl(docData.pdfLink);
 
+      // warn when the same invoice is already validated or in progress
+      fileService.checkDuplicates(id)
+        .then(({ duplicates = [] }) => setDuplicates(duplicates))
+        .catch(() => setDuplicates([]));
+
+      // a confident (or already confirmed) supplier match is applied to the form
+      fileService.getSupplierMatch(id)
+        .then(({ match = null, threshold = 1 }) => {
+          setSupplierMatch(match);
+          if (match?.supplier && (match.status !== 'suggested' || match.score >= threshold)) {
+            applySupplierMatch(match.supplier, docData.type || "Invoice");
+          }
+        })
+        .catch(() => setSupplierMatch(null));
+
       // open popup if document has been rejected temporarily
       if (docData.status === 'temporarily-rejected') {
         setOpenPopup(true);
@@ -196,8 +264,73 @@ const Doc = () => {
       await fileService.unlockFile(id);
     }
 
-  }, [id, validation, navigate, t]);
+  }, [id, validation, navigate, t, redirect, goToNextDocument, applySupplierMatch]);
   
+  // renew the lock lease while the document is open
+  useEffect(() => {
+    if (!doc) return;
+
+    const interval = setInterval(async () => {
+      const res = await fileService.renewLock(id);
+      if (res.status !== 409) return;
+
+      // lease expired: take the lock again if nobody else did
+      const relock = await fileService.lockFile(id);
+      if (!relock.ok) {
+        clearInterval(interval);
+        setSnackAlert({
+          open: true,
+          type: 'warning',
+          message: t('lock-lost')
+        });
+        await goToNextDocument();
+      }
+    }, LOCK_HEARTBEAT_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, [doc, id, t, goToNextDocument]);
+
+  // check the business rules of the customer as the agent types
+  useEffect(() => {
+    if (!doc) return;
+
+    const timeout = setTimeout(() => {
+      fileService.checkBusinessRules(id, documentData, customer?._id)
+        .then(({ results = [] }) => setRuleResults(results))
+        .catch(() => setRuleResults([]));
+    }, RULES_CHECK_DELAY);
+
+    return () => clearTimeout(timeout);
+  }, [doc, id, documentData, customer]);
+
+  // suggest the dynamic keys of the fragments of an OCR document nobody assigned yet
+  // (asked again once the vertices are loaded, not as the agent assigns the fragments)
+  const ocrFragments = documentData.OCR;
+  const ocrAssigned = (documentData.OCRData || []).some(field => field.value?.length);
+  useEffect(() => {
+    if (doc?.type !== 'OCR' || !customer || ocrAssigned) return;
+
+    let cancelled = false;
+    fileService.getOcrSuggestions(id, ocrFragments, vertices, customer._id)
+      .then(({ suggestions = [], trainedOn = 0 }) => !cancelled && setOcrSuggestions({ suggestions, trainedOn }))
+      .catch(() => !cancelled && setOcrSuggestions({ suggestions: [], trainedOn: 0 }));
+
+    return () => { cancelled = true; };
+  }, [doc, customer, id, ocrFragments, ocrAssigned, vertices]);
+
+  // read the MRZ of a travel document and compare it with the form as the agent types
+  useEffect(() => {
+    if (doc?.type !== 'FormParser') return;
+
+    const timeout = setTimeout(() => {
+      fileService.checkMrz(id, documentData)
+        .then(({ field = '', mrz = null, errors = [] }) => setMrzResult({ field, mrz, errors }))
+        .catch(() => setMrzResult({ field: '', mrz: null, errors: [] }));
+    }, RULES_CHECK_DELAY);
+
+    return () => clearTimeout(timeout);
+  }, [doc, id, documentData]);
+
   const handleBeforeUnload = useCallback(() => {
     fileService.unlockFile(id);
   }, [id]);
@@ -219,9 +352,45 @@ const Doc = () => {
     redirect();
   }
 
+  // method to confirm the matched supplier, or override it with an alternative
+  async function handleChooseSupplier(supplier) {
+    const { match, error } = await fileService.confirmSupplierMatch(id, supplier._id).catch(() => ({ error: true }));
+    if (error) {
+      setSnackAlert({
+        open: true,
+        type: 'error',
+        message: t('error')
+      });
+      return;
+    }
+    setSupplierMatch(match);
+    applySupplierMatch(match.supplier, doc?.type || "Invoice");
+  }
+
+  // method to read the amounts with another number locale (the ones the agent changed are kept)
+  async function handleChangeNumberLocale(locale) {
+    const { json, error } = await fileService.setNumberLocale(id, locale, documentData).catch(() => ({ error: true }));
+    if (error) {
+      setSnackAlert({
+        open: true,
+        type: 'error',
+        message: t('error')
+      });
+      return;
+    }
+    setNumberLocale(locale);
+    setDocumentData(json);
+  }
+
   // when lookup selected
   // key is (Supplier, etc)
   function handleLookupSelect(lookupValue, prefix="Supplier") {
+    // a supplier picked by hand overrides the match
+    if (prefix === "Supplier" && lookupValue?._id && lookupValue._id !== supplierMatch?.supplier?._id) {
+      fileService.confirmSupplierMatch(id, lookupValue._id)
+        .then(({ match }) => match && setSupplierMatch(match))
+        .catch(err => console.log(err));
+    }
     const object = addPrefixToKeys(lookupValue, prefix);
     setSelectedSupplier(object)
     let newDocumentData = JSON.parse(JSON.stringify(documentData));
@@ -254,15 +423,13 @@ const Doc = () => {
     return [];
   }
 
-  function handleOnErrorLineItems(key, isError) {
-    // update if exists
-    if (lineItemErrors.find(l => l.key === key)) {
-      setLineItemErrors(prev => prev.map(i => i.key === key ? ({key, isError}) : prev))
-    } else {
-      // remove it
-      setLineItemErrors(prev => [...prev, { key, isError }])
-    }
-  }
+  // errors flagged by the tables (line items, VAT breakdown, transactions), stable as they run in their effects
+  const handleOnErrorLineItems = useCallback((key, isError) => {
+    setLineItemErrors(prev => prev.some(l => l.key === key)
+      // update if exists
+      ? prev.map(i => i.key === key ? ({key, isError}) : i)
+      : [...prev, { key, isError }]);
+  }, []);
 
   // handle focus on input field
   const handleFocusOnInputField = (key, fullKey) => {
@@ -281,12 +448,8 @@ const Doc = () => {
     }
   };
 
-  // method to update currency
-  const handleUpdateCurrency = (key, value) => {
-    // change redux currency store
-    dispatch(setCurrency(value));
-    handleUpdateJSON(key, value);
-  }
+  // ISO 4217 currencies of the combo box, named in the language of the interface
+  const currencyList = useMemo(() => currencyOptions(i18n.language), [i18n.language]);
 
   // method to update the json by a key
   const handleUpdateJSON = useCallback((key, value) => {
@@ -295,6 +458,35 @@ const Doc = () => {
     setDocumentData(updated)
   }, [documentData]);
 
+  // invalid IBAN, BIC and VAT numbers of the form, by field path
+  const identifierMessages = useMemo(() => Object.fromEntries(
+    checkIdentifiers(documentData).map(({ field, message }) => [field, message])
+  ), [documentData]);
+
+  // broken business rules by field path (blocking ones first)
+  const ruleMessages = useMemo(() => Object.fromEntries(
+    [...ruleResults].sort((a, b) => (a.severity === 'block') - (b.severity === 'block')).map(result => [result.field, result])
+  ), [ruleResults]);
+
+  // differences with the MRZ, invalid check digits and expiry by field path
+  const mrzMessages = useMemo(() => Object.fromEntries(
+    mrzResult.errors.map(({ field, message }) => [field, message])
+  ), [mrzResult]);
+
+  // method to go to the field of a broken rule
+  function handleJumpToField(path) {
+    const input = document.getElementById(path);
+    if (!input) return;
+    input.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    input.focus();
+  }
+
+  // method to revert a field to its value before a stage (undefined removes it)
+  const handleRevertField = useCallback((path, value) => {
+    setDocumentData(prev => setValueAtPath(prev, path, value));
+    setFormRevision(prev => prev + 1);
+  }, []);
+
   // Utility function to render form fields for nested objects
   const renderFields = useCallback((parentKey = '', data) => {
       return Object.keys(data).map((key) => {
@@ -314,14 +506,41 @@ const Doc = () => {
               netAmount={documentData?.[doc.type || "Invoice"]['NetAmount'] || 0}
               onError={handleOnErrorLineItems}
               type={doc?.type || "Invoice"}
+              locale={numberLocale}
+              currency={documentData?.[doc.type || "Invoice"]['Currency']}
             />)
           }
           
-          // render table item for bank statement 
+          // render the VAT breakdown, reconciled with the totals and the line items
+          if (key === 'Vat') {
+            return (<VatBreakdownTable
+              key={fullKey}
+              data={data[key].length ? data[key] : [data[key]]}
+              id={fullKey}
+              onRowsUpdate={handleUpdateJSON}
+              onFocus={handleFocusOnInputField}
+              onError={handleOnErrorLineItems}
+              netAmount={documentData?.[doc.type || "Invoice"]['NetAmount'] || 0}
+              totalTaxAmount={documentData?.[doc.type || "Invoice"]['TotalTaxAmount'] || 0}
+              lineItems={[].concat(documentData?.[doc.type || "Invoice"]['LineItem'] || [])}
+              locale={numberLocale}
+              currency={documentData?.[doc.type || "Invoice"]['Currency']}
+            />)
+          }
+
+          // render the transactions of a bank statement, reconciled with its balances
           if (key === 'TableItem') {
             return (<BankStatementTableItem
+              key={fullKey}
               data={data[key].length ? data[key] : [data[key]]}
               id={fullKey}
+              onRowsUpdate={handleUpdateJSON}
+              onBalanceUpdate={(balanceKey, value) => handleUpdateJSON(parentKey ? `${parentKey}.${balanceKey}` : balanceKey, value)}
+              onError={handleOnErrorLineItems}
+              openingBalance={data.OpeningBalance ?? ''}
+              closingBalance={data.ClosingBalance ?? ''}
+              locale={numberLocale}
+              currency={data.Currency}
             />)
           }
 
@@ -345,6 +564,7 @@ const Doc = () => {
                 onFocus={() => handleFocusOnInputField(key)}
                 onBlur={() => setVerticesToDraw([])}
                 onSelect={handleLookupSelect}
+                showWarning={!!selectedSupplier[key] && data[key] !== selectedSupplier[key]}
               />
             );
           }
@@ -374,10 +594,11 @@ const Doc = () => {
                 label={key}
                 value={data[key]}
                 id={fullKey}
-                onInput={handleUpdateCurrency}
+                onInput={handleUpdateJSON}
                 onFocus={() => handleFocusOnInputField(key)}
                 onBlur={() => setVerticesToDraw([])}
-                options={CURRENCY_LIST}
+                options={currencyList}
+                searchable
               />
             );
         
@@ -388,6 +609,8 @@ const Doc = () => {
                 label={key}
                 value={data[key]}
                 id={fullKey}
+                original={dateSources.find(source => source.path === fullKey)?.text}
+                order={dateOrderOf(customer?.locale)}
                 onInput={handleUpdateJSON}
                 onFocus={() => handleFocusOnInputField(key)}
                 onBlur={() => setVerticesToDraw([])}
@@ -398,6 +621,10 @@ const Doc = () => {
           if (key.startsWith('Vat') && key.endsWith('Id'))
             return <></>;
 
+          // the balances of a bank statement are edited with its transactions
+          if ((key === 'OpeningBalance' || key === 'ClosingBalance') && 'TableItem' in data)
+            return <></>;
+
           return (
             <Input
               // fullKey is necessary to update the json data
@@ -405,15 +632,17 @@ const Doc = () => {
               label={key}
               value={data[key]}
               id={fullKey}
-              showWarning={((key in selectedSupplier) && data[key] !== selectedSupplier[key])}
-              isInvalid={lineItemErrors.find(l => l.key === key)?.isError}
+              showWarning={(!!selectedSupplier[key] && data[key] !== selectedSupplier[key]) || ruleMessages[fullKey]?.severity === 'warn'}
+              isInvalid={lineItemErrors.find(l => l.key === key)?.isError || !!identifierMessages[fullKey] || ruleMessages[fullKey]?.severity === 'block' || !!mrzMessages[fullKey]}
+              errorMessage={identifierMessages[fullKey] || (ruleMessages[fullKey]?.severity === 'block' ? ruleMessages[fullKey].message : '') || mrzMessages[fullKey]}
               onInput={handleUpdateJSON}
               // use suggestions default value of the lookup
               suggestions={(key in selectedSupplier) ? [selectedSupplier[key]] : []}
               onFocus={() => handleFocusOnInputField(key, fullKey)}
               onBlur={() => setVerticesToDraw([])}
-              type={key.endsWith('Amount') ? 'numeric' : 'text'}
-              className={key.endsWith('Amount') ? '!col-span-1/2 !w-fit' : ''}
+              type={isAmountKey(key) ? 'numeric' : 'text'}
+              locale={numberLocale}
+              className={isAmountKey(key) ? '!col-span-1/2 !w-fit' : ''}
               onMapping={() => setMapping({ field: fullKey, activate: true})}
               isMapping={mapping.field.endsWith(key) && mapping.activate}
             />
@@ -421,7 +650,7 @@ const Doc = () => {
             
         }
       });
-    }, [handleUpdateJSON, t, documentData, lineItemErrors, doc, mapping]);
+    }, [handleUpdateJSON, handleOnErrorLineItems, t, documentData, lineItemErrors, doc, mapping, selectedSupplier, identifierMessages, ruleMessages, mrzMessages, numberLocale, currencyList, dateSources, customer]);
 
   const renderSections = 
     (formData) => {
@@ -443,17 +672,33 @@ const Doc = () => {
     service.saveValidation(id, {
       json_data: documentData,
       versionNumber: validationStage,
-      vertices: vertices
+      vertices: vertices,
+      customerId: customer?._id
     }).then(async res => {
 
-      const { ok } = await res;
+      const { ok, message, data } = await res;
       
       if (ok) {
+        // the dates are stored as ISO 8601, the form shows them as saved
+        const saved = JSON.parse(data?.dataXml || '{}');
+        const sources = data?.dateSources || [];
+        setDocumentData(prev => sources.reduce((json, { path }) => {
+          const value = path.split('.').reduce((node, key) => node?.[key], saved);
+          return typeof value === 'string' ? setValueAtPath(json, path, value) : json;
+        }, prev));
+        setDateSources(sources);
+
         setSnackAlert({
           open: true,
           type: 'success',
           message: t('data-registered')
         });
+      } else {
+        setSnackAlert({
+          open: true,
+          type: 'error',
+          message: message || t('error')
+        });
       }
 
     }).catch(err => {
@@ -464,7 +709,19 @@ const Doc = () => {
   }
 
   // method to handle validate
-  async function handleValidateDocument() {
+  // skip: validate and end the workflow when the stage allows it
+  // force: finalise an invoice even if it breaks Peppol BIS Billing 3.0 rules
+  // ignoreDuplicates: the agent confirmed the document is not a duplicate
+  async function handleValidateDocument(skip = false, force = false, ignoreDuplicates = false) {
+
+    // the invoice is about to be finalised: report the rules it breaks first
+    if (!force && (skip || isLastStage) && (doc?.type || 'Invoice') === 'Invoice') {
+      const { errors = [] } = await fileService.validateUbl(documentData).catch(() => ({}));
+      if (errors.length) {
+        setUblCheck({ open: true, errors, skip });
+        return;
+      }
+    }
   
     // show loading
     setLoadingState({
@@ -475,26 +732,84 @@ const Doc = () => {
     // send to server
     service.validateDocument(id, {
       json_data: documentData,
-      versionNumber: validationStage
+      versionNumber: validationStage,
+      ...(skip) && { skip },
+      ...(ignoreDuplicates) && { ignoreDuplicates },
+      vertices: vertices,
+      customerId: customer?._id
     }).then(async res => {
 
-      const {  ok } = await res;
+      const {  ok, message, data, duplicates: suspected, identifierErrors, warnings = [], ruleErrors, ruleWarnings = [], mrzErrors } = await res;
+
+      // blocking business rules of the customer
+      if (!ok && ruleErrors?.length) {
+        setRuleResults(prev => [...ruleErrors, ...prev.filter(result => result.severity !== 'block')]);
+        setRuleCheck({ open: true, errors: ruleErrors });
+        return;
+      }
+
+      // travel document: MRZ check digits, differences with the form or expired
+      if (!ok && mrzErrors?.length) {
+        setMrzResult(prev => ({ ...prev, errors: mrzErrors }));
+        setMrzCheck({ open: true, errors: mrzErrors });
+        return;
+      }
+
+      // the customer does not accept invalid identifiers
+      if (!ok && identifierErrors?.length) {
+        setIdentifierCheck({ open: true, errors: identifierErrors });
+        return;
+      }
+
+      // possible duplicate: ask the agent before validating
+      if (!ok && suspected?.length) {
+        setDuplicates(suspected);
+        setDuplicateCheck({ open: true, skip, force });
+        return;
+      }
+
+      if (!ok) {
+        setSnackAlert({
+          open: true,
+          type: 'error',
+          message: message || t('error')
+        });
+      }
 
       if (ok) {
-        if (validationStage === 'v2') {
-          // download xml
-          const response = await fileService.downloadXML(documentData);
+        // rules the Factur-X export is blocked by, shown with the validation result
+        let facturXWarning = null;
+        // invalid identifiers accepted by the customer settings
+        const identifierWarning = warnings.length ? `${t('identifier-errors-title')}: ${warnings.map(w => w.value).join(', ')}` : null;
+
+        if (data?.status === 'validated') {
+          // last stage: download xml
+          const response = await fileService.downloadXML(documentData, { documentId: id, customerId: customer?._id });
 
           if (res.ok) {
             GenerateXMLFromResponse(response);
           }
+
+          // invoices: download the Factur-X pdf too (profile of the customer)
+          if ((doc?.type || 'Invoice') === 'Invoice') {
+            const facturX = await fileService.downloadFacturX(id);
+            if (facturX.ok) {
+              GenerateXMLFromResponse(facturX, `${id}_factur-x.pdf`);
+            } else {
+              const { errors = [], error } = await facturX.json().catch(() => ({}));
+              facturXWarning = `${t('facturx-errors-title')}: ${errors.map(e => e.rule).join(', ') || error || ''}`;
+            }
+          }
         }
 
 
+        // business rules only warning
+        const ruleWarning = ruleWarnings.length ? `${t('business-rules')}: ${ruleWarnings.map(w => w.name).join(', ')}` : null;
+        const validationWarning = [identifierWarning, ruleWarning, facturXWarning].filter(Boolean).join(' ');
         setSnackAlert({
           open: true,
-          type: 'success',
-          message: 'Validation success!'
+          type: validationWarning ? 'warning' : 'success',
+          message: validationWarning ? `Validation success! ${validationWarning}` : 'Validation success!'
         });
 
         setLoadingState({
@@ -575,7 +890,7 @@ const Doc = () => {
   }
 
   // method to reject document
-  async function handleRejectDocument(reason) {
+  async function handleRejectDocument(reason, duplicateOf = null) {
     // close modal
     setRejectState(defaultLoadingState);
     // set loading state
@@ -585,7 +900,7 @@ const Doc = () => {
     });
 
     // do logic
-    const res = await fileService.rejectDocument(id, { reason, validation });
+    const res = await fileService.rejectDocument(id, { reason, validation, ...(duplicateOf) && { duplicateOf } });
     if (res.ok) {
       // instead of going back, go to next document
       await goToNextDocument();
@@ -605,6 +920,12 @@ const Doc = () => {
   }
 
 
+  // method to reject the document as a duplicate of another one, with the reason the server links to duplicateOf
+  function handleRejectAsDuplicate(duplicateOf) {
+    setDuplicateCheck(prev => ({ ...prev, open: false }));
+    handleRejectDocument(DUPLICATE_REASON, duplicateOf);
+  }
+
   // method to close alert
   function closeSnackAlert() {
     setSnackAlert(defaultSnackAlert)
@@ -625,7 +946,8 @@ const Doc = () => {
     setVertices(prev => prev.map(v => fieldKey.endsWith(v.key) ? ({...v, vertices: rectVertices}) : v ));
 
     // insert extracted text into the input field and anlso update JSONData
-    handleUpdateJSON(fieldKey, text.replace(/\n/g, ' ').trim());
+    const captured = text.replace(/\n/g, ' ').trim();
+    handleUpdateJSON(fieldKey, isAmountKey(fieldKey.split('.').pop()) ? toCanonical(captured, numberLocale) : captured);
 
     if (toDraw) 
       setVerticesToDraw([{ ...toDraw, vertices: rectVertices }]);
@@ -659,25 +981,45 @@ const Doc = () => {
                     <span className="!text-gray-800">{t('go-back')}</span>
                   </Button>
                 </div>
-                <div hidden>
-                  <Button type="button" size="small" startIcon={<Cancel className="text-yellow-600" />}
-                    onClick={handleCancelDocument}
-                    disabled={Object.entries(documentData).length === 0}
+                <div>
+                  <Button type="button" size="small" startIcon={<Difference className="text-slate-600" />}
+                    onClick={() => setOpenDiff(true)}
+                    disabled={!doc}
                   >
-                    <span className="!text-yellow-600">{t('cancel-document')}</span>
+                    <span className="!text-slate-600">{t('show-changes')}</span>
                   </Button>
                 </div>
                 <div>
-                  <Button type="button" size="small" startIcon={<RemoveCircle className="text-rose-600" />}
-                    onClick={handleOpenRejectDocument}
+                  <Button type="button" size="small"
+                    startIcon={<Rule className={ruleResults.some(r => r.severity === 'block') ? 'text-rose-600' : ruleResults.length ? 'text-yellow-600' : 'text-slate-600'} />}
+                    onClick={() => setOpenRules(!openRules)}
+                    disabled={!doc}
+                  >
+                    <span className="!text-slate-600">{t('business-rules')}{ruleResults.length > 0 && ` (${ruleResults.length})`}</span>
+                  </Button>
+                </div>
+                <div hidden>
+                  <Button type="button" size="small" startIcon={<Cancel className="text-yellow-600" />}
+                    onClick={handleCancelDocument}
                     disabled={Object.entries(documentData).length === 0}
                   >
-                    <span className="!text-slate-600">{t('reject-document')}</span>
+                    <span className="!text-yellow-600">{t('cancel-document')}</span>
                   </Button>
                 </div>
                 {
-                  doc?.validation.v1 &&
-                  <div hidden>
+                  canTransition('reject') &&
+                  <div>
+                    <Button type="button" size="small" startIcon={<RemoveCircle className="text-rose-600" />}
+                      onClick={handleOpenRejectDocument}
+                      disabled={Object.entries(documentData).length === 0}
+                    >
+                      <span className="!text-slate-600">{t('reject-document')}</span>
+                    </Button>
+                  </div>
+                }
+                {
+                  canTransition('return') &&
+                  <div>
                     <Button type="button" size="small" startIcon={<SwipeLeftAlt className="" />}
                       onClick={openDialogForReturningDocument}
                       disabled={Object.entries(documentData).length === 0}
@@ -696,12 +1038,23 @@ const Doc = () => {
                 </div>
                 <div>
                   <Button type="button" size="small" startIcon={<PublishedWithChanges className="text-emerald-600" />}
-                    onClick={handleValidateDocument}
+                    onClick={() => handleValidateDocument()}
                     disabled={Object.entries(documentData).length === 0}
                   >
                     <span className="!text-slate-600">{t('validate-document')}</span>
                   </Button>
                 </div>
+                {
+                  canTransition('skip') &&
+                  <div>
+                    <Button type="button" size="small" startIcon={<SkipNext className="text-emerald-600" />}
+                      onClick={() => handleValidateDocument(true)}
+                      disabled={Object.entries(documentData).length === 0}
+                    >
+                      <span className="!text-slate-600">{t('validate-and-finish')}</span>
+                    </Button>
+                  </div>
+                }
                 
                 <div hidden>
                   <Button type="button" size="small" startIcon={<PublishedWithChanges className="text-emerald-600" />}
@@ -720,7 +1073,7 @@ const Doc = () => {
                   doc && 
                   <div className="flex items-center gap-2 ml-auto text-sm">
                     <PictureAsPdf className="text-red-400" fontSize='medium' />
-                    <span className="text-slate-700">{doc.pdfName}</span>
+                    <span className="text-slate-700">{doc.name}</span>
                   </div>
                 }
               </>
@@ -728,14 +1081,25 @@ const Doc = () => {
         </div>
       </div>
 
+      <DuplicateInvoiceAlert duplicates={duplicates} onReject={canTransition('reject') ? handleRejectAsDuplicate : undefined} />
+      <SupplierMatchBar match={supplierMatch} onChoose={handleChooseSupplier} />
+      {
+        doc?.type === 'FormParser' &&
+        <MrzCheckBar
+          result={mrzResult}
+          onSelect={handleJumpToField}
+          onCapture={() => setMapping({ field: mrzResult.field || `${doc.type}.MachineReadableZone`, activate: true })}
+        />
+      }
+
       <PanelGroup autoSaveId='doc_panel' direction="horizontal" className="doc__container splited">
           <Panel className="left_pane" defaultSize={480}>
           <div className="validation__form">
             <div className="validation__title bg-white">
-              <ValidationSteps stage={validationStage} status={doc?.status} onOpenInfos={setOpenPopup} />
+              <ValidationSteps stages={doc?.workflowStages} stage={validationStage} status={doc?.status} onOpenInfos={setOpenPopup} documentId={id} />
             </div>
             {/* Form */}
-            <form onSubmit={(e) => e.preventDefault()}>
+            <form key={formRevision} onSubmit={(e) => e.preventDefault()}>
               {
                 (doc && doc.type === 'OCR') ?
                 <Suspense fallback={<CircularProgress />}>
@@ -745,6 +1109,10 @@ const Doc = () => {
                     onClick={handleShowOCRVertices}
                     onUpdate={handleDocOCRUpdate}
                     values={documentData.OCRData}
+                    suggestions={ocrSuggestions.suggestions}
+                    trainedOn={ocrSuggestions.trainedOn}
+                    dateSources={dateSources}
+                    dateOrder={dateOrderOf(customer?.locale)}
                   />
                 </Suspense>
                 :
@@ -782,7 +1150,19 @@ const Doc = () => {
                         </>
                         :
                         
-                        Object.entries(documentData).length > 0 ? renderSections(documentData) : <span className="mx-auto text-center text-gray-400">No data to display.</span>
+                        Object.entries(documentData).length > 0 ?
+                        <>
+                          <div className="flex items-center justify-end gap-2 text-sm">
+                            <label htmlFor="number-locale">{t('number-locale')}:</label>
+                            <select id="number-locale" className="form_controller text-sm" value={numberLocale} onChange={(e) => handleChangeNumberLocale(e.target.value)}>
+                              {Object.keys(NUMBER_LOCALES).map(locale => (
+                                <option key={locale} value={locale}>{formatLocaleNumber('1234.56', locale)} ({locale})</option>
+                              ))}
+                            </select>
+                          </div>
+                          {renderSections(documentData)}
+                        </>
+                        : <span className="mx-auto text-center text-gray-400">No data to display.</span>
                     }
                     {/* Add some padding at bottom */}
                     <div className="h-10"></div>
@@ -828,8 +1208,73 @@ const Doc = () => {
 
         <LoadingModal open={loadingState.open} message={loadingState.message} />
 
+        <UblErrorsDialog
+          open={ublCheck.open}
+          errors={ublCheck.errors}
+          onClose={() => setUblCheck(prev => ({ ...prev, open: false }))}
+          onConfirm={() => {
+            setUblCheck(prev => ({ ...prev, open: false }));
+            handleValidateDocument(ublCheck.skip, true);
+          }}
+        />
+
+        <UblErrorsDialog
+          open={identifierCheck.open}
+          errors={identifierCheck.errors}
+          title={t('identifier-errors-title')}
+          content={t('identifier-errors-content')}
+          onClose={() => setIdentifierCheck({ open: false, errors: [] })}
+        />
+
         <RejectModal open={rejectState.open} onSubmit={handleRejectDocument} onClose={() => setRejectState(defaultLoadingState)} />
 
+        {/* Validation of a possible duplicate */}
+        <Dialog open={duplicateCheck.open} onClose={() => setDuplicateCheck(prev => ({ ...prev, open: false }))} maxWidth='md' fullWidth>
+          <DialogTitle>{t('duplicate-confirm-title')}</DialogTitle>
+          <DialogContent>
+            <DuplicateInvoiceAlert duplicates={duplicates} />
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setDuplicateCheck(prev => ({ ...prev, open: false }))}>{t('close-btn')}</Button>
+            {canTransition('reject') && (
+              <Button color='error' onClick={() => handleRejectAsDuplicate(duplicates[0]?._id)}>{t('reject-as-duplicate')}</Button>
+            )}
+            <Button color='warning' onClick={() => {
+              setDuplicateCheck(prev => ({ ...prev, open: false }));
+              handleValidateDocument(duplicateCheck.skip, duplicateCheck.force, true);
+            }}>
+              {t('duplicate-validate-anyway')}
+            </Button>
+          </DialogActions>
+        </Dialog>
+
+        {/* Changes of each stage compared to the previous one */}
+        <Drawer anchor="right" open={openDiff} onClose={() => setOpenDiff(false)} PaperProps={{ className: 'w-96' }}>
+          <h2 className="px-4 pt-4 font-semibold text-slate-800">{t('changes-title')}</h2>
+          {openDiff && <DocumentDiff documentId={id} stages={doc?.workflowStages} onRevert={handleRevertField} />}
+        </Drawer>
+
+        {/* Business rules broken by the form, kept open while the agent types */}
+        <Drawer anchor="right" variant="persistent" open={openRules} PaperProps={{ className: 'w-80 shadow-xl' }}>
+          <BusinessRulesPanel results={ruleResults} onSelect={handleJumpToField} onClose={() => setOpenRules(false)} />
+        </Drawer>
+
+        <UblErrorsDialog
+          open={ruleCheck.open}
+          errors={ruleCheck.errors.map(error => ({ ...error, rule: error.name }))}
+          title={t('rule-errors-title')}
+          content={t('rule-errors-content')}
+          onClose={() => setRuleCheck({ open: false, errors: [] })}
+        />
+
+        <UblErrorsDialog
+          open={mrzCheck.open}
+          errors={mrzCheck.errors}
+          title={t('mrz-errors-title')}
+          content={t('mrz-errors-content')}
+          onClose={() => setMrzCheck({ open: false, errors: [] })}
+        />
+
         {/* POPUP to show if the document status is temporarily-rejected */}
 
         <Dialog open={openPopup} onClose={() => setOpenPopup(false)}>
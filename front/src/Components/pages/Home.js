@@ -6,9 +6,12 @@ import { faCheckSquare } from '@fortawesome/free-solid-svg-icons'
 import fileService from '../services/fileService';
 import { useTranslation } from 'react-i18next';
 import { useNavigate } from 'react-router-dom';
+import { Alert } from '@mui/material';
 
 function useFileUpload() {
   const [uploadedFiles, setUploadedFiles] = useState([]);
+  // outcome of each file of the last upload (created, duplicate, ignored)
+  const [uploadResults, setUploadResults] = useState([]);
   const navigate = useNavigate(); 
 
   useEffect(()=>{
@@ -34,22 +37,22 @@ function useFileUpload() {
       const pdfFiles = acceptedFiles.filter(file=>file.type === "application/pdf")
 
       if (pdfFiles.length > 0) {
-        const files = await fileService.uploadFiles(acceptedFiles);
-        console.log("file===", files);
-        
+        const { files = [], results = [] } = await fileService.uploadFiles(acceptedFiles);
+
         setUploadedFiles((prevFiles) => [...prevFiles, ...files]);
+        setUploadResults(results.filter(result => result.status !== 'created'));
       }
     } catch (error) {
       console.error('Erreur lors de l\'upload:', error);
     }
   }, []);
 
-  return { uploadedFiles, handleDrop };
+  return { uploadedFiles, uploadResults, handleDrop };
 }
 
 const Home = () => {
   const {t} = useTranslation()
-  const { uploadedFiles, handleDrop } = useFileUpload(); // Utilisation du hook pour gérer l'upload
+  const { uploadedFiles, uploadResults, handleDrop } = useFileUpload(); // Utilisation du hook pour gérer l'upload
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop: handleDrop,
@@ -73,6 +76,17 @@ const Home = () => {
         )}
       </div>
 
+      {/* Fichiers non importés : doublons et fichiers ignorés */}
+      {uploadResults.length > 0 && (
+        <div className='w-full my-3 flex flex-col gap-1'>
+          {uploadResults.map((result, index) => (
+            <Alert key={index} severity={result.status === 'duplicate' ? 'warning' : 'info'}>
+              <b>{result.name}</b> : {t(`upload-${result.status}`)}
+            </Alert>
+          ))}
+        </div>
+      )}
+
       {/* Afficher les fichiers téléchargés dans un tableau */}
       {uploadedFiles.length > 0 && (
         <div>
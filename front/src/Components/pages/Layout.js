@@ -52,6 +52,18 @@ function SidebarMenu({ pdfCount }) {
               {t('data-source-menu')}
             </NavLink>
           </li>)}
+
+          {currentUser?.role === "admin" && ( <li>
+            <NavLink to="/reports" className='menu-item'>
+              {t('reports-menu')}
+            </NavLink>
+          </li>)}
+
+          {currentUser?.role === "admin" && ( <li>
+            <NavLink to="/reconciliation" className='menu-item'>
+              {t('reconciliation-menu')}
+            </NavLink>
+          </li>)}
         </ul>
       </nav>
     </aside>
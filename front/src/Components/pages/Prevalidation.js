@@ -27,8 +27,8 @@ function PreValidation() {
   
   // on document changed
   useSocketEvent('document-changed', (document) => {
-    // PREVALIDATION: move document to v2 if valdation 1 value is true (validation.v1 === true)
-    if (document.validation.v1 && !document.validation.v2) {
+    // PREVALIDATION: remove document once it left the v1 stage (validated, rejected...)
+    if (document.stage !== 'v1') {
       const docs = documents.filter(doc => doc._id !== document._id)
       setDocuments(docs);
     }
@@ -0,0 +1,202 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { t } from 'i18next';
+import { Alert, Button, Chip, IconButton, MenuItem, Paper, TextField } from '@mui/material';
+import { AutoFixHigh, LinkOff, Link as LinkIcon } from '@mui/icons-material';
+import { DataGrid } from '@mui/x-data-grid';
+import { Tabs } from '../data-source/tabs';
+import { autoReconcile, fetchReconciliation, linkPayment, unlinkPayment } from '../services/reconciliation-service';
+import { formatCurrency } from '../../utils/utils';
+
+const STATUS_COLORS = { matched: 'success', paid: 'success', partial: 'warning', unmatched: 'default', unpaid: 'default' };
+
+const StatusChip = ({ status, prefix }) => (
+    <Chip label={t(`${prefix}-${status}`)} color={STATUS_COLORS[status]} variant='outlined' size='small' />
+);
+
+const invoiceLabel = (invoice) => [invoice.invoiceId || invoice.name, invoice.supplierName].filter(Boolean).join(' - ');
+
+// Transaction of a statement with its matches, the suggested invoices and a manual link
+const TransactionRow = ({ transaction, invoices, onLink, onUnlink }) => {
+    const [invoice, setInvoice] = useState('');
+    const [amount, setAmount] = useState('');
+    const sign = transaction.direction === 'debit' ? -1 : 1;
+
+    const handleLink = (invoiceId, value) => {
+        onLink(transaction, invoiceId, value);
+        setInvoice('');
+        setAmount('');
+    };
+
+    return (
+        <div className='flex flex-col gap-2 p-3 border rounded-md bg-white'>
+            <div className='flex flex-wrap items-center gap-3 text-sm'>
+                <span className='text-slate-500 w-24'>{transaction.date || '-'}</span>
+                <span className='flex-1 min-w-60 text-slate-800'>{transaction.description || '-'}</span>
+                <span className={`w-28 text-right font-semibold ${sign < 0 ? 'text-rose-700' : 'text-emerald-700'}`}>
+                    {formatCurrency(sign * transaction.amount, transaction.currency)} {transaction.currency}
+                </span>
+                <StatusChip status={transaction.status} prefix='reconciliation' />
+            </div>
+            <p className='text-xs text-slate-500'>{transaction.statementName}</p>
+
+            {transaction.matches.map(match => (
+                <div key={match._id} className='flex items-center gap-2 text-sm bg-emerald-50 px-2 py-1 rounded'>
+                    <LinkIcon fontSize='small' className='text-emerald-700' />
+                    <span className='flex-1'>{invoiceLabel(match)}</span>
+                    <span>{formatCurrency(match.amount, transaction.currency)}</span>
+                    <span className='text-xs text-slate-500'>
+                        {match.method === 'auto' ? match.reasons.map(reason => t(`match-${reason}`)).join(', ') : t('match-manual')}
+                    </span>
+                    <IconButton size='small' onClick={() => onUnlink(match._id)} title={t('unlink-payment')}>
+                        <LinkOff fontSize='small' />
+                    </IconButton>
+                </div>
+            ))}
+
+            {transaction.suggestions.map(suggestion => (
+                <div key={suggestion.invoice} className='flex items-center gap-2 text-sm bg-slate-50 px-2 py-1 rounded'>
+                    <span className='flex-1'>{invoiceLabel(suggestion)}</span>
+                    <span className='text-xs text-slate-500'>{suggestion.reasons.map(reason => t(`match-${reason}`)).join(', ')}</span>
+                    <span>{formatCurrency(suggestion.outstanding, transaction.currency)}</span>
+                    <Button size='small' startIcon={<LinkIcon />} onClick={() => handleLink(suggestion.invoice)}>
+                        {t('link-payment')}
+                    </Button>
+                </div>
+            ))}
+
+            {
+                // only debits pay supplier invoices
+                transaction.direction === 'debit' && transaction.status !== 'matched' &&
+                <div className='flex flex-wrap items-center gap-2'>
+                    <TextField select size='small' label={t('invoice')} value={invoice} onChange={(e) => setInvoice(e.target.value)} sx={{ minWidth: 280 }}>
+                        {invoices.filter(item => item.currency === transaction.currency).map(item => (
+                            <MenuItem key={item._id} value={item._id}>
+                                {invoiceLabel(item)} ({formatCurrency(item.outstanding, item.currency)})
+                            </MenuItem>
+                        ))}
+                    </TextField>
+                    <TextField size='small' type='number' label={t('amount')} value={amount} onChange={(e) => setAmount(e.target.value)} sx={{ width: 140 }} />
+                    <Button size='small' variant='outlined' disabled={!invoice} onClick={() => handleLink(invoice, amount)}>
+                        {t('link-payment')}
+                    </Button>
+                </div>
+            }
+        </div>
+    );
+};
+
+// Validated invoices with what is paid and left to pay
+const InvoicesTable = ({ invoices = [], loading }) => {
+    const columns = [
+        { field: 'invoiceId', headerName: t('invoice'), flex: 1, minWidth: 140, valueGetter: (value, row) => value || row.name },
+        { field: 'supplierName', headerName: t('supplier'), flex: 2, minWidth: 180 },
+        { field: 'dueDate', headerName: t('due-date'), flex: 1 },
+        { field: 'total', headerName: t('total'), type: 'number', flex: 1, valueFormatter: (value, row) => formatCurrency(value, row.currency) },
+        { field: 'paid', headerName: t('paid-amount'), type: 'number', flex: 1, valueFormatter: (value, row) => formatCurrency(value, row.currency) },
+        { field: 'status', headerName: t('payment-col'), flex: 1, renderCell: ({ row }) => <StatusChip status={row.status} prefix='payment' /> },
+    ];
+
+    return (
+        <Paper sx={{ width: '100%' }}>
+            <DataGrid
+                rows={invoices.map(invoice => ({ ...invoice, id: invoice._id }))}
+                columns={columns}
+                initialState={{ pagination: { paginationModel: { page: 0, pageSize: 25 } } }}
+                pageSizeOptions={[25, 50, 100]}
+                disableRowSelectionOnClick
+                sx={{ border: 0, fontSize: '0.85rem' }}
+                rowHeight={38}
+                loading={loading}
+                autoHeight
+            />
+        </Paper>
+    );
+};
+
+// Page matching the transactions of the validated bank statements to the validated invoices they pay
+const Reconciliation = () => {
+
+    const [data, setData] = useState({ transactions: [], invoices: [] });
+    const [loading, setLoading] = useState(false);
+    const [message, setMessage] = useState({ type: 'info', text: '' });
+
+    const load = (promise) => {
+        setLoading(true);
+        return promise
+            .then(result => setData({ transactions: result.transactions, invoices: result.invoices }))
+            .catch(err => setMessage({ type: 'error', text: err.message }))
+            .finally(() => setLoading(false));
+    };
+
+    useEffect(() => {
+        load(fetchReconciliation());
+    }, []);
+
+    const handleAutoReconcile = () => {
+        setLoading(true);
+        autoReconcile()
+            .then(result => {
+                setData({ transactions: result.transactions, invoices: result.invoices });
+                setMessage({ type: 'success', text: t('auto-reconcile-done', { count: result.created }) });
+            })
+            .catch(err => setMessage({ type: 'error', text: err.message }))
+            .finally(() => setLoading(false));
+    };
+
+    const handleLink = (transaction, invoice, amount) => {
+        linkPayment(transaction.statement, transaction.index, invoice, amount ? Number(amount) : undefined)
+            .then(() => load(fetchReconciliation()))
+            .catch(err => setMessage({ type: 'error', text: err.message }));
+    };
+
+    const handleUnlink = (matchId) => {
+        unlinkPayment(matchId)
+            .then(() => load(fetchReconciliation()))
+            .catch(err => setMessage({ type: 'error', text: err.message }));
+    };
+
+    const openInvoices = useMemo(() => data.invoices.filter(invoice => invoice.status !== 'paid'), [data.invoices]);
+
+    const transactionList = (status) => {
+        const transactions = data.transactions.filter(transaction => transaction.status === status);
+        return transactions.length === 0
+            ? <p className='text-sm text-gray-500'>{t('no-transactions')}</p>
+            : <div className='flex flex-col gap-2'>
+                {transactions.map(transaction => (
+                    <TransactionRow
+                        key={`${transaction.statement}-${transaction.index}`}
+                        transaction={transaction}
+                        invoices={openInvoices}
+                        onLink={handleLink}
+                        onUnlink={handleUnlink}
+                    />
+                ))}
+            </div>;
+    };
+
+    const count = (status) => data.transactions.filter(transaction => transaction.status === status).length;
+
+    const tabs = [
+        { label: `${t('reconciliation-unmatched')} (${count('unmatched')})`, content: transactionList('unmatched') },
+        { label: `${t('reconciliation-partial')} (${count('partial')})`, content: transactionList('partial') },
+        { label: `${t('reconciliation-matched')} (${count('matched')})`, content: transactionList('matched') },
+        { label: t('invoices'), content: <InvoicesTable invoices={data.invoices} loading={loading} /> },
+    ];
+
+    return (
+        <div className='flex flex-col gap-4 h-full w-full'>
+            <div className='flex items-center gap-3'>
+                <h1 className='text-lg font-bold'>{t('reconciliation-menu')}</h1>
+                <Button variant='contained' size='small' startIcon={<AutoFixHigh />} onClick={handleAutoReconcile} disabled={loading} className='!ml-auto'>
+                    {t('auto-reconcile')}
+                </Button>
+            </div>
+
+            {message.text && <Alert severity={message.type} onClose={() => setMessage({ type: 'info', text: '' })}>{message.text}</Alert>}
+
+            <Tabs tabs={tabs} />
+        </div>
+    );
+};
+
+export default Reconciliation;
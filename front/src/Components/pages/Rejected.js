@@ -28,7 +28,7 @@ const Rejected = () => {
     useSocketEvent('document-changed', (document) => {
 
         // FROM PREVALIDATION: add new document
-        if (document.validation.v1 && document.validation.v2 && document.status === 'validated') {
+        if (document.status === 'rejected') {
             setDocuments(prev => [...prev, document]);
         }
         
@@ -0,0 +1,143 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { t } from 'i18next';
+import { Alert, Button, Paper, TextField } from '@mui/material';
+import { DataGrid } from '@mui/x-data-grid';
+import Tabs from '../data-source/tabs';
+import { fetchExtractionAccuracy } from '../services/report-service';
+import { makeReadable } from '../../utils/utils';
+
+// Every validated document until a period is applied
+const ALL_TIME = { from: '', to: '' };
+
+const formatAccuracy = (value) => value === null || value === undefined ? '-' : `${value} %`;
+
+// Accuracy of every extracted field, most corrected first
+const FieldsTable = ({ fields = [], loading }) => {
+    const columns = [
+        { field: 'field', headerName: t('field'), flex: 2, minWidth: 200, valueFormatter: (value) => makeReadable(value) },
+        { field: 'total', headerName: t('extracted'), type: 'number', flex: 1 },
+        { field: 'corrected', headerName: t('corrected'), type: 'number', flex: 1 },
+        { field: 'accuracy', headerName: t('accuracy'), type: 'number', flex: 1, valueFormatter: formatAccuracy },
+    ];
+
+    return (
+        <Paper sx={{ width: '100%' }}>
+            <DataGrid
+                rows={fields.map(field => ({ ...field, id: field.field }))}
+                columns={columns}
+                initialState={{ pagination: { paginationModel: { page: 0, pageSize: 25 } } }}
+                pageSizeOptions={[25, 50, 100]}
+                disableRowSelectionOnClick
+                sx={{ border: 0, fontSize: '0.85rem' }}
+                rowHeight={38}
+                loading={loading}
+                autoHeight
+            />
+        </Paper>
+    );
+};
+
+// Accuracy of each supplier / document type / source, with its most corrected fields
+const BreakdownTable = ({ rows = [], label, loading }) => {
+    const columns = [
+        { field: 'key', headerName: label, flex: 2, minWidth: 180, valueFormatter: (value) => value || t('unknown') },
+        { field: 'documents', headerName: t('documents'), type: 'number', flex: 1 },
+        { field: 'correctedDocuments', headerName: t('corrected-documents'), type: 'number', flex: 1 },
+        { field: 'accuracy', headerName: t('accuracy'), type: 'number', flex: 1, valueFormatter: formatAccuracy },
+        {
+            field: 'fields',
+            headerName: t('most-corrected-fields'),
+            flex: 3,
+            minWidth: 250,
+            sortable: false,
+            valueGetter: (fields) => fields.filter(field => field.corrected).slice(0, 3)
+                .map(field => `${makeReadable(field.field)} (${field.corrected})`).join(', ')
+        },
+    ];
+
+    return (
+        <Paper sx={{ width: '100%' }}>
+            <DataGrid
+                rows={rows.map(row => ({ ...row, id: row.key || '-' }))}
+                columns={columns}
+                initialState={{ pagination: { paginationModel: { page: 0, pageSize: 25 } } }}
+                pageSizeOptions={[25, 50, 100]}
+                disableRowSelectionOnClick
+                sx={{ border: 0, fontSize: '0.85rem' }}
+                rowHeight={38}
+                loading={loading}
+                autoHeight
+            />
+        </Paper>
+    );
+};
+
+const Stat = ({ label, value }) => (
+    <div className='px-4 py-3 border rounded-md bg-slate-50 min-w-40'>
+        <p className='text-xs text-gray-500'>{label}</p>
+        <p className='text-xl font-semibold text-slate-700'>{value}</p>
+    </div>
+);
+
+// Admin page: how often humans correct each field extracted by the AI
+const Reports = () => {
+
+    const [filters, setFilters] = useState(ALL_TIME);
+    const [report, setReport] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    // the period is applied with the button, not as the dates are typed
+    const loadReport = useCallback((period) => {
+        setLoading(true);
+        setError('');
+        fetchExtractionAccuracy(period)
+            .then(data => setReport(data))
+            .catch(err => setError(err.message))
+            .finally(() => setLoading(false));
+    }, []);
+
+    useEffect(() => {
+        loadReport(ALL_TIME);
+    }, [loadReport]);
+
+    const handleChange = (e) => setFilters({ ...filters, [e.target.name]: e.target.value });
+
+    const tabs = [
+        { label: t('fields'), content: <FieldsTable fields={report?.fields} loading={loading} /> },
+        { label: t('by-supplier'), content: <BreakdownTable rows={report?.breakdowns.supplier} label={t('supplier')} loading={loading} /> },
+        { label: t('by-type'), content: <BreakdownTable rows={report?.breakdowns.type} label={t('type')} loading={loading} /> },
+        { label: t('by-source'), content: <BreakdownTable rows={report?.breakdowns.createdBy} label={t('source')} loading={loading} /> },
+    ];
+
+    return (
+        <div className='flex flex-col gap-4 h-full w-full'>
+            <h1 className='text-lg font-bold'>{t('extraction-accuracy')}</h1>
+
+            <div className='flex flex-wrap items-center gap-3'>
+                <TextField size='small' type='date' name='from' label={t('from')} value={filters.from}
+                    onChange={handleChange} InputLabelProps={{ shrink: true }} />
+                <TextField size='small' type='date' name='to' label={t('to')} value={filters.to}
+                    onChange={handleChange} InputLabelProps={{ shrink: true }} />
+                <Button variant='contained' size='small' onClick={() => loadReport(filters)} disabled={loading}>
+                    {t('apply')}
+                </Button>
+            </div>
+
+            {error && <Alert severity='error'>{error}</Alert>}
+
+            {report && (
+                <div className='flex flex-wrap gap-3'>
+                    <Stat label={t('validated-documents')} value={report.documents} />
+                    <Stat label={t('corrected-documents')} value={report.correctedDocuments} />
+                    <Stat label={t('accuracy')} value={formatAccuracy(report.accuracy)} />
+                    {report.withoutBaseline > 0 && <Stat label={t('without-ai-baseline')} value={report.withoutBaseline} />}
+                </div>
+            )}
+
+            <Tabs tabs={tabs} />
+        </div>
+    );
+};
+
+export default Reports;
@@ -0,0 +1,79 @@
+import { useEffect, useState } from "react";
+import { useParams } from "react-router-dom";
+import fileService from "../services/fileService";
+import Validation2Table from "../others/tables/Validation2Table";
+import useSocketEvent from "../../hooks/useSocketEvent";
+import useDataGridSettings from "../../hooks/useDatagridSettings";
+
+// List of the documents waiting in a workflow stage without a page of its own
+const StageValidation = () => {
+
+  const { stage } = useParams();
+  const [documents, setDocuments] = useState([]);
+  const [isLoading, setLoading] = useState(true);
+  const [page, setPage] = useState(0); // MUI DataGrid utilise l'index de page
+  const [totalRecords, setTotalRecords] = useState(0);
+  
+  const {
+    pageSize, // Nombre d'enregistrements par page
+    setPageSize,
+  } = useDataGridSettings('stage-datagrid-settings', {
+    pageSize: 10,
+  });
+
+  // listen event lock and unlock
+  useSocketEvent('document-lock/unlock', ({ id, ...data }) => {
+    setDocuments(prev => prev.map(doc =>
+      doc._id === id ? { ...doc, ...data } : doc));
+  });
+  
+  // on document changed
+  useSocketEvent('document-changed', (document) => {
+
+    // FROM PREVIOUS STAGE: add new document
+    if (document.stage === stage && !(documents.find(doc => doc._id === document._id))) {
+      setDocuments(prev => [...prev, document]);
+    }
+
+    // TO NEXT STAGE / VALIDATED: remove document
+    if (document.stage !== stage) {
+      setDocuments(prev => prev.filter(doc => doc._id !== document._id));
+    }
+    
+  });
+  
+  useEffect(()=>{
+
+    setLoading(true);
+    fileService.fetchStageValidations(stage, page, pageSize)
+      .then(res => {
+        const { data, totalRecords } = res;
+        setDocuments(data);
+        setTotalRecords(totalRecords);
+      })
+      .catch(error=>console.error("Erreur lors de la récupération des fichiers:", error))
+      .finally(() => setLoading(false));
+
+  }, [stage, page, pageSize]);
+  
+
+  return (
+
+    <div className="flex flex-col items-start h-full w-full flex-grow">
+        <Validation2Table
+          version={stage}
+          data={documents}
+          loading={isLoading}
+          page={page}
+          pageSize={pageSize}
+          totalRecords={totalRecords}
+          onPaginationChange={({ page, pageSize}) => {
+            setPage(page);
+            setPageSize(pageSize);
+          }}
+        />
+    </div>
+  );
+};
+
+export default StageValidation;
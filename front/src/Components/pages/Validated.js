@@ -29,7 +29,7 @@ const Validated = () => {
     useSocketEvent('document-changed', (document) => {
 
         // FROM PREVALIDATION: add new document
-        if (document.validation.v1 && document.validation.v2 && document.status === 'validated') {
+        if (document.status === 'validated') {
             setDocuments(prev => [...prev, document]);
         }
         
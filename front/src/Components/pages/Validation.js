@@ -30,12 +30,12 @@ const Validation = () => {
 
 
     // FROM PREVALIDATION: add new document
-    if (document.validation.v1 && !document.validation.v2 && !(documents.find(doc => doc._id === document._id))) {
+    if (document.stage === 'v2' && !(documents.find(doc => doc._id === document._id))) {
       setDocuments(prev => [...prev, document]);
     }
 
-    // VALIDATION TO VALIDATED: remove document 
-    if (document.validation.v1 && document.validation.v2) {
+    // VALIDATION TO NEXT STAGE / VALIDATED: remove document 
+    if (document.stage !== 'v2') {
       setDocuments(prev => prev.filter(doc => doc._id !== document._id));
     }
     
@@ -4,22 +4,14 @@ import { configureStore, createSlice } from '@reduxjs/toolkit';
 const documentSlice = createSlice({
     name: 'documents',
     initialState: {
-        prevalidationCount: 0,
+        stageCounts: [], // [{ key, label, roles, count }] one per workflow stage
         returnedCount: 0,
         rejectedCount: 0,
-        validationV2Count: 0,
         validatedCount: 0
     },
     reducers: {
-        affectPrevalidation: (state, action) => {
-            state.prevalidationCount = action.payload;
-        },
-        incrementPrevalidation: (state, action) => {
-            const incrementValue = action.payload ?? 1;
-            state.prevalidationCount += incrementValue;
-        },
-        decrementPrevalidation: (state) => {
-            if (state.prevalidationCount > 0) state.prevalidationCount -= 1;
+        affectStageCounts: (state, action) => {
+            state.stageCounts = action.payload;
         },
         affectReturned: (state, action) => {
             state.returnedCount = action.payload;
@@ -41,16 +33,6 @@ const documentSlice = createSlice({
         decrementRejected: (state) => {
             if (state.rejectedCount > 0) state.rejectedCount -= 1;
         },
-        affectValidation2: (state, action) => {
-            state.validationV2Count = action.payload;
-        },
-        incrementValidationV2: (state, action) => {
-            const incrementValue = action.payload ?? 1;
-            state.validationV2Count += incrementValue;
-        },
-        decrementValidationV2: (state) => {
-            if (state.validationV2Count > 0) state.validationV2Count -= 1;
-        },
         affectValidated: (state, action) => {
             state.validatedCount = action.payload;
         },
@@ -62,32 +44,26 @@ const documentSlice = createSlice({
             if (state.validatedCount > 0) state.validatedCount -= 1;
         },
         resetCounts: (state) => {
-            state.prevalidationCount = 0;
+            state.stageCounts = [];
             state.returnedCount = 0;
             state.rejectedCount = 0;
-            state.validationV2Count = 0;
             state.validatedCount = 0;
         },
     },
 });
 
 export const {
-    incrementPrevalidation,
-    decrementPrevalidation,
+    affectStageCounts,
     incrementReturned,
     decrementReturned,
     incrementRejected,
     decrementRejected,
-    incrementValidationV2,
-    decrementValidationV2,
     incrementValidated,
     decrementValidated,
     resetCounts,
-    affectPrevalidation,
     affectReturned,
     affectRejected,
-    affectValidated,
-    affectValidation2
+    affectValidated
 } = documentSlice.actions;
 
 export default documentSlice.reducer;
\ No newline at end of file
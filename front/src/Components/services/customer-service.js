@@ -66,4 +66,62 @@ export const uploadJSONFileKey = async (customerId, file, clearKeys) => {
     });
 
     return response.json()
-} 
\ No newline at end of file
+} 
+
+// Method to save the xml output template of a document type
+export const saveXmlTemplate = async (customerId, type, template) => {
+
+    const response = await fetch(`${API_BASE_URL}/api/customers/${customerId}/xml-templates/${type}`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token()}`,
+        },
+        body: JSON.stringify(template)
+    });
+
+    return response.json()
+}
+
+// Method to delete the xml output template of a document type
+export const deleteXmlTemplate = async (customerId, type) => {
+
+    const response = await fetch(`${API_BASE_URL}/api/customers/${customerId}/xml-templates/${type}`, {
+        method: 'DELETE',
+        headers: {
+            'Authorization': `Bearer ${token()}`,
+        },
+    });
+
+    return response.json()
+}
+
+// Method to render a template on a validated document (the last one of its type by default)
+export const previewXmlTemplate = async (customerId, template) => {
+
+    const response = await fetch(`${API_BASE_URL}/api/customers/${customerId}/xml-templates/preview`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token()}`,
+        },
+        body: JSON.stringify(template)
+    });
+
+    return response.json()
+}
+
+// Method to replace the business rules of a document type
+export const saveBusinessRules = async (customerId, type, rules) => {
+
+    const response = await fetch(`${API_BASE_URL}/api/customers/${customerId}/business-rules/${type}`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token()}`,
+        },
+        body: JSON.stringify({ rules })
+    });
+
+    return response.json()
+}
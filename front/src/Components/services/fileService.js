@@ -65,6 +65,22 @@ const fetchV2Validations = async (page=1, pageSize=50) => {
   }
 }
 
+// method to get the documents waiting in any workflow stage
+const fetchStageValidations = async (stage, page=1, pageSize=50) => {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/stage-validations/${stage}`, {
+      params: { page: page + 1, limit: pageSize }, // Incrémentation car MUI commence à 0
+      headers: {
+        'Authorization': `Bearer ${token()}`,
+      },
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Erreur lors de la récupération des fichiers:', error);
+    throw error;
+  }
+}
+
 // method to get v2 validations
 const fetchReturnedValidations = async (page=1, pageSize=50) => {
   try {
@@ -133,7 +149,7 @@ const uploadFiles = async (files) => {
         'Authorization': `Bearer ${token()}`,
       },
     });
-    return response.data.files; // Retourner les fichiers reçus du serveur
+    return response.data; // Fichiers enregistrés et résultat de chaque fichier envoyé
   } catch (error) {
     console.error('Erreur lors du téléchargement:', error);
     throw error;
@@ -185,14 +201,37 @@ const getDocumentValidation = async (documentId, validation) => {
   return response.json();
 }
 
-const downloadXML = async (json) => {
+// the xml follows the output template of the customer of the document when it has one
+const downloadXML = async (json, { documentId, customerId } = {}) => {
   const response = await fetch(`${API_BASE_URL}/get-xml`, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
       'Authorization': `Bearer ${token()}`,
     },
-    body: JSON.stringify({json})
+    body: JSON.stringify({ json, documentId, customerId })
+  });
+  return response;
+}
+
+// Method to download a validated invoice as Factur-X / ZUGFeRD (pdf with the embedded xml)
+const downloadFacturX = async (documentId) => {
+  const response = await fetch(`${API_BASE_URL}/api/documents/${documentId}/factur-x`, {
+    method: 'GET',
+    headers: {
+      'Authorization': `Bearer ${token()}`,
+    },
+  });
+  return response;
+}
+
+// Method to download a validated bank statement for the accounting (format: camt053 or mt940)
+const downloadStatement = async (documentId, format) => {
+  const response = await fetch(`${API_BASE_URL}/api/documents/${documentId}/statement/${format}`, {
+    method: 'GET',
+    headers: {
+      'Authorization': `Bearer ${token()}`,
+    },
   });
   return response;
 }
@@ -223,6 +262,94 @@ const rejectDocument = async (documentId, data) => {
 }
 
 
+// Method to list the documents that look like the same invoice (edited json, or the stored data)
+const checkDuplicates = async (documentId, json) => {
+  const response = await fetch(`${API_BASE_URL}/api/documents/${documentId}/duplicates`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token()}`,
+    },
+    body: JSON.stringify({ json })
+  });
+  return response.json();
+}
+
+// Method to get the master data supplier matched with a document ({ match, threshold })
+const getSupplierMatch = async (documentId) => {
+  const response = await fetch(`${API_BASE_URL}/api/documents/${documentId}/supplier-match`, {
+    headers: {
+      'Authorization': `Bearer ${token()}`,
+    }
+  });
+  return response.json();
+}
+
+// Method to confirm the matched supplier of a document, or override it with another one
+const confirmSupplierMatch = async (documentId, supplierId) => {
+  const response = await fetch(`${API_BASE_URL}/api/documents/${documentId}/supplier-match`, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token()}`,
+    },
+    body: JSON.stringify({ supplierId })
+  });
+  return response.json();
+}
+
+// Method to change the number locale of a document, returns the edited json with its amounts read again
+const setNumberLocale = async (documentId, numberLocale, json) => {
+  const response = await fetch(`${API_BASE_URL}/api/documents/${documentId}/number-locale`, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token()}`,
+    },
+    body: JSON.stringify({ numberLocale, json })
+  });
+  return response.json();
+}
+
+// Method to list the business rules broken by the edited data of a document
+const checkBusinessRules = async (documentId, json, customerId) => {
+  const response = await fetch(`${API_BASE_URL}/api/documents/${documentId}/rules`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token()}`,
+    },
+    body: JSON.stringify({ json, customerId })
+  });
+  return response.json();
+}
+
+// Method to read the MRZ of a travel document and the form fields it contradicts
+const checkMrz = async (documentId, json) => {
+  const response = await fetch(`${API_BASE_URL}/api/documents/${documentId}/mrz`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token()}`,
+    },
+    body: JSON.stringify({ json })
+  });
+  return response.json();
+}
+
+// Method to get the dynamic keys suggested for the text fragments of an OCR document
+const getOcrSuggestions = async (documentId, fragments, vertices, customerId) => {
+  const response = await fetch(`${API_BASE_URL}/api/documents/${documentId}/ocr-suggestions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token()}`,
+    },
+    body: JSON.stringify({ fragments, vertices, customerId })
+  });
+  return response.json();
+}
+
 const unlockFile = async (id) => {
   return fetch(`${API_BASE_URL}/unlockFile/${id}`, {
     method: 'POST',
@@ -230,6 +357,7 @@ const unlockFile = async (id) => {
       'Content-Type': 'application/json',
       'Authorization': `Bearer ${token()}`,
     },
+    keepalive: true, // let the request complete while the page unloads
   });
 }
 const lockFile = async (id) => {
@@ -242,6 +370,17 @@ const lockFile = async (id) => {
   });
 }
 
+// Method to renew the lock lease of a document (heartbeat)
+const renewLock = async (id) => {
+  return fetch(`${API_BASE_URL}/lockFile/${id}/heartbeat`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token()}`,
+    },
+  });
+}
+
 const fetchDocumentCounts = async () => {
   const res = await fetch(`${API_BASE_URL}/document-counts`, {
     method: 'GET',
@@ -267,13 +406,40 @@ const fetchDocuments = async (page, pageSize) => {
   }
 };
 
-const goToNextDocument = async (validation = 'v1') => {
-  const response = await axios.post(`${API_BASE_URL}/next-doc/${validation}`, {}, {
+// Method to find and lock the next document of a stage queue in one request
+// returns null when the queue is empty
+const claimNextDocument = async (validation = 'v1', currentDocument = null, order = process.env.REACT_APP_QUEUE_ORDER) => {
+  const response = await axios.post(`${API_BASE_URL}/next-doc/${validation}/claim`, {
+    currentDocument,
+    ...(order) && { order },
+  }, {
+    headers: {
+      'Authorization': `Bearer ${token()}`,
+    },
+  });
+
+  return response.status === 204 ? null : response.data;
+}
+
+// Method to get the audit trail of a document (oldest event first)
+const fetchDocumentHistory = async (id) => {
+  const response = await axios.get(`${API_BASE_URL}/document/${id}/history`, {
     headers: {
       'Authorization': `Bearer ${token()}`,
     },
   });
+  return response.data;
+}
 
+// Method to compare the data of a document between two points of its history
+// ('ai', 'current', a stage or a revision id)
+const fetchDocumentDiff = async (id, from = 'ai', to = 'current') => {
+  const response = await axios.get(`${API_BASE_URL}/document/${id}/diff`, {
+    params: { from, to },
+    headers: {
+      'Authorization': `Bearer ${token()}`,
+    },
+  });
   return response.data;
 }
 
@@ -302,6 +468,62 @@ const deleteSelectedDocuments = async (documentsIds) => {
   return response;
 }
 
+// Method to download the excel export of the documents
+// filters: { status, stage, type, from, to, supplier, columns, lineItems }
+const exportExcel = async (filters = {}) => {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    const param = Array.isArray(value) ? value.join(',') : value;
+    if (param) params.append(key, param);
+  });
+
+  const response = await fetch(`${API_BASE_URL}/generateFile?${params}`, {
+    method: 'GET',
+    headers: {
+      'Authorization': `Bearer ${token()}`,
+    },
+  });
+  return response;
+}
+
+// Method to check the edited data against the Peppol BIS Billing 3.0 rules
+// returns { documentType, errors: [{ rule, field, message }] }
+const validateUbl = async (json) => {
+  const response = await fetch(`${API_BASE_URL}/api/ubl/validate`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token()}`,
+    },
+    body: JSON.stringify({ json })
+  });
+  return response.json();
+}
+
+// Method to download the UBL invoice of a validated document
+const downloadUbl = async (documentId) => {
+  const response = await fetch(`${API_BASE_URL}/api/documents/${documentId}/ubl`, {
+    method: 'GET',
+    headers: {
+      'Authorization': `Bearer ${token()}`,
+    },
+  });
+  return response;
+}
+
+// Method to download the UBL invoices of several validated documents (zip)
+const exportUbl = async (documentsIds) => {
+  const response = await fetch(`${API_BASE_URL}/api/ubl/export`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token()}`,
+    },
+    body: JSON.stringify({ documents: documentsIds })
+  });
+  return response;
+}
+
 // Export des fonctions du service
 const fileService = {
   fetchFiles,
@@ -311,19 +533,36 @@ const fileService = {
   getDocumentValidation,
   validateDocument,
   downloadXML,
+  downloadFacturX,
+  downloadStatement,
+  checkDuplicates,
+  getSupplierMatch,
+  confirmSupplierMatch,
+  setNumberLocale,
+  checkBusinessRules,
+  checkMrz,
+  getOcrSuggestions,
   unlockFile,
   lockFile,
+  renewLock,
   fetchPrevalidations,
   fetchV2Validations,
+  fetchStageValidations,
   fetchReturnedValidations,
   fetchValidatedDocuments,
   returnDocument,
   rejectDocument,
   fetchDocuments,
-  goToNextDocument,
+  claimNextDocument,
+  fetchDocumentHistory,
+  fetchDocumentDiff,
   fetchRejectedValidations,
   fetchVerticesJson,
   deleteSelectedDocuments,
+  exportExcel,
+  validateUbl,
+  downloadUbl,
+  exportUbl,
   API_BASE_URL
 };
 
@@ -0,0 +1,35 @@
+const API_BASE_URL = process.env.REACT_APP_API_URL;
+
+const token = () => localStorage.getItem('token');
+
+const request = async (path, { method = 'GET', body } = {}) => {
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token()}`,
+        },
+        ...(body) && { body: JSON.stringify(body) },
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || 'Error while reconciling the payments');
+    }
+    return data;
+}
+
+// Method to get the transactions of the validated bank statements and the invoices with their payment state
+export const fetchReconciliation = async () => request('/api/reconciliation');
+
+// Method to match the transactions to the invoices on the amount, the IBAN and the invoice number
+export const autoReconcile = async () => request('/api/reconciliation/auto', { method: 'POST' });
+
+// Method to link a transaction ({ statement, transaction: index }) to an invoice, amount: part paid (optional)
+export const linkPayment = async (statement, transaction, invoice, amount) => request('/api/reconciliation/matches', {
+    method: 'POST',
+    body: { statement, transaction, invoice, amount },
+});
+
+// Method to remove a match
+export const unlinkPayment = async (matchId) => request(`/api/reconciliation/matches/${matchId}`, { method: 'DELETE' });
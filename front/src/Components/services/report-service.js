@@ -0,0 +1,22 @@
+const API_BASE_URL = process.env.REACT_APP_API_URL;
+
+const token = () => localStorage.getItem('token');
+
+// Method to get the extraction accuracy report ({ from, to, supplier, type, createdBy })
+export const fetchExtractionAccuracy = async (filters = {}) => {
+    const params = new URLSearchParams(Object.entries(filters).filter(([, value]) => value));
+
+    const response = await fetch(`${API_BASE_URL}/api/reports/extraction-accuracy?${params}`, {
+        method: 'GET',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token()}`,
+        },
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || 'Error while fetching the report');
+    }
+    return data;
+}
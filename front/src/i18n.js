@@ -15,6 +15,8 @@ const resources = {
             'glissez-et-deposez' : "Drag and drop one or more files here or click to select",
             'nom-fichier': 'File\'s name',
             'aucun-fichier': 'No files submitted',
+            'upload-duplicate': 'this file has already been uploaded, no new document was created',
+            'upload-ignored': 'only PDF files create a document',
             'verouiller': 'Lock',
             "logout": "Logout",
             "go-back": "Back",
@@ -61,6 +63,199 @@ const resources = {
             "role": "Role",
             "error-occured": "Add user error",
             "document-is-locked": "Document is locked",
+            "lock-lost": "Your lock on this document has expired and it was taken by another user.",
+            "service-account": "Service account",
+            "close": "Close",
+            "history": "History",
+            "history-title": "Document history",
+            "no-history": "No event recorded for this document.",
+            "changed-fields": "Changed fields",
+            "system-user": "System",
+            "event-upload": "Imported",
+            "event-lock": "Opened",
+            "event-unlock": "Released",
+            "event-save": "Saved",
+            "event-validate": "Validated",
+            "event-return": "Returned",
+            "event-reject": "Rejected",
+            "event-delete": "Deleted",
+            "approver": "Approver",
+            "validate-and-finish": "Validate and finish",
+            "show-changes": "Changes",
+            "changes-title": "Changes by stage",
+            "ai-extraction": "AI extraction",
+            "no-revision": "Not saved at this stage yet.",
+            "no-changes": "No change.",
+            "diff-changed": "Changed",
+            "diff-added": "Added",
+            "diff-removed": "Removed",
+            "revert-field": "Revert this field",
+            "reports-menu": "Reports",
+            "extraction-accuracy": "Extraction accuracy",
+            "from": "From",
+            "to": "To",
+            "apply": "Apply",
+            "field": "Field",
+            "fields": "Fields",
+            "extracted": "Extracted",
+            "corrected": "Corrected",
+            "accuracy": "Accuracy",
+            "documents": "Documents",
+            "validated-documents": "Validated documents",
+            "corrected-documents": "Corrected documents",
+            "most-corrected-fields": "Most corrected fields",
+            "without-ai-baseline": "Without AI extraction",
+            "by-supplier": "By supplier",
+            "by-type": "By document type",
+            "by-source": "By source",
+            "type": "Document type",
+            "source": "Source",
+            "unknown": "Unknown",
+            "export-excel": "Excel export",
+            "export": "Export",
+            "export-error": "Error while exporting the documents",
+            "export-columns": "Columns",
+            "export-line-items": "Add a sheet with the line items",
+            "status": "Status",
+            "stage": "Stage",
+            "status-progress": "In progress",
+            "status-returned": "Returned",
+            "status-validated": "Validated",
+            "status-temporarily-rejected": "Temporarily rejected",
+            "status-rejected": "Rejected",
+            "download-as-ubl": "Download as UBL (Peppol)",
+            "export-ubl": "Export UBL",
+            "ubl-errors-title": "Peppol BIS Billing 3.0 rules not met",
+            "ubl-errors-content": "The invoice cannot be exported as UBL until these errors are fixed.",
+            "ubl-errors-fix": "Fix the document",
+            "ubl-errors-ignore": "Validate anyway",
+            "download-as-facturx": "Download as Factur-X (PDF)",
+            "facturx-errors-title": "Factur-X rules not met",
+            "export-errors-content": "The document cannot be exported until these errors are fixed.",
+            "xml-templates": "XML templates",
+            "xml-root-name": "Root element",
+            "xml-field-source": "Source field",
+            "xml-field-value": "Constant",
+            "xml-field-target": "Target path",
+            "xml-field-format": "Format",
+            "xml-field-condition": "Condition",
+            "xml-template-none": "No template: the internal field names are exported.",
+            "xml-template-saved": "Template saved.",
+            "xml-template-deleted": "Template deleted.",
+            "xml-template-preview-hint": "Preview the template on the last validated document of this type.",
+            "save": "Save",
+            "delete": "Delete",
+            "preview": "Preview",
+            "error": "An error occurred",
+            "duplicate-invoice-title": "This invoice may already have been received:",
+            "duplicate-confirm-title": "Possible duplicate invoice",
+            "duplicate-matched-on": "same",
+            "duplicate-supplier": "supplier",
+            "duplicate-invoiceId": "invoice number",
+            "duplicate-invoiceDate": "date",
+            "duplicate-totalAmount": "total",
+            "reject-as-duplicate": "Reject as duplicate",
+            "duplicate-validate-anyway": "Validate anyway",
+            "supplier-match-suggested": "Suggested supplier",
+            "supplier-match-confirmed": "Supplier confirmed",
+            "supplier-match-overridden": "Supplier chosen",
+            "supplier-match-by-taxId": "same VAT number",
+            "supplier-match-by-iban": "same IBAN",
+            "supplier-match-by-name": "similar name and address",
+            "supplier-match-confirm": "Confirm",
+            "supplier-match-alternatives": "Other suppliers",
+            "event-supplier-match": "Supplier chosen",
+            "event-number-locale": "Number format changed",
+            "identifier-errors-title": "Invalid IBAN, BIC or VAT number",
+            "identifier-errors-content": "The document cannot be validated until these numbers are fixed.",
+            "business-rules": "Business rules",
+            "business-rules-ok": "Every business rule is respected.",
+            "business-rules-saved": "Rules saved.",
+            "business-rules-hint": "Fields of the document section: TotalAmount, DueDate, Vat.1.VatRate... Dates can be compared and moved by days (InvoiceDate + 60).",
+            "rule-errors-title": "Business rules not respected",
+            "rule-errors-content": "The document cannot be validated until these rules are respected.",
+            "rule-enabled": "Active",
+            "rule-kind": "Kind",
+            "rule-kind-compare": "Comparison",
+            "rule-kind-required": "Required field",
+            "rule-kind-allowed": "Allowed values",
+            "rule-name": "Name",
+            "rule-expression": "Comparison",
+            "rule-tolerance": "Tolerance",
+            "rule-field": "Field",
+            "rule-values": "Allowed values",
+            "rule-when": "Condition",
+            "rule-message": "Message",
+            "rule-severity": "Severity",
+            "rule-severity-block": "Block",
+            "rule-severity-warn": "Warn",
+            "tax-rate": "Tax rate",
+            "vat-breakdown": "VAT breakdown",
+            "vat-from-line-items": "From line items",
+            "vat-base": "Taxable amount",
+            "vat-tax": "VAT amount",
+            "vat-base-deviation": "Net deviation",
+            "vat-tax-deviation": "VAT deviation",
+            "vat-row-expected": "Expected VAT (base × rate)",
+            "number-locale": "Number format",
+            "date-original": "Original",
+            "date-invalid": "Unreadable date",
+            "dynamic-key-type": "Type",
+            "dynamic-key-type-text": "Text",
+            "dynamic-key-type-date": "Date",
+            "opening-balance": "Opening balance",
+            "closing-balance": "Closing balance",
+            "balance-deviation": "Difference with the closing balance",
+            "transactions": "Transactions",
+            "date": "Date",
+            "statement-description": "Description",
+            "debit": "Debit",
+            "credit": "Credit",
+            "running-balance": "Balance",
+            "download-as-camt053": "Download as CAMT.053 (ISO 20022)",
+            "download-as-mt940": "Download as MT940 (SWIFT)",
+            "statement-errors-title": "The bank statement cannot be exported",
+            "payment-col": "Payment",
+            "payment-paid": "Paid",
+            "payment-partial": "Partially paid",
+            "payment-unpaid": "Unpaid",
+            "event-payment": "Payment linked",
+            "reconciliation-menu": "Reconciliation",
+            "auto-reconcile": "Match automatically",
+            "auto-reconcile-done": "{{count}} transaction(s) matched",
+            "reconciliation-matched": "Matched",
+            "reconciliation-partial": "Partially matched",
+            "reconciliation-unmatched": "Unmatched",
+            "match-reference": "invoice number",
+            "match-amount": "amount",
+            "match-iban": "IBAN",
+            "match-manual": "linked manually",
+            "link-payment": "Link",
+            "unlink-payment": "Unlink",
+            "no-transactions": "No transactions",
+            "invoice": "Invoice",
+            "invoices": "Invoices",
+            "due-date": "Due date",
+            "total": "Total",
+            "paid-amount": "Paid",
+            "mrz": "MRZ",
+            "mrz-not-found": "No machine readable zone found",
+            "mrz-capture": "Capture the MRZ",
+            "mrz-documentNumber": "Number",
+            "mrz-surname": "Surname",
+            "mrz-givenNames": "Given names",
+            "mrz-nationality": "Nationality",
+            "mrz-birthDate": "Birth",
+            "mrz-sex": "Sex",
+            "mrz-expiryDate": "Expiry",
+            "mrz-errors-title": "The travel document cannot be validated",
+            "mrz-errors-content": "Correct the fields that differ from the machine readable zone, or capture the zone again. An expired document cannot be validated.",
+            "ocr-suggestions": "{{count}} fragment(s) assigned from {{documents}} validated document(s)",
+            "ocr-suggestions-accept-all": "Accept all",
+            "ocr-suggestions-reject-all": "Reject all",
+            "ocr-suggestion-confidence": "Confidence of the suggestion",
+            "ocr-suggestion-accept": "Accept",
+            "ocr-suggestion-reject": "Reject",
             "current-user-col": "Current user",
             "warning-add-user": "Add user error",
             "success-add-user": "Successful user backup",
@@ -154,6 +349,8 @@ const resources = {
             'glissez-et-deposez' : "Glissez et déposez un ou plusieurs fichiers ici ou cliquez pour sélectionner",
             'nom-fichier': 'Nom du Fichier',
             'aucun-fichier': 'Aucun fichier déposé',
+            'upload-duplicate': 'ce fichier a déjà été déposé, aucun nouveau document n\'a été créé',
+            'upload-ignored': 'seuls les fichiers PDF créent un document',
             'verouiller': 'Vérouiller',
             "logout": "Se déconnecter",
             "go-back": "Retour",
@@ -200,6 +397,199 @@ const resources = {
             "prenom": "Prénom",
             "role": "Role",
             "document-is-locked": "Le document est verouillé",
+            "lock-lost": "Votre verrou sur ce document a expiré et il a été pris par un autre utilisateur.",
+            "service-account": "Compte de service",
+            "close": "Fermer",
+            "history": "Historique",
+            "history-title": "Historique du document",
+            "no-history": "Aucun évènement enregistré pour ce document.",
+            "changed-fields": "Champs modifiés",
+            "system-user": "Système",
+            "event-upload": "Importé",
+            "event-lock": "Ouvert",
+            "event-unlock": "Libéré",
+            "event-save": "Sauvegardé",
+            "event-validate": "Validé",
+            "event-return": "Renvoyé",
+            "event-reject": "Rejeté",
+            "event-delete": "Supprimé",
+            "approver": "Approbateur",
+            "validate-and-finish": "Valider et terminer",
+            "show-changes": "Modifications",
+            "changes-title": "Modifications par étape",
+            "ai-extraction": "Extraction IA",
+            "no-revision": "Pas encore sauvegardé à cette étape.",
+            "no-changes": "Aucune modification.",
+            "diff-changed": "Modifié",
+            "diff-added": "Ajouté",
+            "diff-removed": "Supprimé",
+            "revert-field": "Rétablir ce champ",
+            "reports-menu": "Rapports",
+            "extraction-accuracy": "Précision de l'extraction",
+            "from": "Du",
+            "to": "Au",
+            "apply": "Appliquer",
+            "field": "Champ",
+            "fields": "Champs",
+            "extracted": "Extraits",
+            "corrected": "Corrigés",
+            "accuracy": "Précision",
+            "documents": "Documents",
+            "validated-documents": "Documents validés",
+            "corrected-documents": "Documents corrigés",
+            "most-corrected-fields": "Champs les plus corrigés",
+            "without-ai-baseline": "Sans extraction IA",
+            "by-supplier": "Par fournisseur",
+            "by-type": "Par type de document",
+            "by-source": "Par source",
+            "type": "Type de document",
+            "source": "Source",
+            "unknown": "Inconnu",
+            "export-excel": "Export Excel",
+            "export": "Exporter",
+            "export-error": "Erreur lors de l'export des documents",
+            "export-columns": "Colonnes",
+            "export-line-items": "Ajouter une feuille avec les lignes",
+            "status": "Statut",
+            "stage": "Étape",
+            "status-progress": "En cours",
+            "status-returned": "Retourné",
+            "status-validated": "Validé",
+            "status-temporarily-rejected": "Rejeté temporairement",
+            "status-rejected": "Rejeté",
+            "download-as-ubl": "Télécharger en UBL (Peppol)",
+            "export-ubl": "Exporter en UBL",
+            "ubl-errors-title": "Règles Peppol BIS Billing 3.0 non respectées",
+            "ubl-errors-content": "La facture ne pourra pas être exportée en UBL tant que ces erreurs ne sont pas corrigées.",
+            "ubl-errors-fix": "Corriger le document",
+            "ubl-errors-ignore": "Valider quand même",
+            "download-as-facturx": "Télécharger en Factur-X (PDF)",
+            "facturx-errors-title": "Règles Factur-X non respectées",
+            "export-errors-content": "Le document ne peut pas être exporté tant que ces erreurs ne sont pas corrigées.",
+            "xml-templates": "Modèles XML",
+            "xml-root-name": "Élément racine",
+            "xml-field-source": "Champ source",
+            "xml-field-value": "Constante",
+            "xml-field-target": "Chemin cible",
+            "xml-field-format": "Format",
+            "xml-field-condition": "Condition",
+            "xml-template-none": "Aucun modèle : les noms de champs internes sont exportés.",
+            "xml-template-saved": "Modèle enregistré.",
+            "xml-template-deleted": "Modèle supprimé.",
+            "xml-template-preview-hint": "Prévisualiser le modèle sur le dernier document validé de ce type.",
+            "save": "Enregistrer",
+            "delete": "Supprimer",
+            "preview": "Aperçu",
+            "error": "Une erreur est survenue",
+            "duplicate-invoice-title": "Cette facture a peut-être déjà été reçue :",
+            "duplicate-confirm-title": "Facture en double possible",
+            "duplicate-matched-on": "même",
+            "duplicate-supplier": "fournisseur",
+            "duplicate-invoiceId": "numéro de facture",
+            "duplicate-invoiceDate": "date",
+            "duplicate-totalAmount": "total",
+            "reject-as-duplicate": "Rejeter comme doublon",
+            "duplicate-validate-anyway": "Valider quand même",
+            "supplier-match-suggested": "Fournisseur suggéré",
+            "supplier-match-confirmed": "Fournisseur confirmé",
+            "supplier-match-overridden": "Fournisseur choisi",
+            "supplier-match-by-taxId": "même numéro de TVA",
+            "supplier-match-by-iban": "même IBAN",
+            "supplier-match-by-name": "nom et adresse similaires",
+            "supplier-match-confirm": "Confirmer",
+            "supplier-match-alternatives": "Autres fournisseurs",
+            "event-supplier-match": "Fournisseur choisi",
+            "event-number-locale": "Format des nombres modifié",
+            "identifier-errors-title": "IBAN, BIC ou numéro de TVA invalide",
+            "identifier-errors-content": "Le document ne peut pas être validé tant que ces numéros ne sont pas corrigés.",
+            "business-rules": "Règles métier",
+            "business-rules-ok": "Toutes les règles métier sont respectées.",
+            "business-rules-saved": "Règles enregistrées.",
+            "business-rules-hint": "Champs de la section du document : TotalAmount, DueDate, Vat.1.VatRate... Les dates peuvent être comparées et décalées en jours (InvoiceDate + 60).",
+            "rule-errors-title": "Règles métier non respectées",
+            "rule-errors-content": "Le document ne peut pas être validé tant que ces règles ne sont pas respectées.",
+            "rule-enabled": "Active",
+            "rule-kind": "Type",
+            "rule-kind-compare": "Comparaison",
+            "rule-kind-required": "Champ obligatoire",
+            "rule-kind-allowed": "Valeurs autorisées",
+            "rule-name": "Nom",
+            "rule-expression": "Comparaison",
+            "rule-tolerance": "Tolérance",
+            "rule-field": "Champ",
+            "rule-values": "Valeurs autorisées",
+            "rule-when": "Condition",
+            "rule-message": "Message",
+            "rule-severity": "Sévérité",
+            "rule-severity-block": "Bloquer",
+            "rule-severity-warn": "Avertir",
+            "tax-rate": "Taux de TVA",
+            "vat-breakdown": "Ventilation de la TVA",
+            "vat-from-line-items": "Depuis les lignes",
+            "vat-base": "Base imposable",
+            "vat-tax": "Montant de TVA",
+            "vat-base-deviation": "Écart HT",
+            "vat-tax-deviation": "Écart TVA",
+            "vat-row-expected": "TVA attendue (base × taux)",
+            "number-locale": "Format des nombres",
+            "date-original": "Original",
+            "date-invalid": "Date illisible",
+            "dynamic-key-type": "Type",
+            "dynamic-key-type-text": "Texte",
+            "dynamic-key-type-date": "Date",
+            "opening-balance": "Solde initial",
+            "closing-balance": "Solde final",
+            "balance-deviation": "Écart avec le solde final",
+            "transactions": "Opérations",
+            "date": "Date",
+            "statement-description": "Libellé",
+            "debit": "Débit",
+            "credit": "Crédit",
+            "running-balance": "Solde",
+            "download-as-camt053": "Télécharger en CAMT.053 (ISO 20022)",
+            "download-as-mt940": "Télécharger en MT940 (SWIFT)",
+            "statement-errors-title": "Le relevé bancaire ne peut pas être exporté",
+            "payment-col": "Paiement",
+            "payment-paid": "Payée",
+            "payment-partial": "Payée partiellement",
+            "payment-unpaid": "Non payée",
+            "event-payment": "Paiement lié",
+            "reconciliation-menu": "Rapprochement",
+            "auto-reconcile": "Rapprocher automatiquement",
+            "auto-reconcile-done": "{{count}} transaction(s) rapprochée(s)",
+            "reconciliation-matched": "Rapprochées",
+            "reconciliation-partial": "Rapprochées partiellement",
+            "reconciliation-unmatched": "Non rapprochées",
+            "match-reference": "numéro de facture",
+            "match-amount": "montant",
+            "match-iban": "IBAN",
+            "match-manual": "lié manuellement",
+            "link-payment": "Lier",
+            "unlink-payment": "Délier",
+            "no-transactions": "Aucune transaction",
+            "invoice": "Facture",
+            "invoices": "Factures",
+            "due-date": "Échéance",
+            "total": "Total",
+            "paid-amount": "Payé",
+            "mrz": "MRZ",
+            "mrz-not-found": "Aucune zone de lecture automatique trouvée",
+            "mrz-capture": "Capturer la MRZ",
+            "mrz-documentNumber": "Numéro",
+            "mrz-surname": "Nom",
+            "mrz-givenNames": "Prénoms",
+            "mrz-nationality": "Nationalité",
+            "mrz-birthDate": "Naissance",
+            "mrz-sex": "Sexe",
+            "mrz-expiryDate": "Expiration",
+            "mrz-errors-title": "Le document de voyage ne peut pas être validé",
+            "mrz-errors-content": "Corrigez les champs qui diffèrent de la zone de lecture automatique, ou capturez à nouveau la zone. Un document expiré ne peut pas être validé.",
+            "ocr-suggestions": "{{count}} fragment(s) assigné(s) d'après {{documents}} document(s) validé(s)",
+            "ocr-suggestions-accept-all": "Tout accepter",
+            "ocr-suggestions-reject-all": "Tout rejeter",
+            "ocr-suggestion-confidence": "Confiance de la suggestion",
+            "ocr-suggestion-accept": "Accepter",
+            "ocr-suggestion-reject": "Rejeter",
             "current-user-col": "Utilisateur actuel",
             "warning-add-user": "Erreur d'ajout d'utilisateur",
             "success-add-user": "Sauvegarde réussie de l'utilisateur",
@@ -0,0 +1,45 @@
+// ISO 4217 currencies and their decimal places
+// copy of back/utils/currencies.js, the server rounds the exported amounts the same way
+
+// Active ISO 4217 currency codes
+export const CURRENCY_CODES = `
+AED AFN ALL AMD AOA ARS AUD AWG AZN BAM BBD BDT BGN BHD BIF BMD BND BOB BOV BRL BSD BTN BWP BYN BZD
+CAD CDF CHE CHF CHW CLF CLP CNY COP COU CRC CUP CVE CZK DJF DKK DOP DZD EGP ERN ETB EUR FJD FKP GBP
+GEL GHS GIP GMD GNF GTQ GYD HKD HNL HTG HUF IDR ILS INR IQD IRR ISK JMD JOD JPY KES KGS KHR KMF KPW
+KRW KWD KYD KZT LAK LBP LKR LRD LSL LYD MAD MDL MGA MKD MMK MNT MOP MRU MUR MVR MWK MXN MXV MYR MZN
+NAD NGN NIO NOK NPR NZD OMR PAB PEN PGK PHP PKR PLN PYG QAR RON RSD RUB RWF SAR SBD SCR SDG SEK SGD
+SHP SLE SOS SRD SSP STN SVC SYP SZL THB TJS TMT TND TOP TRY TTD TWD TZS UAH UGX USD USN UYI UYU UYW
+UZS VED VES VND VUV WST XAF XCD XCG XOF XPF YER ZAR ZMW ZWG
+`.trim().split(/\s+/);
+
+// Decimal places (minor unit) of the currencies that do not use two
+const MINOR_UNITS = {
+    BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0,
+    RWF: 0, UGX: 0, UYI: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+    BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3,
+    CLF: 4, UYW: 4,
+};
+
+const normalize = (currency) => String(currency ?? '').trim().toUpperCase();
+
+export const isCurrency = (currency) => CURRENCY_CODES.includes(normalize(currency));
+
+// Method to get the decimal places of a currency (two when unknown)
+export const minorUnits = (currency) => MINOR_UNITS[normalize(currency)] ?? 2;
+
+// Method to round an amount to the decimal places of a currency (JPY 0, EUR 2, KWD 3)
+export const roundToCurrency = (value = 0, currency) => {
+    const factor = 10 ** minorUnits(currency);
+    return Math.round((value + Number.EPSILON) * factor) / factor;
+};
+
+// Options of the currency combo box ('EUR - Euro'), names in the language of the interface
+export const currencyOptions = (language = 'en') => {
+    let names = null;
+    try {
+        names = new Intl.DisplayNames([language], { type: 'currency' });
+    } catch (error) {
+        names = null;
+    }
+    return CURRENCY_CODES.map(code => ({ value: code, label: names ? `${code} - ${names.of(code)}` : code }));
+};
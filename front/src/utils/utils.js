@@ -1,5 +1,6 @@
 import { jsPDF } from 'jspdf';
 import fileService from "../Components/services/fileService";
+import { minorUnits } from "./currencies";
 
 export const SERVER_URL = fileService.API_BASE_URL
 
@@ -81,6 +82,28 @@ export const changeObjectValue = (obj, key, value) => {
 };
 
 
+// Function to set (or remove when value is undefined) the value of a dotted path,
+// keeping arrays (line items) as arrays
+export const setValueAtPath = (obj, path, value) => {
+    const [key, ...rest] = path.split('.');
+    const index = /^\d+$/.test(key) ? parseInt(key) : null;
+    // a single line item may still be stored as an object
+    const container = index !== null && obj && !Array.isArray(obj) ? [obj] : obj;
+    const copy = Array.isArray(container) ? [...container] : { ...(container || {}) };
+    const slot = index !== null ? index : key;
+
+    if (rest.length) {
+        copy[slot] = setValueAtPath(copy[slot], rest.join('.'), value);
+    } else if (value === undefined && !Array.isArray(copy)) {
+        delete copy[slot];
+    } else {
+        copy[slot] = value;
+    }
+
+    return copy;
+};
+
+
 // method to download result from server
 export const GenerateXMLFromResponse = async (response, name = 'data.xml') => {
 
@@ -106,6 +129,16 @@ export const GenerateXMLFromResponse = async (response, name = 'data.xml') => {
 }
 
 
+// pages of the stages that have their own list, other stages use the generic one
+const STAGE_PAGES = {
+    v1: '/prevalidation',
+    v2: '/validation',
+};
+
+// Method to get the list page of a workflow stage
+export const stagePath = (stage) => STAGE_PAGES[stage] || `/stage/${stage}`;
+
+
 // Method to show workflow status
 export const showWorkflowStatus = (document) => {
     // worked
@@ -277,28 +310,6 @@ export const getPdfBlob = async (fileUrl) => {
     }
 };
 
-export function detectDateFormat(dateString) {
-    const formats = [
-        { regex: /^\d{2}-\d{2}-\d{4}$/, format: 'dd-MM-yyyy' },
-        { regex: /^\d{4}-\d{2}-\d{2}$/, format: 'yyyy-MM-dd' },
-        { regex: /^\d{2}\/\d{2}\/\d{4}$/, format: 'dd/MM/yyyy' },
-        { regex: /^\d{4}\/\d{2}\/\d{2}$/, format: 'yyyy/MM/dd' },
-        { regex: /^\d{2}\.\d{2}\.\d{4}$/, format: 'dd.MM.yyyy' },
-        { regex: /^\d{4}\.\d{2}\.\d{2}$/, format: 'yyyy.MM.dd' },
-        { regex: /^\d{2} \d{2} \d{4}$/, format: 'dd MM yyyy' },
-        { regex: /^\d{4} \d{2} \d{2}$/, format: 'yyyy MM dd' },
-        { regex: /^(\d{2})\s([a-zéèàêô]+)\s(\d{4})$/i, format: 'dd MMMM yyyy' },
-    ];
-
-    // Loop through each format and test the date string
-    for (const { regex, format } of formats) {
-        if (regex.test(dateString)) {
-            return format;
-        }
-    }
-    return 'dd-MM-yyyy';
-}
-
 // Function to add prefix to keys
 export function addPrefixToKeys(obj, prefix) {
     const transformed = {};
@@ -423,31 +434,86 @@ export function reorderKeys(obj, order = invoiceOrder) {
     return reordered;
 }
 
-// Method to convert value (number) to currency (EUR, GBP, USD)
-export function formatCurrency(value, currency) {
-    // Define locales for the currency
-    const localeMap = {
-        EUR: 'de-DE', // Common for Euro in Germany
-        GBP: 'en-GB', // British Pound in the UK
-        USD: 'en-US', // US Dollar
-        // Add more locales here for other currencies if needed
-    };
+// Separators of the number locales a document can be read with (same list as the server)
+export const NUMBER_LOCALES = {
+    'de-DE': { decimal: ',', group: '.' },
+    'fr-FR': { decimal: ',', group: ' ' },
+    'it-IT': { decimal: ',', group: '.' },
+    'es-ES': { decimal: ',', group: '.' },
+    'nl-NL': { decimal: ',', group: '.' },
+    'en-GB': { decimal: '.', group: ',' },
+    'en-US': { decimal: '.', group: ',' },
+    'de-CH': { decimal: '.', group: "'" },
+};
 
-    // Set the default locale to 'de-DE' if the currency is not in the map
-    const locale = localeMap[currency] || 'de-DE';
+export const DEFAULT_NUMBER_LOCALE = 'de-DE';
 
+// Usual number locale of a currency, when the document has none
+const CURRENCY_LOCALES = {
+    EUR: 'de-DE',
+    GBP: 'en-GB',
+    USD: 'en-US',
+    CHF: 'de-CH',
+};
+
+// Amounts of the form are stored as canonical decimals ('1234.56')
+const CANONICAL = /^-?\d+(\.\d+)?$/;
+
+// Fields holding a number ('NetAmount', 'LineItemUnitPrice', 'LineItemQuantity', 'VatRate', 'TableItemTransactionDeposit'...)
+export const isAmountKey = (key = '') => /(Amount|Price|Quantity|Rate|Percentage|Balance|Withdrawal|Deposit)$/.test(key);
+
+// Method to read a number typed with the separators of a locale ('1.234,5' in de-DE), null when it holds none
+export const parseLocaleNumber = (value, locale = DEFAULT_NUMBER_LOCALE) => {
+    if (typeof value === 'number') return isFinite(value) ? value : null;
+    const text = String(value ?? '');
+    if (!/\d/.test(text)) return null;
+
+    const { decimal } = NUMBER_LOCALES[locale] || NUMBER_LOCALES[DEFAULT_NUMBER_LOCALE];
+    const parts = text.replace(new RegExp(`[^\\d${decimal}]`, 'g'), '').split(decimal);
+    if (parts.length > 2) return null;
+
+    const number = parseFloat(`${parts[0] || '0'}.${parts[1] || '0'}`);
+    return /^\s*[-(]|-\s*$/.test(text) ? -number : number;
+};
+
+// Method to store a number typed with a locale as a canonical decimal, a text without number is kept
+export const toCanonical = (value, locale) => {
+    const number = parseLocaleNumber(value, locale);
+    return number === null ? value : String(number);
+};
+
+// Method to show a canonical decimal with the separators of a locale ('1234.5' in de-DE gives '1.234,5')
+export const formatLocaleNumber = (value, locale = DEFAULT_NUMBER_LOCALE) => {
+    const text = String(value ?? '').trim();
+    if (!CANONICAL.test(text)) return text;
+    return new Intl.NumberFormat(locale, { maximumFractionDigits: 20 }).format(parseFloat(text));
+};
+
+// Method to read an amount of the form, the highest one of repeated values
+// canonical decimals are read as is, other texts with the locale of the document
+export const toNumber = (n = '0', locale) => {
+    if (Array.isArray(n)) {
+        let array = n.map(a => toNumber(a, locale));
+        n = Math.max(...array).toString();
+    }
+    const text = String(n ?? '').trim();
+    if (CANONICAL.test(text)) return parseFloat(text);
+    return parseLocaleNumber(text, locale) ?? 0;
+}
+
+// Method to convert value (number) to an amount, with the number locale of the document
+// or the usual one of the currency, rounded to the decimals of the currency (JPY 0, KWD 3)
+export function formatCurrency(value, currency, locale) {
     // Use Intl.NumberFormat to format the number
-    const formatter = new Intl.NumberFormat(locale, {
+    const formatter = new Intl.NumberFormat(locale || CURRENCY_LOCALES[currency] || DEFAULT_NUMBER_LOCALE, {
         style: 'decimal',  // Remove currency style to just format the number
-        maximumFractionDigits: 2, // Optional: control decimal precision
+        maximumFractionDigits: minorUnits(currency),
     });
 
     // Return the formatted number without the currency symbol
     return formatter.format(value);
 }
 
-export const CURRENCY_LIST = ['GBP', 'EUR', 'USD'];
-
 export const fetchAndConvertToBase64 = async (url) => {
     try {
         // Étape 1 : Télécharger l'image en tant que Blob